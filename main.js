@@ -13,6 +13,7 @@ const ShapeType = {
   LETTERS: "letters",
   COUNTERBORE_BOLT: "counterbore_bolt",
   PATTERNED_HOLES: "patterned_holes",
+  THREAD_MILL: "thread_mill",
   DXF: "dxf",
 };
 
@@ -20,6 +21,11 @@ const OperationType = {
   POCKET: "pocket",
   CONTOUR: "contour",
   FACING: "facing",
+  VCARVE: "vcarve",
+  /** Alleen per DXF-laag: lijnen volgen op diepte */
+  ENGRAVE: "engrave",
+  /** Alleen per DXF-laag: boren in het midden van elke contour */
+  DRILL: "drill",
 };
 
 /** Operatietype-categorie (eerste dropdown). "vormen" toont de vorm-dropdown. */
@@ -29,6 +35,7 @@ const OperationTypeCategory = {
   LETTERS: "letters",
   COUNTERBORE_BOLT: "counterbore_bolt",
   PATTERNED_HOLES: "patterned_holes",
+  THREAD_MILL: "thread_mill",
   DXF: "dxf",
 };
 
@@ -50,12 +57,24 @@ const EntryMethod = {
   RAMP: "ramp",
 };
 
+const ToolType = {
+  ENDMILL: "endmill",
+  BALLMILL: "ballmill",
+  VBIT: "vbit",
+  DRILL: "drill",
+  THREAD_MILL: "threadmill",
+};
+
 /**
- * @typedef {{ x: number, y: number, z: number, type: 'rapid'|'cut' }} ToolpathMove
- * @typedef {{ moves: ToolpathMove[], resultPaths?: {x:number,y:number,z:number}[][], resultTotalDepth?: number, resultBottomZ?: number, resultContourInside?: boolean, resultPathsWithDepth?: {path:{x:number,y:number,z:number}[], topZ:number, bottomZ:number}[], resultBounds?: {minX:number,maxX:number,minY:number,maxY:number}, toolDiameter?: number }} Toolpath
+ * @typedef {{ x: number, y: number, z: number, type: 'rapid'|'cut'|'arc', i?: number, j?: number, clockwise?: boolean, feed?: number, drill?: DrillCycle }} ToolpathMove
+ * @typedef {{ cycle: 'G81'|'G82'|'G83', peckDepth: number, dwell: number }} DrillCycle
+ * @typedef {{ moveIndex: number, comment?: string, spindleSpeed?: number, tool?: Tool | null, manualToolChange?: string }} ToolpathSection
+ * manualToolChange: omschrijving van de frees voor een sectie zonder frees uit de bibliotheek die toch een andere frees nodig heeft (pauze met M0)
+ * @typedef {{ moves: ToolpathMove[], sections?: ToolpathSection[], resultLayers?: Toolpath[], resultPaths?: {x:number,y:number,z:number}[][], resultTotalDepth?: number, resultBottomZ?: number, resultContourInside?: boolean, resultPathsWithDepth?: {path:{x:number,y:number,z:number}[], topZ:number, bottomZ:number}[], resultBounds?: {minX:number,maxX:number,minY:number,maxY:number}, resultPitchCircle?: {x:number,y:number,diameter:number}, resultIslands?: {x:number,y:number,z:number}[][], toolDiameter?: number }} Toolpath
  */
 
 const DEFAULT_SAFE_Z = 10; // mm, standaard veilige hoogte (overschrijfbaar via formulier)
+const DEFAULT_PLUNGE_FEEDRATE_MM_MIN = 300; // insteekvoeding in simple mode (max. de gewone feedrate)
 
 /** Conversie display-eenheid naar mm (intern). */
 const MM_PER_INCH = 25.4;
@@ -90,6 +109,18 @@ const LETTER_FONT_URL =
 /** Lokaal fontbestand (relatief aan de pagina); voor offline gebruik bestand in fonts/ map zetten. */
 const LETTER_FONT_LOCAL = "fonts/Roboto-Black.ttf";
 let cachedLetterFont = null;
+/** Waarde in de lettertype-keuzelijst voor het standaardfont (LETTER_FONT_LOCAL / LETTER_FONT_URL). */
+const DEFAULT_LETTER_FONT_ID = "roboto";
+/** Eigen (geüploade) lettertypen: lijst in één sleutel, fontdata (base64) per font in een eigen sleutel. */
+const CUSTOM_FONTS_STORAGE_KEY = "gcode-custom-fonts";
+const CUSTOM_FONT_DATA_STORAGE_PREFIX = "gcode-custom-font:";
+const CUSTOM_FONT_ID_PREFIX = "custom-";
+/** Geparste eigen lettertypen per id */
+const customFontCache = new Map();
+/** Enkel-lijns lettertypen (Hershey, uit hershey-fonts.js) per waarde in de lettertype-keuzelijst. */
+const SINGLE_LINE_FONT_KEYS = { "hershey-simplex": "simplex", "hershey-script": "script" };
+/** Standaard regelafstand, als factor van de lettergrootte. */
+const DEFAULT_LETTER_LINE_HEIGHT = 1.25;
 
 const PreviewViewMode = {
   ISO: "iso",
@@ -180,11 +211,18 @@ function setLanguage(lang) {
 
 /** Keys die een inch-variant hebben (form.xxxIn) voor label-weergave. */
 const UNIT_LABEL_KEYS = [
-  "form.patternedHolesDiameter", "form.patternedHolesSpacingX", "form.patternedHolesSpacingY",
+  "form.patternedHolesDiameter", "form.patternedHolesSpacingX", "form.patternedHolesSpacingY", "form.patternedHolesPitchDiameter",
   "form.diameter", "form.counterboreHeadDiameter", "form.counterboreDepth", "form.counterboreBoltDiameter",
-  "form.side", "form.width", "form.height", "form.hexagonHeight", "form.majorAxis", "form.minorAxis", "form.letterSize",
+  "form.side", "form.width", "form.height", "form.cornerRadius", "form.cornerRadiusTopLeft", "form.cornerRadiusTopRight",
+  "form.cornerRadiusBottomLeft", "form.cornerRadiusBottomRight", "form.hexagonHeight", "form.majorAxis", "form.minorAxis", "form.letterSize", "form.letterSpacing",
+  "form.letterArcRadius", "form.letterBatchSpacingX", "form.letterBatchSpacingY",
   "form.tabInterval", "form.tabWidth", "form.tabHeight",
-  "form.toolDiameter", "form.totalDepth", "form.stepdown", "form.feedrate", "form.safeHeight", "form.leadInAbove", "form.zOffset",
+  "form.toolDiameter", "form.totalDepth", "form.stepdown", "form.feedrate", "form.plungeFeedrate", "form.safeHeight", "form.leadInAbove", "form.zOffset",
+  "form.finishAllowance", "form.finishFloorAllowance", "form.finishStepdown", "form.finishFeedrate",
+  "form.chamferTipDiameter", "form.chamferWidth", "form.chamferFeedrate",
+  "form.peckDepth",
+  "form.threadDiameter", "form.threadPitch", "form.threadLength", "form.threadCutterLength",
+  "form.vcarveMaxDepth",
 ];
 
 function applyTranslations() {
@@ -259,6 +297,7 @@ function getShapeMinSize(shape, shapeParams) {
     case ShapeType.COUNTERBORE_BOLT:
       return Math.min(shapeParams.headDiameter || Infinity, shapeParams.boltDiameter || Infinity);
     case ShapeType.PATTERNED_HOLES:
+    case ShapeType.THREAD_MILL:
       return shapeParams.diameter;
     case ShapeType.DXF:
       return NaN;
@@ -278,16 +317,9 @@ function loadLetterFont() {
     return Promise.reject(new Error(t("error.opentypeNotLoaded")));
   }
 
-  function parseBase64(base64) {
-    const binary = atob(base64);
-    const bytes = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
-    return opentype.parse(bytes.buffer);
-  }
-
   if (typeof window !== "undefined" && window.LETTER_FONT_BASE64) {
     try {
-      cachedLetterFont = parseBase64(window.LETTER_FONT_BASE64);
+      cachedLetterFont = parseFontBase64(window.LETTER_FONT_BASE64);
       return Promise.resolve(cachedLetterFont);
     } catch (e) {
       console.warn("Ingesloten lettertype kon niet worden geparsed:", e);
@@ -319,15 +351,142 @@ function loadLetterFont() {
   );
 }
 
+/** Base64 (bijv. ingesloten of uit localStorage) → opentype-font */
+function parseFontBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return opentype.parse(bytes.buffer);
+}
+
+/** Binaire data → base64, in stukken zodat grote fonts de argumentlimiet van fromCharCode niet raken. */
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, Array.from(bytes.subarray(i, i + 0x8000)));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Eigen lettertype in de keuzelijst; de fontdata staat apart onder CUSTOM_FONT_DATA_STORAGE_PREFIX + id.
+ * @typedef {{ id: string, name: string }} CustomFontInfo
+ */
+
+/** @returns {CustomFontInfo[]} */
+function loadCustomFontList() {
+  try {
+    const raw = localStorage.getItem(CUSTOM_FONTS_STORAGE_KEY);
+    if (!raw) return [];
+    const data = JSON.parse(raw);
+    return Array.isArray(data.fonts)
+      ? data.fonts.filter((f) => f && typeof f.id === "string" && typeof f.name === "string")
+      : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Geüpload lettertype (TTF/OTF/WOFF) controleren en in localStorage bewaren.
+ * @param {string} fileName - voor de naam als het font zelf geen naam bevat
+ * @param {ArrayBuffer} buffer
+ * @returns {CustomFontInfo}
+ */
+function addCustomFont(fileName, buffer) {
+  if (typeof opentype === "undefined") throw new Error(t("error.opentypeNotLoaded"));
+  let font;
+  try {
+    font = opentype.parse(buffer);
+  } catch (_) {
+    throw new Error(t("error.fontFileInvalid"));
+  }
+  if (!font || !font.supported) throw new Error(t("error.fontFileInvalid"));
+  const name = font.names?.fullName?.en || font.names?.fontFamily?.en || fileName.replace(/\.[^.]+$/, "");
+  const info = { id: `${CUSTOM_FONT_ID_PREFIX}${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`, name };
+  try {
+    localStorage.setItem(CUSTOM_FONT_DATA_STORAGE_PREFIX + info.id, arrayBufferToBase64(buffer));
+    localStorage.setItem(CUSTOM_FONTS_STORAGE_KEY, JSON.stringify({ version: 1, fonts: [...loadCustomFontList(), info] }));
+  } catch (_) {
+    try {
+      localStorage.removeItem(CUSTOM_FONT_DATA_STORAGE_PREFIX + info.id);
+    } catch (_) {}
+    throw new Error(t("error.fontStorageFull"));
+  }
+  customFontCache.set(info.id, font);
+  return info;
+}
+
+/** @param {string} id */
+function removeCustomFont(id) {
+  try {
+    localStorage.removeItem(CUSTOM_FONT_DATA_STORAGE_PREFIX + id);
+    const fonts = loadCustomFontList().filter((f) => f.id !== id);
+    localStorage.setItem(CUSTOM_FONTS_STORAGE_KEY, JSON.stringify({ version: 1, fonts }));
+  } catch (_) {}
+  customFontCache.delete(id);
+}
+
+/**
+ * Lettertype voor een keuze uit de lettertype-keuzelijst: enkel-lijns (Hershey), eigen upload of het standaardfont.
+ * @param {string} fontId
+ * @returns {Promise<object>} opentype-font of resultaat van getSingleLineFont()
+ */
+function loadLetterFontById(fontId) {
+  try {
+    const singleLine = getSingleLineFont(fontId);
+    if (singleLine) return Promise.resolve(singleLine);
+  } catch (e) {
+    return Promise.reject(e);
+  }
+  if (!fontId || !fontId.startsWith(CUSTOM_FONT_ID_PREFIX)) return loadLetterFont();
+  if (customFontCache.has(fontId)) return Promise.resolve(customFontCache.get(fontId));
+  if (typeof opentype === "undefined") return Promise.reject(new Error(t("error.opentypeNotLoaded")));
+  let base64 = null;
+  try {
+    base64 = localStorage.getItem(CUSTOM_FONT_DATA_STORAGE_PREFIX + fontId);
+  } catch (_) {}
+  if (!base64) return Promise.reject(new Error(t("error.customFontMissing")));
+  try {
+    const font = parseFontBase64(base64);
+    customFontCache.set(fontId, font);
+    return Promise.resolve(font);
+  } catch (_) {
+    return Promise.reject(new Error(t("error.fontFileInvalid")));
+  }
+}
+
 /** Aantal punten om een Bézier-curve te benaderen */
 const BEZIER_SEGMENTS = 16;
 
+/**
+ * Aantal lijnstukken voor een Bézier-curve waarbij de koorden binnen CIRCLE_TOLERANCE_MM van de curve blijven
+ * (formule van Wang: de grootste tweede differentie van de controlepunten begrenst de afwijking).
+ * @param {{ x: number, y: number }[]} ctrl - begin-, controle- en eindpunten
+ * @param {number} scale - mm per eenheid van de punten
+ * @returns {number}
+ */
+function bezierSegmentsForTolerance(ctrl, scale) {
+  const degree = ctrl.length - 1;
+  let maxSecond = 0;
+  for (let i = 0; i + 2 < ctrl.length; i++) {
+    const dx = ctrl[i].x - 2 * ctrl[i + 1].x + ctrl[i + 2].x;
+    const dy = ctrl[i].y - 2 * ctrl[i + 1].y + ctrl[i + 2].y;
+    maxSecond = Math.max(maxSecond, Math.hypot(dx, dy));
+  }
+  const n = Math.ceil(Math.sqrt((degree * (degree - 1) * maxSecond * scale) / (8 * CIRCLE_TOLERANCE_MM)));
+  return Math.max(1, Math.min(360, n));
+}
+
 /**
  * Converteer opentype path-commando's naar een reeks contour-paden (array van punten per contour).
  * @param {import('opentype.js').Path} path
+ * @param {number | null} [scale] - mm per eenheid van het pad: curves krijgen dan zoveel punten dat ze binnen
+ *   CIRCLE_TOLERANCE_MM blijven; zonder schaal BEZIER_SEGMENTS per curve
  * @returns {{ x: number, y: number, z: number }[][]}
  */
-function pathCommandsToContours(path) {
+function pathCommandsToContours(path, scale = null) {
   const contours = [];
   let current = [];
   let lastX = 0;
@@ -340,25 +499,32 @@ function pathCommandsToContours(path) {
   }
 
   function sampleCubic(x1, y1, x2, y2, x, y) {
-    for (let i = 1; i <= BEZIER_SEGMENTS; i++) {
-      const t = i / BEZIER_SEGMENTS;
+    // Beginpunt vasthouden: addPoint verzet lastX/lastY
+    const x0 = lastX;
+    const y0 = lastY;
+    const n = scale ? bezierSegmentsForTolerance([{ x: x0, y: y0 }, { x: x1, y: y1 }, { x: x2, y: y2 }, { x, y }], scale) : BEZIER_SEGMENTS;
+    for (let i = 1; i <= n; i++) {
+      const t = i / n;
       const u = 1 - t;
       const u2 = u * u;
       const u3 = u2 * u;
       const t2 = t * t;
       const t3 = t2 * t;
-      const px = u3 * lastX + 3 * u2 * t * x1 + 3 * u * t2 * x2 + t3 * x;
-      const py = u3 * lastY + 3 * u2 * t * y1 + 3 * u * t2 * y2 + t3 * y;
+      const px = u3 * x0 + 3 * u2 * t * x1 + 3 * u * t2 * x2 + t3 * x;
+      const py = u3 * y0 + 3 * u2 * t * y1 + 3 * u * t2 * y2 + t3 * y;
       addPoint(px, py);
     }
   }
 
   function sampleQuadratic(x1, y1, x, y) {
-    for (let i = 1; i <= BEZIER_SEGMENTS; i++) {
-      const t = i / BEZIER_SEGMENTS;
+    const x0 = lastX;
+    const y0 = lastY;
+    const n = scale ? bezierSegmentsForTolerance([{ x: x0, y: y0 }, { x: x1, y: y1 }, { x, y }], scale) : BEZIER_SEGMENTS;
+    for (let i = 1; i <= n; i++) {
+      const t = i / n;
       const u = 1 - t;
-      const px = u * u * lastX + 2 * u * t * x1 + t * t * x;
-      const py = u * u * lastY + 2 * u * t * y1 + t * t * y;
+      const px = u * u * x0 + 2 * u * t * x1 + t * t * x;
+      const py = u * u * y0 + 2 * u * t * y1 + t * t * y;
       addPoint(px, py);
     }
   }
@@ -432,12 +598,11 @@ function pathCommandsToContours(path) {
 }
 
 /**
- * Parse een DXF-tekst en extraheer gesloten contouren (LWPOLYLINE, CIRCLE, ARC, LINE).
- * Vereist dat dxf-parser geladen is (script tag). Coördinaten blijven in DXF-eenheid (meestal mm).
- * @param {string} dxfString - ruwe DXF-tekst
- * @returns {{ x: number, y: number, z: number }[][]}
+ * DXF-tekst inlezen met dxf-parser (script tag).
+ * @param {string} dxfString
+ * @returns {*} het geparste document
  */
-function parseDxfToContours(dxfString) {
+function parseDxfDocument(dxfString) {
   const DxfParserClass = typeof DxfParser !== "undefined" ? DxfParser : (typeof window !== "undefined" && window.DxfParser);
   if (!DxfParserClass) {
     throw new Error(t("error.dxfParserNotLoaded"));
@@ -449,112 +614,1023 @@ function parseDxfToContours(dxfString) {
   } catch (e) {
     throw new Error(t("error.dxfParseFailed") + (e && e.message ? e.message : String(e)));
   }
+  attachDxfSplineWeights(dxf, dxfString);
+  return dxf;
+}
+
+/**
+ * Gewichten van rationele SPLINEs (groep 41) per handle uit de ruwe tekst; dxf-parser leest ze niet.
+ * @param {string} dxfString
+ * @returns {Map<string, number[]>}
+ */
+function readDxfSplineWeights(dxfString) {
+  const weights = new Map();
+  const lines = dxfString.split(/\r\n|\r|\n/);
+  let spline = null;
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = lines[i].trim();
+    const value = lines[i + 1].trim();
+    if (code === "0") {
+      if (spline?.handle != null && spline.weights.length > 0) weights.set(spline.handle, spline.weights);
+      spline = value === "SPLINE" ? { handle: null, weights: [] } : null;
+    } else if (spline && code === "5") {
+      spline.handle = value;
+    } else if (spline && code === "41") {
+      spline.weights.push(Number(value));
+    }
+  }
+  return weights;
+}
+
+/**
+ * Zet de gewichten van rationele SPLINEs als `weights` op de entiteiten, ook in blocks (koppeling via de handle).
+ * @param {*} dxf - geparst document
+ * @param {string} dxfString
+ */
+function attachDxfSplineWeights(dxf, dxfString) {
+  const splines = [...(dxf?.entities ?? []), ...Object.values(dxf?.blocks ?? {}).flatMap((block) => block.entities ?? [])]
+    .filter((ent) => (ent.type || "").toUpperCase() === "SPLINE" && ent.rational);
+  if (splines.length === 0) return;
+  const weights = readDxfSplineWeights(dxfString);
+  splines.forEach((ent) => {
+    if (ent.handle != null && weights.has(String(ent.handle))) ent.weights = weights.get(String(ent.handle));
+  });
+}
+
+/**
+ * Kan de import deze SPLINE volgen? Een rationele spline zonder (leesbare) gewichten niet: met gewicht 1
+ * zou hij van de tekening afwijken.
+ * @param {*} ent
+ * @returns {boolean}
+ */
+function hasDxfSplineWeights(ent) {
+  if (!ent.rational) return true;
+  const count = (ent.controlPoints ?? []).length;
+  return Array.isArray(ent.weights) && ent.weights.length === count && ent.weights.every((w) => Number.isFinite(w) && w > 0);
+}
+
+/** Laag van een DXF-entiteit; zonder laag hoort een entiteit bij laag "0". */
+function getDxfEntityLayer(ent) {
+  return ent.layer != null && String(ent.layer) !== "" ? String(ent.layer) : "0";
+}
+
+/** Entiteiten die de DXF-import omzet; POINT alleen als boorpunt. */
+const DXF_SUPPORTED_ENTITY_TYPES = ["LINE", "ARC", "CIRCLE", "ELLIPSE", "LWPOLYLINE", "POLYLINE", "SPLINE", "POINT", "INSERT"];
+/** Max. nesting van blocks; beschermt tegen een block dat (via een ander block) zichzelf invoegt. */
+const DXF_MAX_BLOCK_DEPTH = 8;
+
+/**
+ * Affiene transformatie van een INSERT: x' = a·x + c·y + e, y' = b·x + d·y + f.
+ * @typedef {{ a: number, b: number, c: number, d: number, e: number, f: number }} DxfTransform
+ */
+/** @type {DxfTransform} */
+const DXF_IDENTITY_TRANSFORM = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+
+/**
+ * Eerst inner, dan outer toepassen.
+ * @param {DxfTransform} outer
+ * @param {DxfTransform} inner
+ * @returns {DxfTransform}
+ */
+function composeDxfTransforms(outer, inner) {
+  return {
+    a: outer.a * inner.a + outer.c * inner.b,
+    b: outer.b * inner.a + outer.d * inner.b,
+    c: outer.a * inner.c + outer.c * inner.d,
+    d: outer.b * inner.c + outer.d * inner.d,
+    e: outer.a * inner.e + outer.c * inner.f + outer.e,
+    f: outer.b * inner.e + outer.d * inner.f + outer.f,
+  };
+}
+
+/**
+ * Transformaties van een INSERT, één per kopie bij rijen en kolommen: het basispunt van het block komt op
+ * de invoegpositie, met schaal en daarna rotatie; de rij- en kolomafstand lopen mee met de rotatie.
+ * @param {*} ent - INSERT-entiteit
+ * @param {*} block
+ * @returns {DxfTransform[]}
+ */
+function getDxfInsertTransforms(ent, block) {
+  const sx = Number.isFinite(ent.xScale) && ent.xScale !== 0 ? ent.xScale : 1;
+  const sy = Number.isFinite(ent.yScale) && ent.yScale !== 0 ? ent.yScale : 1;
+  const rot = degToRad(Number(ent.rotation) || 0);
+  const cos = Math.cos(rot);
+  const sin = Math.sin(rot);
+  const px = Number(ent.position?.x) || 0;
+  const py = Number(ent.position?.y) || 0;
+  const bx = Number(block.position?.x) || 0;
+  const by = Number(block.position?.y) || 0;
+  const a = cos * sx;
+  const b = sin * sx;
+  const c = -sin * sy;
+  const d = cos * sy;
+  const transforms = [];
+  const rows = Math.max(1, Math.round(Number(ent.rowCount) || 1));
+  const cols = Math.max(1, Math.round(Number(ent.columnCount) || 1));
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const ox = col * (Number(ent.columnSpacing) || 0);
+      const oy = row * (Number(ent.rowSpacing) || 0);
+      const x = px + cos * ox - sin * oy;
+      const y = py + sin * ox + cos * oy;
+      transforms.push({ a, b, c, d, e: x - (a * bx + c * by), f: y - (b * bx + d * by) });
+    }
+  }
+  return transforms;
+}
+
+/**
+ * Alle entiteiten van een DXF met de INSERTs uitgepakt: entiteiten uit een block komen terug met de
+ * transformatie van de insert, ook bij geneste blocks. Entiteiten op laag "0" in een block krijgen de
+ * laag van de insert (zoals in CAD).
+ * @param {*} dxf - geparst document
+ * @param {(ent: *, transform: DxfTransform, layer: string) => void} callback
+ */
+function forEachDxfEntity(dxf, callback) {
+  const blocks = dxf?.blocks ?? {};
+  const visit = (entities, transform, parentLayer, depth) => {
+    (Array.isArray(entities) ? entities : []).forEach((ent) => {
+      const own = getDxfEntityLayer(ent);
+      const layer = parentLayer != null && own === "0" ? parentLayer : own;
+      if ((ent.type || "").toUpperCase() !== "INSERT") {
+        callback(ent, transform, layer);
+        return;
+      }
+      const block = blocks[ent.name];
+      if (!block || depth >= DXF_MAX_BLOCK_DEPTH) return;
+      getDxfInsertTransforms(ent, block).forEach((insert) => {
+        visit(block.entities, composeDxfTransforms(transform, insert), layer, depth + 1);
+      });
+    });
+  };
+  visit(dxf?.entities, DXF_IDENTITY_TRANSFORM, null, 0);
+}
+
+/**
+ * Lagen van een DXF met hun kleur en het aantal entiteiten, in de volgorde van de lagentabel.
+ * Alleen lagen waarop iets getekend is; lagen die niet in de tabel staan komen achteraan.
+ * @param {string} dxfString
+ * @returns {{ name: string, color: string, count: number }[]} color als "#rrggbb"
+ */
+function parseDxfLayers(dxfString) {
+  const dxf = parseDxfDocument(dxfString);
+  const counts = new Map();
+  forEachDxfEntity(dxf, (ent, transform, layer) => {
+    counts.set(layer, (counts.get(layer) ?? 0) + 1);
+  });
+  const table = dxf?.tables?.layer?.layers ?? {};
+  const names = [...Object.keys(table).filter((name) => counts.has(name)), ...[...counts.keys()].filter((name) => !(name in table))];
+  return names.map((name) => {
+    const color = Number(table[name]?.color);
+    return {
+      name,
+      // Kleur 7 (wit/zwart) en lagen zonder kleur als neutraal grijs
+      color: Number.isFinite(color) && color !== 0xffffff ? "#" + color.toString(16).padStart(6, "0") : "#9ca3af",
+      count: counts.get(name),
+    };
+  });
+}
+
+/**
+ * Entiteittypen in een DXF die de import overslaat (bijv. TEXT, HATCH, DIMENSION), gesorteerd.
+ * Typen die dxf-parser zelf niet kent staan niet in het geparste document; daarvoor wordt de
+ * ENTITIES-sectie van de ruwe tekst doorlopen.
+ * @param {string} dxfString
+ * @returns {string[]}
+ */
+function findSkippedDxfEntityTypes(dxfString) {
+  const skipped = new Set();
+  forEachDxfEntity(parseDxfDocument(dxfString), (ent) => {
+    const type = (ent.type || "").toUpperCase();
+    if (!DXF_SUPPORTED_ENTITY_TYPES.includes(type)) skipped.add(type);
+    else if (type === "POLYLINE" && (ent.is3dPolygonMesh || ent.isPolyfaceMesh)) skipped.add("POLYLINE (mesh)");
+    else if (type === "SPLINE" && !hasDxfSplineWeights(ent)) skipped.add("SPLINE (rational)");
+  });
+  const lines = dxfString.split(/\r\n|\r|\n/);
+  let section = "";
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = lines[i].trim();
+    const value = lines[i + 1].trim();
+    if (code === "2" && lines[i - 1]?.trim() === "SECTION") section = value;
+    if (code !== "0" || section !== "ENTITIES") continue;
+    if (value === "ENDSEC") section = "";
+    else if (!["VERTEX", "SEQEND", "ATTRIB"].includes(value) && !DXF_SUPPORTED_ENTITY_TYPES.includes(value)) skipped.add(value);
+  }
+  skipped.delete("");
+  return [...skipped].sort();
+}
+
+/**
+ * Punten op een cirkelboog, tegen de klok in van start naar end (radialen), binnen CIRCLE_TOLERANCE_MM.
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} r
+ * @param {number} start
+ * @param {number} end - mag kleiner zijn dan start (boog over 0°)
+ * @param {number} [scale] - vergroting door een INSERT, voor het aantal segmenten
+ * @returns {{ x: number, y: number, z: number }[]}
+ */
+function sampleDxfArc(cx, cy, r, start, end, scale = 1) {
+  let span = end - start;
+  if (span <= 1e-12) span += 2 * Math.PI;
+  const n = Math.max(4, Math.ceil((span / (2 * Math.PI)) * segmentsForCircleRadius(r * scale)));
+  const pts = [];
+  for (let i = 0; i <= n; i++) {
+    const a = start + (i / n) * span;
+    pts.push({ x: cx + r * Math.cos(a), y: cy + r * Math.sin(a), z: 0 });
+  }
+  return pts;
+}
+
+/**
+ * Polylijn met bulges (LWPOLYLINE, of POLYLINE met VERTEX-entiteiten) als punten; bulges worden bogen.
+ * @param {{ x: number, y: number, bulge?: number }[]} verts
+ * @param {boolean} closed
+ * @param {number} scale
+ * @returns {{ x: number, y: number, z: number }[]} gesloten: laatste punt gelijk aan het eerste
+ */
+function dxfPolylineToPath(verts, closed, scale) {
+  const valid = verts.filter((v) => Number.isFinite(Number(v.x)) && Number.isFinite(Number(v.y)));
+  const path = [];
+  for (let i = 0; i < valid.length; i++) {
+    const x = Number(valid[i].x);
+    const y = Number(valid[i].y);
+    path.push({ x, y, z: 0 });
+    const nextIdx = i + 1 < valid.length ? i + 1 : (closed ? 0 : -1);
+    const bulge = Number(valid[i].bulge);
+    if (nextIdx < 0 || !Number.isFinite(bulge) || Math.abs(bulge) <= 1e-9) continue;
+    const nx = Number(valid[nextIdx].x);
+    const ny = Number(valid[nextIdx].y);
+    const chord = Math.hypot(nx - x, ny - y);
+    if (chord <= 1e-9) continue;
+    // bulge = tan(kwart van de ingesloten hoek); positief = tegen de klok in
+    const sweep = 4 * Math.atan(bulge);
+    const r = chord / (2 * Math.abs(Math.sin(sweep / 2)));
+    const midX = (x + nx) / 2;
+    const midY = (y + ny) / 2;
+    const toCenter = (r * Math.cos(sweep / 2)) / chord;
+    const cx = midX - (ny - y) * toCenter * Math.sign(bulge);
+    const cy = midY + (nx - x) * toCenter * Math.sign(bulge);
+    const startAng = Math.atan2(y - cy, x - cx);
+    const n = Math.max(4, Math.ceil((Math.abs(sweep) / (2 * Math.PI)) * segmentsForCircleRadius(r * scale)));
+    for (let k = 1; k < n; k++) {
+      const a = startAng + (k / n) * sweep;
+      path.push({ x: cx + r * Math.cos(a), y: cy + r * Math.sin(a), z: 0 });
+    }
+  }
+  if (closed && path.length >= 3 && Math.hypot(path[path.length - 1].x - path[0].x, path[path.length - 1].y - path[0].y) >= 1e-6) {
+    path.push({ ...path[0] });
+  }
+  return path;
+}
+
+/**
+ * Punt op een B-spline (de Boor); met gewichten een NURBS (in homogene coördinaten).
+ * @param {number} degree
+ * @param {{ x: number, y: number }[]} ctrl
+ * @param {number[]} knots
+ * @param {number} t
+ * @param {number[] | null} [weights] - één per controlepunt; null = alle 1
+ * @returns {{ x: number, y: number }}
+ */
+function evaluateBSpline(degree, ctrl, knots, t, weights = null) {
+  let k = degree;
+  while (k < ctrl.length - 1 && t >= knots[k + 1]) k++;
+  const d = [];
+  for (let j = 0; j <= degree; j++) {
+    const w = weights ? weights[k - degree + j] : 1;
+    d.push({ x: ctrl[k - degree + j].x * w, y: ctrl[k - degree + j].y * w, w });
+  }
+  for (let r = 1; r <= degree; r++) {
+    for (let j = degree; j >= r; j--) {
+      const i = k - degree + j;
+      const denom = knots[i + degree - r + 1] - knots[i];
+      const alpha = denom > 1e-12 ? (t - knots[i]) / denom : 0;
+      d[j] = {
+        x: (1 - alpha) * d[j - 1].x + alpha * d[j].x,
+        y: (1 - alpha) * d[j - 1].y + alpha * d[j].y,
+        w: (1 - alpha) * d[j - 1].w + alpha * d[j].w,
+      };
+    }
+  }
+  return { x: d[degree].x / d[degree].w, y: d[degree].y / d[degree].w };
+}
+
+/**
+ * Een SPLINE als punten: per knoopinterval adaptief onderverdeeld tot de koorde binnen CIRCLE_TOLERANCE_MM
+ * van de kromme ligt; rationele splines met hun gewichten. Zonder (geldige) controlepunten worden de
+ * fitpunten verbonden.
+ * @param {*} ent
+ * @param {number} scale
+ * @returns {{ x: number, y: number, z: number }[]}
+ */
+function dxfSplineToPath(ent, scale) {
+  const all = ent.controlPoints ?? [];
+  const valid = all.map((p) => Number.isFinite(p.x) && Number.isFinite(p.y));
+  const ctrl = all.filter((p, i) => valid[i]);
+  const weights = ent.rational ? ent.weights.filter((w, i) => valid[i]) : null;
+  const knots = ent.knotValues ?? [];
+  const degree = Number(ent.degreeOfSplineCurve) || 3;
+  if (ctrl.length <= degree || knots.length !== ctrl.length + degree + 1) {
+    return (ent.fitPoints ?? ctrl).filter((p) => Number.isFinite(p.x) && Number.isFinite(p.y)).map((p) => ({ x: p.x, y: p.y, z: 0 }));
+  }
+  const tol = CIRCLE_TOLERANCE_MM / scale;
+  const at = (t) => ({ ...evaluateBSpline(degree, ctrl, knots, t, weights), z: 0 });
+  const path = [at(knots[degree])];
+  const subdivide = (t0, p0, t1, p1, depth) => {
+    const tm = (t0 + t1) / 2;
+    const pm = at(tm);
+    const chord = Math.hypot(p1.x - p0.x, p1.y - p0.y);
+    const dev = chord > 1e-12
+      ? Math.abs((p1.x - p0.x) * (p0.y - pm.y) - (p0.x - pm.x) * (p1.y - p0.y)) / chord
+      : Math.hypot(pm.x - p0.x, pm.y - p0.y);
+    if (dev > tol && depth < 12) {
+      subdivide(t0, p0, tm, pm, depth + 1);
+      subdivide(tm, pm, t1, p1, depth + 1);
+    } else {
+      path.push(p1);
+    }
+  };
+  for (let i = degree; i < ctrl.length; i++) {
+    const t0 = knots[i];
+    const t1 = knots[i + 1];
+    if (t1 - t0 <= 1e-12) continue;
+    // Eerst 4 stukken per interval, zodat een buigpunt midden in een stuk niet gemist wordt
+    for (let s = 0; s < 4; s++) {
+      const a = t0 + ((t1 - t0) * s) / 4;
+      const b = t0 + ((t1 - t0) * (s + 1)) / 4;
+      subdivide(a, path[path.length - 1], b, at(b), 0);
+    }
+  }
+  if (ent.closed && path.length >= 3 && Math.hypot(path[path.length - 1].x - path[0].x, path[path.length - 1].y - path[0].y) >= 1e-6) {
+    path.push({ ...path[0] });
+  }
+  return path;
+}
+
+/**
+ * Punten van één DXF-entiteit in de eigen coördinaten (vóór de INSERT-transformatie).
+ * @param {*} ent
+ * @param {number} scale - vergroting door INSERTs, voor het aantal segmenten
+ * @returns {{ x: number, y: number, z: number }[] | null} null bij een entiteit die geen pad oplevert
+ */
+function dxfEntityToPath(ent, scale) {
+  const type = (ent.type || "").toUpperCase();
+  if (type === "CIRCLE" && ent.center != null && Number.isFinite(ent.radius)) {
+    const r = Math.abs(Number(ent.radius)) || 0;
+    const n = segmentsForCircleRadius(r * scale);
+    const cx = Number(ent.center.x) || 0;
+    const cy = Number(ent.center.y) || 0;
+    const contour = [];
+    for (let i = 0; i <= n; i++) {
+      const a = (i / n) * 2 * Math.PI;
+      contour.push({ x: cx + r * Math.cos(a), y: cy + r * Math.sin(a), z: 0 });
+    }
+    return contour;
+  }
+  if (type === "ARC" && ent.center != null && Number.isFinite(ent.radius)) {
+    const start = Number.isFinite(Number(ent.startAngle)) ? Number(ent.startAngle) : 0;
+    const end = Number.isFinite(Number(ent.endAngle)) ? Number(ent.endAngle) : start + 2 * Math.PI;
+    return sampleDxfArc(Number(ent.center.x) || 0, Number(ent.center.y) || 0, Math.abs(Number(ent.radius)) || 0, start, end, scale);
+  }
+  if (type === "ELLIPSE" && ent.center != null && ent.majorAxisEndPoint != null) {
+    const cx = Number(ent.center.x) || 0;
+    const cy = Number(ent.center.y) || 0;
+    const mx = Number(ent.majorAxisEndPoint.x) || 0;
+    const my = Number(ent.majorAxisEndPoint.y) || 0;
+    const ratio = Number(ent.axisRatio) || 1;
+    const start = Number.isFinite(Number(ent.startAngle)) ? Number(ent.startAngle) : 0;
+    let span = (Number.isFinite(Number(ent.endAngle)) ? Number(ent.endAngle) : 2 * Math.PI) - start;
+    if (span <= 1e-12) span += 2 * Math.PI;
+    // Segmenten als voor een cirkel met de lange halve as: de sterkste kromming zit aan het eind van die as
+    const n = Math.max(4, Math.ceil((span / (2 * Math.PI)) * segmentsForCircleRadius(Math.hypot(mx, my) * scale)));
+    const contour = [];
+    for (let i = 0; i <= n; i++) {
+      const a = start + (i / n) * span;
+      const cos = Math.cos(a);
+      const sin = Math.sin(a) * ratio;
+      contour.push({ x: cx + mx * cos - my * sin, y: cy + my * cos + mx * sin, z: 0 });
+    }
+    if (Math.abs(span - 2 * Math.PI) < 1e-9) contour[contour.length - 1] = { ...contour[0] };
+    return contour;
+  }
+  if (type === "LWPOLYLINE" && Array.isArray(ent.vertices) && ent.vertices.length >= 2) {
+    return dxfPolylineToPath(ent.vertices, ent.shape === true || ent.closed === true, scale);
+  }
+  if (type === "POLYLINE" && Array.isArray(ent.vertices) && !ent.is3dPolygonMesh && !ent.isPolyfaceMesh) {
+    // Bij een spline-polylijn zijn de controlepunten ook VERTEX-entiteiten; alleen de fitpunten volgen de kromme
+    const fitted = ent.vertices.filter((v) => !v.splineControlPoint);
+    return fitted.length >= 2 ? dxfPolylineToPath(fitted, ent.shape === true, scale) : null;
+  }
+  if (type === "SPLINE" && hasDxfSplineWeights(ent)) {
+    const path = dxfSplineToPath(ent, scale);
+    return path.length >= 2 ? path : null;
+  }
+  if (type === "LINE" && Array.isArray(ent.vertices) && ent.vertices.length >= 2) {
+    const [v0, v1] = ent.vertices;
+    const x0 = Number(v0.x);
+    const y0 = Number(v0.y);
+    const x1 = Number(v1.x);
+    const y1 = Number(v1.y);
+    if (![x0, y0, x1, y1].every(Number.isFinite) || Math.hypot(x1 - x0, y1 - y0) <= 1e-9) return null;
+    return [
+      { x: x0, y: y0, z: 0 },
+      { x: x1, y: y1, z: 0 },
+    ];
+  }
+  if (type === "POINT" && ent.position != null && Number.isFinite(ent.position.x) && Number.isFinite(ent.position.y)) {
+    return [{ x: ent.position.x, y: ent.position.y, z: 0 }];
+  }
+  return null;
+}
+
+/**
+ * Parse een DXF-tekst en extraheer gesloten contouren (LINE, ARC, CIRCLE, ELLIPSE, LWPOLYLINE, POLYLINE, SPLINE),
+ * ook uit blocks (INSERT, met schaal, rotatie en rijen/kolommen). Krommen worden binnen CIRCLE_TOLERANCE_MM benaderd.
+ * Vereist dat dxf-parser geladen is (script tag). Coördinaten blijven in DXF-eenheid (meestal mm).
+ * @param {string} dxfString - ruwe DXF-tekst
+ * @param {{ includeOpen?: boolean, includePoints?: boolean, layers?: string[] | null }} [options] - includeOpen: ook open polylijnen,
+ *   bogen en losse lijnen teruggeven; includePoints: POINT-entiteiten als pad van één punt (boorpunten) achteraan;
+ *   layers: alleen entiteiten op deze lagen (null = alle lagen)
+ * @returns {{ x: number, y: number, z: number }[][]}
+ */
+function parseDxfToContours(dxfString, options = {}) {
+  const dxf = parseDxfDocument(dxfString);
   if (!dxf || !dxf.entities || !Array.isArray(dxf.entities)) {
     return [];
   }
+  const layerFilter = options.layers ? new Set(options.layers) : null;
   /** @type {{ x: number, y: number, z: number }[][]} */
   const contours = [];
+  /** @type {{ x: number, y: number, z: number }[][]} */
+  const points = [];
 
-  for (const ent of dxf.entities) {
+  forEachDxfEntity(dxf, (ent, transform, layer) => {
+    if (layerFilter && !layerFilter.has(layer)) return;
+    const scale = Math.max(Math.hypot(transform.a, transform.b), Math.hypot(transform.c, transform.d));
+    const local = dxfEntityToPath(ent, scale);
+    if (!local) return;
+    const path = local.map((p) => ({
+      x: transform.a * p.x + transform.c * p.y + transform.e,
+      y: transform.b * p.x + transform.d * p.y + transform.f,
+      z: 0,
+    }));
     const type = (ent.type || "").toUpperCase();
-    if (type === "CIRCLE" && ent.center != null && Number.isFinite(ent.radius)) {
-      const cx = Number(ent.center.x) || 0;
-      const cy = Number(ent.center.y) || 0;
-      const r = Math.abs(Number(ent.radius)) || 0;
-      const n = segmentsForCircleRadius(r);
-      const contour = [];
-      for (let i = 0; i <= n; i++) {
-        const t = (i / n) * 2 * Math.PI;
-        contour.push({ x: cx + r * Math.cos(t), y: cy + r * Math.sin(t), z: 0 });
-      }
-      if (contour.length >= 3) contours.push(contour);
-    } else if (type === "ARC" && ent.center != null && Number.isFinite(ent.radius)) {
-      const cx = Number(ent.center.x) || 0;
-      const cy = Number(ent.center.y) || 0;
-      const r = Math.abs(Number(ent.radius)) || 0;
-      let start = Number(ent.startAngle);
-      let end = Number(ent.endAngle);
-      if (!Number.isFinite(start)) start = 0;
-      if (!Number.isFinite(end)) end = start + 2 * Math.PI;
-      const n = Math.max(4, Math.min(120, Math.ceil((Math.abs(end - start) / (2 * Math.PI)) * 32)));
-      const contour = [];
-      for (let i = 0; i <= n; i++) {
-        const t = start + (i / n) * (end - start);
-        contour.push({ x: cx + r * Math.cos(t), y: cy + r * Math.sin(t), z: 0 });
-      }
-      if (contour.length >= 3) contours.push(contour);
-    } else if (type === "LWPOLYLINE" && ent.vertices && Array.isArray(ent.vertices) && ent.vertices.length >= 2) {
-      const contour = [];
-      const verts = ent.vertices;
-      for (let i = 0; i < verts.length; i++) {
-        const v = verts[i];
-        const x = Number(v.x);
-        const y = Number(v.y);
-        if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
-        const bulge = Number(v.bulge);
-        contour.push({ x, y, z: 0 });
-        const nextIdx = i + 1 < verts.length ? i + 1 : (ent.closed === true || ent.shape === true ? 0 : -1);
-        if (Number.isFinite(bulge) && Math.abs(bulge) > 1e-9 && nextIdx >= 0) {
-          const nextV = verts[nextIdx];
-          const nx = Number(nextV.x);
-          const ny = Number(nextV.y);
-          if (Number.isFinite(nx) && Number.isFinite(ny)) {
-            const chord = Math.sqrt((nx - x) * (nx - x) + (ny - y) * (ny - y));
-            if (chord > 1e-9) {
-              const sag = (bulge * chord) / 2;
-              const perpX = -(ny - y);
-              const perpY = nx - x;
-              const len = Math.sqrt(perpX * perpX + perpY * perpY) || 1e-9;
-              const r = (chord * chord) / (8 * Math.abs(sag)) + Math.abs(sag) / 2;
-              const a = Math.sqrt(Math.max(0, r * r - (chord * chord) / 4));
-              const midX = (x + nx) / 2;
-              const midY = (y + ny) / 2;
-              const cx = midX + (perpX / len) * Math.sign(bulge) * a;
-              const cy = midY + (perpY / len) * Math.sign(bulge) * a;
-              const startAng = Math.atan2(y - cy, x - cx);
-              const endAng = Math.atan2(ny - cy, nx - cx);
-              let span = endAng - startAng;
-              if ((bulge > 0 && span < 0) || (bulge < 0 && span > 0)) span += bulge > 0 ? 2 * Math.PI : -2 * Math.PI;
-              const n = Math.max(4, Math.min(64, Math.ceil((Math.abs(span) / (2 * Math.PI)) * segmentsForCircleRadius(r))));
-              for (let k = 1; k < n; k++) {
-                const t = startAng + (k / n) * span;
-                contour.push({ x: cx + r * Math.cos(t), y: cy + r * Math.sin(t), z: 0 });
-              }
-            }
-          }
-        }
-      }
-      const closed = !!(ent.shape === true || ent.closed === true) ||
-        (contour.length >= 3 && Math.hypot(contour[contour.length - 1].x - contour[0].x, contour[contour.length - 1].y - contour[0].y) < 1e-6);
-      if (closed && contour.length >= 3) {
-        if (Math.hypot(contour[contour.length - 1].x - contour[0].x, contour[contour.length - 1].y - contour[0].y) >= 1e-6) {
-          contour.push({ ...contour[0], z: 0 });
-        }
-        contours.push(contour);
-      }
-    } else if (type === "LINE" && ent.vertices && Array.isArray(ent.vertices) && ent.vertices.length >= 2) {
-      const v0 = ent.vertices[0];
-      const v1 = ent.vertices[1];
-      const x0 = Number(v0.x);
-      const y0 = Number(v0.y);
-      const x1 = Number(v1.x);
-      const y1 = Number(v1.y);
-      if (Number.isFinite(x0) && Number.isFinite(y0) && Number.isFinite(x1) && Number.isFinite(y1) &&
-          Math.hypot(x1 - x0, y1 - y0) > 1e-9) {
-        contours.push([
-          { x: x0, y: y0, z: 0 },
-          { x: x1, y: y1, z: 0 },
-        ]);
-      }
+    const closed = path.length >= 3 &&
+      Math.hypot(path[path.length - 1].x - path[0].x, path[path.length - 1].y - path[0].y) < 1e-6;
+    if (type === "POINT") {
+      if (options.includePoints) points.push(path);
+    } else if (closed || type === "LINE" || type === "ARC" || type === "ELLIPSE" || options.includeOpen) {
+      // Open bogen blijven over als er niets gesloten is; open polylijnen en splines alleen met includeOpen
+      if (path.length >= 2) contours.push(path);
     }
-  }
-  if (contours.length === 0) return contours;
+  });
+  if (contours.length === 0 || options.includeOpen) return [...contours, ...points];
   const closedContours = contours.filter((c) => c.length >= 3 &&
     Math.hypot(c[c.length - 1].x - c[0].x, c[c.length - 1].y - c[0].y) < 1e-6);
   const lineSegments = contours.filter((c) => c.length === 2);
   if (lineSegments.length > 0) {
     closedContours.push(...buildClosedChainsFromLines(lineSegments));
   }
+  return [...(closedContours.length > 0 ? closedContours : contours.filter((c) => c.length >= 3)), ...points];
+}
+
+/**
+ * Pad uit een DXF voor tekst langs een pad: de langste (open of gesloten) polylijn, boog of lijn.
+ * @param {string} dxfString
+ * @returns {{ x: number, y: number, z: number }[]} leeg als de DXF geen bruikbaar pad bevat
+ */
+function parseDxfTextPath(dxfString) {
+  let best = [];
+  let bestLength = 0;
+  for (const path of parseDxfToContours(dxfString, { includeOpen: true })) {
+    let length = 0;
+    for (let i = 1; i < path.length; i++) length += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+    if (length > bestLength) {
+      best = path;
+      bestLength = length;
+    }
+  }
+  return best;
+}
+
+/** Lengte-eenheden van SVG in mm; px volgens CSS (96 per inch), een getal zonder eenheid is px. */
+const SVG_UNIT_MM = { mm: 1, cm: 10, in: 25.4, pt: 25.4 / 72, pc: 25.4 / 6, px: 25.4 / 96, "": 25.4 / 96 };
+/** SVG-elementen die alleen via een verwijzing (use, clip-path, ...) getekend worden */
+const SVG_NON_RENDERED_ELEMENTS = ["defs", "symbol", "clipPath", "mask", "marker", "pattern", "linearGradient", "radialGradient", "filter", "metadata", "title", "desc", "style", "script", "namedview"];
+/** SVG-elementen die vormen bevatten maar niet worden omgezet */
+const SVG_UNSUPPORTED_ELEMENTS = ["text", "image", "foreignObject"];
+/** Max. nesting van use-verwijzingen; beschermt tegen een use die (via een andere) naar zichzelf verwijst. */
+const SVG_MAX_USE_DEPTH = 8;
+
+/**
+ * Is de tekst van een vectorbestand SVG (XML) in plaats van DXF?
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isSvgText(text) {
+  return /^\s*</.test(text);
+}
+
+/**
+ * SVG-tekst inlezen met de DOMParser van de browser.
+ * @param {string} svgString
+ * @returns {Element} het svg-element
+ */
+function parseSvgDocument(svgString) {
+  const doc = new DOMParser().parseFromString(svgString, "image/svg+xml");
+  const root = doc.documentElement;
+  if (!root || root.localName !== "svg" || doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error(t("error.svgParseFailed"));
+  }
+  return root;
+}
+
+/** Element-kinderen van een XML-node (zonder tekst en commentaar). */
+function getSvgChildElements(node) {
+  return Array.from(node.childNodes ?? []).filter((child) => child.nodeType === 1);
+}
+
+/**
+ * Transform-attribuut van SVG als affiene transformatie (zelfde vorm als matrix(a b c d e f)).
+ * @param {string | null} value
+ * @returns {DxfTransform}
+ */
+function parseSvgTransform(value) {
+  let transform = DXF_IDENTITY_TRANSFORM;
+  const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let m;
+  while ((m = re.exec(value ?? "")) !== null) {
+    const args = (m[2].match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) ?? []).map(Number);
+    const [p0 = 0, p1, p2 = 0, p3, p4 = 0, p5 = 0] = args;
+    let next = DXF_IDENTITY_TRANSFORM;
+    if (m[1] === "matrix" && args.length >= 6) {
+      next = { a: p0, b: p1, c: p2, d: p3, e: p4, f: p5 };
+    } else if (m[1] === "translate") {
+      next = { a: 1, b: 0, c: 0, d: 1, e: p0, f: p1 ?? 0 };
+    } else if (m[1] === "scale") {
+      next = { a: p0, b: 0, c: 0, d: p1 ?? p0, e: 0, f: 0 };
+    } else if (m[1] === "rotate") {
+      const rad = degToRad(p0);
+      const cos = Math.cos(rad);
+      const sin = Math.sin(rad);
+      const cx = p1 ?? 0;
+      const cy = p2;
+      // Draaien om (cx, cy): terug naar de oorsprong, draaien, weer verschuiven
+      next = { a: cos, b: sin, c: -sin, d: cos, e: cx - cos * cx + sin * cy, f: cy - sin * cx - cos * cy };
+    } else if (m[1] === "skewX") {
+      next = { a: 1, b: 0, c: Math.tan(degToRad(p0)), d: 1, e: 0, f: 0 };
+    } else if (m[1] === "skewY") {
+      next = { a: 1, b: Math.tan(degToRad(p0)), c: 0, d: 1, e: 0, f: 0 };
+    }
+    transform = composeDxfTransforms(transform, next);
+  }
+  return transform;
+}
+
+/**
+ * Lengte uit een SVG-attribuut (width, height) in mm; null bij ontbreken of een percentage.
+ * @param {string | null} value
+ * @returns {number | null}
+ */
+function parseSvgLengthMm(value) {
+  const m = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)\s*(mm|cm|in|pt|pc|px)?\s*$/.exec(value ?? "");
+  return m ? Number(m[1]) * SVG_UNIT_MM[m[2] ?? ""] : null;
+}
+
+/**
+ * viewBox-attribuut van een svg-element.
+ * @param {Element} el
+ * @returns {[number, number, number, number] | null} [x, y, breedte, hoogte]; null zonder (geldige) viewBox
+ */
+function parseSvgViewBox(el) {
+  const viewBox = (el.getAttribute("viewBox") ?? "").trim().split(/[\s,]+/).map(Number);
+  return viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0 ? viewBox : null;
+}
+
+/**
+ * Maat van de viewport van de buitenste svg in gebruikerseenheden (de viewBox, anders width/height in px).
+ * @param {Element} root
+ * @returns {{ width: number, height: number } | null}
+ */
+function getSvgRootViewport(root) {
+  const viewBox = parseSvgViewBox(root);
+  if (viewBox) return { width: viewBox[2], height: viewBox[3] };
+  const widthMm = parseSvgLengthMm(root.getAttribute("width"));
+  const heightMm = parseSvgLengthMm(root.getAttribute("height"));
+  return widthMm && heightMm ? { width: widthMm / SVG_UNIT_MM.px, height: heightMm / SVG_UNIT_MM.px } : null;
+}
+
+/**
+ * Transformatie van een geneste svg naar de gebruikerseenheden van de ouder: naar x/y verschuiven en de
+ * viewBox volgens preserveAspectRatio in width × height passen. Procenten gelden ten opzichte van de
+ * viewport van de ouder; zonder width of height is dat 100%.
+ * @param {Element} el
+ * @param {{ width: number, height: number } | null} parentViewport - in gebruikerseenheden van de ouder
+ * @returns {{ transform: DxfTransform, viewport: { width: number, height: number } | null }} viewport voor de kinderen
+ */
+function getSvgViewportTransform(el, parentViewport) {
+  const length = (name, size) => {
+    const value = (el.getAttribute(name) ?? "").trim();
+    const percent = /^([-+]?(?:\d+\.?\d*|\.\d+))%$/.exec(value);
+    if (percent) return size != null ? (Number(percent[1]) / 100) * size : null;
+    const mm = parseSvgLengthMm(value);
+    return mm != null ? mm / SVG_UNIT_MM.px : null;
+  };
+  const x = length("x", parentViewport?.width) ?? 0;
+  const y = length("y", parentViewport?.height) ?? 0;
+  const width = length("width", parentViewport?.width) ?? parentViewport?.width ?? null;
+  const height = length("height", parentViewport?.height) ?? parentViewport?.height ?? null;
+  const viewBox = parseSvgViewBox(el);
+  if (!viewBox || !(width > 0) || !(height > 0)) {
+    return { transform: { a: 1, b: 0, c: 0, d: 1, e: x, f: y }, viewport: width > 0 && height > 0 ? { width, height } : parentViewport };
+  }
+  const [vx, vy, vw, vh] = viewBox;
+  const [align = "xMidYMid", meetOrSlice = "meet"] = (el.getAttribute("preserveAspectRatio") ?? "").trim().split(/\s+/).filter(Boolean);
+  let sx = width / vw;
+  let sy = height / vh;
+  if (align !== "none") {
+    sx = sy = meetOrSlice === "slice" ? Math.max(sx, sy) : Math.min(sx, sy);
+  }
+  const alignX = align.includes("xMin") ? 0 : align.includes("xMax") ? 1 : 0.5;
+  const alignY = align.includes("YMin") ? 0 : align.includes("YMax") ? 1 : 0.5;
+  return {
+    transform: { a: sx, b: 0, c: 0, d: sy, e: x + (width - vw * sx) * alignX - vx * sx, f: y + (height - vh * sy) * alignY - vy * sy },
+    viewport: { width: vw, height: vh },
+  };
+}
+
+/**
+ * Transformatie van SVG-gebruikerseenheden naar mm met de y-as omhoog: via width/height en viewBox,
+ * zonder viewBox is een gebruikerseenheid een px. Bij een andere verhouding dan de viewBox telt de
+ * kleinste schaal (zoals preserveAspectRatio "meet").
+ * @param {Element} root
+ * @returns {DxfTransform}
+ */
+function getSvgRootTransform(root) {
+  const viewBox = parseSvgViewBox(root);
+  const [vx, vy, vw, vh] = viewBox ?? [0, 0, 0, 0];
+  const widthMm = parseSvgLengthMm(root.getAttribute("width"));
+  const heightMm = parseSvgLengthMm(root.getAttribute("height"));
+  let scale = SVG_UNIT_MM.px;
+  if (viewBox && (widthMm || heightMm)) {
+    const scales = [widthMm ? widthMm / vw : null, heightMm ? heightMm / vh : null].filter((s) => s != null);
+    scale = Math.min(...scales);
+  }
+  return { a: scale, b: 0, c: 0, d: -scale, e: -scale * vx, f: scale * vy };
+}
+
+/**
+ * SVG-boog (endpoint-notatie) als kubische Béziers van hooguit 90°, volgens de SVG-specificatie (F.6.5).
+ * Grote bogen krijgen kortere stukken, zodat de Béziers binnen CIRCLE_TOLERANCE_MM van de boog blijven.
+ * @param {number} [scale] - mm per eenheid van de paddata
+ * @returns {{ x1: number, y1: number, x2: number, y2: number, x: number, y: number }[]}
+ */
+function svgArcToCubics(x0, y0, rx, ry, angleDeg, largeArc, sweep, x, y, scale = 1) {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx < 1e-12 || ry < 1e-12 || (Math.abs(x - x0) < 1e-12 && Math.abs(y - y0) < 1e-12)) {
+    return [{ x1: x0, y1: y0, x2: x, y2: y, x, y }];
+  }
+  const phi = degToRad(angleDeg);
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x0 - x) / 2;
+  const dy = (y0 - y) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+  // Te kleine stralen opschalen tot de boog precies past
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+  const cxp = (coef * rx * y1p) / ry;
+  const cyp = (-coef * ry * x1p) / rx;
+  const cx = cos * cxp - sin * cyp + (x0 + x) / 2;
+  const cy = sin * cxp + cos * cyp + (y0 + y) / 2;
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+  // Radiale afwijking van een Bézier over hoek θ: r · 4/27 · sin⁶(θ/4) / cos²(θ/4)
+  const deviation = (n) => Math.max(rx, ry) * scale * (4 / 27) * Math.sin(Math.abs(delta) / n / 4) ** 6 / Math.cos(delta / n / 4) ** 2;
+  let n = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9));
+  while (n < 360 && deviation(n) > CIRCLE_TOLERANCE_MM) n++;
+  const step = delta / n;
+  const k = (4 / 3) * Math.tan(step / 4);
+  const point = (t) => ({
+    x: cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+    y: cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos,
+  });
+  const derivative = (t) => ({
+    x: -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+    y: -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos,
+  });
+  const cubics = [];
+  for (let i = 0; i < n; i++) {
+    const t0 = theta1 + i * step;
+    const t1 = t0 + step;
+    const p0 = point(t0);
+    const p1 = i === n - 1 ? { x, y } : point(t1);
+    const d0 = derivative(t0);
+    const d1 = derivative(t1);
+    cubics.push({ x1: p0.x + k * d0.x, y1: p0.y + k * d0.y, x2: p1.x - k * d1.x, y2: p1.y - k * d1.y, x: p1.x, y: p1.y });
+  }
+  return cubics;
+}
+
+/**
+ * SVG-paddata (d) als absolute commando's voor pathCommandsToContours: M, L, C, Q en Z.
+ * H/V worden lijnen, S/T krijgen hun gespiegelde controlepunt en bogen (A) worden kubische Béziers.
+ * Bij een fout in de data stopt het pad daar, zoals in de browser.
+ * @param {string} d
+ * @param {number} [scale] - mm per eenheid, voor de nauwkeurigheid van bogen
+ * @returns {{ type: string, x?: number, y?: number, x1?: number, y1?: number, x2?: number, y2?: number }[]}
+ */
+function parseSvgPathData(d, scale = 1) {
+  const commands = [];
+  const numberRe = /[\s,]*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/y;
+  const flagRe = /[\s,]*([01])/y;
+  const commandRe = /[\s,]*([MmLlHhVvCcSsQqTtAaZz])/y;
+  let pos = 0;
+  const read = (re) => {
+    re.lastIndex = pos;
+    const m = re.exec(d);
+    if (!m) return null;
+    pos = re.lastIndex;
+    return m[1];
+  };
+  const num = () => {
+    const value = read(numberRe);
+    return value === null ? NaN : Number(value);
+  };
+  const flag = () => {
+    const value = read(flagRe);
+    return value === null ? NaN : Number(value);
+  };
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let closed = false;
+  let prevCmd = "";
+  let ctrlX = 0;
+  let ctrlY = 0;
+  let cmd = read(commandRe);
+  while (cmd !== null) {
+    const rel = cmd === cmd.toLowerCase();
+    const upper = cmd.toUpperCase();
+    const ox = rel ? x : 0;
+    const oy = rel ? y : 0;
+    // Na Z begint een volgend commando (anders dan M) een nieuw subpad op het beginpunt
+    if (closed && upper !== "M" && upper !== "Z") commands.push({ type: "M", x, y });
+    closed = false;
+    let args;
+    if (upper === "Z") {
+      args = [];
+    } else if (upper === "H" || upper === "V") {
+      args = [num()];
+    } else if (upper === "M" || upper === "L" || upper === "T") {
+      args = [num(), num()];
+    } else if (upper === "S" || upper === "Q") {
+      args = [num(), num(), num(), num()];
+    } else if (upper === "C") {
+      args = [num(), num(), num(), num(), num(), num()];
+    } else {
+      args = [num(), num(), num(), flag(), flag(), num(), num()];
+    }
+    if (args.some((v) => !Number.isFinite(v))) break;
+    const reflect = (types) => (types.includes(prevCmd) ? { x: 2 * x - ctrlX, y: 2 * y - ctrlY } : { x, y });
+    if (upper === "M") {
+      x = args[0] + ox;
+      y = args[1] + oy;
+      startX = x;
+      startY = y;
+      commands.push({ type: "M", x, y });
+    } else if (upper === "L" || upper === "H" || upper === "V") {
+      if (upper !== "V") x = args[0] + ox;
+      if (upper === "L") y = args[1] + oy;
+      if (upper === "V") y = args[0] + oy;
+      commands.push({ type: "L", x, y });
+    } else if (upper === "C" || upper === "S") {
+      const c1 = upper === "C" ? { x: args[0] + ox, y: args[1] + oy } : reflect(["C", "S"]);
+      const rest = upper === "C" ? args.slice(2) : args;
+      ctrlX = rest[0] + ox;
+      ctrlY = rest[1] + oy;
+      x = rest[2] + ox;
+      y = rest[3] + oy;
+      commands.push({ type: "C", x1: c1.x, y1: c1.y, x2: ctrlX, y2: ctrlY, x, y });
+    } else if (upper === "Q" || upper === "T") {
+      const c = upper === "Q" ? { x: args[0] + ox, y: args[1] + oy } : reflect(["Q", "T"]);
+      ctrlX = c.x;
+      ctrlY = c.y;
+      x = (upper === "Q" ? args[2] : args[0]) + ox;
+      y = (upper === "Q" ? args[3] : args[1]) + oy;
+      commands.push({ type: "Q", x1: ctrlX, y1: ctrlY, x, y });
+    } else if (upper === "A") {
+      const ex = args[5] + ox;
+      const ey = args[6] + oy;
+      svgArcToCubics(x, y, args[0], args[1], args[2], args[3] === 1, args[4] === 1, ex, ey, scale)
+        .forEach((cubic) => commands.push({ type: "C", ...cubic }));
+      x = ex;
+      y = ey;
+    } else {
+      commands.push({ type: "Z" });
+      x = startX;
+      y = startY;
+      closed = true;
+    }
+    prevCmd = upper;
+    // Herhaalde argumenten zonder letter: na M volgen lijnen, anders hetzelfde commando
+    const nextCmd = read(commandRe);
+    if (nextCmd !== null) {
+      cmd = nextCmd;
+    } else {
+      numberRe.lastIndex = pos;
+      cmd = upper !== "Z" && numberRe.test(d) ? (upper === "M" ? (rel ? "l" : "L") : cmd) : null;
+    }
+  }
+  return commands;
+}
+
+/**
+ * Paddata van een SVG-vormelement (path, rect, circle, ellipse, line, polyline, polygon).
+ * @param {Element} el
+ * @returns {string | null} null bij een ander element of een vorm zonder afmeting
+ */
+function svgElementToPathData(el) {
+  const num = (name) => Number.parseFloat(el.getAttribute(name) ?? "") || 0;
+  switch (el.localName) {
+    case "path":
+      return el.getAttribute("d");
+    case "rect": {
+      const [x, y, w, h] = [num("x"), num("y"), num("width"), num("height")];
+      if (!(w > 0 && h > 0)) return null;
+      let rx = el.hasAttribute("rx") ? num("rx") : num("ry");
+      let ry = el.hasAttribute("ry") ? num("ry") : rx;
+      rx = Math.min(Math.max(0, rx), w / 2);
+      ry = Math.min(Math.max(0, ry), h / 2);
+      if (rx <= 0 || ry <= 0) return `M${x},${y} H${x + w} V${y + h} H${x} Z`;
+      const arc = (ex, ey) => `A${rx},${ry} 0 0 1 ${ex},${ey}`;
+      return `M${x + rx},${y} H${x + w - rx} ${arc(x + w, y + ry)} V${y + h - ry} ${arc(x + w - rx, y + h)} ` +
+        `H${x + rx} ${arc(x, y + h - ry)} V${y + ry} ${arc(x + rx, y)} Z`;
+    }
+    case "circle":
+    case "ellipse": {
+      const [cx, cy] = [num("cx"), num("cy")];
+      const rx = el.localName === "circle" ? num("r") : num("rx");
+      const ry = el.localName === "circle" ? rx : num("ry");
+      if (!(rx > 0 && ry > 0)) return null;
+      return `M${cx + rx},${cy} A${rx},${ry} 0 1 1 ${cx - rx},${cy} A${rx},${ry} 0 1 1 ${cx + rx},${cy} Z`;
+    }
+    case "line":
+      return `M${num("x1")},${num("y1")} L${num("x2")},${num("y2")}`;
+    case "polyline":
+    case "polygon": {
+      const pts = (el.getAttribute("points") ?? "").match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) ?? [];
+      if (pts.length < 4) return null;
+      return `M${pts.slice(0, 2).join(",")} L${pts.slice(2, pts.length - (pts.length % 2)).join(" ")}${el.localName === "polygon" ? " Z" : ""}`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Alle elementen van een SVG die getekend worden, met hun totale transformatie naar mm (y omhoog) en hun laag:
+ * het label van de dichtstbijzijnde Inkscape-laag, of "0" buiten lagen (zoals in DXF). Verborgen elementen
+ * (display="none") en definities worden overgeslagen; use-elementen worden uitgepakt, behalve als ze (via
+ * andere use-elementen) naar een element verwijzen waar ze zelf in staan. Een geneste svg krijgt zijn
+ * viewport (x, y, width, height en viewBox).
+ * @param {Element} root
+ * @param {(el: Element, transform: DxfTransform, layer: string) => void} callback
+ */
+function forEachSvgElement(root, callback) {
+  const byId = new Map();
+  const collect = (node) => getSvgChildElements(node).forEach((child) => {
+    const id = child.getAttribute("id");
+    if (id && !byId.has(id)) byId.set(id, child);
+    collect(child);
+  });
+  collect(root);
+  const hidden = (el) => el.getAttribute("display") === "none" || /(?:^|;)\s*display\s*:\s*none/.test(el.getAttribute("style") ?? "");
+  // Elementen waar de bezoeker nu in zit, ook via use; een use naar een van deze zou zichzelf eindeloos herhalen
+  const ancestors = new Set();
+  const visitChildren = (el, children, transform, layer, depth, viewport) => {
+    ancestors.add(el);
+    children.forEach((child) => visit(child, transform, layer, depth, viewport));
+    ancestors.delete(el);
+  };
+  const visit = (el, parentTransform, layer, depth, viewport) => {
+    if (hidden(el) || SVG_NON_RENDERED_ELEMENTS.includes(el.localName)) return;
+    const transform = composeDxfTransforms(parentTransform, parseSvgTransform(el.getAttribute("transform")));
+    if (el.localName === "use") {
+      const href = el.getAttribute("href") || el.getAttribute("xlink:href") || "";
+      const target = href.startsWith("#") ? byId.get(href.slice(1)) : null;
+      if (!target || ancestors.has(target) || depth >= SVG_MAX_USE_DEPTH) return;
+      const placed = composeDxfTransforms(transform, parseSvgTransform(`translate(${Number.parseFloat(el.getAttribute("x") ?? "") || 0} ${Number.parseFloat(el.getAttribute("y") ?? "") || 0})`));
+      // Een symbol wordt via use wel getekend: zijn kinderen bezoeken
+      if (target.localName === "symbol") visitChildren(target, getSvgChildElements(target), placed, layer, depth + 1, viewport);
+      else visitChildren(el, [target], placed, layer, depth + 1, viewport);
+      return;
+    }
+    if (el.localName === "svg") {
+      const nested = getSvgViewportTransform(el, viewport);
+      visitChildren(el, getSvgChildElements(el), composeDxfTransforms(transform, nested.transform), layer, depth, nested.viewport);
+      return;
+    }
+    if (["g", "a", "switch"].includes(el.localName)) {
+      const isLayer = el.localName === "g" && el.getAttribute("inkscape:groupmode") === "layer";
+      const childLayer = isLayer ? (el.getAttribute("inkscape:label") || el.getAttribute("id") || layer) : layer;
+      visitChildren(el, getSvgChildElements(el), transform, childLayer, depth, viewport);
+      return;
+    }
+    callback(el, transform, layer);
+  };
+  getSvgChildElements(root).forEach((child) => visit(child, getSvgRootTransform(root), "0", 0, getSvgRootViewport(root)));
+}
+
+/**
+ * Lijnkleur van een SVG-element als "#rrggbb" (attribuut of style), of null.
+ * @param {Element} el
+ * @returns {string | null}
+ */
+function getSvgStrokeColor(el) {
+  const fromStyle = /(?:^|;)\s*stroke\s*:\s*(#[0-9a-fA-F]{3,6})\b/.exec(el.getAttribute("style") ?? "");
+  const color = fromStyle ? fromStyle[1] : (el.getAttribute("stroke") ?? "");
+  if (/^#[0-9a-fA-F]{6}$/.test(color)) return color.toLowerCase();
+  if (/^#[0-9a-fA-F]{3}$/.test(color)) return ("#" + color.slice(1).replace(/./g, "$&$&")).toLowerCase();
+  return null;
+}
+
+/**
+ * Lagen van een SVG (Inkscape-lagen) in dezelfde vorm als parseDxfLayers; de kleur is de lijnkleur
+ * van de eerste vorm op de laag.
+ * @param {string} svgString
+ * @returns {{ name: string, color: string, count: number }[]}
+ */
+function parseSvgLayers(svgString) {
+  /** @type {Map<string, { name: string, color: string, count: number }>} */
+  const layers = new Map();
+  forEachSvgElement(parseSvgDocument(svgString), (el, transform, layer) => {
+    if (svgElementToPathData(el) === null) return;
+    if (!layers.has(layer)) layers.set(layer, { name: layer, color: getSvgStrokeColor(el) ?? "#9ca3af", count: 0 });
+    layers.get(layer).count++;
+  });
+  return [...layers.values()];
+}
+
+/**
+ * Elementen in een SVG die de import overslaat (bijv. text, image), gesorteerd.
+ * @param {string} svgString
+ * @returns {string[]}
+ */
+function findSkippedSvgElements(svgString) {
+  const skipped = new Set();
+  forEachSvgElement(parseSvgDocument(svgString), (el) => {
+    if (SVG_UNSUPPORTED_ELEMENTS.includes(el.localName)) skipped.add(el.localName);
+  });
+  return [...skipped].sort();
+}
+
+/**
+ * Parse een SVG-tekst en extraheer contouren in mm, op dezelfde manier als parseDxfToContours: paden
+ * (ook Béziers en bogen), rect, circle, ellipse, polygon, polyline en line, met de transformaties van
+ * groepen en de schaal uit width/height en viewBox. De y-as wijst omhoog. Krommen worden binnen
+ * CIRCLE_TOLERANCE_MM benaderd.
+ * @param {string} svgString - ruwe SVG-tekst
+ * @param {{ includeOpen?: boolean, layers?: string[] | null }} [options] - includeOpen: ook open paden teruggeven;
+ *   layers: alleen vormen op deze (Inkscape-)lagen (null = alle lagen)
+ * @returns {{ x: number, y: number, z: number }[][]}
+ */
+function parseSvgToContours(svgString, options = {}) {
+  const layerFilter = options.layers ? new Set(options.layers) : null;
+  /** @type {{ x: number, y: number, z: number }[][]} */
+  const contours = [];
+  forEachSvgElement(parseSvgDocument(svgString), (el, transform, layer) => {
+    if (layerFilter && !layerFilter.has(layer)) return;
+    const d = svgElementToPathData(el);
+    if (!d) return;
+    const scale = Math.max(Math.hypot(transform.a, transform.b), Math.hypot(transform.c, transform.d));
+    pathCommandsToContours({ commands: parseSvgPathData(d, scale) }, scale).forEach((local) => {
+      // Z na een lijn terug naar het beginpunt levert een dubbel punt op
+      const pts = local.filter((p, i) => i === 0 || Math.hypot(p.x - local[i - 1].x, p.y - local[i - 1].y) > 1e-9);
+      if (pts.length < 2) return;
+      contours.push(pts.map((p) => ({
+        x: transform.a * p.x + transform.c * p.y + transform.e,
+        y: transform.b * p.x + transform.d * p.y + transform.f,
+        z: 0,
+      })));
+    });
+  });
+  if (contours.length === 0 || options.includeOpen) return contours;
+  const closedContours = contours.filter((c) => c.length >= 3 &&
+    Math.hypot(c[c.length - 1].x - c[0].x, c[c.length - 1].y - c[0].y) < 1e-6);
   return closedContours.length > 0 ? closedContours : contours.filter((c) => c.length >= 3);
 }
 
@@ -602,6 +1678,98 @@ function buildClosedChainsFromLines(segments) {
   return result;
 }
 
+/** Standaard afstand (mm) waarbinnen eindpunten van open paden bij graveren op de lijn worden verbonden. */
+const DXF_JOIN_TOLERANCE_MM = 0.1;
+
+/**
+ * Verbind open paden waarvan eindpunten binnen de tolerantie liggen tot langere ketens, zodat de frees
+ * niet bij elke losse lijn of boog omhoog hoeft. Een keten die op zijn begin uitkomt wordt gesloten.
+ * Gesloten paden blijven ongewijzigd.
+ * @param {{ x: number, y: number, z: number }[][]} paths
+ * @param {number} tolerance - mm
+ * @returns {{ x: number, y: number, z: number }[][]}
+ */
+function joinOpenPaths(paths, tolerance) {
+  const isClosed = (path) => path.length >= 3 &&
+    Math.hypot(path[path.length - 1].x - path[0].x, path[path.length - 1].y - path[0].y) < 1e-6;
+  const near = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) <= tolerance;
+  const result = paths.filter((path) => path.length >= 2 && isClosed(path));
+  const open = paths.filter((path) => path.length >= 2 && !isClosed(path));
+  const used = new Array(open.length).fill(false);
+  for (let i = 0; i < open.length; i++) {
+    if (used[i]) continue;
+    used[i] = true;
+    let chain = open[i].slice();
+    let closed = false;
+    // Eerst aan het eind verlengen, daarna aan het begin (door de keten om te draaien)
+    for (let side = 0; side < 2 && !closed; side++) {
+      for (;;) {
+        const end = chain[chain.length - 1];
+        let found = -1;
+        let reversed = false;
+        for (let j = 0; j < open.length; j++) {
+          if (used[j]) continue;
+          if (near(end, open[j][0])) { found = j; break; }
+          if (near(end, open[j][open[j].length - 1])) { found = j; reversed = true; break; }
+        }
+        if (found < 0) break;
+        used[found] = true;
+        const next = reversed ? open[found].slice().reverse() : open[found];
+        chain = chain.concat(next.slice(1));
+        if (chain.length >= 3 && near(chain[chain.length - 1], chain[0])) {
+          chain[chain.length - 1] = { ...chain[0] };
+          closed = true;
+          break;
+        }
+      }
+      if (!closed) chain.reverse();
+    }
+    result.push(chain);
+  }
+  return result;
+}
+
+/**
+ * Volgorde van paden met zo weinig mogelijk verplaatsing (dichtstbijzijnde buur): open paden mogen omgedraaid
+ * worden, gesloten paden beginnen bij het punt dat het dichtst bij de vorige positie ligt.
+ * @param {{ x: number, y: number, z: number }[][]} paths
+ * @param {{ x: number, y: number }} [start] - positie van de frees vóór het eerste pad
+ * @returns {{ x: number, y: number, z: number }[][]}
+ */
+function orderPathsForTravel(paths, start = { x: 0, y: 0 }) {
+  const remaining = paths.filter((path) => path.length > 0);
+  const ordered = [];
+  let pos = start;
+  while (remaining.length > 0) {
+    let best = -1;
+    let bestDist = Infinity;
+    let bestVertex = 0;
+    remaining.forEach((path, idx) => {
+      const closed = path.length >= 3 &&
+        Math.hypot(path[path.length - 1].x - path[0].x, path[path.length - 1].y - path[0].y) < 1e-6;
+      const candidates = closed ? path.map((_, k) => k).slice(0, -1) : [0, path.length - 1];
+      candidates.forEach((k) => {
+        const d = Math.hypot(path[k].x - pos.x, path[k].y - pos.y);
+        if (d < bestDist) {
+          bestDist = d;
+          best = idx;
+          bestVertex = k;
+        }
+      });
+    });
+    let path = remaining.splice(best, 1)[0];
+    if (bestVertex === path.length - 1) {
+      path = path.slice().reverse();
+    } else if (bestVertex > 0) {
+      // Gesloten pad: laten beginnen bij het dichtstbijzijnde punt
+      path = [...path.slice(bestVertex, -1), ...path.slice(0, bestVertex), { ...path[bestVertex] }];
+    }
+    ordered.push(path);
+    pos = path[path.length - 1];
+  }
+  return ordered;
+}
+
 /**
  * Pas XY-origin transform toe op DXF-contouren (zelfde logica als letters: bbox + offset).
  * @param {{ x: number, y: number, z: number }[][]} contours
@@ -635,6 +1803,105 @@ function applyOriginToDxfContours(contours, xyOrigin) {
   );
 }
 
+/**
+ * Instelling per DXF-laag. operation: "" = de bewerking uit het formulier, "inside"/"outside" = contour,
+ * "pocket", "engrave", "drill" of "ignore"; depth null = de totale diepte uit het formulier.
+ * @typedef {{ name: string, operation: string, depth: number | null }} DxfLayerSetting
+ * Lagen met dezelfde bewerking en diepte vormen één groep, zodat bijv. eilanden ook over lagen heen werken.
+ * @typedef {{ layers: string[], operation: string, contourType: "inside"|"outside", depth: number, contours: {x:number,y:number,z:number}[][] }} DxfLayerGroup
+ */
+
+/** Volgorde van de groepen: eerst boren en graveren, dan pockets en als laatste uitsnijden. */
+const DXF_LAYER_GROUP_ORDER = [OperationType.DRILL, OperationType.ENGRAVE, OperationType.POCKET, OperationType.VCARVE, "inside", "outside"];
+
+/**
+ * Lagen indelen in groepen met dezelfde bewerking en diepte, in freesvolgorde.
+ * Zonder instellingen (of alles op de standaard) één groep met alle lagen (layers null).
+ * @param {DxfLayerSetting[] | undefined} settings
+ * @param {{ operation: string, contourType: string, cutParams: { totalDepth: number } }} raw
+ * @returns {{ layers: string[] | null, operation: string, contourType: "inside"|"outside", depth: number }[]}
+ */
+function groupDxfLayers(settings, raw) {
+  const formGroup = {
+    operation: raw.operation,
+    contourType: raw.contourType === "inside" ? "inside" : "outside",
+    depth: raw.cutParams.totalDepth,
+  };
+  if (!settings || settings.every((layer) => !layer.operation && layer.depth == null)) {
+    return [{ ...formGroup, layers: null }];
+  }
+  const groups = new Map();
+  settings.forEach((layer) => {
+    if (layer.operation === "ignore") return;
+    const group = { ...formGroup, depth: layer.depth ?? formGroup.depth };
+    if (layer.operation === "inside" || layer.operation === "outside") {
+      group.operation = OperationType.CONTOUR;
+      group.contourType = layer.operation;
+    } else if (layer.operation) {
+      group.operation = layer.operation;
+    }
+    const kind = group.operation === OperationType.CONTOUR ? group.contourType : group.operation;
+    const key = `${kind}|${group.depth}`;
+    if (!groups.has(key)) groups.set(key, { ...group, layers: [] });
+    groups.get(key).layers.push(layer.name);
+  });
+  const rank = (group) => DXF_LAYER_GROUP_ORDER.indexOf(group.operation === OperationType.CONTOUR ? group.contourType : group.operation);
+  return [...groups.values()].sort((a, b) => rank(a) - rank(b) || a.depth - b.depth);
+}
+
+/**
+ * Contouren van een DXF of SVG voor een bewerking: per groep lagen ingelezen, gedraaid volgens de orientatie en
+ * samen naar de XY-origin verschoven (één bounding box over alle gebruikte lagen).
+ * Eén groep met de bewerking en diepte uit het formulier blijft een gewone DXF-bewerking (dxfLayerGroups null).
+ * @param {string} dxfString - DXF- of SVG-tekst
+ * @param {*} raw - invoer uit het formulier (shapeParams.dxfLayers, dxfOrientation, originParams)
+ * @returns {{ dxfContours: {x:number,y:number,z:number}[][], dxfLayerGroups: DxfLayerGroup[] | null }}
+ */
+function readDxfOperationContours(dxfString, raw) {
+  const groups = groupDxfLayers(raw.shapeParams.dxfLayers, raw);
+  const orientation = Number(raw.shapeParams.dxfOrientation) || 0;
+  const parseContours = isSvgText(dxfString) ? parseSvgToContours : parseDxfToContours;
+  const groupContours = groups.map((group) => {
+    const contours = parseContours(dxfString, {
+      layers: group.layers,
+      includeOpen: group.operation === OperationType.ENGRAVE,
+      includePoints: group.operation === OperationType.DRILL,
+    });
+    return orientation !== 0 ? rotatePathsAroundOrigin(contours, orientation) : contours;
+  });
+  const dxfContours = applyOriginToDxfContours(groupContours.flat(), raw.originParams.xyOrigin);
+  let start = 0;
+  const dxfLayerGroups = groups.map((group, i) => {
+    const contours = dxfContours.slice(start, start + groupContours[i].length);
+    start += groupContours[i].length;
+    return { ...group, layers: group.layers ?? [], contours };
+  });
+  const [first] = dxfLayerGroups;
+  const asForm = dxfLayerGroups.length === 1 &&
+    first.operation === raw.operation &&
+    (first.operation !== OperationType.CONTOUR || first.contourType === raw.contourType) &&
+    first.depth === raw.cutParams.totalDepth;
+  return { dxfContours, dxfLayerGroups: asForm ? null : dxfLayerGroups };
+}
+
+/**
+ * Opmaak van de lettertekst.
+ * @typedef {{ charSpacing?: number, lineHeight?: number, align?: string }} LetterLayout
+ * charSpacing = extra letterafstand (mm), lineHeight = regelafstand (× lettergrootte), align = "left" | "center" | "right"
+ */
+
+/**
+ * X-verschuiving van een tekstregel voor de uitlijning; regels beginnen op x=0.
+ * @param {number} lineWidth - breedte van de regel in mm
+ * @param {string | undefined} align
+ * @returns {number}
+ */
+function letterAlignOffset(lineWidth, align) {
+  if (align === "center") return -lineWidth / 2;
+  if (align === "right") return -lineWidth;
+  return 0;
+}
+
 /**
  * Genereer lettercontouren voor de gegeven tekst (omtrek per contour, in mm).
  * Vereist dat loadLetterFont() eerder is aangeroepen.
@@ -642,13 +1909,15 @@ function applyOriginToDxfContours(contours, xyOrigin) {
  * @param {number} fontSizeMm
  * @param {string} xyOrigin - "center" | "bottom_left" | "bottom_right" | "top_left" | "top_right"
  * @param {import('opentype.js').Font} font
+ * @param {LetterLayout} [layout]
  * @returns {{ x: number, y: number, z: number }[][]}
  */
-function getLetterPathsFromFont(text, fontSizeMm, xyOrigin, font) {
+function getLetterPathsFromFont(text, fontSizeMm, xyOrigin, font, layout = {}) {
   const trimmed = text.trim();
   if (!trimmed) return [];
   const lines = trimmed.split(/\r?\n/).filter((l) => l.length > 0);
-  const lineHeight = fontSizeMm * 1.25;
+  const lineHeight = fontSizeMm * (layout.lineHeight || DEFAULT_LETTER_LINE_HEIGHT);
+  const charSpacing = layout.charSpacing || 0;
   /** @type {{ x: number, y: number, z: number }[][]} */
   let allContours = [];
   // Eerste regel krijgt meest negatieve yOff, zodat na Y-spiegeling de eerste regel bovenaan komt
@@ -656,7 +1925,7 @@ function getLetterPathsFromFont(text, fontSizeMm, xyOrigin, font) {
     const line = lines[i];
     const yOff = -(lines.length - 1 - i) * lineHeight;
     const path = font.getPath(line, 0, yOff, fontSizeMm);
-    const contours = pathCommandsToContours(path);
+    let contours = pathCommandsToContours(path);
     let lineMinY = Infinity, lineMaxY = -Infinity;
     for (const contour of contours) {
       for (const p of contour) {
@@ -666,10 +1935,16 @@ function getLetterPathsFromFont(text, fontSizeMm, xyOrigin, font) {
     }
     const actualHeight = lineMaxY - lineMinY || 1;
     const scale = fontSizeMm / actualHeight;
+    // Letterafstand pas na het schalen bekend in mm: opnieuw opbouwen met letterSpacing (in em, vóór schalen)
+    const options = charSpacing !== 0 ? { letterSpacing: charSpacing / (fontSizeMm * scale) } : undefined;
+    if (options) {
+      contours = pathCommandsToContours(font.getPath(line, 0, yOff, fontSizeMm, options));
+    }
+    const alignX = letterAlignOffset(font.getAdvanceWidth(line, fontSizeMm, options) * scale - charSpacing, layout.align);
     const baseline = lineMinY;
     const scaledContours = contours.map((contour) =>
       contour.map((p) => ({
-        x: p.x * scale,
+        x: p.x * scale + alignX,
         y: baseline + (p.y - baseline) * scale,
         z: 0,
       }))
@@ -709,6 +1984,339 @@ function getLetterPathsFromFont(text, fontSizeMm, xyOrigin, font) {
   );
 }
 
+/**
+ * Enkel-lijns (Hershey) lettertype ophalen uit hershey-fonts.js.
+ * @param {string} fontId - waarde uit de lettertype-keuzelijst
+ * @returns {{ singleLine: true, name: string, chars: { d: string, o: number }[] } | null} null bij een gevuld (TTF) font
+ */
+function getSingleLineFont(fontId) {
+  const key = SINGLE_LINE_FONT_KEYS[fontId];
+  if (!key) return null;
+  const fonts = typeof window !== "undefined" ? window.HERSHEY_FONTS : undefined;
+  if (!fonts || !fonts[key]) throw new Error(t("error.singleLineFontNotLoaded"));
+  return { singleLine: true, name: fonts[key].name, chars: fonts[key].chars };
+}
+
+/** Hershey-eenheden (y omlaag): basislijn en hoofdletterhoogte */
+const HERSHEY_BASELINE_Y = 22;
+const HERSHEY_CAP_HEIGHT = 21;
+/** Breedte van een spatie en van onbekende tekens in Hershey-eenheden */
+const HERSHEY_SPACE_WIDTH = 16;
+/** Hershey-tekens lopen van "!" (ASCII 33) t/m "~" (ASCII 126) */
+const HERSHEY_FIRST_CHAR_CODE = 33;
+const HERSHEY_LAST_CHAR_CODE = 126;
+
+/**
+ * Tekens die een enkel-lijns (Hershey) font niet heeft; witruimte wordt een spatie.
+ * @param {string} text
+ * @returns {string[]} elk teken één keer, in volgorde van voorkomen
+ */
+function findUnsupportedSingleLineChars(text) {
+  const found = new Set();
+  for (const ch of String(text || "")) {
+    if (/\s/.test(ch)) continue;
+    const code = ch.codePointAt(0);
+    if (code < HERSHEY_FIRST_CHAR_CODE || code > HERSHEY_LAST_CHAR_CODE) found.add(ch);
+  }
+  return [...found];
+}
+
+/**
+ * Hershey-pad ("M x,y L x,y x,y M ...") omzetten naar losse lijnen.
+ * @param {string} d
+ * @returns {{ x: number, y: number }[][]}
+ */
+function parseHersheyStrokes(d) {
+  /** @type {{ x: number, y: number }[][]} */
+  const strokes = [];
+  let current = null;
+  const tokens = d.match(/[ML]|-?\d+(?:\.\d+)?,-?\d+(?:\.\d+)?/g) || [];
+  for (const token of tokens) {
+    if (token === "M") {
+      current = [];
+      strokes.push(current);
+    } else if (token !== "L" && current) {
+      const [x, y] = token.split(",").map(Number);
+      current.push({ x, y });
+    }
+  }
+  return strokes.filter((stroke) => stroke.length >= 2);
+}
+
+/**
+ * Genereer open lijnen voor de gegeven tekst met een enkel-lijns (Hershey) font, in mm.
+ * De frees volgt elke lijn één keer; lettergrootte = hoofdletterhoogte.
+ * @param {string} text
+ * @param {number} fontSizeMm
+ * @param {string} xyOrigin
+ * @param {{ chars: { d: string, o: number }[] }} font - uit getSingleLineFont()
+ * @param {LetterLayout} [layout]
+ * @returns {{ x: number, y: number, z: number }[][]}
+ */
+function getSingleLineLetterPaths(text, fontSizeMm, xyOrigin, font, layout = {}) {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+  const lines = trimmed.split(/\r?\n/).filter((l) => l.length > 0);
+  const scale = fontSizeMm / HERSHEY_CAP_HEIGHT;
+  const lineHeight = fontSizeMm * (layout.lineHeight || DEFAULT_LETTER_LINE_HEIGHT);
+  const charSpacing = layout.charSpacing || 0;
+  /** @type {{ x: number, y: number, z: number }[][]} */
+  const allStrokes = [];
+  for (let i = 0; i < lines.length; i++) {
+    const baselineY = -i * lineHeight;
+    /** @type {{ x: number, y: number, z: number }[][]} */
+    const lineStrokes = [];
+    let cursorX = 0;
+    for (const ch of lines[i]) {
+      const glyph = font.chars[ch.charCodeAt(0) - HERSHEY_FIRST_CHAR_CODE];
+      if (!glyph) {
+        cursorX += HERSHEY_SPACE_WIDTH * scale + charSpacing;
+        continue;
+      }
+      parseHersheyStrokes(glyph.d).forEach((stroke) => {
+        lineStrokes.push(stroke.map((p) => ({
+          x: cursorX + p.x * scale,
+          y: baselineY + (HERSHEY_BASELINE_Y - p.y) * scale,
+          z: 0,
+        })));
+      });
+      cursorX += 2 * glyph.o * scale + charSpacing;
+    }
+    const alignX = letterAlignOffset(cursorX - charSpacing, layout.align);
+    lineStrokes.forEach((stroke) => allStrokes.push(stroke.map((p) => ({ x: p.x + alignX, y: p.y, z: 0 }))));
+  }
+  if (allStrokes.length === 0) return [];
+  return shiftPathsToXYOrigin(allStrokes, xyOrigin);
+}
+
+/**
+ * Verschuif paden zodat het gekozen hoekpunt (of midden) van hun bounding box op (0,0) ligt.
+ * Coördinaten met y omhoog.
+ * @param {{ x: number, y: number, z: number }[][]} paths
+ * @param {string} xyOrigin
+ * @returns {{ x: number, y: number, z: number }[][]}
+ */
+function shiftPathsToXYOrigin(paths, xyOrigin) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const path of paths) {
+    for (const p of path) {
+      if (p.x < minX) minX = p.x;
+      if (p.y < minY) minY = p.y;
+      if (p.x > maxX) maxX = p.x;
+      if (p.y > maxY) maxY = p.y;
+    }
+  }
+  if (!Number.isFinite(minX)) return paths;
+  let dx, dy;
+  switch (xyOrigin) {
+    case XYOrigin.CENTER: dx = -(minX + maxX) / 2; dy = -(minY + maxY) / 2; break;
+    case XYOrigin.BOTTOM_RIGHT: dx = -maxX; dy = -minY; break;
+    case XYOrigin.TOP_LEFT: dx = -minX; dy = -maxY; break;
+    case XYOrigin.TOP_RIGHT: dx = -maxX; dy = -maxY; break;
+    default: dx = -minX; dy = -minY; break;
+  }
+  return paths.map((path) => path.map((p) => ({ x: p.x + dx, y: p.y + dy, z: 0 })));
+}
+
+/**
+ * @typedef {Object} LetterGlyph
+ * @property {{ x: number, y: number, z: number }[][]} paths - lokaal: x t.o.v. het midden van het teken, y omhoog vanaf de basislijn (mm)
+ * @property {number} center - positie van het midden van het teken langs de regel (mm vanaf het regelbegin)
+ * @property {number} width - tekenbreedte (mm)
+ * @property {number} line - regelnummer (0 = eerste regel)
+ */
+
+/**
+ * Deel de tekst op in losse tekens, zodat elk teken apart langs een boog of pad geplaatst kan worden.
+ * Maatvoering gelijk aan de rechte opmaak (getLetterPathsFromFont / getSingleLineLetterPaths).
+ * @param {string} text
+ * @param {number} fontSizeMm
+ * @param {object} font - opentype-font of resultaat van getSingleLineFont()
+ * @param {LetterLayout} [layout]
+ * @returns {{ glyphs: LetterGlyph[], lineWidths: number[] }}
+ */
+function getLetterGlyphs(text, fontSizeMm, font, layout = {}) {
+  const trimmed = text.trim();
+  /** @type {LetterGlyph[]} */
+  const glyphs = [];
+  /** @type {number[]} */
+  const lineWidths = [];
+  if (!trimmed) return { glyphs, lineWidths };
+  const lines = trimmed.split(/\r?\n/).filter((l) => l.length > 0);
+  const charSpacing = layout.charSpacing || 0;
+  lines.forEach((line, lineIndex) => {
+    if (font.singleLine) {
+      const scale = fontSizeMm / HERSHEY_CAP_HEIGHT;
+      let cursorX = 0;
+      for (const ch of line) {
+        const glyph = font.chars[ch.charCodeAt(0) - HERSHEY_FIRST_CHAR_CODE];
+        if (!glyph) {
+          cursorX += HERSHEY_SPACE_WIDTH * scale + charSpacing;
+          continue;
+        }
+        const width = 2 * glyph.o * scale;
+        glyphs.push({
+          paths: parseHersheyStrokes(glyph.d).map((stroke) => stroke.map((p) => ({
+            x: (p.x - glyph.o) * scale,
+            y: (HERSHEY_BASELINE_Y - p.y) * scale,
+            z: 0,
+          }))),
+          center: cursorX + width / 2,
+          width,
+          line: lineIndex,
+        });
+        cursorX += width + charSpacing;
+      }
+      lineWidths.push(Math.max(0, cursorX - charSpacing));
+      return;
+    }
+    // Zelfde schaal als de rechte opmaak: de regelhoogte (laagste tot hoogste punt) wordt de lettergrootte
+    let lineMinY = Infinity, lineMaxY = -Infinity;
+    for (const contour of pathCommandsToContours(font.getPath(line, 0, 0, fontSizeMm))) {
+      for (const p of contour) {
+        if (p.y < lineMinY) lineMinY = p.y;
+        if (p.y > lineMaxY) lineMaxY = p.y;
+      }
+    }
+    const scale = fontSizeMm / ((lineMaxY - lineMinY) || 1);
+    const options = charSpacing !== 0 ? { letterSpacing: charSpacing / (fontSizeMm * scale) } : undefined;
+    const fontScale = fontSizeMm / font.unitsPerEm;
+    font.forEachGlyph(line, 0, 0, fontSizeMm, options, (glyph, gX) => {
+      const contours = pathCommandsToContours(glyph.getPath(gX, 0, fontSizeMm));
+      if (contours.length === 0) return;
+      const halfWidth = ((glyph.advanceWidth || 0) * fontScale) / 2;
+      const centerX = gX + halfWidth;
+      // Fontcoördinaten hebben y omlaag: spiegelen zodat y omhoog wijst
+      glyphs.push({
+        paths: contours.map((contour) => contour.map((p) => ({ x: (p.x - centerX) * scale, y: -p.y * scale, z: 0 }))),
+        center: centerX * scale,
+        width: 2 * halfWidth * scale,
+        line: lineIndex,
+      });
+    });
+    lineWidths.push(font.getAdvanceWidth(line, fontSizeMm, options) * scale - charSpacing);
+  });
+  return { glyphs, lineWidths };
+}
+
+/**
+ * Parametrisering van een polylijn naar booglengte: punt en raaklijn op afstand s vanaf het begin.
+ * Buiten het pad wordt langs het eerste/laatste segment doorgetrokken.
+ * @param {{ x: number, y: number }[]} points
+ * @returns {{ length: number, pointAt: (s: number) => { x: number, y: number }, tangentAt: (s: number) => { x: number, y: number } }}
+ */
+function createPathParametrization(points) {
+  const pts = points.filter((p, i) => i === 0 || Math.hypot(p.x - points[i - 1].x, p.y - points[i - 1].y) > 1e-9);
+  /** @type {number[]} */
+  const cumulative = [0];
+  for (let i = 1; i < pts.length; i++) {
+    cumulative.push(cumulative[i - 1] + Math.hypot(pts[i].x - pts[i - 1].x, pts[i].y - pts[i - 1].y));
+  }
+  const length = cumulative[cumulative.length - 1];
+  const segmentAt = (s) => {
+    let i = 1;
+    while (i < pts.length - 1 && cumulative[i] < s) i++;
+    return i;
+  };
+  const pointAt = (s) => {
+    if (pts.length < 2) return { x: pts[0]?.x ?? 0, y: pts[0]?.y ?? 0 };
+    const i = segmentAt(s);
+    const a = pts[i - 1];
+    const b = pts[i];
+    const f = (s - cumulative[i - 1]) / (cumulative[i] - cumulative[i - 1]);
+    return { x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f };
+  };
+  const tangentAt = (s) => {
+    if (pts.length < 2) return { x: 1, y: 0 };
+    const i = segmentAt(s);
+    const len = cumulative[i] - cumulative[i - 1];
+    return { x: (pts[i].x - pts[i - 1].x) / len, y: (pts[i].y - pts[i - 1].y) / len };
+  };
+  return { length, pointAt, tangentAt };
+}
+
+/**
+ * Letterpaden langs een cirkelboog of een DXF-pad; elk teken staat rechtop op de raaklijn van de curve.
+ * Boog: buitenkant = tekst leest met de klok mee met de voet naar het middelpunt, binnenkant = tegen de klok in
+ * met de kop naar het middelpunt; volgende regels schuiven naar binnen (buitenkant) of naar buiten (binnenkant).
+ * DXF-pad: tekst volgt de looprichting van het pad, links van het pad is boven; volgende regels eronder.
+ * De uitlijning bepaalt waar de tekst begint: links = bij de starthoek/het begin van het pad, midden = gecentreerd
+ * op de starthoek/het midden van het pad, rechts = eindigt bij de starthoek/het einde van het pad.
+ * @param {object} shapeParams - text, fontSize, charSpacing, lineHeight, align, textLayout, arcRadius, arcAngle, arcSide, textPath
+ * @param {string} xyOrigin - bij een boog met origin midden ligt het middelpunt van de boog op (0,0)
+ * @param {object} font
+ * @returns {{ x: number, y: number, z: number }[][]}
+ */
+function getLetterPathsAlongCurve(shapeParams, xyOrigin, font) {
+  const layout = { charSpacing: shapeParams.charSpacing, lineHeight: shapeParams.lineHeight, align: shapeParams.align };
+  const { glyphs, lineWidths } = getLetterGlyphs(shapeParams.text, shapeParams.fontSize, font, layout);
+  if (glyphs.length === 0) return [];
+  const lineHeight = shapeParams.fontSize * (layout.lineHeight || DEFAULT_LETTER_LINE_HEIGHT);
+  const isArc = shapeParams.textLayout === "arc";
+  /** @type {(line: number, s: number, width: number) => { x: number, y: number, tx: number, ty: number }} */
+  let frameAt;
+  /** @type {(line: number) => number} */
+  let lineStart;
+  if (isArc) {
+    const outside = shapeParams.arcSide !== "inside";
+    const angle0 = ((Number(shapeParams.arcAngle) || 0) * Math.PI) / 180;
+    const radiusFor = (line) => shapeParams.arcRadius + (outside ? -line : line) * lineHeight;
+    lineStart = (line) => letterAlignOffset(lineWidths[line], layout.align);
+    frameAt = (line, s) => {
+      const r = radiusFor(line);
+      const a = outside ? angle0 - s / r : angle0 + s / r;
+      const cos = Math.cos(a);
+      const sin = Math.sin(a);
+      return outside
+        ? { x: r * cos, y: r * sin, tx: sin, ty: -cos }
+        : { x: r * cos, y: r * sin, tx: -sin, ty: cos };
+    };
+  } else {
+    const path = shapeParams.pathReverse ? [...shapeParams.textPath].reverse() : shapeParams.textPath;
+    const curve = createPathParametrization(path);
+    const anchor = layout.align === "center" ? curve.length / 2 : layout.align === "right" ? curve.length : 0;
+    lineStart = (line) => anchor + letterAlignOffset(lineWidths[line], layout.align);
+    frameAt = (line, s, width) => {
+      // Raaklijn over de breedte van het teken: vloeiend over de knikken van het pad
+      const a = curve.pointAt(s - width / 2);
+      const b = curve.pointAt(s + width / 2);
+      const chord = Math.hypot(b.x - a.x, b.y - a.y);
+      const tangent = chord > 1e-9 ? { x: (b.x - a.x) / chord, y: (b.y - a.y) / chord } : curve.tangentAt(s);
+      const p = curve.pointAt(s);
+      const offset = -line * lineHeight;
+      return { x: p.x - tangent.y * offset, y: p.y + tangent.x * offset, tx: tangent.x, ty: tangent.y };
+    };
+  }
+  /** @type {{ x: number, y: number, z: number }[][]} */
+  const paths = [];
+  for (const glyph of glyphs) {
+    const { x, y, tx, ty } = frameAt(glyph.line, lineStart(glyph.line) + glyph.center, glyph.width);
+    // Lokale x langs de raaklijn, lokale y langs de normaal links daarvan (boven)
+    glyph.paths.forEach((local) => {
+      paths.push(local.map((p) => ({ x: x + p.x * tx - p.y * ty, y: y + p.x * ty + p.y * tx, z: 0 })));
+    });
+  }
+  if (isArc && xyOrigin === XYOrigin.CENTER) return paths;
+  return shiftPathsToXYOrigin(paths, xyOrigin);
+}
+
+/**
+ * Letterpaden voor de tekst uit shapeParams: gesloten contouren (TTF) of open lijnen (enkel-lijns font).
+ * @param {object} shapeParams - text, fontSize, charSpacing, lineHeight, align; textLayout "arc"/"path" voor tekst langs een curve
+ * @param {string} xyOrigin
+ * @param {object} font - opentype-font of resultaat van getSingleLineFont()
+ * @returns {{ x: number, y: number, z: number }[][]}
+ */
+function getLetterPaths(shapeParams, xyOrigin, font) {
+  if (shapeParams.textLayout === "arc" || shapeParams.textLayout === "path") {
+    return getLetterPathsAlongCurve(shapeParams, xyOrigin, font);
+  }
+  const layout = { charSpacing: shapeParams.charSpacing, lineHeight: shapeParams.lineHeight, align: shapeParams.align };
+  return font.singleLine
+    ? getSingleLineLetterPaths(shapeParams.text, shapeParams.fontSize, xyOrigin, font, layout)
+    : getLetterPathsFromFont(shapeParams.text, shapeParams.fontSize, xyOrigin, font, layout);
+}
+
 /**
  * Roteer een lijst contour-paden rond de oorsprong (0,0).
  * @param {{ x: number, y: number, z: number }[][]} paths
@@ -729,6 +2337,151 @@ function rotatePathsAroundOrigin(paths, angleDeg) {
   );
 }
 
+/** Maximaal aantal labels in één reeks (raster of zip). */
+const MAX_LETTER_BATCH_LABELS = 500;
+
+/**
+ * Lees CSV-tekst in rijen en cellen. Scheidingsteken komma of puntkomma (zoals Excel in NL/DE),
+ * bepaald uit de eerste regel; cellen tussen dubbele aanhalingstekens mogen scheidingstekens,
+ * regeleinden en "" bevatten. Lege regels worden overgeslagen.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const source = String(text).replace(/^\uFEFF/, ""); // BOM van Excel-export
+  const firstLine = source.split(/\r?\n/, 1)[0] || "";
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+  /** @type {string[][]} */
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i++;
+      row.push(cell);
+      if (row.some((c) => c.trim() !== "")) rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  if (row.some((c) => c.trim() !== "")) rows.push(row);
+  return rows;
+}
+
+/**
+ * Teksten voor een reeks labels uit een sjabloon en/of CSV-rijen.
+ * Het sjabloon mag een nummerreeks bevatten, bijv. TAG-{0001..0050}: de voorloopnullen van het
+ * eerste getal bepalen de breedte, aflopend (bijv. {10..1}) mag ook. {kolom} wordt vervangen door
+ * de waarde uit die CSV-kolom; alleen dan is de eerste CSV-rij de kopregel met kolomnamen. Zonder
+ * kolomverwijzing is elke CSV-rij een label: het sjabloon (met nummerreeks) blijft staan en de cellen
+ * van de rij komen als regels eronder. Met CSV bepaalt het aantal rijen het aantal labels en telt de
+ * nummerreeks per rij door. Lege labels vervallen. Boven MAX_LETTER_BATCH_LABELS stopt het opbouwen
+ * (een reeks als {1..99999999} zou anders alles aanmaken); count is dan het aantal rijen of reeksnummers.
+ * @param {string} template
+ * @param {string[][] | null} [csvRows] - met kopregel als het sjabloon kolommen gebruikt
+ * @returns {{ labels: string[], count: number }}
+ */
+function expandLetterBatch(template, csvRows) {
+  const text = String(template || "");
+  const range = text.match(/\{(\d+)\.\.(\d+)\}/);
+  const rangeStart = range ? parseInt(range[1], 10) : 0;
+  const rangeStep = range && parseInt(range[2], 10) < rangeStart ? -1 : 1;
+  const rangeCount = range ? Math.abs(parseInt(range[2], 10) - rangeStart) + 1 : 0;
+  const rangeWidth = range && range[1].length > 1 && range[1].startsWith("0") ? range[1].length : 0;
+  const firstRow = csvRows && csvRows.length > 0 ? csvRows[0].map((h) => h.trim()) : [];
+  const usesColumns = firstRow.some((h) => h !== "" && text.includes(`{${h}}`));
+  const header = usesColumns ? firstRow : [];
+  const dataRows = csvRows ? (usesColumns ? csvRows.slice(1) : csvRows) : [];
+  const count = csvRows ? dataRows.length : rangeCount || 1;
+  /** @type {string[]} */
+  const labels = [];
+  for (let i = 0; i < count; i++) {
+    let label = text;
+    if (csvRows) {
+      const row = dataRows[i];
+      if (usesColumns) {
+        label = label.replace(/\{([^{}]+)\}/g, (m, name) => {
+          const col = header.indexOf(name.trim());
+          return col >= 0 ? (row[col] ?? "").trim() : m;
+        });
+      } else {
+        const cells = row.map((c) => c.trim()).filter((c) => c !== "");
+        label = [label, ...cells].filter((line) => line.trim() !== "").join("\n");
+      }
+    }
+    if (range) {
+      const n = String(rangeStart + i * rangeStep).padStart(rangeWidth, "0");
+      label = label.replace(/\{(\d+)\.\.(\d+)\}/g, n);
+    }
+    if (label.trim() === "") continue;
+    labels.push(label);
+    if (labels.length > MAX_LETTER_BATCH_LABELS) return { labels, count };
+  }
+  return { labels, count: labels.length };
+}
+
+/**
+ * Cel per label in een raster: eerste label linksboven, dan per rij van links naar rechts.
+ * Gebruikt het raster van de patterned holes (rijen vanaf y = 0 omhoog).
+ * @param {number} count - aantal labels
+ * @param {{ columns: number, spacingX: number, spacingY: number }} grid
+ * @returns {{ x: number, y: number }[]}
+ */
+function getLetterBatchCells(count, grid) {
+  const countX = Math.max(1, Math.min(count, Math.floor(grid.columns) || 1));
+  const countY = Math.ceil(count / countX);
+  const centers = getPatternedHoleCenters({ layout: "grid", countX, countY, spacingX: grid.spacingX, spacingY: grid.spacingY });
+  const cells = [];
+  for (let k = 0; k < count; k++) {
+    const row = Math.floor(k / countX);
+    cells.push(centers[(countY - 1 - row) * countX + (k % countX)]);
+  }
+  return cells;
+}
+
+/**
+ * Letterpaden zoals ze gefreesd worden: met de tekstoriëntatie en, bij een reeks labels in een raster,
+ * elk label gecentreerd (of bij tekst op een boog: het middelpunt van de boog) in zijn cel.
+ * @param {object} shapeParams - zie getLetterPaths; batch.mode "grid" met batchLabels voor een raster
+ * @param {string} xyOrigin
+ * @param {object} font
+ * @returns {{ x: number, y: number, z: number }[][]}
+ */
+function getLetterLayoutPaths(shapeParams, xyOrigin, font) {
+  const orientationDeg = Number(shapeParams.letterOrientation) || 0;
+  const labels = shapeParams.batch?.mode === "grid" ? shapeParams.batchLabels : null;
+  if (!labels || labels.length === 0) {
+    return rotatePathsAroundOrigin(getLetterPaths(shapeParams, xyOrigin, font), orientationDeg);
+  }
+  const cells = getLetterBatchCells(labels.length, shapeParams.batch);
+  /** @type {{ x: number, y: number, z: number }[][]} */
+  const paths = [];
+  labels.forEach((label, k) => {
+    const labelPaths = rotatePathsAroundOrigin(getLetterPaths({ ...shapeParams, text: label }, XYOrigin.CENTER, font), orientationDeg);
+    labelPaths.forEach((path) => paths.push(path.map((p) => ({ x: p.x + cells[k].x, y: p.y + cells[k].y, z: p.z }))));
+  });
+  return shiftPathsToXYOrigin(paths, xyOrigin);
+}
+
 /**
  * Bepaal de kleinste afmeting van een contour (geschatte breedte/hoogte van de bbox).
  * @param {{ x: number, y: number }[]} pts
@@ -748,10 +2501,23 @@ function contourMinSize(pts) {
 }
 
 /**
- * Bepaal of een gesloten polygoon (punten tegen de klok in) rechtsom (CW) of linksom (CCW) is.
- * Positieve signed area = CCW (tegen de klok in), negatief = CW.
+ * Punten van een gesloten pad zonder het herhaalde eindpunt.
+ * @param {{ x: number, y: number }[]} path
+ * @returns {{ x: number, y: number }[]}
+ */
+function openPathPoints(path) {
+  if (!path || path.length < 2) return path ?? [];
+  const first = path[0];
+  const last = path[path.length - 1];
+  if (Math.abs(last.x - first.x) < 1e-9 && Math.abs(last.y - first.y) < 1e-9) return path.slice(0, path.length - 1);
+  return path;
+}
+
+/**
+ * Bepaal of een gesloten polygoon rechtsom (CW) of linksom (CCW) is.
+ * Σ (x2 − x1)(y2 + y1): positief = CW (met de klok mee), negatief = CCW (tegen de klok in), met Y omhoog.
  * @param {{ x: number, y: number }[]} pts
- * @returns {number} signed area * 2 (positief = CCW)
+ * @returns {number} signed area * 2 (positief = CW)
  */
 function polygonSignedArea2(pts) {
   if (!pts || pts.length < 3) return 0;
@@ -764,6 +2530,43 @@ function polygonSignedArea2(pts) {
   return sum;
 }
 
+/**
+ * Moet het pad tegen de klok in lopen voor de gevraagde freesrichting? (spindel rechtsom, M3)
+ * Meelopend frezen: buitencontour met de klok mee; binnencontour en pocket tegen de klok in.
+ * @param {boolean} materialOutside - binnencontour of pocket: het materiaal ligt buiten het pad
+ * @param {"climb"|"conventional"} direction
+ * @returns {boolean}
+ */
+function wantsCounterClockwise(materialOutside, direction) {
+  return materialOutside === (direction === "climb");
+}
+
+/**
+ * Gesloten contourpad (of pocketring) in de gevraagde freesrichting leggen door het zo nodig om te keren.
+ * Zonder richting (of bij een punt/lijn) blijft het pad ongewijzigd.
+ * @param {{x:number,y:number,z:number}[]} path
+ * @param {boolean} inside - binnencontour of pocketring
+ * @param {"climb"|"conventional"|undefined} direction
+ */
+function orientContourPath(path, inside, direction) {
+  if (!direction || !path || path.length < 4) return path;
+  const isCcw = polygonSignedArea2(path) < 0;
+  return isCcw === wantsCounterClockwise(inside, direction) ? path : path.slice().reverse();
+}
+
+/**
+ * Pocketspiraal in de gevraagde freesrichting leggen. Omkeren zou de spiraal van buiten naar binnen
+ * laten lopen; daarom wordt het pad in X gespiegeld (de vormen zijn symmetrisch rond de Y-as).
+ * @param {{x:number,y:number,z:number}[]} path
+ * @param {"climb"|"conventional"|undefined} direction
+ */
+function orientPocketPath(path, direction) {
+  if (!direction || !path || path.length < 4) return path;
+  const isCcw = polygonSignedArea2(path) < 0;
+  if (isCcw === wantsCounterClockwise(true, direction)) return path;
+  return path.map((p) => ({ ...p, x: -p.x }));
+}
+
 /**
  * Offset van contour via ClipperLib (indien beschikbaar).
  * Clipper: positieve delta = uitbreiden (outward), negatief = verkleinen (inward).
@@ -868,6 +2671,51 @@ function contourOffset(contour, distance, debug) {
   return null;
 }
 
+/**
+ * Offset van een gebied met gaten via ClipperLib: alle contouren samen (even-oneven), zodat
+ * gaten meegroeien en een gebied bij verkleinen in meerdere delen mag uiteenvallen.
+ * Zelfde conventie als contourOffsetViaClipper: positief = naar binnen, negatief = naar buiten.
+ *
+ * @param {{ x: number, y: number, z?: number }[][]} contours - gesloten contouren (buitenrand en gaten)
+ * @param {number} distance - mm
+ * @returns {{ x: number, y: number, z: number }[][]} gesloten contouren; leeg als er niets overblijft of Clipper ontbreekt
+ */
+function regionOffsetViaClipper(contours, distance) {
+  const ClipperLib = typeof window !== "undefined" ? window.ClipperLib : typeof globalThis !== "undefined" ? globalThis.ClipperLib : undefined;
+  if (!ClipperLib || !ClipperLib.ClipperOffset || !ClipperLib.Clipper) return [];
+
+  try {
+    const scale = 1000;
+    const input = contours
+      .map((contour) => openPathPoints(contour))
+      .filter((pts) => pts.length >= 3)
+      .map((pts) => pts.map((p) => ({ X: Math.round(p.x * scale), Y: Math.round(p.y * scale) })));
+    if (input.length === 0) return [];
+
+    // Eerst normaliseren (even-oneven): buitenranden en gaten krijgen de orientatie die ClipperOffset verwacht
+    const clipper = new ClipperLib.Clipper();
+    clipper.AddPaths(input, ClipperLib.PolyType.ptSubject, true);
+    const normalized = new ClipperLib.Paths();
+    clipper.Execute(ClipperLib.ClipType.ctUnion, normalized, ClipperLib.PolyFillType.pftEvenOdd, ClipperLib.PolyFillType.pftEvenOdd);
+
+    const co = new ClipperLib.ClipperOffset(2, 0.25);
+    co.AddPaths(normalized, ClipperLib.JoinType.jtMiter, ClipperLib.EndType.etClosedPolygon);
+    const solution = new ClipperLib.Paths();
+    co.Execute(solution, -distance * scale);
+
+    const z0 = contours[0]?.[0]?.z ?? 0;
+    return solution
+      .filter((solPath) => solPath && solPath.length >= 3)
+      .map((solPath) => {
+        const out = solPath.map((p) => ({ x: p.X / scale, y: p.Y / scale, z: z0 }));
+        out.push({ ...out[0] });
+        return out;
+      });
+  } catch (_) {
+    return [];
+  }
+}
+
 const MAX_POCKET_RINGS = 300;
 
 /**
@@ -886,6 +2734,577 @@ function pocketRingsFromInnerContour(innerContour, stepover) {
   return rings;
 }
 
+/**
+ * Gesloten contourbanen langs de randen van gebieden: buitenranden als binnencontour, eilanden eromheen.
+ * @param {{x:number,y:number}[][]} contours - buitenranden en eilanden (even-oneven)
+ * @param {"climb"|"conventional"|undefined} direction
+ * @returns {PocketClearingPass[]}
+ */
+function regionContourPasses(contours, direction) {
+  /** @type {PocketClearingPass[]} */
+  const passes = [];
+  groupContoursIntoRegions(contours).forEach(({ outer, holes }) => {
+    [outer, ...holes].forEach((pts, idx) => {
+      const inside = idx === 0;
+      const closed = pts.map((p) => ({ x: p.x, y: p.y, z: 0 }));
+      closed.push({ ...closed[0] });
+      passes.push({ kind: "contour", path: orientContourPath(closed, inside, direction), inside });
+    });
+  });
+  return passes;
+}
+
+/**
+ * Pocket-ringen voor een gebied met eilanden: de rand herhaald stepover naar binnen en om de eilanden heen
+ * verschoven tot er niets overblijft, van binnen naar buiten.
+ * @param {{x:number,y:number,z:number}[][]} boundary - rand voor het freesmiddelpunt (buitenrand en eilanden)
+ * @param {number} stepover
+ * @param {"climb"|"conventional"|undefined} direction
+ * @returns {PocketClearingPass[]}
+ */
+function pocketRingsFromRegion(boundary, stepover, direction) {
+  const levels = [];
+  let current = boundary;
+  while (current.length && levels.length < MAX_POCKET_RINGS) {
+    levels.push(current);
+    current = regionOffsetViaClipper(boundary, stepover * levels.length);
+  }
+  return levels.reverse().flatMap((level) => regionContourPasses(level, direction));
+}
+
+/**
+ * Pocketgebieden uit gesloten contouren (DXF, letters). De nesting bepaalt wat buitenrand en wat eiland is
+ * (even-oneven), niet de draairichting: die verschilt per CAD-programma. Per gebied de rand waar het
+ * freesmiddelpunt mag komen, een freesstraal binnen de buitenrand en buiten de eilanden; een gebied dat
+ * daarbij in stukken valt, geeft meerdere pockets.
+ * @param {{x:number,y:number,z?:number}[][]} contours
+ * @param {number} toolRadius
+ * @param {number} minSize - gebieden met een kleinere buitenrand worden overgeslagen
+ * @returns {{ pockets: { boundary: {x:number,y:number,z:number}[][] }[], contours: {x:number,y:number,z:number}[][], islands: {x:number,y:number,z:number}[][], failReason: string }}
+ *   contours = randen van de gebieden die gefreesd worden (voor het resultaat), islands = de eilanden daarin
+ */
+function buildPocketRegions(contours, toolRadius, minSize) {
+  const closePath = (pts) => {
+    const out = pts.map((p) => ({ x: p.x, y: p.y, z: 0 }));
+    out.push({ ...out[0] });
+    return out;
+  };
+  const pockets = [];
+  const outlines = [];
+  const islands = [];
+  let failReason = "";
+  groupContoursIntoRegions(contours).forEach(({ outer, holes }) => {
+    if (contourMinSize(outer) < minSize) return;
+    const before = pockets.length;
+    if (holes.length === 0) {
+      // contourOffset gaat bij een positieve afstand naar binnen als de contour met de klok mee loopt
+      const path = closePath(polygonSignedArea2(outer) < 0 ? outer.slice().reverse() : outer);
+      const debug = {};
+      let inner = contourOffset(path, toolRadius, debug);
+      if (!inner && toolRadius > 1e-6) inner = contourOffset(path, toolRadius * 0.98, debug);
+      if (inner && inner.length >= 3) pockets.push({ boundary: [inner] });
+      else if (debug.failReason) failReason = debug.failReason;
+    } else {
+      groupContoursIntoRegions(regionOffsetViaClipper([outer, ...holes], toolRadius)).forEach((piece) => {
+        pockets.push({ boundary: [piece.outer, ...piece.holes].map(closePath) });
+      });
+    }
+    if (pockets.length === before) return;
+    outlines.push(closePath(outer), ...holes.map(closePath));
+    islands.push(...holes.map(closePath));
+  });
+  return { pockets, contours: outlines, islands, failReason };
+}
+
+/** Adaptief ruimen: straal van de trochoïdale lussen als fractie van de freesstraal. */
+const ADAPTIVE_LOOP_RADIUS_FACTOR = 0.5;
+/** Adaptief ruimen: lijnstukken per lus. */
+const ADAPTIVE_LOOP_SEGMENTS = 16;
+/** Adaptief ruimen: max. aantal lussen per laag; daarboven wordt de G-code onhandelbaar groot. */
+const MAX_ADAPTIVE_LOOPS = 20000;
+
+/**
+ * Ligt punt p binnen het gebied dat de contouren samen omsluiten (even-oneven, dus gaten tellen mee)?
+ * @param {{x:number,y:number}} p
+ * @param {{x:number,y:number}[][]} contours
+ * @returns {boolean}
+ */
+function isPointInContours(p, contours) {
+  return contours.reduce((inside, contour) => (isPointInPath(p, contour) ? !inside : inside), false);
+}
+
+/**
+ * Punt op een gesloten ring dat het dichtst bij p ligt.
+ * @param {{x:number,y:number}[]} ring - punten zonder herhaald eindpunt
+ * @param {{x:number,y:number}} p
+ * @returns {{ dist: number, index: number, point: {x:number,y:number} }} index = zijde ring[index] → ring[index + 1]
+ */
+function nearestPointOnRing(ring, p) {
+  const n = ring.length;
+  let best = { dist: Infinity, index: 0, point: ring[0] };
+  for (let i = 0; i < n; i++) {
+    const a = ring[i];
+    const b = ring[(i + 1) % n];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 > 1e-18 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+    const q = { x: a.x + t * dx, y: a.y + t * dy };
+    const dist = Math.hypot(q.x - p.x, q.y - p.y);
+    if (dist < best.dist) best = { dist, index: i, point: q };
+  }
+  return best;
+}
+
+/**
+ * Gesloten ring zo roteren dat hij begint op het punt dat het dichtst bij p ligt (zo nodig midden op een zijde).
+ * @param {{x:number,y:number}[]} ring - punten zonder herhaald eindpunt
+ * @param {{x:number,y:number}} p
+ * @returns {{x:number,y:number}[]} gesloten pad (eindpunt = startpunt)
+ */
+function rotateRingToNearestPoint(ring, p) {
+  const n = ring.length;
+  const best = nearestPointOnRing(ring, p);
+  const out = [best.point];
+  for (let k = 1; k <= n; k++) out.push(ring[(best.index + k) % n]);
+  out.push(best.point);
+  return out;
+}
+
+/**
+ * Deel van een gebied dat geen enkele baan raakt: het freesmiddelpunt komt er nooit binnen lusstraal + freesstraal.
+ * Restjes smaller dan 2 × tolerance vallen weg.
+ * @param {{x:number,y:number}[][]} boundary - gesloten contouren van het gebied (buitenrand en gaten)
+ * @param {{ ring: {x:number,y:number}[], loop: number }[]} passes - gesloten middellijnen met hun lusstraal
+ * @param {number} toolRadius
+ * @param {number} tolerance - mm
+ * @returns {{x:number,y:number,z:number}[][]} gesloten contouren van de resten; leeg als alles geraakt wordt of Clipper ontbreekt
+ */
+function uncoveredRegionViaClipper(boundary, passes, toolRadius, tolerance) {
+  const ClipperLib = typeof window !== "undefined" ? window.ClipperLib : typeof globalThis !== "undefined" ? globalThis.ClipperLib : undefined;
+  if (!ClipperLib || !ClipperLib.ClipperOffset || !ClipperLib.Clipper) return [];
+
+  try {
+    const scale = 1000;
+    const toClipper = (pts) => openPathPoints(pts).map((p) => ({ X: Math.round(p.x * scale), Y: Math.round(p.y * scale) }));
+    const clipper = new ClipperLib.Clipper();
+    clipper.AddPaths(boundary.map(toClipper).filter((path) => path.length >= 3), ClipperLib.PolyType.ptSubject, true);
+    // Per lusstraal één band rond alle middellijnen
+    const loops = [...new Set(passes.map((pass) => pass.loop))];
+    loops.forEach((loop) => {
+      const co = new ClipperLib.ClipperOffset(2, 0.01 * scale);
+      passes.filter((pass) => pass.loop === loop).forEach((pass) => {
+        co.AddPath(toClipper(pass.ring), ClipperLib.JoinType.jtRound, ClipperLib.EndType.etClosedLine);
+      });
+      const band = new ClipperLib.Paths();
+      co.Execute(band, (loop + toolRadius) * scale);
+      clipper.AddPaths(band, ClipperLib.PolyType.ptClip, true);
+    });
+    const rest = new ClipperLib.Paths();
+    clipper.Execute(ClipperLib.ClipType.ctDifference, rest, ClipperLib.PolyFillType.pftEvenOdd, ClipperLib.PolyFillType.pftNonZero);
+
+    // Openen (krimpen en weer groeien) haalt de randjes weg die alleen door afronding overblijven
+    const open = (paths, delta) => {
+      const co = new ClipperLib.ClipperOffset(2, 0.01 * scale);
+      co.AddPaths(paths, ClipperLib.JoinType.jtRound, ClipperLib.EndType.etClosedPolygon);
+      const out = new ClipperLib.Paths();
+      co.Execute(out, delta * scale);
+      return out;
+    };
+    return open(open(rest, -tolerance), tolerance)
+      .filter((solPath) => solPath && solPath.length >= 3)
+      .map((solPath) => {
+        const out = solPath.map((p) => ({ x: p.X / scale, y: p.Y / scale, z: 0 }));
+        out.push({ ...out[0] });
+        return out;
+      });
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Trochoïdaal pad: het freesmiddelpunt draait lussen met straal loopRadius rond een punt dat per lus
+ * `advance` mm langs de middellijn opschuift. Elke lus neemt zo hooguit een sikkel van `advance` mm dik weg,
+ * ook waar de middellijn een hoek maakt of door vol materiaal loopt. Elke lus begint en eindigt op hoek 0,
+ * zodat opeenvolgende stukken op elkaar aansluiten.
+ * @param {{x:number,y:number}[]} centerline
+ * @param {number} loopRadius
+ * @param {number} advance
+ * @param {boolean} counterClockwise
+ * @returns {{ points: {x:number,y:number,z:number}[], loops: number }}
+ */
+function trochoidAlongPath(centerline, loopRadius, advance, counterClockwise) {
+  const cumulative = [0];
+  for (let i = 1; i < centerline.length; i++) cumulative.push(cumulative[i - 1] + distance2D(centerline[i - 1], centerline[i]));
+  const length = cumulative[cumulative.length - 1];
+  if (!(length > 1e-9)) return { points: [], loops: 0 };
+  const loops = Math.max(1, Math.ceil(length / advance));
+  const steps = loops * ADAPTIVE_LOOP_SEGMENTS;
+  const sign = counterClockwise ? 1 : -1;
+  const points = [];
+  let seg = 1;
+  for (let k = 0; k <= steps; k++) {
+    const s = (length * k) / steps;
+    while (seg < centerline.length - 1 && cumulative[seg] < s) seg++;
+    const a = centerline[seg - 1];
+    const b = centerline[seg];
+    const segLen = cumulative[seg] - cumulative[seg - 1];
+    const f = segLen > 1e-12 ? (s - cumulative[seg - 1]) / segLen : 0;
+    const angle = (sign * 2 * Math.PI * k) / ADAPTIVE_LOOP_SEGMENTS;
+    points.push({
+      x: a.x + (b.x - a.x) * f + loopRadius * Math.cos(angle),
+      y: a.y + (b.y - a.y) * f + loopRadius * Math.sin(angle),
+      z: 0,
+    });
+  }
+  return { points, loops };
+}
+
+/**
+ * Opschuiving per lus waarbij de aangrijpingshoek van een lus niet groter wordt dan die van een rechte snede
+ * met radiale aangrijping `engagement`. Een lus draait hol door het materiaal, dus bij dezelfde opschuiving
+ * grijpt de frees over een grotere hoek aan dan in een rechte baan; hoe kleiner de lus, hoe sterker.
+ * Voorkant van een lus: freesmiddelpunt op d = loopRadius + advance van het vorige lusmiddelpunt, de vorige
+ * lus heeft tot loopRadius + toolRadius weggenomen; de snijpunten van die cirkels bepalen de hoek.
+ * @param {number} toolRadius
+ * @param {number} loopRadius
+ * @param {number} engagement - radiale aangrijping van de rechte snede met dezelfde hoek (mm, hooguit toolRadius)
+ * @returns {number} mm; 0 als de lus te klein is om iets weg te nemen
+ */
+function adaptiveLoopAdvance(toolRadius, loopRadius, engagement) {
+  const cos = Math.max(0, 1 - engagement / toolRadius);
+  const reach = loopRadius + toolRadius;
+  const d = -toolRadius * cos + Math.sqrt(toolRadius * toolRadius * cos * cos + reach * reach - toolRadius * toolRadius);
+  return Math.max(0, d - loopRadius);
+}
+
+/**
+ * Trochoïdaal een hoek in: het lusmiddelpunt schuift van `start` naar `corner` en de lussen krimpen evenredig
+ * mee, zodat ze in een hoek die vanuit `corner` als een kegel opengaat (rechte wanden) net binnen de wanden
+ * blijven. Per lus schuift het middelpunt adaptiveLoopAdvance op; onder 1/64 van de beginstraal gaat de
+ * frees recht naar de hoek en via dezelfde lijn (al geruimd) terug naar `start`.
+ * @param {{x:number,y:number}} start - punt op een ring met lusstraal loopRadius
+ * @param {{x:number,y:number}} corner - hoekpunt van het gebied waar het freesmiddelpunt mag komen
+ * @param {number} loopRadius
+ * @param {number} toolRadius
+ * @param {number} engagement
+ * @param {boolean} counterClockwise
+ * @param {(p: {x:number,y:number}) => boolean} isInside - ligt een punt van een lus nog binnen het gebied?
+ * @returns {{ points: {x:number,y:number,z:number}[], loops: number } | null} null als een lus buiten het gebied komt
+ */
+function trochoidIntoCorner(start, corner, loopRadius, toolRadius, engagement, counterClockwise, isInside) {
+  const length = distance2D(start, corner);
+  if (!(length > 1e-9) || !(loopRadius > 1e-9)) return null;
+  const sign = counterClockwise ? 1 : -1;
+  const at = (s) => ({ x: start.x + ((corner.x - start.x) * s) / length, y: start.y + ((corner.y - start.y) * s) / length });
+  const points = [];
+  let loops = 0;
+  let s = 0;
+  let radius = loopRadius;
+  while (radius > loopRadius / 64) {
+    const advance = Math.max(adaptiveLoopAdvance(toolRadius, radius, engagement), 1e-3);
+    const nextS = Math.min(length, s + advance);
+    const nextRadius = (loopRadius * (length - nextS)) / length;
+    for (let k = 0; k < ADAPTIVE_LOOP_SEGMENTS; k++) {
+      const f = k / ADAPTIVE_LOOP_SEGMENTS;
+      const center = at(s + (nextS - s) * f);
+      const r = radius + (nextRadius - radius) * f;
+      const angle = (sign * 2 * Math.PI * k) / ADAPTIVE_LOOP_SEGMENTS;
+      const p = { x: center.x + r * Math.cos(angle), y: center.y + r * Math.sin(angle), z: 0 };
+      if (!isInside(p)) return null;
+      points.push(p);
+    }
+    loops++;
+    s = nextS;
+    radius = nextRadius;
+  }
+  const last = at(s);
+  points.push({ x: last.x + radius, y: last.y, z: 0 }, { x: corner.x, y: corner.y, z: 0 }, { x: start.x, y: start.y, z: 0 });
+  return { points, loops };
+}
+
+/**
+ * Adaptief (trochoïdaal) ruimen van een pocket met constante aangrijping.
+ * De middellijnen zijn ringen op vaste afstanden van de rand waar het freesmiddelpunt mag komen; rond elke ring
+ * draait de frees lussen die per lus zo ver opschuiven dat de aangrijpingshoek niet groter wordt dan die van een
+ * rechte snede met radiale aangrijping `engagement` (adaptiveLoopAdvance), ook niet in de eerste baan.
+ * Hoeken waar de buitenste lussen niet bij komen, worden vóór de rand met krimpende lussen uitgeruimd
+ * (trochoidIntoCorner), zodat ook de laatste baan langs de rand daar niet vol aangrijpt.
+ * Ringen worden van binnen naar buiten gefreesd en via korte (ook trochoïdale) verbindingen aan elkaar gekoppeld;
+ * waar een verbinding buiten de pocket zou komen, begint een nieuwe keten (terug naar veilige hoogte). Tot slot volgt de frees de rand zelf, zodat hoeken en wanden op maat komen.
+ * Waar een deel van de pocket te smal wordt voor de volgende ring, komt er een ring halverwege bij.
+ * @param {{x:number,y:number,z?:number}[][]} boundary - gesloten contouren waarbinnen het freesmiddelpunt mag komen (buitenrand en eilanden)
+ * @param {number} toolRadius
+ * @param {number} engagement - max. aangrijping als radiale aangrijping van een rechte snede (mm)
+ * @param {"climb"|"conventional"|undefined} direction
+ * @returns {PocketClearingPass[]} ketens van het soort "trochoid"; center = midden van de eerste lus (helix)
+ */
+function generateAdaptivePocketPaths(boundary, toolRadius, engagement, direction) {
+  const loopRadius = toolRadius * ADAPTIVE_LOOP_RADIUS_FACTOR;
+  // Naburige ringen overlappen nog 10%: elke ring dekt loopRadius + toolRadius aan weerszijden
+  const ringStep = 1.8 * (loopRadius + toolRadius);
+
+  /** Knopen: gebieden (buitenrand met gaten) per offsetniveau; kinderen liggen één niveau dieper in het gebied. */
+  const makeNodes = (contours, loop) =>
+    groupContoursIntoRegions(contours).map((region) => ({ region, loop, children: [] }));
+  const offsetNodes = (distance, loop) => makeNodes(regionOffsetViaClipper(boundary, distance), loop);
+  const attach = (parents, children) => {
+    children.forEach((child) => {
+      const parent = parents.find((node) => isPointInRegion(child.region.outer[0], node.region));
+      if (parent) parent.children.push(child);
+    });
+  };
+
+  const roots = makeNodes(boundary, 0);
+  let level = offsetNodes(loopRadius, loopRadius);
+  attach(roots, level);
+  // Smalle gebieden waar de eerste ring niet past: een kleinere lus op halve afstand
+  const narrowRoots = roots.filter((node) => node.children.length === 0);
+  if (narrowRoots.length > 0) attach(narrowRoots, offsetNodes(loopRadius / 2, loopRadius / 2));
+  let distance = loopRadius;
+  for (let it = 0; level.length > 0 && it < MAX_POCKET_RINGS; it++) {
+    const next = offsetNodes(distance + ringStep, loopRadius);
+    attach(level, next);
+    const ends = level.filter((node) => node.children.length === 0);
+    if (ends.length > 0) attach(ends, offsetNodes(distance + ringStep / 2, loopRadius));
+    level = next;
+    distance += ringStep;
+  }
+
+  // Verbindingen moeten met lussen en al binnen het toegestane gebied blijven (kleine marge voor punten op de rand)
+  const linkRegions = new Map();
+  const linkRegion = (loop) => {
+    if (!linkRegions.has(loop)) linkRegions.set(loop, regionOffsetViaClipper(boundary, loop - 0.01));
+    return linkRegions.get(loop);
+  };
+  const sampleStep = Math.max(0.1, toolRadius / 4);
+  const isLinkInside = (a, b, loop) => {
+    const contours = linkRegion(loop);
+    const n = Math.max(1, Math.ceil(distance2D(a, b) / sampleStep));
+    for (let i = 0; i <= n; i++) {
+      const p = { x: a.x + ((b.x - a.x) * i) / n, y: a.y + ((b.y - a.y) * i) / n };
+      if (!isPointInContours(p, contours)) return false;
+    }
+    return true;
+  };
+
+  // Resten die geen ring raakt, bijv. in scherpe hoeken tussen de hoekpunten van opeenvolgende ringen:
+  // de dichtstbijzijnde ring krijgt een uitstapje naar het verste punt van de rest (en terug)
+  const loopRings = [];
+  const collect = (node) => {
+    [node.region.outer, ...node.region.holes].forEach((ring) => loopRings.push({ ring, loop: node.loop }));
+    node.children.forEach(collect);
+  };
+  roots.forEach(collect);
+  for (let pass = 0; pass < 3; pass++) {
+    const rest = uncoveredRegionViaClipper(boundary, loopRings, toolRadius, 0.05);
+    if (rest.length === 0) break;
+    rest.forEach((piece) => {
+      const pts = openPathPoints(piece);
+      const centroid = {
+        x: pts.reduce((sum, p) => sum + p.x, 0) / pts.length,
+        y: pts.reduce((sum, p) => sum + p.y, 0) / pts.length,
+      };
+      let nearest = null;
+      loopRings.forEach((entry) => {
+        if (entry.loop <= 0) return;
+        const candidate = nearestPointOnRing(entry.ring, centroid);
+        if (!nearest || candidate.dist < nearest.dist) nearest = { ...candidate, entry };
+      });
+      if (!nearest) return;
+      const q = nearest.point;
+      const far = pts.reduce((best, p) => (distance2D(p, q) > distance2D(best, q) ? p : best), pts[0]);
+      // Doel zo nodig naar de ring toe schuiven tot de lussen binnen het gebied blijven
+      let target = null;
+      for (let f = 1; f > 0.05 && !target; f /= 2) {
+        const p = { x: q.x + (far.x - q.x) * f, y: q.y + (far.y - q.y) * f };
+        if (isLinkInside(q, p, nearest.entry.loop)) target = p;
+      }
+      if (target) nearest.entry.ring.splice(nearest.index + 1, 0, q, target, q);
+    });
+  }
+
+  // Hoeken die de lussen niet halen: materiaal (gebied plus freesstraal) dat geen ring met lussen raakt.
+  // Per rest een ruimgang vanaf het dichtstbijzijnde punt van die ringen naar het hoekpunt van de rand;
+  // de ring maakt die gang onderweg, dus vóór de rand zelf aan de beurt is.
+  const counterClockwise = wantsCounterClockwise(true, direction);
+  const wallRings = loopRings.filter((entry) => entry.loop <= 0);
+  const innerRings = loopRings.filter((entry) => entry.loop > 0);
+  /** @type {Map<{x:number,y:number}[], { start: {x:number,y:number}, points: {x:number,y:number,z:number}[], loops: number }[]>} */
+  const cornerPasses = new Map();
+  const material = regionOffsetViaClipper(boundary, -toolRadius);
+  uncoveredRegionViaClipper(material, innerRings, toolRadius, 0.05).forEach((piece) => {
+    const pts = openPathPoints(piece);
+    const centroid = {
+      x: pts.reduce((sum, p) => sum + p.x, 0) / pts.length,
+      y: pts.reduce((sum, p) => sum + p.y, 0) / pts.length,
+    };
+    let corner = null;
+    wallRings.forEach((entry) => {
+      const candidate = nearestPointOnRing(openPathPoints(entry.ring), centroid);
+      if (!corner || candidate.dist < corner.dist) corner = candidate;
+    });
+    if (!corner) return;
+    let from = null;
+    innerRings.forEach((entry) => {
+      const candidate = nearestPointOnRing(openPathPoints(entry.ring), corner.point);
+      if (!from || candidate.dist < from.dist) from = { ...candidate, entry };
+    });
+    if (!from || from.dist <= engagement) return;
+    const outer = linkRegion(0);
+    const isInside = (p) => isPointInContours(p, outer);
+    const pass = trochoidIntoCorner(from.point, corner.point, from.entry.loop, toolRadius, engagement, counterClockwise, isInside);
+    if (!pass) return;
+    if (!cornerPasses.has(from.entry.ring)) cornerPasses.set(from.entry.ring, []);
+    cornerPasses.get(from.entry.ring).push({ start: from.point, ...pass });
+  });
+
+  // Van binnen naar buiten: eerst de kinderen, dan de ringen van het gebied zelf (buitenrand, dan gaten)
+  /** @type {{ ring: {x:number,y:number}[], inside: boolean, loop: number }[]} */
+  const sequence = [];
+  const visit = (node) => {
+    node.children.forEach(visit);
+    sequence.push({ ring: node.region.outer, inside: true, loop: node.loop });
+    node.region.holes.forEach((hole) => sequence.push({ ring: hole, inside: false, loop: node.loop }));
+  };
+  roots.forEach(visit);
+
+  const chains = [];
+  let chain = null;
+  let end = null;
+  let totalLoops = 0;
+  const countLoops = (loops) => {
+    totalLoops += loops;
+    if (totalLoops > MAX_ADAPTIVE_LOOPS) {
+      throw new Error(t("error.pocketAdaptiveTooManyLoops", { max: MAX_ADAPTIVE_LOOPS }));
+    }
+  };
+  const appendPoints = (points) => {
+    const last = chain.path[chain.path.length - 1];
+    points.forEach((p, i) => {
+      if (i === 0 && last && distance2D(last, p) < 1e-9) return;
+      chain.path.push(p);
+    });
+  };
+  const appendPiece = (centerline, loop) => {
+    if (!(loop > 0)) {
+      appendPoints(centerline.map((p) => ({ x: p.x, y: p.y, z: 0 })));
+      return;
+    }
+    const trochoid = trochoidAlongPath(centerline, loop, adaptiveLoopAdvance(toolRadius, loop, engagement), counterClockwise);
+    countLoops(trochoid.loops);
+    appendPoints(trochoid.points);
+  };
+  // Ring in stukken tot aan elke hoekgang; elk stuk eindigt op lushoek 0, net als waar de hoekgang begint
+  const appendRing = (closed, loop, corners) => {
+    const ring = openPathPoints(closed);
+    const stops = corners
+      .map((corner) => ({ corner, at: nearestPointOnRing(ring, corner.start) }))
+      .sort((a, b) => a.at.index - b.at.index || distance2D(ring[a.at.index], a.at.point) - distance2D(ring[b.at.index], b.at.point));
+    let piece = [closed[0]];
+    let index = 0;
+    stops.forEach(({ corner, at }) => {
+      for (; index < at.index; index++) piece.push(closed[index + 1]);
+      piece.push(at.point);
+      if (piece.length > 1) appendPiece(piece, loop);
+      countLoops(corner.loops);
+      appendPoints(corner.points);
+      piece = [at.point];
+    });
+    for (; index < closed.length - 1; index++) piece.push(closed[index + 1]);
+    appendPiece(piece, loop);
+  };
+  sequence.forEach(({ ring, inside, loop }) => {
+    const from = end ?? ring[0];
+    const closed = orientContourPath(rotateRingToNearestPoint(ring, from), inside, direction);
+    const start = closed[0];
+    if (!chain || !isLinkInside(end, start, loop)) {
+      chain = { kind: "trochoid", path: [], center: { x: start.x, y: start.y }, loopRadius: loop };
+      chains.push(chain);
+    } else if (distance2D(end, start) > 1e-9) {
+      appendPiece([end, start], loop);
+    }
+    appendRing(closed, loop, cornerPasses.get(ring) ?? []);
+    end = start;
+  });
+  return chains.filter((c) => c.path.length > 1);
+}
+
+/**
+ * Eén baan van een adaptief of raster geruimde pocket.
+ * kind: "trochoid" = keten van lussen (helix op de eerste lus), "strip" = open rasterbaan,
+ * "contour" = gesloten nabewerking van de rand (inside: binnencontour, false rond een eiland).
+ * @typedef {{ kind: "trochoid"|"strip"|"contour", path: {x:number,y:number,z:number}[], center?: {x:number,y:number}, loopRadius?: number, inside?: boolean }} PocketClearingPass
+ */
+
+/**
+ * Ruimt deze pocket adaptief of met rasterbanen (in plaats van de spiraal/offset-ringen)?
+ * @param {*} cutParams
+ * @returns {boolean}
+ */
+function usesPocketClearing(cutParams) {
+  return cutParams.pocketStrategy === "adaptive" || cutParams.pocketStrategy === "raster";
+}
+
+/**
+ * Banen voor het ruimen van een pocket volgens cutParams.pocketStrategy (adaptief of raster).
+ * @param {{x:number,y:number,z?:number}[][]} boundary - gesloten contouren voor het freesmiddelpunt (buitenrand en eilanden)
+ * @param {number} toolRadius
+ * @param {*} cutParams
+ * @returns {PocketClearingPass[]}
+ */
+function generatePocketClearing(boundary, toolRadius, cutParams) {
+  if (cutParams.pocketStrategy === "raster") {
+    return generateRasterPocketPaths(boundary, cutParams.stepover, cutParams.raster, cutParams.millingDirection);
+  }
+  return generateAdaptivePocketPaths(boundary, toolRadius, cutParams.pocketEngagement, cutParams.millingDirection);
+}
+
+/**
+ * Eén laag van een adaptief of raster geruimde pocket: per baan terug naar veilige hoogte en opnieuw insteken.
+ * Trochoïdale ketens steken in met een helix op de eerste lus (zonder lussen: ramp langs het pad), rasterstroken
+ * zijn open paden en de nabewerking van de rand is een gesloten contour.
+ * @param {ToolpathMove[]} moves
+ * @param {PocketClearingPass[]} passes
+ * @param {number} depthZ
+ * @param {*} cutParams
+ * @param {number} safeZ
+ */
+function addPocketClearingLayer(moves, passes, depthZ, cutParams, safeZ) {
+  passes.forEach((pass) => {
+    if (pass.kind === "strip") {
+      addOpenPathLayer(moves, pass.path, depthZ, cutParams, safeZ);
+      return;
+    }
+    const last = moves[moves.length - 1];
+    if (last && last.z < safeZ - 1e-6) moves.push({ x: last.x, y: last.y, z: safeZ, type: "rapid" });
+    if (pass.kind === "contour") {
+      addLayerForPath(moves, pass.path, depthZ, cutParams, false, cutParams.entryMethod, true, safeZ, undefined, pass.inside, false, 0);
+      return;
+    }
+    const hasLoops = pass.loopRadius > 0;
+    addLayerForPath(
+      moves,
+      pass.path,
+      depthZ,
+      cutParams,
+      false,
+      cutParams.entryMethod,
+      true,
+      safeZ,
+      undefined,
+      false,
+      hasLoops,
+      pass.loopRadius,
+      true,
+      pass.loopRadius,
+      pass.center.x,
+      pass.center.y
+    );
+  });
+}
+
 /**
  * Input lezen en valideren
  */
@@ -898,7 +3317,7 @@ function readInputsFromForm() {
     ? /** @type {HTMLSelectElement} */ (g("shape")).value
     : operationTypeCategory;
   const operationRaw = /** @type {HTMLSelectElement} */ (g("operation")).value;
-  const operation = (shape === ShapeType.FACING ? OperationType.FACING : shape === ShapeType.PATTERNED_HOLES ? OperationType.POCKET : operationRaw);
+  const operation = (shape === ShapeType.FACING ? OperationType.FACING : shape === ShapeType.PATTERNED_HOLES ? OperationType.POCKET : shape === ShapeType.THREAD_MILL ? OperationType.CONTOUR : operationRaw);
 
   const shapeParams = { type: shape };
   if (shape === ShapeType.CIRCLE) {
@@ -916,11 +3335,33 @@ function readInputsFromForm() {
   } else if (shape === ShapeType.LETTERS) {
     shapeParams.text = (g("letter-text") && g("letter-text").value) || "";
     shapeParams.fontSize = toMm(toNumber(g("letter-size")?.value) || 10, displayUnit);
+    shapeParams.fontId = (/** @type {HTMLSelectElement} */ (g("letter-font")))?.value || DEFAULT_LETTER_FONT_ID;
+    shapeParams.align = (/** @type {HTMLSelectElement} */ (g("letter-align")))?.value || "left";
+    shapeParams.charSpacing = toMm(toNumber(g("letter-spacing")?.value) || 0, displayUnit);
+    shapeParams.lineHeight = toNumber(g("letter-line-height")?.value);
+    shapeParams.textLayout = (/** @type {HTMLSelectElement} */ (g("letter-layout")))?.value || "straight";
+    if (shapeParams.textLayout === "arc") {
+      shapeParams.arcRadius = toMm(toNumber(g("letter-arc-radius")?.value), displayUnit);
+      shapeParams.arcAngle = toNumber(g("letter-arc-angle")?.value) || 0;
+      shapeParams.arcSide = (/** @type {HTMLSelectElement} */ (g("letter-arc-side")))?.value === "inside" ? "inside" : "outside";
+    } else if (shapeParams.textLayout === "path") {
+      shapeParams.pathReverse = !!(/** @type {HTMLInputElement} */ (g("letter-path-reverse")))?.checked;
+    }
+    const batchMode = (/** @type {HTMLSelectElement} */ (g("letter-batch")))?.value;
+    shapeParams.batch = {
+      mode: batchMode === "grid" || batchMode === "files" ? batchMode : "none",
+      columns: Math.max(1, Math.floor(toNumber(g("letter-batch-columns")?.value) || 1)),
+      spacingX: toMm(toNumber(g("letter-batch-spacing-x")?.value), displayUnit),
+      spacingY: toMm(toNumber(g("letter-batch-spacing-y")?.value), displayUnit),
+    };
     shapeParams.letterOrientation = toNumber(g("letter-orientation")?.value) || 0;
   } else if (shape === ShapeType.COUNTERBORE_BOLT) {
     shapeParams.headDiameter = toMm(toNumber(g("counterbore-head-diameter")?.value), displayUnit);
     shapeParams.counterboreDepth = toMm(toNumber(g("counterbore-depth")?.value), displayUnit);
     shapeParams.boltDiameter = toMm(toNumber(g("counterbore-bolt-diameter")?.value), displayUnit);
+    shapeParams.boltTool = getDisplayMode() === "simple"
+      ? null
+      : getToolById(/** @type {HTMLSelectElement} */ (g("counterbore-bolt-tool"))?.value);
     const totalD = toMm(toNumber(g("total-depth").value), displayUnit);
     shapeParams.boltHoleDepth = Number.isFinite(totalD) && Number.isFinite(shapeParams.counterboreDepth)
       ? Math.max(0, totalD - shapeParams.counterboreDepth)
@@ -931,9 +3372,44 @@ function readInputsFromForm() {
     shapeParams.spacingY = toMm(toNumber(g("patterned-holes-spacing-y")?.value), displayUnit);
     shapeParams.countX = Math.max(1, Math.floor(toNumber(g("patterned-holes-count-x")?.value) || 1));
     shapeParams.countY = Math.max(1, Math.floor(toNumber(g("patterned-holes-count-y")?.value) || 1));
+    shapeParams.layout = (/** @type {HTMLSelectElement} */ (g("patterned-holes-layout")))?.value === "polar" ? "polar" : "grid";
+    shapeParams.pitchDiameter = toMm(toNumber(g("patterned-holes-pitch-diameter")?.value), displayUnit);
+    shapeParams.count = Math.floor(toNumber(g("patterned-holes-count")?.value));
+    shapeParams.startAngle = toNumber(g("patterned-holes-start-angle")?.value) || 0;
+    // Leeg veld = volledige cirkel; 0 blijft 0 zodat de validatie het afkeurt
+    const arcSpan = toNumber(g("patterned-holes-arc-span")?.value);
+    shapeParams.arcSpan = Number.isFinite(arcSpan) ? arcSpan : 360;
+  } else if (shape === ShapeType.THREAD_MILL) {
+    shapeParams.diameter = toMm(toNumber(g("thread-diameter")?.value), displayUnit);
+    shapeParams.pitch = toMm(toNumber(g("thread-pitch")?.value), displayUnit);
+    shapeParams.length = toMm(toNumber(g("thread-length")?.value), displayUnit);
+    shapeParams.threadType = (/** @type {HTMLSelectElement} */ (g("thread-type")))?.value === "external" ? "external" : "internal";
+    shapeParams.hand = (/** @type {HTMLSelectElement} */ (g("thread-hand")))?.value === "left" ? "left" : "right";
+    shapeParams.cutterType = (/** @type {HTMLSelectElement} */ (g("thread-cutter")))?.value === "multi" ? "multi" : "single";
+    shapeParams.cutterLength = toMm(toNumber(g("thread-cutter-length")?.value), displayUnit);
   } else if (shape === ShapeType.DXF) {
     shapeParams.type = "dxf";
     shapeParams.dxfOrientation = toNumber(g("dxf-orientation")?.value) || 0;
+    const joinToleranceValue = toNumber(g("dxf-join-tolerance")?.value);
+    shapeParams.dxfJoinTolerance = Number.isFinite(joinToleranceValue) ? toMm(joinToleranceValue, displayUnit) : DXF_JOIN_TOLERANCE_MM;
+    /** @type {DxfLayerSetting[]} */
+    shapeParams.dxfLayers = Array.from(document.querySelectorAll("#dxf-layer-list .dxf-layer-item")).map((item) => {
+      const depthValue = /** @type {HTMLInputElement | null} */ (item.querySelector(".dxf-layer-depth"))?.value.trim() ?? "";
+      return {
+        name: item.getAttribute("data-layer") ?? "",
+        operation: /** @type {HTMLSelectElement | null} */ (item.querySelector(".dxf-layer-operation"))?.value ?? "",
+        depth: depthValue === "" ? null : toMm(toNumber(depthValue), displayUnit),
+      };
+    });
+  }
+  if ((shape === ShapeType.SQUARE || shape === ShapeType.RECTANGLE) && operation !== OperationType.FACING) {
+    const perCorner = /** @type {HTMLInputElement} */ (g("corner-radius-per-corner"))?.checked ?? false;
+    const uniform = toMm(toNumber(g("corner-radius")?.value) || 0, displayUnit);
+    shapeParams.cornerRadii = perCorner
+      ? ["corner-radius-bl", "corner-radius-br", "corner-radius-tr", "corner-radius-tl"].map((id) =>
+          toMm(toNumber(g(id)?.value) || 0, displayUnit)
+        )
+      : [uniform, uniform, uniform, uniform];
   }
 
   const letterMode = shape === ShapeType.LETTERS
@@ -950,6 +3426,26 @@ function readInputsFromForm() {
   if (shape === ShapeType.COUNTERBORE_BOLT && !multipleDepths) {
     stepdown = totalDepth;
   }
+  // Draadfrezen: diepte is de draadlengte, in één helix (geen lagen)
+  if (shape === ShapeType.THREAD_MILL) {
+    totalDepth = shapeParams.length;
+    stepdown = totalDepth;
+  }
+  // V-carve: de diepte volgt de breedte van de vorm, tot de max. diepte (in één doorgang)
+  const isVCarve = (shape === ShapeType.LETTERS && letterMode === "vcarve") || (shape === ShapeType.DXF && operation === OperationType.VCARVE);
+  const vcarve = isVCarve
+    ? {
+        angle: toNumber(g("vcarve-angle")?.value),
+        maxDepth: toMm(toNumber(g("vcarve-max-depth")?.value), displayUnit),
+        clearTool: getDisplayMode() === "simple"
+          ? null
+          : getToolById(/** @type {HTMLSelectElement} */ (g("vcarve-clear-tool"))?.value),
+      }
+    : null;
+  if (vcarve) {
+    totalDepth = vcarve.maxDepth;
+    stepdown = totalDepth;
+  }
   const isSimpleMode = getDisplayMode() === "simple";
 
   let stepoverMm;
@@ -976,20 +3472,73 @@ function readInputsFromForm() {
     }
     stepoverMm = Math.min(stepoverMm, Number.isFinite(toolDiameter) ? toolDiameter : stepoverMm);
   }
+  // Adaptief ruimen: max. aangrijping in % van de freesdiameter, opgeslagen in mm
+  const pocketStrategyValue = /** @type {HTMLSelectElement} */ (g("pocket-strategy"))?.value;
+  const pocketStrategy = !isSimpleMode && (pocketStrategyValue === "adaptive" || pocketStrategyValue === "raster") ? pocketStrategyValue : "spiral";
+  const pocketRasterAngle = toNumber(g("pocket-raster-angle")?.value);
+  const pocketEngagementPercent = toNumber(g("pocket-engagement")?.value);
+  const pocketEngagement = Number.isFinite(toolDiameter) ? (pocketEngagementPercent / 100) * toolDiameter : NaN;
 
   const spindleSpeedEnabled = isSimpleMode ? false : (/** @type {HTMLInputElement} */ (g("spindle-speed-enabled"))?.checked ?? false);
   const spindleSpeed = spindleSpeedEnabled ? toNumber(g("spindle-speed")?.value) : null;
+  const arcOutput = isSimpleMode ? false : (/** @type {HTMLInputElement} */ (g("arc-output-enabled"))?.checked ?? false);
+  const arcFormat = (/** @type {HTMLSelectElement} */ (g("arc-format")))?.value === "r" ? "r" : "ij";
+
+  const feedrate = toMm(toNumber(g("feedrate").value), displayUnit);
+  const plungeFeedrate = isSimpleMode
+    ? Math.min(feedrate, DEFAULT_PLUNGE_FEEDRATE_MM_MIN)
+    : toMm(toNumber(g("plunge-feedrate")?.value), displayUnit);
+  const finishingEnabled = isSimpleMode ? false : (/** @type {HTMLInputElement} */ (g("finish-enabled"))?.checked ?? false);
+  const chamferEnabled = isSimpleMode ? false : (/** @type {HTMLInputElement} */ (g("chamfer-enabled"))?.checked ?? false);
 
   const cutParams = {
     toolDiameter,
     totalDepth,
     stepdown,
     stepover: stepoverMm,
-    feedrate: toMm(toNumber(g("feedrate").value), displayUnit),
+    pocketStrategy,
+    pocketEngagement,
+    raster:
+      pocketStrategy === "raster"
+        ? {
+            mode: /** @type {HTMLSelectElement} */ (g("pocket-raster-mode"))?.value === "oneway" ? "oneway" : "zigzag",
+            angle: Number.isFinite(pocketRasterAngle) ? pocketRasterAngle : 0,
+            cleanup: /** @type {HTMLInputElement} */ (g("pocket-raster-cleanup"))?.checked ?? true,
+          }
+        : null,
+    feedrate,
+    plungeFeedrate,
+    descentAtFeed: isSimpleMode ? false : (/** @type {HTMLInputElement} */ (g("descent-at-feed"))?.checked ?? false),
+    millingDirection: !isSimpleMode && /** @type {HTMLSelectElement} */ (g("milling-direction"))?.value === "conventional" ? "conventional" : "climb",
+    finishing: finishingEnabled
+      ? {
+          enabled: true,
+          radialAllowance: toMm(toNumber(g("finish-allowance")?.value) || 0, displayUnit),
+          floorAllowance: toMm(toNumber(g("finish-floor-allowance")?.value) || 0, displayUnit),
+          stepdown: toMm(toNumber(g("finish-stepdown")?.value) || 0, displayUnit),
+          feedrate: toMm(toNumber(g("finish-feedrate")?.value), displayUnit),
+          direction: /** @type {HTMLSelectElement} */ (g("finish-direction"))?.value === "conventional" ? "conventional" : "climb",
+        }
+      : null,
+    chamfer: chamferEnabled
+      ? {
+          enabled: true,
+          tool: getToolById(/** @type {HTMLSelectElement} */ (g("chamfer-tool"))?.value),
+          angle: toNumber(g("chamfer-angle")?.value),
+          tipDiameter: toMm(toNumber(g("chamfer-tip-diameter")?.value) || 0, displayUnit),
+          width: toMm(toNumber(g("chamfer-width")?.value), displayUnit),
+          feedrate: toMm(toNumber(g("chamfer-feedrate")?.value), displayUnit),
+        }
+      : null,
     safeHeight: isSimpleMode ? DEFAULT_SAFE_Z : toMm(toNumber(g("safe-height").value) || DEFAULT_SAFE_Z, displayUnit),
     leadInAboveMm: isSimpleMode ? 2 : toMm(toNumber(g("lead-in-above").value), displayUnit),
     spindleSpeedEnabled,
     spindleSpeed: Number.isFinite(spindleSpeed) && spindleSpeed > 0 ? spindleSpeed : null,
+    arcOutput,
+    arcFormat,
+    tool: isSimpleMode ? null : getToolById(/** @type {HTMLSelectElement} */ (g("tool-select"))?.value),
+    toolChangeMode: isSimpleMode ? "auto" : (/** @type {HTMLSelectElement} */ (g("tool-change-mode"))?.value ?? "auto"),
+    toolChangeProbe: isSimpleMode ? false : (/** @type {HTMLInputElement} */ (g("tool-change-probe"))?.checked ?? false),
   };
 
   const originParams = {
@@ -1006,6 +3555,24 @@ function readInputsFromForm() {
 
   const facingModeRaw = (/** @type {HTMLSelectElement} */ (g("facing-mode")))?.value?.trim?.() ?? "";
   const facingMode = facingModeRaw === "within" ? "within" : "full";
+  const facingAngle = toNumber(g("facing-angle")?.value);
+  const facingRaster = {
+    mode: !isSimpleMode && /** @type {HTMLSelectElement} */ (g("facing-pattern"))?.value === "oneway" ? "oneway" : "zigzag",
+    angle: !isSimpleMode && Number.isFinite(facingAngle) ? facingAngle : 0,
+  };
+
+  // Boren i.p.v. frezen: bij gatenpatroon, het boutgat van de verzinking en DXF-lagen met "boren"
+  const holeMethod = isSimpleMode ? "mill" : (/** @type {HTMLSelectElement} */ (g("hole-method")))?.value;
+  const drillCycle = isSimpleMode ? "G81" : (/** @type {HTMLSelectElement} */ (g("drill-cycle")))?.value;
+  const drillsDxfLayers = shape === ShapeType.DXF && shapeParams.dxfLayers.some((layer) => layer.operation === OperationType.DRILL);
+  /** @type {DrillCycle | null} */
+  const drilling = ((shape === ShapeType.PATTERNED_HOLES || shape === ShapeType.COUNTERBORE_BOLT) && holeMethod === "drill") || drillsDxfLayers
+    ? {
+        cycle: drillCycle === "G82" || drillCycle === "G83" ? drillCycle : "G81",
+        peckDepth: toMm(toNumber(g("peck-depth")?.value), displayUnit),
+        dwell: toNumber(g("drill-dwell")?.value),
+      }
+    : null;
 
   const contourType = /** @type {HTMLSelectElement} */ (
     g("contour-type")
@@ -1043,8 +3610,13 @@ function readInputsFromForm() {
     operation,
     shapeParams,
     letterMode,
-    contourType: contourType === "inside" ? "inside" : "outside",
+    contourType: shape === ShapeType.THREAD_MILL
+      ? (shapeParams.threadType === "external" ? "outside" : "inside")
+      : (contourType === "inside" ? "inside" : "outside"),
     facingMode,
+    facingRaster,
+    drilling,
+    vcarve,
     cutParams: {
       ...cutParams,
       entryMethod: entryMethod || EntryMethod.PLUNGE,
@@ -1078,12 +3650,13 @@ function validateInputs(raw) {
   if (!isLettersOutline) {
     assertPositive(cp.toolDiameter, "field.toolDiameter");
   }
-  assertPositive(cp.totalDepth, "field.totalDepth");
+  assertPositive(cp.totalDepth, raw.vcarve ? "field.vcarveMaxDepth" : "field.totalDepth");
   assertPositive(cp.stepdown, "field.stepdown");
   if (!isLettersOutline) {
     assertPositive(cp.stepover, "field.stepover");
   }
   assertPositive(cp.feedrate, "field.feedrate");
+  assertPositive(cp.plungeFeedrate, "field.plungeFeedrate");
   assertPositive(cp.safeHeight, "field.safeHeight");
   if (Number.isFinite(cp.leadInAboveMm) && cp.leadInAboveMm < 0) {
     errors.push(t("error.leadInNegative"));
@@ -1101,6 +3674,13 @@ function validateInputs(raw) {
     errors.push(t("error.stepoverTooBig"));
   }
 
+  if (cp.pocketStrategy === "adaptive") {
+    assertPositive(cp.pocketEngagement, "field.pocketEngagement");
+    if (cp.pocketEngagement > cp.toolDiameter / 2 + 1e-9) {
+      errors.push(t("error.pocketEngagementTooBig"));
+    }
+  }
+
   if (raw.cutParams.entryMethod === EntryMethod.RAMP) {
     assertPositive(raw.cutParams.rampAngleMax, "field.rampAngle");
   }
@@ -1111,6 +3691,23 @@ function validateInputs(raw) {
     assertPositive(raw.tabs.height, "field.tabHeight");
   }
 
+  if (Array.isArray(sp.cornerRadii)) {
+    const w = raw.shape === ShapeType.SQUARE ? sp.size : sp.width;
+    const h = raw.shape === ShapeType.SQUARE ? sp.size : sp.height;
+    const toolRadius = Number.isFinite(cp.toolDiameter) ? cp.toolDiameter / 2 : 0;
+    const cutsInside = raw.operation === OperationType.POCKET || (raw.operation === OperationType.CONTOUR && raw.contourType === "inside");
+    if (sp.cornerRadii.some((r) => !Number.isFinite(r) || r < 0)) {
+      errors.push(t("error.cornerRadiusNegative"));
+    } else if (Number.isFinite(w) && Number.isFinite(h) && sp.cornerRadii.some((r) => r > Math.min(w, h) / 2 + 1e-9)) {
+      errors.push(t("error.cornerRadiusTooBig"));
+    } else if (cutsInside && sp.cornerRadii.some((r) => r > 1e-9 && r < toolRadius - 1e-9)) {
+      // Binnenhoeken kunnen niet kleiner worden dan de freesstraal
+      const unit = getDisplayUnit();
+      const minR = unit === "inch" ? fromMm(toolRadius, "inch").toFixed(3) : toolRadius.toFixed(2);
+      errors.push(t("error.cornerRadiusBelowTool", { min: `${minR} ${unit === "inch" ? "in" : "mm"}` }));
+    }
+  }
+
   switch (raw.shape) {
     case ShapeType.CIRCLE:
       assertPositive(sp.diameter, "field.diameter");
@@ -1130,12 +3727,44 @@ function validateInputs(raw) {
     case ShapeType.HEXAGON:
       assertPositive(sp.height, "field.hexagonHeight");
       break;
-    case ShapeType.LETTERS:
-      if (!sp.text || String(sp.text).trim() === "") {
+    case ShapeType.LETTERS: {
+      const isBatch = sp.batch && sp.batch.mode !== "none";
+      // Reeks labels: de teksten komen uit het sjabloon en/of de CSV (tekstveld mag leeg zijn bij alleen CSV)
+      const texts = isBatch ? (sp.batchLabels || []) : [sp.text];
+      const batchCount = isBatch ? (sp.batchLabelCount ?? texts.length) : 1;
+      if (isBatch && texts.length === 0) {
+        errors.push(t("error.letterBatchEmpty"));
+      } else if (isBatch && batchCount > MAX_LETTER_BATCH_LABELS) {
+        errors.push(t("error.letterBatchTooLarge", { count: batchCount, max: MAX_LETTER_BATCH_LABELS }));
+      } else if (!isBatch && (!sp.text || String(sp.text).trim() === "")) {
         errors.push(t("error.enterText"));
       }
+      if (sp.batch && sp.batch.mode === "grid") {
+        assertPositive(sp.batch.spacingX, "field.letterBatchSpacingX");
+        assertPositive(sp.batch.spacingY, "field.letterBatchSpacingY");
+      }
       assertPositive(sp.fontSize, "field.letterSize");
+      assertPositive(sp.lineHeight, "field.letterLineHeight");
+      if (sp.textLayout === "arc") {
+        assertPositive(sp.arcRadius, "field.letterArcRadius");
+        // Buitenkant: elke volgende regel ligt een regelafstand dichter bij het middelpunt
+        const lineCount = Math.max(1, ...texts.map((text) => String(text || "").trim().split(/\r?\n/).filter((l) => l.length > 0).length));
+        if (sp.arcSide !== "inside" && sp.arcRadius > 0 && sp.lineHeight > 0 && sp.fontSize > 0 &&
+            sp.arcRadius - (lineCount - 1) * sp.lineHeight * sp.fontSize <= 0) {
+          errors.push(t("error.letterArcRadiusTooSmall"));
+        }
+      } else if (sp.textLayout === "path" && (!sp.textPath || sp.textPath.length < 2)) {
+        errors.push(t("error.letterPathMissing"));
+      }
+      if (SINGLE_LINE_FONT_KEYS[sp.fontId] && raw.letterMode !== "outline") {
+        errors.push(t("error.singleLineFontOutlineOnly"));
+      }
+      if (SINGLE_LINE_FONT_KEYS[sp.fontId]) {
+        const unsupported = [...new Set(texts.flatMap((text) => findUnsupportedSingleLineChars(text)))];
+        if (unsupported.length > 0) errors.push(t("error.singleLineFontUnsupportedChars", { chars: unsupported.join(" ") }));
+      }
       break;
+    }
     case ShapeType.COUNTERBORE_BOLT: {
       assertPositive(sp.headDiameter, "field.counterboreHeadDiameter");
       assertPositive(sp.counterboreDepth, "field.counterboreDepth");
@@ -1153,6 +3782,23 @@ function validateInputs(raw) {
     }
     case ShapeType.PATTERNED_HOLES: {
       assertPositive(sp.diameter, "field.patternedHolesDiameter");
+      if (sp.layout === "polar") {
+        assertPositive(sp.pitchDiameter, "field.patternedHolesPitchDiameter");
+        if (!Number.isFinite(sp.count) || sp.count < 1) {
+          errors.push(t("error.positive", { label: t("field.patternedHolesCount") }));
+        }
+        if (!Number.isFinite(sp.arcSpan) || sp.arcSpan <= 0 || sp.arcSpan > 360) {
+          errors.push(t("error.patternedHolesArcSpan"));
+        } else if (sp.count > 1 && sp.pitchDiameter > 0 && sp.diameter > 0) {
+          // Koorde tussen buren op de steekcirkel; bij een deel van de cirkel ook tussen het laatste en eerste gat
+          const fullCircle = sp.arcSpan >= 360 - 1e-9;
+          const chord = (deg) => sp.pitchDiameter * Math.sin(degToRad(deg) / 2);
+          let spacing = chord(fullCircle ? 360 / sp.count : sp.arcSpan / (sp.count - 1));
+          if (!fullCircle && sp.count > 2) spacing = Math.min(spacing, chord(360 - sp.arcSpan));
+          if (spacing + 1e-6 < sp.diameter) errors.push(t("error.patternedHolesOverlap"));
+        }
+        break;
+      }
       assertPositive(sp.spacingX, "field.patternedHolesSpacingX");
       assertPositive(sp.spacingY, "field.patternedHolesSpacingY");
       if (!Number.isFinite(sp.countX) || sp.countX < 1) {
@@ -1161,13 +3807,40 @@ function validateInputs(raw) {
       if (!Number.isFinite(sp.countY) || sp.countY < 1) {
         errors.push(t("error.positive", { label: t("field.patternedHolesCountY") }));
       }
+      if (sp.diameter > 0 && ((sp.countX > 1 && sp.spacingX + 1e-6 < sp.diameter) || (sp.countY > 1 && sp.spacingY + 1e-6 < sp.diameter))) {
+        errors.push(t("error.patternedHolesOverlap"));
+      }
       break;
     }
-    case ShapeType.DXF:
+    case ShapeType.THREAD_MILL:
+      assertPositive(sp.diameter, "field.threadDiameter");
+      assertPositive(sp.pitch, "field.threadPitch");
+      assertPositive(sp.length, "field.threadLength");
+      if (sp.cutterType === "multi") {
+        assertPositive(sp.cutterLength, "field.threadCutterLength");
+      }
+      break;
+    case ShapeType.DXF: {
+      // Met Z-nulpunt op de onderkant is de totale diepte de materiaaldikte; dieper zou onder Z=0 frezen
+      const stockBottom = raw.originParams?.zOrigin === ZOrigin.STOCK_BOTTOM && Number.isFinite(cp.totalDepth);
+      (sp.dxfLayers ?? []).forEach((layer) => {
+        if (layer.depth != null && !(layer.depth > 0)) errors.push(t("error.dxfLayerDepth", { layer: layer.name }));
+        else if (layer.depth != null && stockBottom && layer.depth > cp.totalDepth + 1e-9) {
+          errors.push(t("error.dxfLayerDepthBelowStock", { layer: layer.name }));
+        }
+      });
+      if (sp.dxfJoinTolerance != null && !(sp.dxfJoinTolerance >= 0)) {
+        errors.push(t("error.dxfJoinToleranceNegative"));
+      }
       if (!raw.dxfContours || !Array.isArray(raw.dxfContours) || raw.dxfContours.length === 0) {
         errors.push(t("error.dxfNoContours"));
+      } else {
+        (raw.dxfLayerGroups ?? []).forEach((group) => {
+          if (group.contours.length === 0) errors.push(t("error.dxfLayerNoContours", { layers: group.layers.join(", ") }));
+        });
       }
       break;
+    }
     default:
       errors.push(t("error.unknownShape"));
   }
@@ -1184,6 +3857,8 @@ function validateInputs(raw) {
     raw.shape !== ShapeType.LETTERS &&
     raw.shape !== ShapeType.COUNTERBORE_BOLT &&
     raw.shape !== ShapeType.DXF &&
+    raw.shape !== ShapeType.THREAD_MILL &&
+    !raw.drilling &&
     isPocketOrInsideContour &&
     Number.isFinite(toolD) &&
     toolD > 0
@@ -1201,11 +3876,26 @@ function validateInputs(raw) {
     if (Number.isFinite(sp.headDiameter) && sp.headDiameter + eps < toolD) {
       errors.push(t("error.pocketSmallerThanTool"));
     }
-    if (Number.isFinite(sp.boltDiameter) && sp.boltDiameter + eps < toolD) {
+    const boltToolD = sp.boltTool ? sp.boltTool.diameter : toolD;
+    // Een boor maakt het gat op zijn eigen maat; alleen bij frezen moet de frees erin passen
+    if (!raw.drilling && Number.isFinite(sp.boltDiameter) && sp.boltDiameter + eps < boltToolD) {
       errors.push(t("error.pocketSmallerThanTool"));
     }
   }
 
+  if (raw.shape === ShapeType.THREAD_MILL) {
+    // Binnendraad: de frees moet in het voorgeboorde gat (kerndiameter) passen
+    const coreDiameter = sp.diameter - THREAD_INTERNAL_DEPTH_FACTOR * sp.pitch;
+    if (sp.threadType === "internal" && Number.isFinite(toolD) && toolD >= coreDiameter - 1e-6) {
+      const unit = getDisplayUnit();
+      const max = unit === "inch" ? fromMm(coreDiameter, "inch").toFixed(3) : coreDiameter.toFixed(2);
+      errors.push(t("error.threadToolTooBig", { max: `${max} ${unit === "inch" ? "in" : "mm"}` }));
+    }
+    if (sp.cutterType === "multi" && sp.cutterLength < sp.pitch) {
+      errors.push(t("error.threadCutterTooShort"));
+    }
+  }
+
   if ((raw.operation === OperationType.FACING || raw.shape === ShapeType.FACING) &&
       Number.isFinite(toolD) &&
       toolD > 0) {
@@ -1219,6 +3909,90 @@ function validateInputs(raw) {
     }
   }
 
+  if (raw.drilling?.cycle === "G83") {
+    assertPositive(raw.drilling.peckDepth, "field.peckDepth");
+  } else if (raw.drilling?.cycle === "G82") {
+    assertPositive(raw.drilling.dwell, "field.drillDwell");
+  }
+  // Een boor maakt het gat op zijn eigen maat: groter dan het gat mag hij niet zijn
+  if (raw.drilling && Number.isFinite(toolD) && toolD > 0) {
+    const eps = 1e-6;
+    let holeTooSmall = false;
+    if (raw.shape === ShapeType.PATTERNED_HOLES) {
+      holeTooSmall = sp.diameter + eps < toolD;
+    } else if (raw.shape === ShapeType.COUNTERBORE_BOLT) {
+      holeTooSmall = sp.boltDiameter + eps < (sp.boltTool ? sp.boltTool.diameter : toolD);
+    } else if (raw.shape === ShapeType.DXF) {
+      // Punten hebben geen maat; bij een contour is de kleinste kant van de bounding box het gat
+      holeTooSmall = (raw.dxfLayerGroups ?? [])
+        .filter((group) => group.operation === OperationType.DRILL)
+        .some((group) => group.contours.some((path) => {
+          const b = computeBoundsFromPaths([path]);
+          const size = Math.min(b.maxX - b.minX, b.maxY - b.minY);
+          return size > eps && size + eps < toolD;
+        }));
+    }
+    if (holeTooSmall) errors.push(t("error.drillLargerThanHole"));
+  }
+
+  const fin = cp.finishing;
+  if (fin?.enabled && supportsFinishingPass(raw)) {
+    assertPositive(fin.feedrate, "field.finishFeedrate");
+    if (fin.radialAllowance < 0 || fin.floorAllowance < 0 || fin.stepdown < 0) {
+      errors.push(t("error.finishNegative"));
+    } else if (Number.isFinite(cp.totalDepth) && fin.floorAllowance >= cp.totalDepth) {
+      errors.push(t("error.finishFloorAllowanceTooBig"));
+    } else if (isPocketOrInsideContour && Number.isFinite(toolD)) {
+      const minSize = getShapeMinSize(raw.shape, sp);
+      if (Number.isFinite(minSize) && minSize <= toolD + 2 * fin.radialAllowance + 1e-6) {
+        errors.push(t("error.finishAllowanceTooBig"));
+      }
+    }
+  }
+
+  const chamfer = cp.chamfer;
+  if (chamfer?.enabled && supportsChamfer(raw)) {
+    assertPositive(chamfer.width, "field.chamferWidth");
+    assertPositive(chamfer.feedrate, "field.chamferFeedrate");
+    if (!Number.isFinite(chamfer.angle) || chamfer.angle <= 0 || chamfer.angle >= 180) {
+      errors.push(t("error.chamferAngle"));
+    } else if (chamfer.tipDiameter < 0) {
+      errors.push(t("error.chamferTipNegative"));
+    } else if (chamfer.width > 0) {
+      // De afschuining mag niet dieper gaan dan de wand die hij afschuint
+      const wallDepth = raw.shape === ShapeType.COUNTERBORE_BOLT ? sp.counterboreDepth : cp.totalDepth;
+      if (Number.isFinite(wallDepth) && getChamferDepth(chamfer) > wallDepth + 1e-6) {
+        errors.push(t("error.chamferTooDeep"));
+      }
+      // Met een frees uit de bibliotheek: de afschuining moet binnen de freesdiameter vallen
+      if (chamfer.tool && chamfer.tipDiameter + 2 * chamfer.width > chamfer.tool.diameter + 1e-6) {
+        const maxWidth = Math.max(0, (chamfer.tool.diameter - chamfer.tipDiameter) / 2);
+        const unit = getDisplayUnit();
+        const max = unit === "inch" ? fromMm(maxWidth, "inch").toFixed(3) : maxWidth.toFixed(2);
+        errors.push(t("error.chamferWidthTooBig", { max: `${max} ${unit === "inch" ? "in" : "mm"}` }));
+      }
+    }
+  }
+
+  const vcarve = raw.vcarve;
+  if (vcarve) {
+    if (!Number.isFinite(vcarve.angle) || vcarve.angle <= 0 || vcarve.angle >= 180) {
+      errors.push(t("error.vcarveAngle"));
+    } else if (Number.isFinite(cp.toolDiameter) && Number.isFinite(vcarve.maxDepth)) {
+      // Op max. diepte moet de V-frees nog binnen zijn eigen diameter snijden
+      const maxDepth = cp.toolDiameter / 2 / Math.tan(degToRad(vcarve.angle / 2));
+      if (vcarve.maxDepth > maxDepth + 1e-6) {
+        const unit = getDisplayUnit();
+        const max = unit === "inch" ? fromMm(maxDepth, "inch").toFixed(3) : maxDepth.toFixed(2);
+        errors.push(t("error.vcarveTooDeepForTool", { max: `${max} ${unit === "inch" ? "in" : "mm"}` }));
+      }
+    }
+    // Toolwissel tussen vlakfrees en V-frees kan alleen als beide uit de bibliotheek komen
+    if (vcarve.clearTool && !cp.tool) {
+      errors.push(t("error.vcarveClearToolNeedsTool"));
+    }
+  }
+
   if (errors.length > 0) {
     return { ok: false, errors };
   }
@@ -1242,6 +4016,96 @@ function computeDepthLevels(totalDepth, stepdown) {
   return depths;
 }
 
+/**
+ * Hoekradii van vierkant/rechthoek als [linksonder, rechtsonder, rechtsboven, linksboven] in mm,
+ * begrensd op de halve korte zijde. Zonder cornerRadii in de shapeParams: scherpe hoeken.
+ * @param {string} shape
+ * @param {*} shapeParams
+ * @returns {number[]}
+ */
+function getRectCornerRadii(shape, shapeParams) {
+  const w = shape === ShapeType.SQUARE ? shapeParams.size : shapeParams.width;
+  const h = shape === ShapeType.SQUARE ? shapeParams.size : shapeParams.height;
+  const maxR = Math.max(0, Math.min(w, h) / 2);
+  const radii = Array.isArray(shapeParams.cornerRadii) ? shapeParams.cornerRadii : [];
+  return [0, 1, 2, 3].map((i) => Math.min(maxR, Math.max(0, Number(radii[i]) || 0)));
+}
+
+/** @returns {boolean} true als een vierkant/rechthoek minstens één afgeronde hoek heeft */
+function hasRoundedCorners(shape, shapeParams) {
+  if (shape !== ShapeType.SQUARE && shape !== ShapeType.RECTANGLE) return false;
+  return getRectCornerRadii(shape, shapeParams).some((r) => r > 1e-9);
+}
+
+/**
+ * Gesloten rechthoek rond de oorsprong met afgeronde hoeken, tegen de klok in vanaf het midden
+ * van de rechterzijde (zodat lead-in en tabs op een rechte zijde beginnen). Straal 0 = scherpe hoek.
+ * @param {number} hw - halve breedte
+ * @param {number} hh - halve hoogte
+ * @param {number[]} radii - [linksonder, rechtsonder, rechtsboven, linksboven]
+ * @returns {{x:number,y:number,z:number}[]}
+ */
+function roundedRectanglePath(hw, hh, radii) {
+  const points = [{ x: hw, y: 0, z: 0 }];
+  const corners = [
+    { r: radii[2], sx: 1, sy: 1, a0: 0 },
+    { r: radii[3], sx: -1, sy: 1, a0: Math.PI / 2 },
+    { r: radii[0], sx: -1, sy: -1, a0: Math.PI },
+    { r: radii[1], sx: 1, sy: -1, a0: (3 * Math.PI) / 2 },
+  ];
+  corners.forEach(({ r, sx, sy, a0 }) => {
+    const rr = Math.min(Math.max(0, r || 0), hw, hh);
+    if (rr <= 1e-9) {
+      points.push({ x: sx * hw, y: sy * hh, z: 0 });
+      return;
+    }
+    const cx = sx * (hw - rr);
+    const cy = sy * (hh - rr);
+    const steps = Math.max(2, Math.ceil(segmentsForCircleRadius(rr) / 4));
+    for (let i = 0; i <= steps; i++) {
+      const t = a0 + (i / steps) * (Math.PI / 2);
+      points.push({ x: cx + rr * Math.cos(t), y: cy + rr * Math.sin(t), z: 0 });
+    }
+  });
+  points.push({ x: hw, y: 0, z: 0 });
+  return points;
+}
+
+/**
+ * Pocket voor een rechthoek met afgeronde hoeken: concentrische ringen (stepover uit elkaar), van binnen
+ * naar buiten, met een middenlijn zodat de kern ook wordt geruimd. Elke ring start op het midden van de
+ * rechterzijde, dus de overgang naar de volgende ring is een kort recht stuk naar buiten.
+ * @param {number} hw - halve breedte van het freesmiddelpunt-gebied
+ * @param {number} hh - halve hoogte van het freesmiddelpunt-gebied
+ * @param {number[]} radii - hoekradii van de buitenste ring
+ * @param {number} stepover
+ * @param {boolean} [clockwise] - ringen met de klok mee (conventioneel frezen)
+ * @returns {{x:number,y:number,z:number}[]}
+ */
+function generateRoundedRectanglePocket(hw, hh, radii, stepover, clockwise = false) {
+  const rings = [];
+  for (let k = 0; ; k++) {
+    const d = k * stepover;
+    const rw = hw - d;
+    const rh = hh - d;
+    if (rw <= 1e-9 || rh <= 1e-9) break;
+    rings.push({ rw, rh, path: roundedRectanglePath(rw, rh, radii.map((r) => Math.max(0, r - d))) });
+  }
+  if (rings.length === 0) return [];
+  const inner = rings[rings.length - 1];
+  const path = [];
+  if (inner.rw >= inner.rh) {
+    path.push({ x: -inner.rw, y: 0, z: 0 });
+  } else {
+    path.push({ x: 0, y: -inner.rh, z: 0 });
+    path.push({ x: 0, y: inner.rh, z: 0 });
+  }
+  for (let k = rings.length - 1; k >= 0; k--) {
+    path.push(...(clockwise ? rings[k].path.slice().reverse() : rings[k].path));
+  }
+  return path;
+}
+
 /**
  * Vertices van een platte hexagon (boven- en onderkant horizontaal), gecentreerd op oorsprong.
  * @param {number} height - afstand tussen de 2 horizontale lijnen (mm)
@@ -1285,6 +4149,10 @@ function generateBasePath(shape, shapeParams, operation) {
       const t = (i / SEGMENTS) * 2 * Math.PI;
       points.push({ x: rx * Math.cos(t), y: ry * Math.sin(t), z: 0 });
     }
+  } else if (hasRoundedCorners(shape, shapeParams)) {
+    const hw = (shape === ShapeType.SQUARE ? shapeParams.size : shapeParams.width) / 2;
+    const hh = (shape === ShapeType.SQUARE ? shapeParams.size : shapeParams.height) / 2;
+    return roundedRectanglePath(hw, hh, getRectCornerRadii(shape, shapeParams));
   } else if (shape === ShapeType.SQUARE) {
     const half = shapeParams.size / 2;
     points.push({ x: -half, y: -half, z: 0 });
@@ -1337,6 +4205,14 @@ function generateContourPathWithOffset(shape, shapeParams, toolRadius, contourIn
       const t = (i / SEGMENTS) * 2 * Math.PI;
       points.push({ x: rx * Math.cos(t), y: ry * Math.sin(t), z: 0 });
     }
+  } else if (hasRoundedCorners(shape, shapeParams)) {
+    // Afgeronde hoeken: freesmiddelpunt volgt de hoek op straal r ± freesstraal. Binnen kan de frees
+    // geen kleinere straal maken dan zijn eigen straal; die hoeken worden in het pad scherp.
+    const hw = (shape === ShapeType.SQUARE ? shapeParams.size : shapeParams.width) / 2 + offset;
+    const hh = (shape === ShapeType.SQUARE ? shapeParams.size : shapeParams.height) / 2 + offset;
+    if (hw <= 0 || hh <= 0) return [];
+    const radii = getRectCornerRadii(shape, shapeParams).map((r) => Math.max(0, r + offset));
+    return roundedRectanglePath(hw, hh, radii);
   } else if (shape === ShapeType.SQUARE) {
     const half = shapeParams.size / 2 + offset;
     if (half <= 0) return [];
@@ -1820,14 +4696,22 @@ function generateSpiralPocketEllipse(shapeParams, stepover, toolRadius) {
 /**
  * Spiraal-pocket voor vierkant/rechthoek: spiraal blijft exact dezelfde (buiten → binnen).
  * G-code start in het midden (rode pijl) en volgt hetzelfde pad in omgekeerde richting (naar buiten).
+ * clockwise geldt alleen voor afgeronde hoeken: daar verschillen de radii per hoek, dus spiegelen
+ * (zie orientPocketPath) kan niet en worden de ringen zelf omgedraaid.
+ * @param {boolean} [clockwise]
  */
-function generateSpiralPocketRectangle(shape, shapeParams, stepover, toolRadius) {
+function generateSpiralPocketRectangle(shape, shapeParams, stepover, toolRadius, clockwise = false) {
   const hw =
     (shape === ShapeType.SQUARE ? shapeParams.size : shapeParams.width) / 2 - toolRadius;
   const hh =
     (shape === ShapeType.SQUARE ? shapeParams.size : shapeParams.height) / 2 - toolRadius;
   if (hw <= 0 || hh <= 0) return [];
 
+  if (hasRoundedCorners(shape, shapeParams)) {
+    const radii = getRectCornerRadii(shape, shapeParams).map((r) => Math.max(0, r - toolRadius));
+    return generateRoundedRectanglePocket(hw, hh, radii, stepover, clockwise);
+  }
+
   const path = [];
   path.push({ x: 0, y: 0, z: 0 });
   path.push({ x: -hw, y: -hh, z: 0 });
@@ -1897,41 +4781,169 @@ function generateSpiralPocketHexagon(shapeParams, stepover, toolRadius) {
 }
 
 /**
- * Facing-paden: parallelle strips (rechthoekig gebied vlakfrezen).
+ * Facing-paden: rasterstroken over het rechthoekige vlak, met dezelfde stroken als raster-ruimen.
  * @param {string} shape - ShapeType.SQUARE of RECTANGLE
  * @param {{ size?: number, width?: number, height?: number }} shapeParams
  * @param {number} stepover
  * @param {number} toolRadius
  * @param {string} facingMode - "within" (tool binnen gebied) of "full" (helemaal bereiken)
+ * @param {{ mode: "zigzag"|"oneway", angle: number }} [raster] - standaard zigzag evenwijdig aan de X-as
+ * @param {"climb"|"conventional"|undefined} [direction]
  * @returns {{x:number,y:number,z:number}[][]}
  */
-function generateFacingPaths(shape, shapeParams, stepover, toolRadius, facingMode) {
+function generateFacingPaths(shape, shapeParams, stepover, toolRadius, facingMode, raster = { mode: "zigzag", angle: 0 }, direction = undefined) {
   const hw = (shape === ShapeType.SQUARE ? shapeParams.size : shapeParams.width) / 2;
   const hh = (shape === ShapeType.SQUARE ? shapeParams.size : shapeParams.height) / 2;
   const isWithin = String(facingMode).toLowerCase().trim() === "within";
   const hwEff = isWithin ? hw - toolRadius : hw;
   const hhEff = isWithin ? hh - toolRadius : hh;
   if (hwEff <= 0 || hhEff <= 0) return [];
+  const area = [
+    { x: -hwEff, y: -hhEff, z: 0 },
+    { x: hwEff, y: -hhEff, z: 0 },
+    { x: hwEff, y: hhEff, z: 0 },
+    { x: -hwEff, y: hhEff, z: 0 },
+  ];
+  return generateRasterStrips([area], stepover, raster, direction);
+}
+
+/**
+ * Rasterstroken onder een instelbare hoek, geknipt op een willekeurige rand (ook DXF-gebieden met eilanden,
+ * even-odd); gedeeld door raster-ruimen en facing.
+ * Zigzag verbindt elke strook met een overlappende strook op de volgende lijn zolang die verbinding binnen
+ * de rand blijft; anders begint een nieuwe baan. Eenrichting freest elke strook in dezelfde richting
+ * (meelopend of tegenlopend t.o.v. het nog staande materiaal), elk als eigen baan.
+ * @param {{x:number,y:number,z?:number}[][]} boundary - gesloten contouren voor het freesmiddelpunt
+ * @param {number} stepover
+ * @param {{ mode: "zigzag"|"oneway", angle: number }} raster - angle in graden t.o.v. de X-as
+ * @param {"climb"|"conventional"|undefined} direction
+ * @returns {{x:number,y:number,z:number}[][]} open banen
+ */
+function generateRasterStrips(boundary, stepover, raster, direction) {
+  const contours = boundary.map((path) => openPathPoints(path)).filter((pts) => pts.length >= 3);
+  if (!contours.length || !(stepover > 0)) return [];
+  const angle = degToRad(Number.isFinite(raster.angle) ? raster.angle : 0);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  // Lokaal assenstelsel: stroken evenwijdig aan de lokale X-as
+  const local = contours.map((pts) => pts.map((p) => ({ x: p.x * cos + p.y * sin, y: -p.x * sin + p.y * cos })));
+  const toWorld = (x, y) => ({ x: x * cos - y * sin, y: x * sin + y * cos, z: 0 });
+
+  let minY = Infinity;
+  let maxY = -Infinity;
+  local.forEach((pts) =>
+    pts.forEach((p) => {
+      if (p.y < minY) minY = p.y;
+      if (p.y > maxY) maxY = p.y;
+    })
+  );
+  // Eerste en laatste lijn net binnen de rand, zodat een vlakke rand nog snijpunten geeft
+  const inset = 1e-3;
+  const span = maxY - minY - 2 * inset;
+  const count = span > 0 ? Math.ceil(span / stepover) : 0;
+  const lines = [];
+  for (let k = 0; k <= count; k++) {
+    const y = count > 0 ? minY + inset + (span * k) / count : (minY + maxY) / 2;
+    const xs = [];
+    local.forEach((pts) => {
+      for (let i = 0; i < pts.length; i++) {
+        const a = pts[i];
+        const b = pts[(i + 1) % pts.length];
+        if (a.y <= y === b.y <= y) continue;
+        xs.push(a.x + ((y - a.y) * (b.x - a.x)) / (b.y - a.y));
+      }
+    });
+    xs.sort((a, b) => a - b);
+    const segments = [];
+    for (let i = 0; i + 1 < xs.length; i += 2) {
+      if (xs[i + 1] - xs[i] > 1e-6) segments.push({ x0: xs[i], x1: xs[i + 1], used: false });
+    }
+    lines.push({ y, segments });
+  }
 
+  // Het nog staande materiaal ligt aan de +Y-kant: tegenlopend frezen gaat dan in +X, meelopend in -X
+  const forward = direction !== "climb";
   /** @type {{x:number,y:number,z:number}[][]} */
-  const paths = [];
-  let y = -hhEff;
-  let reverse = false;
-  while (y <= hhEff + 1e-9) {
-    const strip = reverse
-      ? [
-          { x: hwEff, y, z: 0 },
-          { x: -hwEff, y, z: 0 },
-        ]
-      : [
-          { x: -hwEff, y, z: 0 },
-          { x: hwEff, y, z: 0 },
-        ];
-    paths.push(strip);
-    reverse = !reverse;
-    y += stepover;
+  const strips = [];
+  if (raster.mode === "oneway") {
+    lines.forEach(({ y, segments }) =>
+      segments.forEach(({ x0, x1 }) => {
+        const path = forward ? [toWorld(x0, y), toWorld(x1, y)] : [toWorld(x1, y), toWorld(x0, y)];
+        strips.push(path);
+      })
+    );
+  } else {
+    // Verbindingen mogen net op de rand liggen; een iets grotere rand vangt afrondingen op
+    const linkBoundary = regionOffsetViaClipper(boundary, -0.01).map((path) => openPathPoints(path));
+    const isLinkInside = (a, b) => {
+      const steps = Math.max(2, Math.ceil(distance2D(a, b) / (stepover / 4)));
+      for (let i = 1; i < steps; i++) {
+        const f = i / steps;
+        if (!isPointInContours({ x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f }, linkBoundary)) return false;
+      }
+      return true;
+    };
+    for (let k = 0; k < lines.length; k++) {
+      for (const first of lines[k].segments) {
+        if (first.used) continue;
+        const points = [];
+        let segment = first;
+        let line = k;
+        let reverse = !forward;
+        while (segment) {
+          segment.used = true;
+          const { y } = lines[line];
+          const entry = reverse ? segment.x1 : segment.x0;
+          const exit = reverse ? segment.x0 : segment.x1;
+          points.push({ x: entry, y }, { x: exit, y });
+          const next = lines[line + 1];
+          segment = null;
+          if (!next) break;
+          // Overlappende strook op de volgende lijn waarvan het begin het dichtst bij het einde van deze strook ligt
+          const lo = Math.min(entry, exit);
+          const hi = Math.max(entry, exit);
+          let best = null;
+          let bestDist = Infinity;
+          next.segments.forEach((candidate) => {
+            if (candidate.used || candidate.x1 < lo || candidate.x0 > hi) return;
+            const dist = Math.min(Math.abs(candidate.x0 - exit), Math.abs(candidate.x1 - exit));
+            if (dist < bestDist) {
+              bestDist = dist;
+              best = candidate;
+            }
+          });
+          if (!best) break;
+          const nextReverse = Math.abs(best.x1 - exit) < Math.abs(best.x0 - exit);
+          const nextEntry = nextReverse ? best.x1 : best.x0;
+          if (!isLinkInside(toWorld(exit, y), toWorld(nextEntry, next.y))) break;
+          segment = best;
+          line += 1;
+          reverse = nextReverse;
+        }
+        strips.push(points.map((p) => toWorld(p.x, p.y)));
+      }
+    }
   }
-  return paths;
+  return strips;
+}
+
+/**
+ * Pocket ruimen met rasterbanen (generateRasterStrips). Eenrichting steekt per strook opnieuw in.
+ * Optioneel volgt de frees daarna de rand en de eilanden, zodat de uitlopers van de stroken weg zijn.
+ * @param {{x:number,y:number,z?:number}[][]} boundary - gesloten contouren voor het freesmiddelpunt
+ * @param {number} stepover
+ * @param {{ mode: "zigzag"|"oneway", angle: number, cleanup: boolean }} raster - angle in graden t.o.v. de X-as
+ * @param {"climb"|"conventional"|undefined} direction
+ * @returns {PocketClearingPass[]}
+ */
+function generateRasterPocketPaths(boundary, stepover, raster, direction) {
+  /** @type {PocketClearingPass[]} */
+  const passes = generateRasterStrips(boundary, stepover, raster, direction).map((path) => ({ kind: "strip", path }));
+  if (raster.cleanup) {
+    const contours = boundary.map((path) => openPathPoints(path)).filter((pts) => pts.length >= 3);
+    passes.push(...regionContourPasses(contours, direction));
+  }
+  return passes;
 }
 
 /**
@@ -2164,10 +5176,43 @@ function applyOriginTransformToPoints(points, shiftX, shiftY, zOffset, zOriginMo
   });
 }
 
+/**
+ * Middelpunten van de gaten bij patterned holes: een raster vanaf (0,0), of gelijk verdeeld over
+ * een steekcirkel rond (0,0). Bij een deel van de cirkel (arcSpan < 360°) liggen het eerste en
+ * laatste gat op de uiteinden van de boog.
+ * @param {*} shapeParams
+ * @returns {{x:number,y:number}[]}
+ */
+function getPatternedHoleCenters(shapeParams) {
+  const centers = [];
+  if (shapeParams.layout === "polar") {
+    const count = Math.max(1, shapeParams.count || 1);
+    const r = (shapeParams.pitchDiameter || 0) / 2;
+    const span = Math.min(360, Math.max(0, shapeParams.arcSpan || 360));
+    const fullCircle = span >= 360 - 1e-9;
+    const stepDeg = fullCircle ? 360 / count : (count > 1 ? span / (count - 1) : 0);
+    for (let k = 0; k < count; k++) {
+      const a = degToRad((shapeParams.startAngle || 0) + k * stepDeg);
+      centers.push({ x: r * Math.cos(a), y: r * Math.sin(a) });
+    }
+    return centers;
+  }
+  const countX = Math.max(1, shapeParams.countX || 1);
+  const countY = Math.max(1, shapeParams.countY || 1);
+  const spacingX = shapeParams.spacingX || 96;
+  const spacingY = shapeParams.spacingY || 96;
+  for (let j = 0; j < countY; j++) {
+    for (let i = 0; i < countX; i++) {
+      centers.push({ x: i * spacingX, y: j * spacingY });
+    }
+  }
+  return centers;
+}
+
 /**
  * Bepaalt de 2D-contouren van het gefreesde resultaat (vóór origin-transform).
  * @param {*} params - dezelfde params als generateToolpath
- * @returns {{ paths: {x:number,y:number,z:number}[][], totalDepth: number, bottomZ: number } | null}
+ * @returns {{ paths: {x:number,y:number,z:number}[][], islands?: {x:number,y:number,z:number}[][], totalDepth: number, bottomZ: number } | null}
  */
 function getResultShapePathsRaw(params) {
   const { shape, operation, shapeParams, cutParams, originParams, contourType } = params;
@@ -2177,44 +5222,18 @@ function getResultShapePathsRaw(params) {
 
   /** @type {{x:number,y:number,z:number}[][]} */
   const paths = [];
+  /** Bij een pocket van DXF of letters: de eilanden die blijven staan */
+  let islands = [];
 
   if (shape === ShapeType.LETTERS) {
     const font = params.letterFont;
     if (!font) return null;
     const letterMode = params.letterMode || "outline";
-    let letterPaths = getLetterPathsFromFont(
-      shapeParams.text,
-      shapeParams.fontSize,
-      originParams.xyOrigin,
-      font
-    );
-    const orientationDeg = Number(shapeParams.letterOrientation) || 0;
-    if (orientationDeg !== 0) {
-      letterPaths = rotatePathsAroundOrigin(letterPaths, orientationDeg);
-    }
+    const letterPaths = getLetterLayoutPaths(shapeParams, originParams.xyOrigin, font);
     if (letterMode === "pocket") {
-      const getPts = (path) => {
-        if (!path.length) return path;
-        const last = path[path.length - 1];
-        const first = path[0];
-        if (Math.abs(last.x - first.x) < 1e-9 && Math.abs(last.y - first.y) < 1e-9) return path.slice(0, path.length - 1);
-        return path;
-      };
-      const contourIsHole = (path) => polygonSignedArea2(getPts(path)) < 0;
-      const minSize = 1.2 * cutParams.toolDiameter;
-      for (let i = 0; i < letterPaths.length; i++) {
-        const path = letterPaths[i];
-        const pts = getPts(path);
-        if (pts.length < 3 || contourMinSize(pts) < minSize) continue;
-        const isHole = contourIsHole(path);
-        const offset = isHole ? -toolRadius : toolRadius;
-        const debug = {};
-        let inner = contourOffset(path, offset, debug);
-        if (!inner && Math.abs(offset) > 1e-6) inner = contourOffset(path, offset * 0.98, debug);
-        if (inner && inner.length >= 3) {
-          paths.push(path.map((p) => ({ x: p.x, y: p.y, z: 0 })));
-        }
-      }
+      const regions = buildPocketRegions(letterPaths, toolRadius, 1.2 * cutParams.toolDiameter);
+      paths.push(...regions.contours);
+      islands = regions.islands;
     } else {
       letterPaths.forEach((path) => {
         if (path.length >= 2) {
@@ -2223,102 +5242,962 @@ function getResultShapePathsRaw(params) {
       });
     }
     if (paths.length === 0) return null;
-    return { paths, totalDepth, bottomZ };
+    return { paths, islands, totalDepth, bottomZ };
   }
 
   if (shape === ShapeType.DXF) {
     const dxfContours = params.dxfContours;
     if (!dxfContours || dxfContours.length === 0) return null;
+    // Graveren en boren: de toolpath zelf laat zien wat er gefreesd wordt
+    if (operation === OperationType.ENGRAVE || operation === OperationType.DRILL) return null;
     if (operation === OperationType.POCKET) {
-      const getPts = (path) => {
-        if (!path.length) return path;
-        const last = path[path.length - 1];
-        const first = path[0];
-        if (Math.abs(last.x - first.x) < 1e-9 && Math.abs(last.y - first.y) < 1e-9) return path.slice(0, path.length - 1);
-        return path;
-      };
-      const contourIsHole = (path) => polygonSignedArea2(getPts(path)) < 0;
-      const minSize = 1.2 * cutParams.toolDiameter;
-      for (let i = 0; i < dxfContours.length; i++) {
-        const path = dxfContours[i];
-        const pts = getPts(path);
-        if (pts.length < 3 || contourMinSize(pts) < minSize) continue;
-        const isHole = contourIsHole(path);
-        const offset = isHole ? -toolRadius : toolRadius;
-        const debug = {};
-        let inner = contourOffset(path, offset, debug);
-        if (!inner && Math.abs(offset) > 1e-6) inner = contourOffset(path, offset * 0.98, debug);
-        if (inner && inner.length >= 3) {
+      const regions = buildPocketRegions(dxfContours, toolRadius, 1.2 * cutParams.toolDiameter);
+      paths.push(...regions.contours);
+      islands = regions.islands;
+    } else {
+      dxfContours.forEach((path) => {
+        if (path.length >= 2) {
           paths.push(path.map((p) => ({ x: p.x, y: p.y, z: 0 })));
         }
+      });
+    }
+    if (paths.length === 0) return null;
+    return { paths, islands, totalDepth, bottomZ };
+  }
+
+  if (shape === ShapeType.COUNTERBORE_BOLT) {
+    return null;
+  }
+
+  if (shape === ShapeType.THREAD_MILL) {
+    // Gat of tap op nominale diameter
+    const r = shapeParams.diameter / 2;
+    const segs = segmentsForCircleRadius(r);
+    const pts = [];
+    for (let k = 0; k <= segs; k++) {
+      const t = (k / segs) * 2 * Math.PI;
+      pts.push({ x: r * Math.cos(t), y: r * Math.sin(t), z: 0 });
+    }
+    paths.push(pts);
+    return { paths, totalDepth, bottomZ };
+  }
+
+  if (shape === ShapeType.PATTERNED_HOLES && operation === OperationType.POCKET) {
+    const r = shapeParams.diameter / 2;
+    const segs = segmentsForCircleRadius(r);
+    getPatternedHoleCenters(shapeParams).forEach(({ x: cx, y: cy }) => {
+      const pts = [];
+      for (let k = 0; k <= segs; k++) {
+        const t = (k / segs) * 2 * Math.PI;
+        pts.push({ x: cx + r * Math.cos(t), y: cy + r * Math.sin(t), z: 0 });
+      }
+      paths.push(pts);
+    });
+    return { paths, totalDepth, bottomZ };
+  }
+
+  if (shape === ShapeType.FACING || (operation === OperationType.FACING && (shape === ShapeType.SQUARE || shape === ShapeType.RECTANGLE))) {
+    const w = shape === ShapeType.FACING ? shapeParams.width : (shape === ShapeType.SQUARE ? shapeParams.size : shapeParams.width);
+    const h = shape === ShapeType.FACING ? shapeParams.height : (shape === ShapeType.SQUARE ? shapeParams.size : shapeParams.height);
+    const hw = w / 2;
+    const hh = h / 2;
+    paths.push([
+      { x: -hw, y: -hh, z: 0 },
+      { x: hw, y: -hh, z: 0 },
+      { x: hw, y: hh, z: 0 },
+      { x: -hw, y: hh, z: 0 },
+      { x: -hw, y: -hh, z: 0 },
+    ]);
+    return { paths, totalDepth, bottomZ };
+  }
+
+  if (operation === OperationType.POCKET) {
+    const basePath = generateBasePath(shape, shapeParams, operation);
+    if (basePath && basePath.length >= 2) {
+      paths.push(basePath.map((p) => ({ x: p.x, y: p.y, z: 0 })));
+    }
+  } else if (operation === OperationType.CONTOUR) {
+    // Resultaat = snijrand (vormgrens), niet het toolpad. Toolpad ligt op ±toolRadius van de rand.
+    const basePath = generateBasePath(shape, shapeParams, operation);
+    if (basePath && basePath.length >= 2) {
+      paths.push(basePath.map((p) => ({ x: p.x, y: p.y, z: 0 })));
+    }
+  }
+
+  if (paths.length === 0) return null;
+  return { paths, totalDepth, bottomZ };
+}
+
+/** Vormen waarvoor voorfrezen + nabewerking (finish pass) mogelijk is. */
+const FINISHING_SHAPES = [ShapeType.CIRCLE, ShapeType.SQUARE, ShapeType.RECTANGLE, ShapeType.ELLIPSE, ShapeType.HEXAGON];
+
+/**
+ * Kan deze bewerking gesplitst worden in voorfrezen en nabewerking?
+ * @returns {boolean}
+ */
+function supportsFinishingPass(params) {
+  return (
+    FINISHING_SHAPES.includes(params.shape) &&
+    (params.operation === OperationType.CONTOUR || params.operation === OperationType.POCKET)
+  );
+}
+
+/** Vormen waarvan de pocket adaptief of met rasterbanen geruimd kan worden (patterned holes en verzinking apart). */
+const ADAPTIVE_POCKET_SHAPES = [...FINISHING_SHAPES, ShapeType.DXF];
+
+/**
+ * Ruimt deze bewerking een pocket uit, zodat de pocketstrategie (spiraal, adaptief of raster) geldt?
+ * Patterned holes zijn altijd pockets, behalve bij boren; bij een verzinking geldt het voor het kopgat.
+ * @param {{ shape: string, operation: string, drilling?: boolean, letterMode?: string }} params
+ * @returns {boolean}
+ */
+function supportsAdaptivePocket(params) {
+  if (params.shape === ShapeType.PATTERNED_HOLES) return !params.drilling;
+  if (params.shape === ShapeType.COUNTERBORE_BOLT) return true;
+  if (params.shape === ShapeType.LETTERS) return params.letterMode === "pocket";
+  return ADAPTIVE_POCKET_SHAPES.includes(params.shape) && params.operation === OperationType.POCKET;
+}
+
+/**
+ * Contour of pocket in twee delen: voorfrezen met radiale (en optioneel bodem-) overmaat, daarna
+ * nabewerken op eindmaat met een eigen stepdown en voeding. Bij een pocket wordt de wand als
+ * binnencontour nagefreesd (zonder tabs), met bij bodemovermaat eerst één laag op einddiepte.
+ * Alle delen worden zonder origin-correctie gegenereerd en daarna samen verschoven, zodat
+ * voorfrezen en nabewerking exact op elkaar aansluiten.
+ * @returns {Toolpath}
+ */
+function generateRoughingAndFinishingToolpath(params) {
+  const { operation, cutParams, originParams } = params;
+  const finishing = cutParams.finishing;
+  const allowance = Math.max(0, finishing.radialAllowance || 0);
+  const floorAllowance = Math.max(0, finishing.floorAllowance || 0);
+  const noShift = { shiftX: 0, shiftY: 0, zOffset: 0, zOriginMode: ZOrigin.STOCK_TOP };
+
+  // Voorfrezen: een denkbeeldig dikkere frees laat precies de overmaat langs de wand staan
+  const roughToolDiameter = cutParams.toolDiameter + 2 * allowance;
+  const rough = generateToolpath({
+    ...params,
+    cutParams: { ...cutParams, finishing: null, toolDiameter: roughToolDiameter },
+    originShift: noShift,
+    depthLevels: computeDepthLevels(cutParams.totalDepth - floorAllowance, cutParams.stepdown),
+  });
+
+  const finishCutParams = {
+    ...cutParams,
+    finishing: null,
+    feedrate: finishing.feedrate,
+    stepdown: finishing.stepdown > 0 ? Math.min(finishing.stepdown, cutParams.totalDepth) : cutParams.totalDepth,
+    millingDirection: finishing.direction,
+  };
+  /** @type {ToolpathMove[]} */
+  const finishMoves = [];
+  if (operation === OperationType.POCKET && floorAllowance > 0) {
+    const floor = generateToolpath({
+      ...params,
+      cutParams: { ...finishCutParams, toolDiameter: roughToolDiameter },
+      originShift: noShift,
+      depthLevels: computeDepthLevels(cutParams.totalDepth, cutParams.totalDepth),
+    });
+    finishMoves.push(...floor.moves);
+  }
+  const isPocket = operation === OperationType.POCKET;
+  const walls = generateToolpath({
+    ...params,
+    operation: OperationType.CONTOUR,
+    contourType: isPocket ? "inside" : params.contourType,
+    plungeOutside: isPocket ? false : params.plungeOutside,
+    tabs: isPocket ? null : params.tabs,
+    cutParams: finishCutParams,
+    originShift: noShift,
+  });
+  finishMoves.push(...walls.moves);
+
+  const moves = rough.moves;
+  const finishStartIndex = moves.length;
+  moves.push(...finishMoves);
+  applyPlungeFeedrate(moves, finishCutParams, finishStartIndex);
+  for (let i = finishStartIndex; i < moves.length; i++) {
+    if (moves[i].feed == null) moves[i].feed = finishing.feedrate;
+  }
+
+  // Buitencontour: de buitenste moves zijn die van het voorfrezen (freesstraal + overmaat)
+  const toolRadius = cutParams.toolDiameter / 2;
+  const contourOutside = operation === OperationType.CONTOUR && params.contourType !== "inside";
+  const shift = computeOriginShift(moves, originParams, cutParams.totalDepth, contourOutside ? toolRadius + allowance : toolRadius, operation, params.contourType, null, false);
+  applyOriginTransformToPoints(moves, shift.shiftX, shift.shiftY, shift.zOffset, shift.zOriginMode, cutParams.totalDepth);
+  const resultPaths = rough.resultPaths;
+  if (resultPaths) {
+    resultPaths.forEach((path) => {
+      applyOriginTransformToPoints(path, shift.shiftX, shift.shiftY, shift.zOffset, shift.zOriginMode, cutParams.totalDepth);
+    });
+  }
+  const sections = finishMoves.length > 0 ? [{ moveIndex: finishStartIndex, comment: t("gcode.comment.finishPass") }] : undefined;
+  return {
+    ...rough,
+    moves,
+    sections,
+    resultBounds: resultPaths ? computeBoundsFromPaths(resultPaths) : undefined,
+    toolDiameter: cutParams.toolDiameter,
+  };
+}
+
+/** ISO-metrisch profiel: kerndiameter moer = D − 1,0825·P (voorboren), kerndiameter bout = D − 1,2269·P. */
+const THREAD_INTERNAL_DEPTH_FACTOR = 1.0825;
+const THREAD_EXTERNAL_DEPTH_FACTOR = 1.2269;
+/** Vrije ruimte (mm) tussen frees en buitendraad bij het in- en uitlopen. */
+const THREAD_CLEARANCE_MM = 1;
+
+/** Metrische grove draad (ISO 261): nominale diameter en spoed in mm, voor de presets. */
+const METRIC_COARSE_THREADS = {
+  M3: { diameter: 3, pitch: 0.5 },
+  M4: { diameter: 4, pitch: 0.7 },
+  M5: { diameter: 5, pitch: 0.8 },
+  M6: { diameter: 6, pitch: 1 },
+  M8: { diameter: 8, pitch: 1.25 },
+  M10: { diameter: 10, pitch: 1.5 },
+  M12: { diameter: 12, pitch: 1.75 },
+};
+
+/**
+ * Draadfrezen rond (0,0): een helix die per omwenteling één spoed in Z verloopt.
+ * Binnendraad: de frees reikt tot de nominale diameter (gat vooraf boren op kerndiameter);
+ * buitendraad: tot de kerndiameter van de bout. Rechtse draad loopt tegen de klok in omhoog.
+ * Enkele snijtand: één helix over de hele lengte. Meervoudige draadfrees: per trede één omwenteling,
+ * treden een veelvoud van de spoed uit elkaar zodat de gangen op elkaar aansluiten.
+ * In- en uitloop zijn tangentieel: een halve cirkel vanuit het midden (binnen) of een rechte lijn
+ * van buitenaf (buiten). De voeding geldt aan de snijkant en wordt omgerekend naar het freesmidden.
+ * @returns {Toolpath}
+ */
+function generateThreadMillToolpath(params) {
+  const { shapeParams: sp, cutParams, originParams } = params;
+  const internal = sp.threadType !== "external";
+  const toolRadius = cutParams.toolDiameter / 2;
+  const safeZ = cutParams.safeHeight;
+  const pitch = sp.pitch;
+  const length = sp.length;
+  const cutDiameter = internal ? sp.diameter : sp.diameter - THREAD_EXTERNAL_DEPTH_FACTOR * pitch;
+  const helixRadius = internal ? cutDiameter / 2 - toolRadius : cutDiameter / 2 + toolRadius;
+  const ccw = wantsCounterClockwise(internal, cutParams.millingDirection);
+  const s = ccw ? 1 : -1;
+  const up = ccw === (sp.hand !== "left");
+  // Voeding aan de snijkant → freesmidden (binnen langzamer, buiten sneller)
+  const feed = (cutParams.feedrate * helixRadius) / (cutDiameter / 2);
+  const segsPerTurn = segmentsForCircleRadius(helixRadius);
+  const leadSegs = Math.max(4, Math.ceil(segsPerTurn / 2));
+  const approach = Math.sqrt(Math.max(0, (sp.diameter / 2 + toolRadius + THREAD_CLEARANCE_MM) ** 2 - helixRadius ** 2));
+  const leadInZ = cutParams.leadInAboveMm ?? 0;
+
+  /** @type {{ bottom: number, turns: number }[]} onderkant van de frees per helix */
+  const tiers = [];
+  if (sp.cutterType === "multi") {
+    const step = Math.max(1, Math.floor(sp.cutterLength / pitch + 1e-9)) * pitch;
+    const count = Math.max(1, Math.ceil(length / step - 1e-9));
+    for (let i = 0; i < count; i++) tiers.push({ bottom: -length + i * step, turns: 1 });
+    if (!up) tiers.reverse();
+  } else {
+    tiers.push({ bottom: -length, turns: Math.max(1, Math.ceil(length / pitch - 1e-9)) });
+  }
+
+  /** @type {ToolpathMove[]} */
+  const moves = [];
+  tiers.forEach((tier, tierIndex) => {
+    const top = tier.bottom + tier.turns * pitch;
+    const zStart = up ? tier.bottom : top;
+    const zEnd = up ? top : tier.bottom;
+    if (internal) {
+      // Door het voorgeboorde gat naar de startdiepte, dan met een halve cirkel de helix op
+      if (tierIndex === 0) {
+        moves.push({ x: 0, y: 0, z: safeZ, type: "rapid" });
+        moves.push({ x: 0, y: 0, z: leadInZ, type: "rapid" });
+      }
+      moves.push({ x: 0, y: 0, z: zStart, type: "cut" });
+      const r = helixRadius / 2;
+      for (let k = 1; k <= leadSegs; k++) {
+        const phi = Math.PI + (s * Math.PI * k) / leadSegs;
+        moves.push({ x: r + r * Math.cos(phi), y: r * Math.sin(phi), z: zStart, type: "cut", feed });
+      }
+    } else {
+      // Naast de tap zakken en er tangentieel in lopen
+      moves.push({ x: helixRadius, y: -s * approach, z: safeZ, type: "rapid" });
+      moves.push({ x: helixRadius, y: -s * approach, z: leadInZ, type: "rapid" });
+      moves.push({ x: helixRadius, y: -s * approach, z: zStart, type: "cut" });
+      moves.push({ x: helixRadius, y: 0, z: zStart, type: "cut", feed });
+    }
+    const steps = segsPerTurn * tier.turns;
+    for (let k = 1; k <= steps; k++) {
+      const theta = (s * 2 * Math.PI * k) / segsPerTurn;
+      const z = zStart + ((zEnd - zStart) * k) / steps;
+      moves.push({ x: helixRadius * Math.cos(theta), y: helixRadius * Math.sin(theta), z, type: "cut", feed });
+    }
+    if (internal) {
+      const r = helixRadius / 2;
+      for (let k = 1; k <= leadSegs; k++) {
+        const phi = (s * Math.PI * k) / leadSegs;
+        moves.push({ x: r + r * Math.cos(phi), y: r * Math.sin(phi), z: zEnd, type: "cut", feed });
+      }
+    } else {
+      // Tangentieel eruit en omhoog: recht naar de volgende trede zou door de draadtoppen gaan
+      moves.push({ x: helixRadius, y: s * approach, z: zEnd, type: "cut", feed });
+      moves.push({ x: helixRadius, y: s * approach, z: safeZ, type: "rapid" });
+    }
+  });
+  const last = moves[moves.length - 1];
+  if (last && last.z < safeZ - 1e-6) moves.push({ x: last.x, y: last.y, z: safeZ, type: "rapid" });
+
+  const resultRaw = getResultShapePathsRaw(params);
+  const shift = computeOriginShift(resultRaw.paths[0], originParams, length, 0, OperationType.POCKET, "inside", null, false);
+  applyOriginTransformToPoints(moves, shift.shiftX, shift.shiftY, shift.zOffset, shift.zOriginMode, length);
+  resultRaw.paths.forEach((path) => {
+    applyOriginTransformToPoints(path, shift.shiftX, shift.shiftY, shift.zOffset, shift.zOriginMode, length);
+  });
+  return {
+    moves,
+    resultPaths: resultRaw.paths,
+    resultTotalDepth: resultRaw.totalDepth,
+    resultBottomZ: resultRaw.bottomZ,
+    resultContourInside: internal,
+    resultBounds: computeBoundsFromPaths(resultRaw.paths),
+    toolDiameter: cutParams.toolDiameter,
+  };
+}
+
+/**
+ * Kan langs de randen van deze bewerking een afschuining (chamfer) gefreesd worden?
+ * Niet bij vlakfrezen (geen rand) en niet bij gravures zonder wand (letter-outline, V-carve).
+ * @returns {boolean}
+ */
+function supportsChamfer(params) {
+  if (params.shape === ShapeType.FACING || params.operation === OperationType.FACING) return false;
+  if (params.shape === ShapeType.DXF && params.operation === OperationType.VCARVE) return false;
+  if (params.operation === OperationType.ENGRAVE || params.operation === OperationType.DRILL) return false;
+  return params.shape !== ShapeType.LETTERS || params.letterMode === "pocket";
+}
+
+/**
+ * Diepte van de afschuining: de flank van de V-frees loopt onder de halve tophoek,
+ * dus een breedte w op het oppervlak geeft een diepte w / tan(hoek/2).
+ * @param {{ angle: number, width: number }} chamfer
+ * @returns {number}
+ */
+function getChamferDepth(chamfer) {
+  return chamfer.width / Math.tan(degToRad(chamfer.angle / 2));
+}
+
+/**
+ * Ligt punt p binnen het gesloten pad (even-oneven regel)?
+ * @param {{x:number,y:number}} p
+ * @param {{x:number,y:number}[]} path
+ * @returns {boolean}
+ */
+function isPointInPath(p, path) {
+  let inside = false;
+  for (let i = 0, j = path.length - 1; i < path.length; j = i++) {
+    const a = path[i];
+    const b = path[j];
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Afschuining met een V-frees of chamfermill langs de bovenrand van alle resultaatcontouren.
+ * De punt van de frees loopt op tipstraal naast de rand (aan de kant waar het materiaal weg is)
+ * op diepte w / tan(hoek/2); de flank maakt dan een afschuining van breedte w op het oppervlak.
+ * Werkt op de al verschoven resultaatpaden, dus alle Z-waarden zijn relatief aan de bovenkant van de rand.
+ * Bij een verzinking alleen de rand aan het oppervlak, niet het boutgat op de verzinkbodem.
+ * @param {Toolpath} toolpath - resultaat van de hoofdbewerking
+ * @param {*} params
+ * @returns {ToolpathMove[]}
+ */
+function generateChamferMoves(toolpath, params) {
+  const { cutParams } = params;
+  const chamfer = cutParams.chamfer;
+  /** @type {{ path: {x:number,y:number,z:number}[], topZ: number }[]} */
+  let edges = [];
+  if (toolpath.resultPathsWithDepth) {
+    const surfaceZ = Math.max(...toolpath.resultPathsWithDepth.map((entry) => entry.topZ));
+    edges = toolpath.resultPathsWithDepth
+      .filter((entry) => entry.topZ >= surfaceZ - 1e-6)
+      .map((entry) => ({ path: entry.path, topZ: entry.topZ }));
+  } else if (toolpath.resultPaths) {
+    edges = toolpath.resultPaths.filter((path) => path.length >= 4).map((path) => ({ path, topZ: path[0].z }));
+  }
+
+  const tipRadius = chamfer.tipDiameter / 2;
+  const depth = getChamferDepth(chamfer);
+  /** @type {ToolpathMove[]} */
+  const moves = [];
+  edges.forEach(({ path, topZ }, idx) => {
+    // Materiaal weg aan de binnenkant (pocket, gat) of buitenkant (uitgesneden vorm)? Een eiland in een
+    // pocket of een gat in een uitgesneden vorm ligt binnen een andere contour en draait het om.
+    const nesting = edges.filter((other, j) => j !== idx && isPointInPath(path[0], other.path)).length;
+    const voidInside = (toolpath.resultContourInside ?? false) === (nesting % 2 === 0);
+    const offsetPath = tipRadius > 1e-9 ? contourOffset(path, voidInside ? tipRadius : -tipRadius) : path;
+    if (!offsetPath || offsetPath.length < 4) return;
+    const chamferPath = orientContourPath(offsetPath, voidInside, cutParams.millingDirection);
+    const safeZ = topZ + cutParams.safeHeight;
+    const leadInZ = topZ + Math.min(cutParams.leadInAboveMm, cutParams.safeHeight);
+    const bottomZ = topZ - depth;
+    const start = chamferPath[0];
+    moves.push({ x: start.x, y: start.y, z: safeZ, type: "rapid" });
+    moves.push({ x: start.x, y: start.y, z: leadInZ, type: "rapid" });
+    moves.push({ x: start.x, y: start.y, z: bottomZ, type: "cut" });
+    for (let i = 1; i < chamferPath.length; i++) {
+      moves.push({ x: chamferPath[i].x, y: chamferPath[i].y, z: bottomZ, type: "cut" });
+    }
+    moves.push({ x: moves[moves.length - 1].x, y: moves[moves.length - 1].y, z: safeZ, type: "rapid" });
+  });
+  return moves;
+}
+
+/**
+ * Hoofdbewerking gevolgd door een afschuining langs de randen, eventueel met een eigen frees
+ * uit de bibliotheek (toolwissel via een section).
+ * @returns {Toolpath}
+ */
+function generateToolpathWithChamfer(params) {
+  const { cutParams } = params;
+  const chamfer = cutParams.chamfer;
+  const main = generateToolpath({ ...params, cutParams: { ...cutParams, chamfer: null } });
+  const chamferMoves = generateChamferMoves(main, params);
+  if (chamferMoves.length === 0) return main;
+
+  const moves = main.moves;
+  const chamferStartIndex = moves.length;
+  moves.push(...chamferMoves);
+  const tool = chamfer.tool ?? null;
+  applyPlungeFeedrate(moves, { ...cutParams, feedrate: chamfer.feedrate, plungeFeedrate: tool ? tool.plungeFeedrate : cutParams.plungeFeedrate }, chamferStartIndex);
+  for (let i = chamferStartIndex; i < moves.length; i++) {
+    if (moves[i].feed == null) moves[i].feed = chamfer.feedrate;
+  }
+  /** @type {ToolpathSection} */
+  const section = tool
+    ? { moveIndex: chamferStartIndex, comment: t("gcode.comment.chamfer"), tool, spindleSpeed: tool.spindleSpeed }
+    : { moveIndex: chamferStartIndex, comment: t("gcode.comment.chamfer"), manualToolChange: t("gcode.comment.chamferTool") };
+  return { ...main, moves, sections: [...(main.sections ?? []), section] };
+}
+
+/** Puntafstand (mm) op de rand waarmee de mediale as voor V-carve wordt benaderd. */
+const VCARVE_SAMPLE_SPACING_MM = 0.1;
+/** Max. aantal randpunten per gebied; grotere gebieden krijgen een grovere puntafstand. */
+const VCARVE_MAX_SAMPLES = 3000;
+/** Tolerantie (mm) bij het uitdunnen van de V-carve paden. */
+const VCARVE_SIMPLIFY_MM = 0.005;
+
+/**
+ * Gesloten contouren groeperen in gebieden: een buitenrand met de gaten die er direct in liggen.
+ * Nesting bepaalt de rol (even = buitenrand, oneven = gat), niet de orientatie van het pad.
+ * @param {{ x: number, y: number }[][]} contours
+ * @returns {{ outer: { x: number, y: number }[], holes: { x: number, y: number }[][] }[]}
+ */
+function groupContoursIntoRegions(contours) {
+  const closed = contours.map((path) => openPathPoints(path)).filter((pts) => pts.length >= 3);
+  const depth = closed.map((pts, i) => closed.filter((other, j) => j !== i && isPointInPath(pts[0], other)).length);
+  const regions = [];
+  closed.forEach((pts, i) => {
+    if (depth[i] % 2 === 0) regions.push({ outer: pts, holes: [], depth: depth[i], area: Math.abs(polygonSignedArea2(pts)) });
+  });
+  closed.forEach((pts, i) => {
+    if (depth[i] % 2 === 0) return;
+    // Het kleinste gebied één niveau hoger waar het gat in ligt
+    let parent = null;
+    regions.forEach((region) => {
+      if (region.depth !== depth[i] - 1 || !isPointInPath(pts[0], region.outer)) return;
+      if (!parent || region.area < parent.area) parent = region;
+    });
+    if (parent) parent.holes.push(pts);
+  });
+  return regions.map(({ outer, holes }) => ({ outer, holes }));
+}
+
+/**
+ * Ligt punt p in het gebied (binnen de buitenrand en buiten alle gaten)?
+ * @param {{x:number,y:number}} p
+ * @param {{ outer: {x:number,y:number}[], holes: {x:number,y:number}[][] }} region
+ * @returns {boolean}
+ */
+function isPointInRegion(p, region) {
+  return isPointInPath(p, region.outer) && !region.holes.some((hole) => isPointInPath(p, hole));
+}
+
+/**
+ * Delaunay-triangulatie (Bowyer-Watson). Goed genoeg voor enkele duizenden punten per gebied.
+ * @param {{x:number,y:number}[]} points
+ * @returns {[number, number, number][]} driehoeken als indices in points (tegen de klok in)
+ */
+function delaunayTriangulate(points) {
+  const n = points.length;
+  if (n < 3) return [];
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  points.forEach((p) => {
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+  });
+  const size = Math.max(maxX - minX, maxY - minY, 1e-6);
+  const midX = (minX + maxX) / 2;
+  const midY = (minY + maxY) / 2;
+  // Superdriehoek die alle punten ruim omvat; zijn hoekpunten vallen aan het eind weg
+  const verts = points.concat([
+    { x: midX - 20 * size, y: midY - size },
+    { x: midX + 20 * size, y: midY - size },
+    { x: midX, y: midY + 20 * size },
+  ]);
+  const stride = n + 3;
+
+  /** Omgeschreven cirkel; hoekpunten tegen de klok in leggen zodat de incircle-test één teken heeft. */
+  function makeTriangle(a, b, c) {
+    const pa = verts[a];
+    const pb = verts[b];
+    const pc = verts[c];
+    const cross = (pb.x - pa.x) * (pc.y - pa.y) - (pb.y - pa.y) * (pc.x - pa.x);
+    if (cross < 0) [b, c] = [c, b];
+    return { a, b, c };
+  }
+  /** Ligt p strikt binnen de omgeschreven cirkel van tri? (determinant relatief aan p) */
+  function inCircumcircle(tri, p) {
+    const ax = verts[tri.a].x - p.x;
+    const ay = verts[tri.a].y - p.y;
+    const bx = verts[tri.b].x - p.x;
+    const by = verts[tri.b].y - p.y;
+    const cx = verts[tri.c].x - p.x;
+    const cy = verts[tri.c].y - p.y;
+    const det =
+      (ax * ax + ay * ay) * (bx * cy - cx * by) -
+      (bx * bx + by * by) * (ax * cy - cx * ay) +
+      (cx * cx + cy * cy) * (ax * by - bx * ay);
+    return det > 0;
+  }
+
+  let triangles = [makeTriangle(n, n + 1, n + 2)];
+  for (let i = 0; i < n; i++) {
+    const p = verts[i];
+    const keep = [];
+    /** Randen van het gat: randen die maar door één slechte driehoek gedeeld worden */
+    const boundary = new Map();
+    triangles.forEach((tri) => {
+      if (!inCircumcircle(tri, p)) {
+        keep.push(tri);
+        return;
+      }
+      [[tri.a, tri.b], [tri.b, tri.c], [tri.c, tri.a]].forEach(([u, v]) => {
+        const key = u < v ? u * stride + v : v * stride + u;
+        if (boundary.has(key)) boundary.delete(key);
+        else boundary.set(key, [u, v]);
+      });
+    });
+    boundary.forEach(([u, v]) => keep.push(makeTriangle(u, v, i)));
+    triangles = keep;
+  }
+  return triangles.filter((tri) => tri.a < n && tri.b < n && tri.c < n).map((tri) => [tri.a, tri.b, tri.c]);
+}
+
+/**
+ * Benadering van de mediale as van een gebied: de rand wordt dicht bemonsterd en gedelaunay'd;
+ * de middelpunten van de omgeschreven cirkels die in het gebied liggen zijn punten op de as,
+ * met als straal de afstand tot de rand. Twee driehoeken met een gedeelde rand geven een stuk as.
+ * @param {{ outer: {x:number,y:number}[], holes: {x:number,y:number}[][] }} region
+ * @returns {{ nodes: { x: number, y: number, r: number }[], edges: [number, number][] }}
+ */
+function computeMedialAxis(region) {
+  const contours = [region.outer, ...region.holes];
+  const perimeter = contours.reduce(
+    (sum, pts) => sum + pts.reduce((len, p, i) => len + distance2D(p, pts[(i + 1) % pts.length]), 0),
+    0
+  );
+  const spacing = Math.max(VCARVE_SAMPLE_SPACING_MM, perimeter / VCARVE_MAX_SAMPLES);
+
+  /** @type {{x:number,y:number}[]} */
+  const samples = [];
+  contours.forEach((pts) => {
+    for (let i = 0; i < pts.length; i++) {
+      const a = pts[i];
+      const b = pts[(i + 1) % pts.length];
+      const steps = Math.max(1, Math.ceil(distance2D(a, b) / spacing));
+      for (let k = 0; k < steps; k++) {
+        const p = { x: a.x + ((b.x - a.x) * k) / steps, y: a.y + ((b.y - a.y) * k) / steps };
+        const prev = samples[samples.length - 1];
+        if (prev && distance2D(prev, p) < 1e-6) continue;
+        // Kleine vaste verstoring: punten op een rechte lijn of cirkel zijn anders gedegenereerd voor Delaunay
+        const idx = samples.length;
+        samples.push({ x: p.x + spacing * 1e-3 * Math.sin(idx * 12.9898), y: p.y + spacing * 1e-3 * Math.sin(idx * 78.233) });
+      }
+    }
+  });
+
+  const triangles = delaunayTriangulate(samples);
+  /** @type {{ x: number, y: number, r: number }[]} */
+  const nodes = [];
+  /** @type {(number | undefined)[]} */
+  const nodeOfTriangle = [];
+  triangles.forEach(([a, b, c], idx) => {
+    const pa = samples[a];
+    const pb = samples[b];
+    const pc = samples[c];
+    // Middelpunt van de omgeschreven cirkel, relatief aan pa (nauwkeuriger bij grote coördinaten)
+    const bx = pb.x - pa.x;
+    const by = pb.y - pa.y;
+    const cx = pc.x - pa.x;
+    const cy = pc.y - pa.y;
+    const d = 2 * (bx * cy - by * cx);
+    if (Math.abs(d) < 1e-12) return;
+    const b2 = bx * bx + by * by;
+    const c2 = cx * cx + cy * cy;
+    const ux = (cy * b2 - by * c2) / d;
+    const uy = (bx * c2 - cx * b2) / d;
+    const center = { x: pa.x + ux, y: pa.y + uy };
+    if (!isPointInRegion(center, region)) return;
+    nodeOfTriangle[idx] = nodes.push({ ...center, r: Math.hypot(ux, uy) }) - 1;
+  });
+
+  /** @type {[number, number][]} */
+  const edges = [];
+  const stride = samples.length;
+  const triangleOfEdge = new Map();
+  triangles.forEach(([a, b, c], idx) => {
+    const node = nodeOfTriangle[idx];
+    if (node == null) return;
+    [[a, b], [b, c], [c, a]].forEach(([u, v]) => {
+      const key = u < v ? u * stride + v : v * stride + u;
+      const other = triangleOfEdge.get(key);
+      if (other == null) triangleOfEdge.set(key, node);
+      else edges.push([other, node]);
+    });
+  });
+  return { nodes, edges: pruneMedialAxis(nodes, edges, spacing / 2) };
+}
+
+/**
+ * Losse uitlopers van de mediale as weghalen die niets extra's uitfrezen: een tak vanaf een
+ * vertakking is overbodig als de cirkel van elk punt op de tak binnen die van de vertakking valt
+ * (de V-frees op de vertakking snijdt dat volume al). Bemonstering van gebogen randen geeft veel van
+ * zulke korte takjes; echte takken naar een hoek lopen naar straal 0 en blijven staan.
+ * @param {{ x: number, y: number, r: number }[]} nodes
+ * @param {[number, number][]} edges
+ * @param {number} tolerance - mm
+ * @returns {[number, number][]} overgebleven randen
+ */
+function pruneMedialAxis(nodes, edges, tolerance) {
+  let current = edges;
+  for (let pass = 0; pass < 10; pass++) {
+    /** @type {number[][]} */
+    const adjacency = Array.from({ length: nodes.length }, () => []);
+    current.forEach(([a, b], idx) => {
+      adjacency[a].push(idx);
+      adjacency[b].push(idx);
+    });
+    const removed = new Set();
+    adjacency.forEach((incident, leaf) => {
+      if (incident.length !== 1) return;
+      const branchNodes = [leaf];
+      const branchEdges = [];
+      let node = leaf;
+      let edge = incident[0];
+      while (edge != null && !removed.has(edge)) {
+        branchEdges.push(edge);
+        const [a, b] = current[edge];
+        node = a === node ? b : a;
+        if (adjacency[node].length !== 2) break;
+        branchNodes.push(node);
+        edge = adjacency[node].find((id) => id !== branchEdges[branchEdges.length - 1]);
+      }
+      if (adjacency[node].length < 3) return;
+      const junction = nodes[node];
+      const covered = branchNodes.every((idx) => distance2D(nodes[idx], junction) + nodes[idx].r <= junction.r + tolerance);
+      if (covered) branchEdges.forEach((id) => removed.add(id));
+    });
+    if (removed.size === 0) break;
+    current = current.filter((_, idx) => !removed.has(idx));
+  }
+  return current;
+}
+
+/**
+ * Graaf van de mediale as opdelen in zo lang mogelijke polylines (van knoop tot knoop/eindpunt).
+ * @param {number} nodeCount
+ * @param {[number, number][]} edges
+ * @returns {number[][]} polylines als knoopindices
+ */
+function medialAxisPolylines(nodeCount, edges) {
+  /** @type {number[][]} */
+  const adjacency = Array.from({ length: nodeCount }, () => []);
+  edges.forEach(([a, b], idx) => {
+    adjacency[a].push(idx);
+    adjacency[b].push(idx);
+  });
+  const used = new Array(edges.length).fill(false);
+  const polylines = [];
+  function walk(start, firstEdge) {
+    const line = [start];
+    let current = start;
+    let edge = firstEdge;
+    while (edge != null) {
+      used[edge] = true;
+      const [a, b] = edges[edge];
+      current = a === current ? b : a;
+      line.push(current);
+      if (adjacency[current].length !== 2) break;
+      edge = adjacency[current].find((id) => !used[id]);
+    }
+    return line;
+  }
+  adjacency.forEach((incident, node) => {
+    if (incident.length === 2) return;
+    incident.forEach((edge) => {
+      if (!used[edge]) polylines.push(walk(node, edge));
+    });
+  });
+  // Wat overblijft zijn gesloten lussen (bijv. rond een gat)
+  edges.forEach(([a], idx) => {
+    if (!used[idx]) polylines.push(walk(a, idx));
+  });
+  return polylines;
+}
+
+/**
+ * Punten weglaten die (in 3D) binnen de tolerantie op de lijn tussen hun buren liggen.
+ * @param {{x:number,y:number,z:number}[]} pts
+ * @returns {{x:number,y:number,z:number}[]}
+ */
+function simplifyPath3D(pts) {
+  if (pts.length < 3) return pts;
+  const out = [pts[0]];
+  for (let i = 1; i < pts.length - 1; i++) {
+    const a = out[out.length - 1];
+    const b = pts[i];
+    const c = pts[i + 1];
+    const abx = c.x - a.x;
+    const aby = c.y - a.y;
+    const abz = c.z - a.z;
+    const len2 = abx * abx + aby * aby + abz * abz;
+    const t = len2 > 0 ? Math.max(0, Math.min(1, ((b.x - a.x) * abx + (b.y - a.y) * aby + (b.z - a.z) * abz) / len2)) : 0;
+    const dev = Math.hypot(a.x + t * abx - b.x, a.y + t * aby - b.y, a.z + t * abz - b.z);
+    if (dev > VCARVE_SIMPLIFY_MM) out.push(b);
+  }
+  out.push(pts[pts.length - 1]);
+  return out;
+}
+
+/**
+ * Paden (met eigen Z per punt) achter elkaar frezen, steeds het dichtstbijzijnde volgende pad
+ * (eventueel omgekeerd). Sluit een pad precies aan op het vorige, dan blijft de frees in het materiaal.
+ * Alle moves krijgen een eigen voeding, zodat de insteekvoeding de dalende V-carve moves niet overneemt.
+ * @param {ToolpathMove[]} moves
+ * @param {{x:number,y:number,z:number}[][]} paths
+ * @param {{ safeHeight: number, leadInAboveMm?: number }} cutParams
+ * @param {number} feedrate
+ * @param {number} plungeFeedrate
+ */
+function addVariableDepthPaths(moves, paths, cutParams, feedrate, plungeFeedrate) {
+  const safeZ = cutParams.safeHeight;
+  const leadInZ = Math.min(Math.max(0, cutParams.leadInAboveMm ?? 2), safeZ);
+  const remaining = paths.filter((path) => path.length >= 2);
+  let pos = moves.length > 0 ? moves[moves.length - 1] : { x: 0, y: 0, z: safeZ };
+  while (remaining.length > 0) {
+    let best = 0;
+    let bestReversed = false;
+    let bestDist = Infinity;
+    remaining.forEach((path, idx) => {
+      const dStart = Math.hypot(path[0].x - pos.x, path[0].y - pos.y, path[0].z - pos.z);
+      const end = path[path.length - 1];
+      const dEnd = Math.hypot(end.x - pos.x, end.y - pos.y, end.z - pos.z);
+      if (dStart < bestDist) {
+        bestDist = dStart;
+        best = idx;
+        bestReversed = false;
+      }
+      if (dEnd < bestDist) {
+        bestDist = dEnd;
+        best = idx;
+        bestReversed = true;
       }
-    } else {
-      dxfContours.forEach((path) => {
-        if (path.length >= 2) {
-          paths.push(path.map((p) => ({ x: p.x, y: p.y, z: 0 })));
-        }
-      });
+    });
+    const [next] = remaining.splice(best, 1);
+    const path = bestReversed ? next.slice().reverse() : next;
+    const start = path[0];
+    if (bestDist > 1e-6 || pos.z >= safeZ - 1e-6) {
+      if (pos.z < safeZ - 1e-6) moves.push({ x: pos.x, y: pos.y, z: safeZ, type: "rapid" });
+      moves.push({ x: start.x, y: start.y, z: safeZ, type: "rapid" });
+      if (leadInZ < safeZ - 1e-6) moves.push({ x: start.x, y: start.y, z: leadInZ, type: "rapid" });
+      moves.push({ x: start.x, y: start.y, z: start.z, type: "cut", feed: plungeFeedrate });
     }
-    if (paths.length === 0) return null;
-    return { paths, totalDepth, bottomZ };
+    for (let i = 1; i < path.length; i++) {
+      moves.push({ x: path[i].x, y: path[i].y, z: path[i].z, type: "cut", feed: feedrate });
+    }
+    pos = moves[moves.length - 1];
   }
+  if (moves.length > 0 && pos.z < safeZ - 1e-6) moves.push({ x: pos.x, y: pos.y, z: safeZ, type: "rapid" });
+}
 
-  if (shape === ShapeType.COUNTERBORE_BOLT) {
-    return null;
-  }
+/**
+ * V-carve: de V-frees volgt de mediale as van elk gebied op een diepte r / tan(hoek/2), waarbij r de
+ * afstand tot de rand is; zo raken de flanken overal precies de rand. Waar dat dieper dan de max. diepte
+ * zou worden, blijft de bodem vlak: de V-frees freest de rand van dat vlak en het binnenste wordt
+ * uitgeruimd, met de vlakfrees uit de bibliotheek (eerst, met toolwissel) of anders met de V-frees zelf.
+ * Alle Z-waarden zijn ten opzichte van het oppervlak (0); de origin-correctie volgt daarna.
+ * @param {{ x: number, y: number }[][]} contours - gesloten contouren (letters of DXF)
+ * @param {*} params
+ * @returns {{ moves: ToolpathMove[], sections?: ToolpathSection[] }}
+ */
+function generateVCarveMoves(contours, params) {
+  const { cutParams, vcarve } = params;
+  const tanHalf = Math.tan(degToRad(vcarve.angle / 2));
+  const maxDepth = vcarve.maxDepth;
+  const flatRadius = maxDepth * tanHalf;
+  const stepoverFraction = cutParams.toolDiameter > 0 ? Math.min(1, cutParams.stepover / cutParams.toolDiameter) : 0.5;
+  const clearTool = vcarve.clearTool && vcarve.clearTool.number !== cutParams.tool?.number ? vcarve.clearTool : null;
 
-  if (shape === ShapeType.PATTERNED_HOLES && operation === OperationType.POCKET) {
-    const countX = Math.max(1, shapeParams.countX || 1);
-    const countY = Math.max(1, shapeParams.countY || 1);
-    const spacingX = shapeParams.spacingX || 96;
-    const spacingY = shapeParams.spacingY || 96;
-    const r = shapeParams.diameter / 2;
-    const segs = segmentsForCircleRadius(r);
-    for (let j = 0; j < countY; j++) {
-      for (let i = 0; i < countX; i++) {
-        const cx = i * spacingX;
-        const cy = j * spacingY;
-        const pts = [];
-        for (let k = 0; k <= segs; k++) {
-          const t = (k / segs) * 2 * Math.PI;
-          pts.push({ x: cx + r * Math.cos(t), y: cy + r * Math.sin(t), z: 0 });
+  /** @type {{x:number,y:number,z:number}[][]} */
+  const clearPaths = [];
+  /** @type {{x:number,y:number,z:number}[][]} */
+  const carvePaths = [];
+  groupContoursIntoRegions(contours).forEach((region) => {
+    const { nodes, edges } = computeMedialAxis(region);
+    const toPoint = (node) => ({ x: node.x, y: node.y, z: -Math.min(maxDepth, node.r / tanHalf) });
+
+    // Stukken as breder dan de vlakke bodem vallen weg; de overgang wordt precies op flatRadius gelegd
+    let hasFlat = false;
+    medialAxisPolylines(nodes.length, edges).forEach((line) => {
+      /** @type {{x:number,y:number,z:number}[]} */
+      let current = [];
+      for (let i = 0; i < line.length; i++) {
+        const node = nodes[line[i]];
+        const prev = i > 0 ? nodes[line[i - 1]] : null;
+        const inside = node.r <= flatRadius;
+        if (!inside) hasFlat = true;
+        if (prev && (prev.r <= flatRadius) !== inside) {
+          const t = (flatRadius - prev.r) / (node.r - prev.r);
+          current.push(toPoint({ x: prev.x + (node.x - prev.x) * t, y: prev.y + (node.y - prev.y) * t, r: flatRadius }));
+          if (!inside) {
+            carvePaths.push(simplifyPath3D(current));
+            current = [];
+          }
         }
-        paths.push(pts);
+        if (inside) current.push(toPoint(node));
       }
-    }
-    return { paths, totalDepth, bottomZ };
-  }
+      if (current.length >= 2) carvePaths.push(simplifyPath3D(current));
+    });
+    if (!hasFlat) return;
+
+    // Vlakke bodem: rand op flatRadius met de V-frees, binnenste uitruimen in ringen.
+    // Clipper levert buitenranden tegen de klok in en gaten met de klok mee: zo kiest orientContourPath de kant.
+    const regionContours = [region.outer, ...region.holes];
+    const atDepth = (path) => path.map((p) => ({ x: p.x, y: p.y, z: -maxDepth }));
+    const orient = (path) => orientContourPath(path, polygonSignedArea2(path) < 0, cutParams.millingDirection);
+    const flatEdge = regionOffsetViaClipper(regionContours, flatRadius);
+    flatEdge.forEach((path) => carvePaths.push(atDepth(orient(path))));
+    const clearRadius = clearTool ? clearTool.diameter / 2 : 0;
+    const stepover = clearTool ? stepoverFraction * clearTool.diameter : stepoverFraction * 2 * flatRadius;
+    if (!(stepover > 0)) return;
+    /** @type {{x:number,y:number,z:number}[][]} */
+    const rings = [];
+    let ring = clearTool ? regionOffsetViaClipper(regionContours, flatRadius + clearRadius) : regionOffsetViaClipper(flatEdge, stepover);
+    for (let it = 0; ring.length > 0 && it < MAX_POCKET_RINGS; it++) {
+      rings.push(...ring);
+      ring = regionOffsetViaClipper(ring, stepover);
+    }
+    // Van binnen naar buiten, zoals bij pockets
+    const ordered = rings.reverse().map(orient);
+    if (clearTool) clearPaths.push(...ordered);
+    else ordered.forEach((path) => carvePaths.push(atDepth(path)));
+  });
 
-  if (shape === ShapeType.FACING || (operation === OperationType.FACING && (shape === ShapeType.SQUARE || shape === ShapeType.RECTANGLE))) {
-    const w = shape === ShapeType.FACING ? shapeParams.width : (shape === ShapeType.SQUARE ? shapeParams.size : shapeParams.width);
-    const h = shape === ShapeType.FACING ? shapeParams.height : (shape === ShapeType.SQUARE ? shapeParams.size : shapeParams.height);
-    const hw = w / 2;
-    const hh = h / 2;
-    paths.push([
-      { x: -hw, y: -hh, z: 0 },
-      { x: hw, y: -hh, z: 0 },
-      { x: hw, y: hh, z: 0 },
-      { x: -hw, y: hh, z: 0 },
-      { x: -hw, y: -hh, z: 0 },
-    ]);
-    return { paths, totalDepth, bottomZ };
+  /** @type {ToolpathMove[]} */
+  const moves = [];
+  /** @type {ToolpathSection[] | undefined} */
+  let sections;
+  if (clearTool && clearPaths.length > 0) {
+    // Vlakfrees eerst, in lagen van max. zijn eigen stepdown
+    computeDepthLevels(maxDepth, Math.min(maxDepth, clearTool.maxStepdown > 0 ? clearTool.maxStepdown : maxDepth)).forEach((depthZ) => {
+      addVariableDepthPaths(moves, clearPaths.map((path) => path.map((p) => ({ x: p.x, y: p.y, z: depthZ }))), cutParams, clearTool.feedrate, clearTool.plungeFeedrate);
+    });
+    sections = [
+      { moveIndex: 0, comment: t("gcode.comment.vcarveClear"), tool: clearTool, spindleSpeed: clearTool.spindleSpeed },
+      { moveIndex: moves.length, comment: t("gcode.comment.vcarve"), tool: cutParams.tool, spindleSpeed: cutParams.tool?.spindleSpeed },
+    ];
   }
+  addVariableDepthPaths(moves, carvePaths, cutParams, cutParams.feedrate, cutParams.plungeFeedrate);
+  return { moves, sections };
+}
 
-  if (operation === OperationType.POCKET) {
-    const basePath = generateBasePath(shape, shapeParams, operation);
-    if (basePath && basePath.length >= 2) {
-      paths.push(basePath.map((p) => ({ x: p.x, y: p.y, z: 0 })));
-    }
-  } else if (operation === OperationType.CONTOUR) {
-    // Resultaat = snijrand (vormgrens), niet het toolpad. Toolpad ligt op ±toolRadius van de rand.
-    const basePath = generateBasePath(shape, shapeParams, operation);
-    if (basePath && basePath.length >= 2) {
-      paths.push(basePath.map((p) => ({ x: p.x, y: p.y, z: 0 })));
-    }
-  }
+/**
+ * V-carve toolpath voor letters of DXF, met origin-correctie op de omtrek van de contouren
+ * (niet op de moves: de as ligt binnen de vorm).
+ * @param {{ x: number, y: number }[][]} contours
+ * @param {*} params
+ * @param {boolean} skipXYShift - DXF: de tekening heeft zijn eigen nulpunt
+ * @param {boolean} [keepXYOrigin] - contouren liggen al goed rond (0,0) (tekst op een boog: het middelpunt van de boog)
+ * @returns {Toolpath}
+ */
+function generateVCarveToolpath(contours, params, skipXYShift, keepXYOrigin = false) {
+  const { cutParams, originParams } = params;
+  const { moves, sections } = generateVCarveMoves(contours, params);
+  const outline = contours.flat();
+  const shift = computeOriginShift(outline, originParams, cutParams.totalDepth, 0, OperationType.POCKET, "inside", undefined, skipXYShift);
+  if (keepXYOrigin) {
+    shift.shiftX = 0;
+    shift.shiftY = 0;
+  }
+  applyOriginTransformToPoints(moves, shift.shiftX, shift.shiftY, shift.zOffset, shift.zOriginMode, cutParams.totalDepth);
+  const resultPaths = contours.filter((path) => path.length >= 2).map((path) => path.map((p) => ({ x: p.x, y: p.y, z: 0 })));
+  resultPaths.forEach((path) => {
+    applyOriginTransformToPoints(path, shift.shiftX, shift.shiftY, shift.zOffset, shift.zOriginMode, cutParams.totalDepth);
+  });
+  const bottomZ = originParams.zOrigin === ZOrigin.STOCK_BOTTOM ? 0 : -cutParams.totalDepth;
+  return {
+    moves,
+    sections,
+    resultPaths,
+    resultTotalDepth: cutParams.totalDepth,
+    resultBottomZ: bottomZ,
+    resultContourInside: true,
+    resultBounds: computeBoundsFromPaths(resultPaths),
+    toolDiameter: cutParams.toolDiameter,
+  };
+}
 
-  if (paths.length === 0) return null;
-  return { paths, totalDepth, bottomZ };
+/**
+ * DXF met een bewerking per laag: elke groep lagen wordt een eigen bewerking, daarna samengevoegd
+ * zoals een job (zelfde frees, commentaarregel per groep).
+ * De contouren staan al samen op de XY-origin, dus per groep geen eigen XY-verschuiving. Bij Z-origin
+ * op de onderkant blijft de totale diepte uit het formulier de materiaaldikte.
+ * @returns {Toolpath}
+ */
+function generateDxfLayerToolpath(params) {
+  const { cutParams, originParams } = params;
+  const stockBottom = originParams.zOrigin === ZOrigin.STOCK_BOTTOM;
+  const operations = params.dxfLayerGroups.map((group) => {
+    const groupParams = {
+      ...params,
+      dxfLayerGroups: null,
+      dxfContours: group.contours,
+      operation: group.operation,
+      contourType: group.contourType,
+      cutParams: { ...cutParams, totalDepth: group.depth },
+      originParams: {
+        ...originParams,
+        xyOrigin: XYOrigin.BOTTOM_LEFT,
+        zOffset: (originParams.zOffset || 0) + (stockBottom ? cutParams.totalDepth - group.depth : 0),
+      },
+    };
+    const toolpath = generateToolpath(groupParams);
+    applyPlungeFeedrate(toolpath.moves, groupParams.cutParams);
+    return {
+      toolpath,
+      name: `${getOperationName(groupParams)}: ${group.layers.join(", ")}`,
+      feedrate: cutParams.feedrate,
+      spindleSpeed: cutParams.spindleSpeed,
+      tool: cutParams.tool,
+      toolDiameter: cutParams.toolDiameter,
+    };
+  });
+  return combineJobToolpaths(operations);
 }
 
 /**
@@ -2335,65 +6214,62 @@ function generateToolpath(params) {
     Number.isFinite(minSizeForShape) &&
     Math.abs(minSizeForShape - cutParams.toolDiameter) <= epsSize;
 
+  if (shape === ShapeType.DXF && params.dxfLayerGroups) {
+    return generateDxfLayerToolpath(params);
+  }
+  if (cutParams.chamfer?.enabled && supportsChamfer(params)) {
+    return generateToolpathWithChamfer(params);
+  }
+  if (cutParams.finishing?.enabled && supportsFinishingPass(params)) {
+    return generateRoughingAndFinishingToolpath(params);
+  }
+  if (shape === ShapeType.THREAD_MILL) {
+    return generateThreadMillToolpath(params);
+  }
+
   /** @type {ToolpathMove[]} */
   const moves = [];
 
-  const depths = computeDepthLevels(cutParams.totalDepth, cutParams.stepdown);
+  // depthLevels: vaste lagen (bijv. voorfrezen tot boven de bodemovermaat), anders uit de stepdown
+  const depths = params.depthLevels ?? computeDepthLevels(cutParams.totalDepth, cutParams.stepdown);
+
+  // Tekst op een boog met origin midden: het middelpunt van de boog is de origin, niet het midden van de bounding box
+  const arcTextCentered = shape === ShapeType.LETTERS && shapeParams.textLayout === "arc" && originParams.xyOrigin === XYOrigin.CENTER &&
+    shapeParams.batch?.mode !== "grid";
 
-  // Lettergravering: outline (omtrek) of pocket (binnenkant uitfrezen)
+  // Lettergravering: outline (omtrek), pocket (binnenkant uitfrezen) of V-carve
   if (shape === ShapeType.LETTERS) {
     const font = params.letterFont;
     if (!font) return { moves: [] };
     const letterMode = params.letterMode || "outline";
-    let letterPaths = getLetterPathsFromFont(
-      shapeParams.text,
-      shapeParams.fontSize,
-      originParams.xyOrigin,
-      font
-    );
-    const orientationDeg = Number(shapeParams.letterOrientation) || 0;
-    if (orientationDeg !== 0) {
-      letterPaths = rotatePathsAroundOrigin(letterPaths, orientationDeg);
+    const letterPaths = getLetterLayoutPaths(shapeParams, originParams.xyOrigin, font);
+    if (letterMode === "vcarve") {
+      return generateVCarveToolpath(letterPaths, params, false, arcTextCentered);
     }
     const entryMethod = cutParams.entryMethod;
     const safeZ = cutParams.safeHeight;
 
     if (letterMode === "pocket") {
-      // Pocket = start met contour op freesstraal naar binnen (rand waar toolcentrum mag), dan vullen met ringen.
-      const getPts = (path) => {
-        if (!path.length) return path;
-        const last = path[path.length - 1];
-        const first = path[0];
-        if (Math.abs(last.x - first.x) < 1e-9 && Math.abs(last.y - first.y) < 1e-9) return path.slice(0, path.length - 1);
-        return path;
-      };
-      const contourIsHole = (path) => polygonSignedArea2(getPts(path)) < 0;
-      const minSize = 1.2 * cutParams.toolDiameter;
-
-      /** @type {{ innerBoundary: { x: number, y: number, z: number }[] }[]} */
-      const pocketable = [];
-      let lastFailReason = "";
-      for (let i = 0; i < letterPaths.length; i++) {
-        const path = letterPaths[i];
-        const pts = getPts(path);
-        if (pts.length < 3 || contourMinSize(pts) < minSize) continue;
-        const isHole = contourIsHole(path);
-        const offset = isHole ? -toolRadius : toolRadius;
-        const debug = {};
-        let inner = contourOffset(path, offset, debug);
-        if (!inner && Math.abs(offset) > 1e-6) inner = contourOffset(path, offset * 0.98, debug);
-        if (inner && inner.length >= 3) pocketable.push({ innerBoundary: inner });
-        else if (debug.failReason) lastFailReason = debug.failReason;
-      }
-      if (pocketable.length === 0) {
+      // Pocket = gebieden met de rand op freesstraal naar binnen (waar het toolcentrum mag), dan vullen met ringen.
+      const { pockets, failReason } = buildPocketRegions(letterPaths, toolRadius, 1.2 * cutParams.toolDiameter);
+      if (pockets.length === 0) {
         throw new Error(
-          t("error.lettersToolTooBig") + (lastFailReason ? " " + lastFailReason : "")
+          t("error.lettersToolTooBig") + (failReason ? " " + failReason : "")
         );
       }
 
+      // Adaptief/raster, of bij eilanden ringen om de eilanden heen; anders de ringen van één binnencontour
+      const clearings = pockets.map(({ boundary }) => {
+        if (usesPocketClearing(cutParams)) return generatePocketClearing(boundary, toolRadius, cutParams);
+        return boundary.length > 1 ? pocketRingsFromRegion(boundary, cutParams.stepover, cutParams.millingDirection) : null;
+      });
       depths.forEach((depthZ) => {
-        pocketable.forEach(({ innerBoundary }, idxContour) => {
-          const rings = pocketRingsFromInnerContour(innerBoundary, cutParams.stepover);
+        pockets.forEach(({ boundary }, idxContour) => {
+          if (clearings[idxContour]) {
+            addPocketClearingLayer(moves, clearings[idxContour], depthZ, cutParams, safeZ);
+            return;
+          }
+          const rings = pocketRingsFromInnerContour(boundary[0], cutParams.stepover);
           if (!rings.length) return;
           const fromInsideOut = rings.slice().reverse();
           if (idxContour > 0) {
@@ -2401,12 +6277,15 @@ function generateToolpath(params) {
             if (last && last.z < safeZ - 1e-6) moves.push({ x: last.x, y: last.y, z: safeZ, type: "rapid" });
           }
           fromInsideOut.forEach((ring, ringIdx) => {
-            addLayerForPath(moves, ring, depthZ, cutParams, plungeOutside && idxContour === 0 && ringIdx === 0, entryMethod, true, safeZ, undefined, true, true, toolRadius);
+            addLayerForPath(moves, orientContourPath(ring, true, cutParams.millingDirection), depthZ, cutParams, plungeOutside && idxContour === 0 && ringIdx === 0, entryMethod, true, safeZ, undefined, true, true, toolRadius);
             const last = moves[moves.length - 1];
             if (last && last.z < safeZ - 1e-6) moves.push({ x: last.x, y: last.y, z: safeZ, type: "rapid" });
           });
         });
       });
+    } else if (font.singleLine) {
+      // Enkel-lijns font: elke lijn één keer volgen, per lijn alle dieptes
+      letterPaths.forEach((stroke) => addOpenPathLayers(moves, stroke, depths, cutParams, safeZ));
     } else {
       // Outline: omtrek van elke letter volgen
       depths.forEach((depthZ) => {
@@ -2443,61 +6322,63 @@ function generateToolpath(params) {
     }
     const resultRaw = getResultShapePathsRaw(params);
     const shift = computeOriginShift(moves, originParams, cutParams.totalDepth, 0, OperationType.POCKET, "inside", undefined, false);
-    applyOriginTransform(moves, originParams, cutParams.totalDepth, 0, OperationType.POCKET, "inside");
+    if (arcTextCentered) {
+      shift.shiftX = 0;
+      shift.shiftY = 0;
+    }
+    applyOriginTransformToPoints(moves, shift.shiftX, shift.shiftY, shift.zOffset, shift.zOriginMode, cutParams.totalDepth);
     // Bij outline: geen preview van gefreesde vorm (alleen wireframe toolpad), geen freesdikte voor dimensies
     if (resultRaw && resultRaw.paths.length > 0 && letterMode !== "outline") {
-      resultRaw.paths.forEach((path) => {
+      [...resultRaw.paths, ...(resultRaw.islands ?? [])].forEach((path) => {
         applyOriginTransformToPoints(path, shift.shiftX, shift.shiftY, shift.zOffset, shift.zOriginMode, cutParams.totalDepth);
       });
       const resultBounds = computeBoundsFromPaths(resultRaw.paths);
-      return { moves, resultPaths: resultRaw.paths, resultTotalDepth: resultRaw.totalDepth, resultBottomZ: resultRaw.bottomZ, resultContourInside: true, resultBounds, toolDiameter: cutParams.toolDiameter };
+      return { moves, resultPaths: resultRaw.paths, resultIslands: resultRaw.islands, resultTotalDepth: resultRaw.totalDepth, resultBottomZ: resultRaw.bottomZ, resultContourInside: true, resultBounds, toolDiameter: cutParams.toolDiameter };
     }
     return { moves, toolDiameter: letterMode === "outline" ? 0 : cutParams.toolDiameter };
   }
 
-  // DXF-contouren: contour (uitsnijden) of pocket (uitfrezen),zelfde logica als letters
+  // DXF-contouren: contour (uitsnijden), pocket (uitfrezen) of V-carve, zelfde logica als letters
   if (shape === ShapeType.DXF) {
     const dxfContours = params.dxfContours;
     if (!dxfContours || dxfContours.length === 0) return { moves: [] };
+    if (operation === OperationType.VCARVE) {
+      return generateVCarveToolpath(dxfContours, params, true);
+    }
     const entryMethod = cutParams.entryMethod;
     const safeZ = cutParams.safeHeight;
 
-    if (operation === OperationType.POCKET) {
-      if (dxfContours.length > 1) {
-        throw new Error(t("error.dxfMultipleContoursPocket"));
-      }
-      const getPts = (path) => {
-        if (!path.length) return path;
-        const last = path[path.length - 1];
-        const first = path[0];
-        if (Math.abs(last.x - first.x) < 1e-9 && Math.abs(last.y - first.y) < 1e-9) return path.slice(0, path.length - 1);
-        return path;
-      };
-      const contourIsHole = (path) => polygonSignedArea2(getPts(path)) < 0;
-      const minSize = 1.2 * cutParams.toolDiameter;
-      /** @type {{ innerBoundary: { x: number, y: number, z: number }[] }[]} */
-      const pocketable = [];
-      let lastFailReason = "";
-      for (let i = 0; i < dxfContours.length; i++) {
-        const path = dxfContours[i];
-        const pts = getPts(path);
-        if (pts.length < 3 || contourMinSize(pts) < minSize) continue;
-        const isHole = contourIsHole(path);
-        const offset = isHole ? -toolRadius : toolRadius;
-        const debug = {};
-        let inner = contourOffset(path, offset, debug);
-        if (!inner && Math.abs(offset) > 1e-6) inner = contourOffset(path, offset * 0.98, debug);
-        if (inner && inner.length >= 3) pocketable.push({ innerBoundary: inner });
-        else if (debug.failReason) lastFailReason = debug.failReason;
-      }
-      if (pocketable.length === 0) {
+    if (operation === OperationType.ENGRAVE) {
+      // Op de lijn: aansluitende lijnen verbinden en in reisvolgorde volgen, per lijn alle dieptes
+      const joinTolerance = params.shapeParams.dxfJoinTolerance ?? DXF_JOIN_TOLERANCE_MM;
+      orderPathsForTravel(joinOpenPaths(dxfContours, joinTolerance), moves[moves.length - 1])
+        .forEach((path) => addOpenPathLayers(moves, path, depths, cutParams, safeZ));
+    } else if (operation === OperationType.DRILL) {
+      // Boren in het midden van elke contour (bounding box; bij een cirkel het middelpunt)
+      dxfContours.forEach((path) => {
+        const b = computeBoundsFromPaths([path]);
+        addDrillHole(moves, (b.minX + b.maxX) / 2, (b.minY + b.maxY) / 2, 0, -cutParams.totalDepth, params.drilling, cutParams);
+      });
+    } else if (operation === OperationType.POCKET) {
+      const { pockets, failReason } = buildPocketRegions(dxfContours, toolRadius, 1.2 * cutParams.toolDiameter);
+      if (pockets.length === 0) {
         throw new Error(
-          t("error.dxfNoPocketableContours") + (lastFailReason ? " " + lastFailReason : "")
+          t("error.dxfNoPocketableContours") + (failReason ? " " + failReason : "")
         );
       }
+
+      // Adaptief/raster, of bij eilanden ringen om de eilanden heen; anders de ringen van één binnencontour
+      const clearings = pockets.map(({ boundary }) => {
+        if (usesPocketClearing(cutParams)) return generatePocketClearing(boundary, toolRadius, cutParams);
+        return boundary.length > 1 ? pocketRingsFromRegion(boundary, cutParams.stepover, cutParams.millingDirection) : null;
+      });
       depths.forEach((depthZ) => {
-        pocketable.forEach(({ innerBoundary }, idxContour) => {
-          const rings = pocketRingsFromInnerContour(innerBoundary, cutParams.stepover);
+        pockets.forEach(({ boundary }, idxContour) => {
+          if (clearings[idxContour]) {
+            addPocketClearingLayer(moves, clearings[idxContour], depthZ, cutParams, safeZ);
+            return;
+          }
+          const rings = pocketRingsFromInnerContour(boundary[0], cutParams.stepover);
           if (!rings.length) return;
           const fromInsideOut = rings.slice().reverse();
           if (idxContour > 0) {
@@ -2505,7 +6386,7 @@ function generateToolpath(params) {
             if (last && last.z < safeZ - 1e-6) moves.push({ x: last.x, y: last.y, z: safeZ, type: "rapid" });
           }
           fromInsideOut.forEach((ring, ringIdx) => {
-            addLayerForPath(moves, ring, depthZ, cutParams, plungeOutside && idxContour === 0 && ringIdx === 0, entryMethod, true, safeZ, undefined, true, true, toolRadius);
+            addLayerForPath(moves, orientContourPath(ring, true, cutParams.millingDirection), depthZ, cutParams, plungeOutside && idxContour === 0 && ringIdx === 0, entryMethod, true, safeZ, undefined, true, true, toolRadius);
             const last = moves[moves.length - 1];
             if (last && last.z < safeZ - 1e-6) moves.push({ x: last.x, y: last.y, z: safeZ, type: "rapid" });
           });
@@ -2528,6 +6409,7 @@ function generateToolpath(params) {
           err.dxfProcessingError = true;
           throw err;
         }
+        contourPath = orientContourPath(contourPath, contourType === "inside", cutParams.millingDirection);
         if (tabs && tabs.enabled) {
           tabConfig = buildTabConfig(contourPath, tabs.interval, tabs.width, cutParams.totalDepth, tabs.height);
         }
@@ -2552,12 +6434,13 @@ function generateToolpath(params) {
             const contourInside = contoursWithArea[idx].absArea < maxAbsArea;
             const offset = contourInside ? toolRadius : -toolRadius;
             const debug = {};
-            const offsetPath = contourOffset(path, offset, debug);
-            if (!offsetPath) {
+            const rawOffsetPath = contourOffset(path, offset, debug);
+            if (!rawOffsetPath) {
               const err = new Error(t("error.dxfProcessingFailed"));
               err.dxfProcessingError = true;
               throw err;
             }
+            const offsetPath = orientContourPath(rawOffsetPath, contourInside, cutParams.millingDirection);
             const useTabConfig = tabs && tabs.enabled ? buildTabConfig(offsetPath, tabs.interval, tabs.width, cutParams.totalDepth, tabs.height) : null;
             const allowContinuing = contoursWithArea.length <= 1;
             addLayerForPath(moves, offsetPath, depthZ, cutParams, plungeOutside && idx === 0, entryMethod, idx === 0, safeZ, useTabConfig, contourInside, false, toolRadius, true, undefined, undefined, undefined, allowContinuing);
@@ -2573,12 +6456,12 @@ function generateToolpath(params) {
     const shift = computeOriginShift(moves, originParams, cutParams.totalDepth, 0, operation, operation === OperationType.POCKET ? "inside" : (params.contourType === "inside" ? "inside" : "outside"), undefined, true);
     applyOriginTransform(moves, originParams, cutParams.totalDepth, 0, operation, operation === OperationType.POCKET ? "inside" : (params.contourType === "inside" ? "inside" : "outside"), undefined, true);
     if (resultRaw && resultRaw.paths.length > 0) {
-      resultRaw.paths.forEach((path) => {
+      [...resultRaw.paths, ...(resultRaw.islands ?? [])].forEach((path) => {
         applyOriginTransformToPoints(path, shift.shiftX, shift.shiftY, shift.zOffset, shift.zOriginMode, cutParams.totalDepth);
       });
       const resultContourInside = operation === OperationType.POCKET || (operation === OperationType.CONTOUR && params.contourType === "inside");
       const resultBounds = computeBoundsFromPaths(resultRaw.paths);
-      return { moves, resultPaths: resultRaw.paths, resultTotalDepth: resultRaw.totalDepth, resultBottomZ: resultRaw.bottomZ, resultContourInside, resultBounds, toolDiameter: cutParams.toolDiameter };
+      return { moves, resultPaths: resultRaw.paths, resultIslands: resultRaw.islands, resultTotalDepth: resultRaw.totalDepth, resultBottomZ: resultRaw.bottomZ, resultContourInside, resultBounds, toolDiameter: cutParams.toolDiameter };
     }
     return { moves, toolDiameter: cutParams.toolDiameter };
   }
@@ -2594,14 +6477,22 @@ function generateToolpath(params) {
     const toolRadiusPocket = cutParams.toolDiameter / 2;
 
     const depthsCounterbore = computeDepthLevels(counterboreDepth, cutParams.stepdown);
-    const headPath = generateSpiralPocketCircle(
-      { diameter: headDiameter },
-      cutParams.stepover,
-      toolRadiusPocket
+    const headPath = orientPocketPath(
+      generateSpiralPocketCircle({ diameter: headDiameter }, cutParams.stepover, toolRadiusPocket),
+      cutParams.millingDirection
     );
     const maxHelixRadiusHead = Math.max(0, headDiameter / 2 - toolRadiusPocket);
+    // Adaptief of raster ruimen alleen voor de verzinking; het boutgat blijft een spiraal vanaf de bodem van de verzinking
+    const headBoundary = usesPocketClearing(cutParams)
+      ? generateContourPathWithOffset(ShapeType.CIRCLE, { diameter: headDiameter }, toolRadiusPocket, true)
+      : [];
+    const headClearing = headBoundary.length >= 3 ? generatePocketClearing([headBoundary], toolRadiusPocket, cutParams) : null;
 
     depthsCounterbore.forEach((depthZ, depthIndex) => {
+      if (headClearing) {
+        addPocketClearingLayer(moves, headClearing, depthZ, cutParams, safeZ);
+        return;
+      }
       addLayerForPath(
         moves,
         headPath,
@@ -2622,28 +6513,62 @@ function generateToolpath(params) {
       );
     });
 
-    // Naar midden (0,0) op bodem verzinking
-    if (moves.length > 0) {
+    // Boutgat eventueel met een andere frees uit de bibliotheek: eigen diameter, voeding en max. stepdown
+    const boltTool = shapeParams.boltTool ?? null;
+    const useBoltTool = boltTool != null && boltTool.number !== cutParams.tool?.number;
+    const boltCutParams = useBoltTool
+      ? {
+          ...cutParams,
+          toolDiameter: boltTool.diameter,
+          stepover: Math.min(boltTool.diameter, (cutParams.stepover / cutParams.toolDiameter) * boltTool.diameter),
+          stepdown: Math.min(cutParams.stepdown, boltTool.maxStepdown),
+          feedrate: boltTool.feedrate,
+          plungeFeedrate: boltTool.plungeFeedrate,
+        }
+      : cutParams;
+    const toolRadiusBolt = boltCutParams.toolDiameter / 2;
+    let boltStartIndex = 0;
+
+    const drilling = params.drilling;
+    if (drilling) {
+      // Boutgat boren vanaf de bodem van de verzinking; addDrillHole gaat eerst naar veilige hoogte
+      if (useBoltTool && moves.length > 0) {
+        const last = moves[moves.length - 1];
+        moves.push({ x: last.x, y: last.y, z: safeZ, type: "rapid" });
+      }
+      boltStartIndex = moves.length;
+      addDrillHole(moves, 0, 0, -counterboreDepth, -(counterboreDepth + boltHoleDepth), drilling, boltCutParams);
+    } else if (useBoltTool) {
+      // Omhoog voor de toolwissel, daarna boven het midden zakken tot de bodem van de verzinking
+      if (moves.length > 0) {
+        const last = moves[moves.length - 1];
+        moves.push({ x: last.x, y: last.y, z: safeZ, type: "rapid" });
+      }
+      boltStartIndex = moves.length;
+      moves.push({ x: 0, y: 0, z: safeZ, type: "rapid" });
+      moves.push({ x: 0, y: 0, z: cutParams.leadInAboveMm ?? 0, type: "rapid" });
+      moves.push({ x: 0, y: 0, z: -counterboreDepth, type: "cut" });
+    } else if (moves.length > 0) {
+      // Naar midden (0,0) op bodem verzinking
       const last = moves[moves.length - 1];
       if (Math.abs(last.x) > 1e-9 || Math.abs(last.y) > 1e-9 || Math.abs(last.z + counterboreDepth) > 1e-9) {
         moves.push({ x: 0, y: 0, z: -counterboreDepth, type: "cut" });
       }
     }
 
-    const depthsBolt = computeDepthLevels(boltHoleDepth, cutParams.stepdown);
-    const boltPath = generateSpiralPocketCircle(
-      { diameter: boltDiameter },
-      cutParams.stepover,
-      toolRadiusPocket
+    const depthsBolt = drilling ? [] : computeDepthLevels(boltHoleDepth, boltCutParams.stepdown);
+    const boltPath = orientPocketPath(
+      generateSpiralPocketCircle({ diameter: boltDiameter }, boltCutParams.stepover, toolRadiusBolt),
+      cutParams.millingDirection
     );
-    const maxHelixRadiusBolt = Math.max(0, boltDiameter / 2 - toolRadiusPocket);
+    const maxHelixRadiusBolt = Math.max(0, boltDiameter / 2 - toolRadiusBolt);
     const useRampForBolt = entryMethod === EntryMethod.RAMP && maxHelixRadiusBolt > 1e-6;
 
     depthsBolt.forEach((depthZRel, depthIndex) => {
       const depthZ = -counterboreDepth + depthZRel;
       if (depthIndex === 0 && useRampForBolt && boltPath.length > 1) {
         // Eerste boutlaag met ramp: helix start op hoogte verzonken gat (-counterboreDepth), niet bovenaan
-        const R = Math.max(1e-6, Math.min(toolRadiusPocket, maxHelixRadiusBolt));
+        const R = Math.max(1e-6, Math.min(toolRadiusBolt, maxHelixRadiusBolt));
         const cx = 0;
         const cy = 0;
         const helixStartX = cx + R;
@@ -2651,7 +6576,7 @@ function generateToolpath(params) {
         const zStart = -counterboreDepth; // start helix op bodem verzinking
         const targetZ = depthZ;
         const start = { x: boltPath[0].x, y: boltPath[0].y };
-        const rampAngleRad = degToRad(cutParams.rampAngleMax || 3);
+        const rampAngleRad = degToRad(boltCutParams.rampAngleMax || 3);
         const maxDepth = Math.abs(targetZ - zStart);
         // Van (0,0,zStart) naar helix-start op dezelfde Z, dan helix omlaag
         moves.push({ x: helixStartX, y: helixStartY, z: zStart, type: "cut" });
@@ -2700,7 +6625,7 @@ function generateToolpath(params) {
           moves,
           boltPath,
           depthZ,
-          cutParams,
+          boltCutParams,
           false,
           entryMethod,
           true,
@@ -2708,7 +6633,7 @@ function generateToolpath(params) {
           undefined,
           false,
           true,
-          toolRadiusPocket,
+          toolRadiusBolt,
           true,
           maxHelixRadiusBolt,
           0,
@@ -2756,7 +6681,16 @@ function generateToolpath(params) {
       { path: boltOutlinePath, topZ: applyZ(-counterboreDepth), bottomZ: applyZ(-totalDepth) },
     ];
     const resultBounds = computeBoundsFromPaths([headOutlinePath, boltOutlinePath]);
-    return { moves, resultPathsWithDepth, resultTotalDepth: totalDepth, resultBottomZ: applyZ(-totalDepth), resultContourInside: true, resultBounds, toolDiameter: cutParams.toolDiameter };
+    /** @type {ToolpathSection[] | undefined} */
+    let sections;
+    if (useBoltTool) {
+      applyPlungeFeedrate(moves, boltCutParams, boltStartIndex);
+      for (let i = boltStartIndex; i < moves.length; i++) {
+        if (moves[i].feed == null) moves[i].feed = boltTool.feedrate;
+      }
+      sections = [{ moveIndex: boltStartIndex, comment: t("gcode.comment.boltHole"), tool: boltTool, spindleSpeed: boltTool.spindleSpeed }];
+    }
+    return { moves, sections, resultPathsWithDepth, resultTotalDepth: totalDepth, resultBottomZ: applyZ(-totalDepth), resultContourInside: true, resultBounds, toolDiameter: cutParams.toolDiameter };
   }
 
   // Voor contour: pad met halve freesdiameter offset (binnen- of buitencontour),
@@ -2809,10 +6743,12 @@ function generateToolpath(params) {
   }
 
   // Voor vierkant/rechthoek/hexagon: startpunt van contourpad verplaatsen naar midden van een zijde
+  // (afgeronde rechthoeken beginnen daar al)
   if (
     operation === OperationType.CONTOUR &&
     contourPath &&
     (shape === ShapeType.SQUARE || shape === ShapeType.RECTANGLE) &&
+    !hasRoundedCorners(shape, shapeParams) &&
     contourPath.length >= 4
   ) {
     contourPath = adjustRectContourStartToEdgeMid(contourPath);
@@ -2824,6 +6760,9 @@ function generateToolpath(params) {
   ) {
     contourPath = adjustHexagonContourStartToEdgeMid(contourPath);
   }
+  if (operation === OperationType.CONTOUR) {
+    contourPath = orientContourPath(contourPath, contourType === "inside", cutParams.millingDirection);
+  }
 
   // Tabs voorbereiden (alleen contour)
   let tabConfig = null;
@@ -2849,29 +6788,22 @@ function generateToolpath(params) {
       useParams,
       cutParams.stepover,
       toolRadius,
-      mode
+      mode,
+      params.facingRaster,
+      cutParams.millingDirection
     );
   }
 
   // Voor pocket: één spiraalpad per vorm (stepover, volledige dekking)
   /** @type {{x:number,y:number,z:number}[][]} */
   let pocketPaths = [];
+  /** Bij adaptief of raster ruimen: per pocket de banen uit generatePocketClearing (in plaats van pocketPaths) */
+  let clearingPockets = null;
   if (operation === OperationType.POCKET) {
     if (equalToToolDiameter) {
       // Speciaal geval: pocket precies freesdiameter
       if (shape === ShapeType.PATTERNED_HOLES) {
-        const countX = Math.max(1, shapeParams.countX || 1);
-        const countY = Math.max(1, shapeParams.countY || 1);
-        const spacingX = shapeParams.spacingX || 96;
-        const spacingY = shapeParams.spacingY || 96;
-        pocketPaths = [];
-        for (let j = 0; j < countY; j++) {
-          for (let i = 0; i < countX; i++) {
-            const cx = i * spacingX;
-            const cy = j * spacingY;
-            pocketPaths.push([{ x: cx, y: cy, z: 0 }]);
-          }
-        }
+        pocketPaths = getPatternedHoleCenters(shapeParams).map(({ x, y }) => [{ x, y, z: 0 }]);
       } else if (
         shape === ShapeType.CIRCLE ||
         shape === ShapeType.ELLIPSE ||
@@ -2899,31 +6831,37 @@ function generateToolpath(params) {
           ]];
         }
       }
+    } else if (usesPocketClearing(cutParams)) {
+      // Adaptief of raster ruimen binnen de binnencontour; bij patterned holes één keer rekenen en per gat verschuiven
+      const isHoles = shape === ShapeType.PATTERNED_HOLES;
+      const boundary = isHoles
+        ? generateContourPathWithOffset(ShapeType.CIRCLE, { diameter: shapeParams.diameter }, toolRadius, true)
+        : generateContourPathWithOffset(shape, shapeParams, toolRadius, true);
+      const clearing = boundary.length >= 3 ? generatePocketClearing([boundary], toolRadius, cutParams) : [];
+      clearingPockets = (isHoles ? getPatternedHoleCenters(shapeParams) : [{ x: 0, y: 0 }]).map(({ x: cx, y: cy }) =>
+        clearing.map((pass) => ({
+          ...pass,
+          path: pass.path.map((p) => ({ x: p.x + cx, y: p.y + cy, z: p.z })),
+          center: pass.center ? { x: pass.center.x + cx, y: pass.center.y + cy } : undefined,
+        }))
+      );
     } else {
+      const direction = cutParams.millingDirection;
       if (shape === ShapeType.CIRCLE) {
-        pocketPaths = [generateSpiralPocketCircle(shapeParams, cutParams.stepover, toolRadius)];
+        pocketPaths = [orientPocketPath(generateSpiralPocketCircle(shapeParams, cutParams.stepover, toolRadius), direction)];
       } else if (shape === ShapeType.ELLIPSE) {
-        pocketPaths = [generateSpiralPocketEllipse(shapeParams, cutParams.stepover, toolRadius)];
+        pocketPaths = [orientPocketPath(generateSpiralPocketEllipse(shapeParams, cutParams.stepover, toolRadius), direction)];
       } else if (shape === ShapeType.SQUARE || shape === ShapeType.RECTANGLE) {
-        pocketPaths = [generateSpiralPocketRectangle(shape, shapeParams, cutParams.stepover, toolRadius)];
+        const clockwise = direction ? !wantsCounterClockwise(true, direction) : false;
+        pocketPaths = [orientPocketPath(generateSpiralPocketRectangle(shape, shapeParams, cutParams.stepover, toolRadius, clockwise), direction)];
       } else if (shape === ShapeType.HEXAGON) {
-        pocketPaths = [generateSpiralPocketHexagon(shapeParams, cutParams.stepover, toolRadius)];
+        pocketPaths = [orientPocketPath(generateSpiralPocketHexagon(shapeParams, cutParams.stepover, toolRadius), direction)];
       } else if (shape === ShapeType.PATTERNED_HOLES) {
-        const countX = Math.max(1, shapeParams.countX || 1);
-        const countY = Math.max(1, shapeParams.countY || 1);
-        const spacingX = shapeParams.spacingX || 96;
-        const spacingY = shapeParams.spacingY || 96;
         const holeShapeParams = { diameter: shapeParams.diameter };
-        const singlePath = generateSpiralPocketCircle(holeShapeParams, cutParams.stepover, toolRadius);
-        pocketPaths = [];
-        for (let j = 0; j < countY; j++) {
-          for (let i = 0; i < countX; i++) {
-            const cx = i * spacingX;
-            const cy = j * spacingY;
-            const translatedPath = singlePath.map((p) => ({ x: p.x + cx, y: p.y + cy, z: p.z }));
-            pocketPaths.push(translatedPath);
-          }
-        }
+        const singlePath = orientPocketPath(generateSpiralPocketCircle(holeShapeParams, cutParams.stepover, toolRadius), direction);
+        pocketPaths = getPatternedHoleCenters(shapeParams).map(({ x: cx, y: cy }) =>
+          singlePath.map((p) => ({ x: p.x + cx, y: p.y + cy, z: p.z }))
+        );
       }
     }
   }
@@ -2931,21 +6869,19 @@ function generateToolpath(params) {
   /** @type {{x:number,y:number}[]} - per pocket het midden (alleen bij patterned holes) */
   let pocketCenters = [];
   if (shape === ShapeType.PATTERNED_HOLES && operation === OperationType.POCKET) {
-    const countX = Math.max(1, shapeParams.countX || 1);
-    const countY = Math.max(1, shapeParams.countY || 1);
-    const spacingX = shapeParams.spacingX || 96;
-    const spacingY = shapeParams.spacingY || 96;
-    for (let j = 0; j < countY; j++) {
-      for (let i = 0; i < countX; i++) {
-        pocketCenters.push({ x: i * spacingX, y: j * spacingY });
-      }
-    }
+    pocketCenters = getPatternedHoleCenters(shapeParams);
   }
 
   const entryMethod = cutParams.entryMethod;
   const safeZ = cutParams.safeHeight;
 
-  depths.forEach((depthZ, depthIndex) => {
+  // Boren: per gat één boorcyclus over de volle diepte, geen lagen en geen spiraal
+  const drillCenters = shape === ShapeType.PATTERNED_HOLES && params.drilling ? pocketCenters : [];
+  drillCenters.forEach(({ x, y }) => {
+    addDrillHole(moves, x, y, 0, -cutParams.totalDepth, params.drilling, cutParams);
+  });
+
+  (drillCenters.length > 0 ? [] : depths).forEach((depthZ, depthIndex) => {
     if (operation === OperationType.CONTOUR) {
       if (contourPath.length < 2) return; // te kleine vorm na offset
       const isLastLayer = depthIndex === depths.length - 1;
@@ -2970,6 +6906,11 @@ function generateToolpath(params) {
       const hw = (isFacingShape ? shapeParams.width : (shape === ShapeType.SQUARE ? shapeParams.size : shapeParams.width)) / 2 - toolRadiusFacing;
       const hh = (isFacingShape ? shapeParams.height : (shape === ShapeType.SQUARE ? shapeParams.size : shapeParams.height)) / 2 - toolRadiusFacing;
       const maxHelixRadiusFacing = Math.max(0, Math.min(hw, hh));
+      if (params.facingRaster?.mode === "oneway") {
+        // Eenrichting: per strook terug naar veilige hoogte en opnieuw insteken, zoals bij raster-ruimen
+        facingPaths.forEach((path) => addOpenPathLayer(moves, path, depthZ, cutParams, safeZ));
+        return;
+      }
       facingPaths.forEach((path, idx) => {
         addLayerForPath(
           moves,
@@ -2992,6 +6933,8 @@ function generateToolpath(params) {
           true  // keepToolDownBetweenPaths: geen retract tussen strips
         );
       });
+    } else if (clearingPockets) {
+      clearingPockets.forEach((passes) => addPocketClearingLayer(moves, passes, depthZ, cutParams, safeZ));
     } else {
       // Pocket: één spiraalpad per laag (cirkel/ellips/rechthoek), stepover gerespecteerd
       const toolRadiusPocket = cutParams.toolDiameter / 2;
@@ -3104,19 +7047,70 @@ function generateToolpath(params) {
     }
   }
   const resultRaw = getResultShapePathsRaw(params);
-  const shift = computeOriginShift(moves, originParams, cutParams.totalDepth, toolRadius, operation, contourType, facingBounds, false);
-  applyOriginTransform(moves, originParams, cutParams.totalDepth, toolRadius, operation, contourType, facingBounds);
+  // originShift: vaste verschuiving (bijv. nul bij voorfrezen + nabewerking, die samen worden verschoven)
+  // Bij boren liggen de moves op de gatmiddens: de rand van het gat ligt een gatstraal verder
+  const shiftRadius = drillCenters.length > 0 ? shapeParams.diameter / 2 : toolRadius;
+  const shift = params.originShift ?? computeOriginShift(moves, originParams, cutParams.totalDepth, shiftRadius, operation, contourType, facingBounds, false);
+  const isPolarPattern = shape === ShapeType.PATTERNED_HOLES && shapeParams.layout === "polar";
+  if (isPolarPattern && originParams.xyOrigin === XYOrigin.CENTER && !params.originShift) {
+    // Steekcirkel: het middelpunt van de cirkel is de origin, niet het midden van de bounding box
+    shift.shiftX = 0;
+    shift.shiftY = 0;
+  }
+  applyOriginTransformToPoints(moves, shift.shiftX, shift.shiftY, shift.zOffset, shift.zOriginMode, cutParams.totalDepth);
   if (resultRaw && resultRaw.paths.length > 0) {
     resultRaw.paths.forEach((path) => {
       applyOriginTransformToPoints(path, shift.shiftX, shift.shiftY, shift.zOffset, shift.zOriginMode, cutParams.totalDepth);
     });
     const resultContourInside = operation === OperationType.POCKET || (operation === OperationType.CONTOUR && contourType === "inside");
     const resultBounds = computeBoundsFromPaths(resultRaw.paths);
-    return { moves, resultPaths: resultRaw.paths, resultTotalDepth: resultRaw.totalDepth, resultBottomZ: resultRaw.bottomZ, resultContourInside, resultBounds, toolDiameter: cutParams.toolDiameter };
+    const resultPitchCircle = isPolarPattern
+      ? { x: shift.shiftX, y: shift.shiftY, diameter: shapeParams.pitchDiameter }
+      : undefined;
+    return { moves, resultPaths: resultRaw.paths, resultTotalDepth: resultRaw.totalDepth, resultBottomZ: resultRaw.bottomZ, resultContourInside, resultBounds, resultPitchCircle, toolDiameter: cutParams.toolDiameter };
   }
   return { moves, toolDiameter: cutParams.toolDiameter };
 }
 
+/** Bij pikboren zakt de ijlgang tot zo ver boven de vorige pikdiepte (mm). */
+const DRILL_PECK_CLEARANCE_MM = 0.5;
+
+/**
+ * Eén boorgat: ijlgang naar het R-vlak (lead-in boven het gat), boren tot de bodem (bij G83 in pikken,
+ * telkens terug naar R) en terug naar veilige hoogte. De moves vanaf het R-vlak delen één drill-object;
+ * de G-code maakt daar één G81/G82/G83-regel van of schrijft ze uit (zie toolpathToGcodeWithLineMap).
+ * @param {ToolpathMove[]} moves
+ * @param {number} x
+ * @param {number} y
+ * @param {number} topZ - bovenkant van het gat
+ * @param {number} bottomZ - bodem van het gat
+ * @param {DrillCycle} drilling
+ * @param {*} cutParams
+ */
+function addDrillHole(moves, x, y, topZ, bottomZ, drilling, cutParams) {
+  const safeZ = cutParams.safeHeight;
+  const last = moves[moves.length - 1];
+  if (last && last.z < safeZ - 1e-6) moves.push({ x: last.x, y: last.y, z: safeZ, type: "rapid" });
+  moves.push({ x, y, z: safeZ, type: "rapid" });
+
+  const drill = { ...drilling };
+  const feed = cutParams.plungeFeedrate > 0 ? cutParams.plungeFeedrate : cutParams.feedrate;
+  const rZ = Math.min(safeZ, topZ + (cutParams.leadInAboveMm ?? 0));
+  moves.push({ x, y, z: rZ, type: "rapid", drill });
+  if (drill.cycle === "G83" && drill.peckDepth > 0) {
+    let depthZ = rZ;
+    while (depthZ > bottomZ + 1e-6) {
+      if (depthZ < rZ) moves.push({ x, y, z: Math.min(rZ, depthZ + DRILL_PECK_CLEARANCE_MM), type: "rapid", drill });
+      depthZ = Math.max(bottomZ, depthZ - drill.peckDepth);
+      moves.push({ x, y, z: depthZ, type: "cut", feed, drill });
+      if (depthZ > bottomZ + 1e-6) moves.push({ x, y, z: rZ, type: "rapid", drill });
+    }
+  } else {
+    moves.push({ x, y, z: bottomZ, type: "cut", feed, drill });
+  }
+  moves.push({ x, y, z: safeZ, type: "rapid", drill });
+}
+
 /**
  * Eén laag toevoegen voor een gegeven polyline-pad.
  * Insteek: plunge of ramp.
@@ -3939,6 +7933,89 @@ function addLayerForPath(
   }
 }
 
+/**
+ * Open lijn (bijv. enkel-lijns letter) op alle dieptes frezen: één keer insteken en per laag
+ * heen en weer langs de lijn, zonder tussendoor terug te trekken. Altijd plunge; een ramp heeft
+ * op een open lijn geen ruimte om terug te keren.
+ * @param {ToolpathMove[]} moves
+ * @param {{x:number,y:number,z:number}[]} path
+ * @param {number[]} depths
+ * @param {*} cutParams
+ * @param {number} safeZ
+ */
+function addOpenPathLayers(moves, path, depths, cutParams, safeZ) {
+  if (!path || path.length === 0) return;
+  const leadInAbove = Math.max(0, cutParams.leadInAboveMm ?? 2);
+  const last = moves[moves.length - 1];
+  if (last && last.z < safeZ - 1e-6) moves.push({ x: last.x, y: last.y, z: safeZ, type: "rapid" });
+  const start = path[0];
+  moves.push({ x: start.x, y: start.y, z: safeZ, type: "rapid" });
+  if (safeZ > leadInAbove) moves.push({ x: start.x, y: start.y, z: leadInAbove, type: "rapid" });
+  depths.forEach((depthZ, layer) => {
+    const pts = layer % 2 === 0 ? path : path.slice().reverse();
+    pts.forEach((p) => moves.push({ x: p.x, y: p.y, z: depthZ, type: "cut" }));
+  });
+}
+
+/**
+ * Open baan (rasterstrook) op één diepte frezen: terug naar veilige hoogte, naar het begin en insteken.
+ * Bij ramp gaat de frees al dalend heen en weer langs de baan tot op diepte en dan terug naar het begin;
+ * zo blijft de insteek binnen de pocket. Een strook korter dan de freesdiameter krijgt een plunge, anders
+ * zou de ramp vrijwel op één plek heen en weer gaan.
+ * @param {ToolpathMove[]} moves
+ * @param {{x:number,y:number,z:number}[]} path
+ * @param {number} depthZ
+ * @param {*} cutParams
+ * @param {number} safeZ
+ */
+function addOpenPathLayer(moves, path, depthZ, cutParams, safeZ) {
+  if (!path || path.length === 0) return;
+  const leadInAbove = Math.max(0, cutParams.leadInAboveMm ?? 2);
+  const last = moves[moves.length - 1];
+  if (last && last.z < safeZ - 1e-6) moves.push({ x: last.x, y: last.y, z: safeZ, type: "rapid" });
+  const start = path[0];
+  moves.push({ x: start.x, y: start.y, z: safeZ, type: "rapid" });
+  if (safeZ > leadInAbove) moves.push({ x: start.x, y: start.y, z: leadInAbove, type: "rapid" });
+
+  const rampAngleRad = degToRad(cutParams.rampAngleMax || 3);
+  let pathLength = 0;
+  for (let i = 1; i < path.length; i++) pathLength += distance2D(path[i - 1], path[i]);
+  const minRampPathLength = Number.isFinite(cutParams.toolDiameter) ? cutParams.toolDiameter : 0;
+  if (cutParams.entryMethod === EntryMethod.RAMP && rampAngleRad > 0 && pathLength > Math.max(1e-6, minRampPathLength)) {
+    const requiredPathLength = Math.abs(depthZ - leadInAbove) / Math.tan(rampAngleRad);
+    let dist = 0;
+    let index = 0;
+    let step = 1;
+    let at = start;
+    while (true) {
+      // Aan het eind van de baan omkeren
+      if (index + step < 0 || index + step >= path.length) step = -step;
+      const next = path[index + step];
+      const segLen = distance2D(at, next);
+      if (dist + segLen >= requiredPathLength) {
+        const f = segLen > 1e-12 ? (requiredPathLength - dist) / segLen : 0;
+        moves.push({ x: at.x + (next.x - at.x) * f, y: at.y + (next.y - at.y) * f, z: depthZ, type: "cut" });
+        break;
+      }
+      dist += segLen;
+      index += step;
+      at = next;
+      moves.push({ x: at.x, y: at.y, z: leadInAbove + (depthZ - leadInAbove) * (dist / requiredPathLength), type: "cut" });
+    }
+    // Op diepte terug naar het begin van de baan
+    for (let i = Math.min(index, index + step); i >= 0; i--) {
+      const p = path[i];
+      if (distance2D(p, moves[moves.length - 1]) > 1e-9) moves.push({ x: p.x, y: p.y, z: depthZ, type: "cut" });
+    }
+  } else {
+    moves.push({ x: start.x, y: start.y, z: depthZ, type: "cut" });
+  }
+  for (let i = 1; i < path.length; i++) {
+    const p = path[i];
+    moves.push({ x: p.x, y: p.y, z: depthZ, type: "cut" });
+  }
+}
+
 /**
  * Origin-transformatie op moves toepassen (XY en Z).
  * @param {ToolpathMove[]} moves
@@ -3982,6 +8059,137 @@ function applyOriginTransform(
   });
 }
 
+/** Vertaalkeys voor vorm en bewerking, voor de naam van een bewerking in de job. */
+const SHAPE_LABEL_KEYS = {
+  [ShapeType.CIRCLE]: "form.shapeCircle",
+  [ShapeType.SQUARE]: "form.shapeSquare",
+  [ShapeType.RECTANGLE]: "form.shapeRectangle",
+  [ShapeType.HEXAGON]: "form.shapeHexagon",
+  [ShapeType.FACING]: "form.shapeFacing",
+  [ShapeType.ELLIPSE]: "form.shapeEllipse",
+  [ShapeType.LETTERS]: "form.shapeLetters",
+  [ShapeType.COUNTERBORE_BOLT]: "form.shapeCounterboreBolt",
+  [ShapeType.PATTERNED_HOLES]: "form.shapePatternedHoles",
+  [ShapeType.THREAD_MILL]: "form.shapeThreadMill",
+  [ShapeType.DXF]: "form.shapeDxf",
+};
+const OPERATION_LABEL_KEYS = {
+  [OperationType.POCKET]: "form.operationPocket",
+  [OperationType.CONTOUR]: "form.operationContour",
+  [OperationType.ENGRAVE]: "form.operationEngrave",
+  [OperationType.DRILL]: "form.dxfLayerOpDrill",
+};
+
+/**
+ * Leesbare naam van een bewerking, bijv. "Cirkel · Pocket (binnen uitfrezen)".
+ * Bij vormen en DXF staat de bewerking erbij; bij de overige typen volgt die uit het type zelf.
+ * @param {{ shape: string, operation: string }} params
+ * @returns {string}
+ */
+function getOperationName(params) {
+  const shapeLabel = t(SHAPE_LABEL_KEYS[params.shape] ?? "form.shape");
+  const opKey = OPERATION_LABEL_KEYS[params.operation];
+  const withOperation =
+    params.shape !== ShapeType.FACING &&
+    params.shape !== ShapeType.LETTERS &&
+    params.shape !== ShapeType.COUNTERBORE_BOLT &&
+    params.shape !== ShapeType.PATTERNED_HOLES &&
+    params.shape !== ShapeType.THREAD_MILL;
+  return withOperation && opKey ? `${shapeLabel} · ${t(opKey)}` : shapeLabel;
+}
+
+/**
+ * Kopie van een toolpath, in XY verschoven (moves en resultaatpaden).
+ * I/J van bogen zijn relatief en blijven gelijk.
+ * @param {Toolpath} toolpath
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {Toolpath}
+ */
+function translateToolpath(toolpath, dx, dy) {
+  const shift = (p) => ({ ...p, x: p.x + dx, y: p.y + dy });
+  const out = { ...toolpath, moves: toolpath.moves.map(shift) };
+  if (toolpath.resultPaths) out.resultPaths = toolpath.resultPaths.map((path) => path.map(shift));
+  if (toolpath.resultPathsWithDepth) {
+    out.resultPathsWithDepth = toolpath.resultPathsWithDepth.map((entry) => ({ ...entry, path: entry.path.map(shift) }));
+  }
+  if (toolpath.resultBounds) {
+    const b = toolpath.resultBounds;
+    out.resultBounds = { minX: b.minX + dx, maxX: b.maxX + dx, minY: b.minY + dy, maxY: b.maxY + dy };
+  }
+  if (toolpath.resultPitchCircle) out.resultPitchCircle = shift(toolpath.resultPitchCircle);
+  if (toolpath.resultIslands) out.resultIslands = toolpath.resultIslands.map((path) => path.map(shift));
+  return out;
+}
+
+/**
+ * Voegt de toolpaths van een job samen tot één programma.
+ * Tussen twee bewerkingen gaat de frees met G0 omhoog naar de hoogste Z van de job en pas daarna
+ * naar het startpunt van de volgende bewerking. Elke move krijgt de feedrate van zijn bewerking mee.
+ * Bewerkingen met een andere frees (uit de bibliotheek) krijgen in de G-code een toolwissel. Gebruikt de job
+ * ergens een frees uit de bibliotheek, dan pauzeert een bewerking zonder frees voor een handmatige wissel,
+ * behalve direct na een bewerking zonder frees met dezelfde diameter.
+ * @param {{ toolpath: Toolpath, name: string, feedrate: number, spindleSpeed?: number, tool?: Tool | null, toolDiameter?: number }[]} operations
+ * @returns {Toolpath}
+ */
+function combineJobToolpaths(operations) {
+  const jobHasTools = operations.some((op) => op.tool != null || (op.toolpath.sections ?? []).some((s) => s.tool != null));
+  let jobSafeZ = -Infinity;
+  operations.forEach(({ toolpath }) => {
+    toolpath.moves.forEach((m) => {
+      if (Number.isFinite(m.z) && m.z > jobSafeZ) jobSafeZ = m.z;
+    });
+  });
+
+  /** @type {ToolpathMove[]} */
+  const moves = [];
+  /** @type {ToolpathSection[]} */
+  const sections = [];
+  const resultLayers = [];
+  let toolDiameter = 0;
+  /** Frees na de vorige bewerking; null als die onbekend is (wissel binnen de bewerking) */
+  let mounted = null;
+  operations.forEach((op, index) => {
+    const opMoves = op.toolpath.moves;
+    if (!opMoves.length) return;
+    const isFirst = moves.length === 0;
+    const prev = moves[moves.length - 1];
+    if (!isFirst && prev.z < jobSafeZ) {
+      moves.push({ x: prev.x, y: prev.y, z: jobSafeZ, type: "rapid" });
+    }
+    const tool = op.tool ?? null;
+    const sameManualTool = mounted && mounted.tool == null && mounted.diameter === op.toolDiameter;
+    /** @type {ToolpathSection} */
+    const section = {
+      moveIndex: moves.length,
+      comment: t("gcode.comment.operation", { n: index + 1, total: operations.length, name: op.name }),
+      spindleSpeed: op.spindleSpeed,
+      tool,
+    };
+    if (!tool && jobHasTools && !isFirst && !sameManualTool) {
+      section.manualToolChange = Number.isFinite(op.toolDiameter)
+        ? t("gcode.comment.jobOperationTool", { n: index + 1, diameter: `${Number(op.toolDiameter.toFixed(3))} mm` })
+        : op.name;
+    }
+    sections.push(section);
+    const start = opMoves[0];
+    if (!isFirst && (start.type !== "rapid" || start.z < jobSafeZ)) {
+      moves.push({ x: start.x, y: start.y, z: jobSafeZ, type: "rapid" });
+    }
+    const base = moves.length;
+    let innerChange = false;
+    (op.toolpath.sections ?? []).forEach((section) => {
+      if (section.manualToolChange || (section.tool != null && section.tool.number !== tool?.number)) innerChange = true;
+      sections.push({ ...section, moveIndex: section.moveIndex + base });
+    });
+    mounted = innerChange ? null : { tool, diameter: op.toolDiameter };
+    opMoves.forEach((m) => moves.push({ ...m, feed: m.feed ?? op.feedrate }));
+    resultLayers.push(op.toolpath);
+    if (Number.isFinite(op.toolpath.toolDiameter)) toolDiameter = Math.max(toolDiameter, op.toolpath.toolDiameter);
+  });
+  return { moves, sections, resultLayers, toolDiameter };
+}
+
 /**
  * Cirkel door 3 punten (xy). Retourneert { cx, cy, r } of null als collinear.
  * Formule: circumcenter van de driehoek.
@@ -4005,33 +8213,51 @@ function pointToCircleDeviation(px, py, cx, cy, r) {
 
 /** Max afwijking (mm) om een reeks punten als cirkelboog te accepteren; wat ruimer voor Bézier-benaderingen */
 const ARC_FIT_TOLERANCE_MM = 0.03;
+/** Max hoek (t.o.v. het middelpunt) per segment binnen een boog; scherpe hoeken (rechthoek, zeshoek) blijven G1. */
+const ARC_FIT_MAX_TURN_RAD = degToRad(30);
+/** Grotere stralen zijn praktisch rechte lijnen en geven onnauwkeurige I/J-waarden. */
+const ARC_FIT_MAX_RADIUS_MM = 2000;
+/** Minimaal aantal segmenten dat een boog moet vervangen (anders levert het niets op). */
+const ARC_FIT_MIN_SEGMENTS = 3;
+/** Bij R-formaat is het middelpunt rond 180° slecht bepaald; bogen daarom kleiner houden. */
+const ARC_FIT_MAX_SWEEP_R_RAD = degToRad(170);
 
 /**
  * Vervang reeksen cut-bewegingen in de move-lijst door arc-bewegingen waar mogelijk.
- * Wijzigt de array in plaats; voegt move type 'arc' toe.
+ * Wijzigt de array in plaats; voegt move type 'arc' toe (i/j relatief t.o.v. het startpunt, zoals G2/G3).
+ * Het eindpunt van de voorgaande beweging is het startpunt van de eerste boog.
+ * Een reeks loopt niet over een andere feed heen (bijv. insteekvoeding); sections worden naar de nieuwe indices omgezet.
+ * Moves van een boorcyclus (drill) blijven ongewijzigd.
  * @param {ToolpathMove[]} moves
+ * @param {number} [maxSweepRad] max doorlopen hoek per boog (bijv. voor R-formaat)
+ * @param {ToolpathSection[]} [sections]
  */
-function replaceCutRunsWithArcs(moves) {
+function replaceCutRunsWithArcs(moves, maxSweepRad = 2 * Math.PI, sections = []) {
   const out = [];
+  /** @type {number[]} oude move-index → nieuwe move-index */
+  const indexMap = [];
   let i = 0;
   while (i < moves.length) {
     const m = moves[i];
-    if (m.type === "rapid") {
-      out.push(m);
-      i++;
-      continue;
-    }
-    if (m.type !== "cut") {
+    if (m.type !== "cut" || i === 0 || m.drill) {
+      indexMap[i] = out.length;
       out.push(m);
       i++;
       continue;
     }
-    const cutRun = [];
-    while (i < moves.length && moves[i].type === "cut") {
-      cutRun.push({ x: moves[i].x, y: moves[i].y, z: moves[i].z });
+    const prev = moves[i - 1];
+    const cutRun = [{ x: prev.x, y: prev.y, z: prev.z }];
+    while (i < moves.length && moves[i].type === "cut" && moves[i].feed === m.feed && !moves[i].drill) {
+      const c = moves[i];
+      indexMap[i] = out.length;
+      const last = cutRun[cutRun.length - 1];
+      // Dubbele punten (bijv. rond tabs) leveren nul-lengte segmenten op; die breken een boog onnodig af
+      if (Math.hypot(c.x - last.x, c.y - last.y, c.z - last.z) > 1e-9) {
+        cutRun.push({ x: c.x, y: c.y, z: c.z });
+      }
       i++;
     }
-    const fitted = fitArcsToPoints(cutRun);
+    const fitted = fitArcsToPoints(cutRun, maxSweepRad);
     for (const seg of fitted) {
       if (seg.type === "arc") {
         out.push({
@@ -4042,109 +8268,421 @@ function replaceCutRunsWithArcs(moves) {
           i: seg.i,
           j: seg.j,
           clockwise: seg.clockwise,
+          feed: m.feed,
         });
       } else {
-        out.push({ x: seg.x, y: seg.y, z: seg.z, type: "cut" });
+        out.push({ x: seg.x, y: seg.y, z: seg.z, type: "cut", feed: m.feed });
       }
     }
   }
+  sections.forEach((section) => {
+    section.moveIndex = indexMap[section.moveIndex] ?? out.length;
+  });
   moves.length = 0;
   moves.push(...out);
 }
 
 /**
- * Consecutieve cut-bewegingen op dezelfde Z omzetten naar een mix van G1 en G2/G3.
- * @param {{ x: number, y: number, z: number }[]} points
- * @returns {{ type: 'line'|'arc', x: number, y: number, z: number, i?: number, j?: number, clockwise?: boolean }[]}
+ * Insteekvoeding: cut- en arc-moves zonder XY-verplaatsing of met dalende Z (insteken, helix, ramp)
+ * krijgen de plunge feedrate. Met descentAtFeed worden verticale G0-afdalingen een G1 op die voeding.
+ * Moves met een eigen feed (bijv. van een andere frees) en boorcycli blijven ongemoeid. Wijzigt de array in plaats.
+ * @param {ToolpathMove[]} moves
+ * @param {{ feedrate: number, plungeFeedrate?: number, descentAtFeed?: boolean }} cutParams
+ * @param {number} [startIndex]
+ */
+function applyPlungeFeedrate(moves, cutParams, startIndex = 0) {
+  const plungeFeed = cutParams.plungeFeedrate > 0 ? cutParams.plungeFeedrate : cutParams.feedrate;
+  for (let i = Math.max(1, startIndex); i < moves.length; i++) {
+    const m = moves[i];
+    if (m.feed != null || m.drill) continue;
+    const prev = moves[i - 1];
+    const descending = m.z < prev.z - 1e-9;
+    const vertical = Math.hypot(m.x - prev.x, m.y - prev.y) <= 1e-9 && Math.abs(m.z - prev.z) > 1e-9;
+    if (m.type === "rapid") {
+      if (cutParams.descentAtFeed && vertical && descending) {
+        m.type = "cut";
+        m.feed = plungeFeed;
+      }
+    } else if ((m.type === "cut" || m.type === "arc") && (vertical || descending)) {
+      m.feed = plungeFeed;
+    }
+  }
+}
+
+/**
+ * Zoek vanaf startindex de langste reeks punten die binnen de tolerantie op één cirkelboog ligt.
+ * Z mag lineair meelopen met de booglengte (helix / ramp langs een cirkel).
+ * @param {{ x: number, y: number, z: number }[]} points
+ * @param {number} start
+ * @param {number} maxSweepRad
+ * @returns {{ end: number, cx: number, cy: number, clockwise: boolean } | null}
+ */
+function findArcFromIndex(points, start, maxSweepRad) {
+  let best = null;
+  const p0 = points[start];
+  for (let end = start + ARC_FIT_MIN_SEGMENTS; end < points.length; end++) {
+    const pEnd = points[end];
+    const circle = circleFromThreePoints(p0, points[Math.floor((start + end) / 2)], pEnd);
+    if (!circle || circle.r > ARC_FIT_MAX_RADIUS_MM) break;
+    let ok = true;
+    let dir = 0;
+    let sweep = 0;
+    let lengthXY = 0;
+    const cumLength = [0];
+    for (let k = start; k < end && ok; k++) {
+      const a = points[k];
+      const b = points[k + 1];
+      const segLen = Math.hypot(b.x - a.x, b.y - a.y);
+      if (segLen < 1e-9) {
+        ok = false;
+        break;
+      }
+      if (pointToCircleDeviation(b.x, b.y, circle.cx, circle.cy, circle.r) > ARC_FIT_TOLERANCE_MM) ok = false;
+      const ax = a.x - circle.cx;
+      const ay = a.y - circle.cy;
+      const bx = b.x - circle.cx;
+      const by = b.y - circle.cy;
+      const step = Math.atan2(ax * by - ay * bx, ax * bx + ay * by);
+      const stepDir = Math.sign(step);
+      if (dir === 0) dir = stepDir;
+      if (stepDir === 0 || stepDir !== dir || Math.abs(step) > ARC_FIT_MAX_TURN_RAD) ok = false;
+      // Pijlhoogte: de boog mag tussen twee punten niet verder dan de tolerantie van het rechte segment afwijken
+      if (circle.r * (1 - Math.cos(step / 2)) > ARC_FIT_TOLERANCE_MM) ok = false;
+      sweep += Math.abs(step);
+      lengthXY += segLen;
+      cumLength.push(lengthXY);
+    }
+    if (!ok || sweep >= Math.min(maxSweepRad, 2 * Math.PI - 1e-6)) break;
+    // Z moet lineair met de afgelegde booglengte verlopen
+    const dz = pEnd.z - p0.z;
+    for (let k = start + 1; k < end && ok; k++) {
+      const zExpected = p0.z + (dz * cumLength[k - start]) / lengthXY;
+      if (Math.abs(points[k].z - zExpected) > ARC_FIT_TOLERANCE_MM) ok = false;
+    }
+    if (!ok) break;
+    best = { end, cx: circle.cx, cy: circle.cy, clockwise: dir < 0 };
+  }
+  return best;
+}
+
+/**
+ * Opeenvolgende cut-punten omzetten naar een mix van G1 en G2/G3.
+ * points[0] is de huidige positie (startpunt); de segmenten lopen naar points[1..n-1].
+ * @param {{ x: number, y: number, z: number }[]} points
+ * @param {number} [maxSweepRad]
+ * @returns {{ type: 'line'|'arc', x: number, y: number, z: number, i?: number, j?: number, clockwise?: boolean }[]}
+ */
+function fitArcsToPoints(points, maxSweepRad = 2 * Math.PI) {
+  const result = [];
+  let i = 0;
+  while (i < points.length - 1) {
+    const arc = findArcFromIndex(points, i, maxSweepRad);
+    if (arc) {
+      const p0 = points[i];
+      const pEnd = points[arc.end];
+      result.push({
+        type: "arc",
+        x: pEnd.x,
+        y: pEnd.y,
+        z: pEnd.z,
+        i: arc.cx - p0.x,
+        j: arc.cy - p0.y,
+        clockwise: arc.clockwise,
+      });
+      i = arc.end;
+      continue;
+    }
+    result.push({ type: "line", ...points[i + 1] });
+    i++;
+  }
+  return result;
+}
+
+/**
+ * Geometrie van een arc-move: middelpunt, straal en doorlopen hoek (radialen, altijd positief).
+ * @param {{ x: number, y: number }} from startpunt (eindpunt van de vorige move)
+ * @param {ToolpathMove} m
+ * @returns {{ cx: number, cy: number, r: number, startAngle: number, sweep: number }}
+ */
+function getArcMoveGeometry(from, m) {
+  const cx = from.x + m.i;
+  const cy = from.y + m.j;
+  const r = Math.hypot(m.i, m.j);
+  const startAngle = Math.atan2(from.y - cy, from.x - cx);
+  const endAngle = Math.atan2(m.y - cy, m.x - cx);
+  let sweep = m.clockwise ? startAngle - endAngle : endAngle - startAngle;
+  while (sweep <= 1e-9) sweep += 2 * Math.PI;
+  return { cx, cy, r, startAngle, sweep };
+}
+
+/**
+ * Lengte van een arc-move inclusief Z-verloop (helix).
+ * @param {{ x: number, y: number, z: number }} from
+ * @param {ToolpathMove} m
  */
-function fitArcsToPoints(points) {
-  if (points.length < 3) {
-    return points.map((p) => ({ type: "line", ...p }));
-  }
-  const result = [];
-  let i = 0;
-  const z = points[0].z;
-  while (i < points.length) {
-    if (i >= points.length - 2) {
-      result.push({ type: "line", ...points[i] });
-      i++;
-      continue;
+function getArcMoveLength(from, m) {
+  const { r, sweep } = getArcMoveGeometry(from, m);
+  return Math.hypot(r * sweep, m.z - from.z);
+}
+
+/**
+ * Arc-moves weer opdelen in korte cut-moves (voor preview en bounds).
+ * @param {ToolpathMove[]} moves
+ * @returns {ToolpathMove[]}
+ */
+function expandArcMoves(moves) {
+  if (!moves.some((m) => m.type === "arc")) return moves;
+  const out = [];
+  moves.forEach((m, idx) => {
+    if (m.type !== "arc" || idx === 0) {
+      out.push(m);
+      return;
     }
-    const p0 = points[i];
-    let bestJ = i + 2;
-    for (let j = i + 3; j <= points.length; j++) {
-      const pMid = points[Math.floor((i + j) / 2)];
-      const pEnd = points[j - 1];
-      const circle = circleFromThreePoints(p0, pMid, pEnd);
-      if (!circle) break;
-      let ok = true;
-      for (let k = i + 1; k < j - 1 && ok; k++) {
-        if (pointToCircleDeviation(points[k].x, points[k].y, circle.cx, circle.cy, circle.r) > ARC_FIT_TOLERANCE_MM) {
-          ok = false;
-        }
-      }
-      if (!ok) break;
-      bestJ = j;
-    }
-    if (bestJ > i + 2) {
-      const pEnd = points[bestJ - 1];
-      const pMid = points[Math.floor((i + bestJ) / 2)];
-      const circle = circleFromThreePoints(p0, pMid, pEnd);
-      if (circle) {
-        const dx = p0.x - circle.cx;
-        const dy = p0.y - circle.cy;
-        const ex = pEnd.x - circle.cx;
-        const ey = pEnd.y - circle.cy;
-        const cross = dx * ey - dy * ex;
-        result.push({
-          type: "arc",
-          x: pEnd.x,
-          y: pEnd.y,
-          z,
-          i: circle.cx - p0.x,
-          j: circle.cy - p0.y,
-          clockwise: cross < 0,
-        });
-        i = bestJ;
-        continue;
-      }
+    const from = moves[idx - 1];
+    const { cx, cy, r, startAngle, sweep } = getArcMoveGeometry(from, m);
+    const dirSign = m.clockwise ? -1 : 1;
+    const n = Math.max(2, Math.ceil((segmentsForCircleRadius(r) * sweep) / (2 * Math.PI)));
+    for (let s = 1; s < n; s++) {
+      const a = startAngle + dirSign * sweep * (s / n);
+      out.push({
+        x: cx + r * Math.cos(a),
+        y: cy + r * Math.sin(a),
+        z: from.z + (m.z - from.z) * (s / n),
+        type: "cut",
+      });
     }
-    result.push({ type: "line", ...p0 });
-    i++;
-  }
-  return result;
+    out.push({ x: m.x, y: m.y, z: m.z, type: "cut" });
+  });
+  return out;
+}
+
+/**
+ * Post-processors: per G-code dialect de opbouw van het programma (begin/einde, commentaarstijl,
+ * herhaling van modale G-woorden, decimalen en regelnummers). Gekozen via het instellingenmenu.
+ * toolChange: standaard toolwissel (T# M6 of pauze met M0); toolLengthOffset: na M6 ook G43 H# (lengtecorrectie).
+ * cannedCycles: boorcycli (G81/G82/G83) als één regel, anders uitgeschreven als G0/G1; dwellUnit: eenheid van P bij G4.
+ * @typedef {{
+ *   label: string,
+ *   commentStyle: 'parens'|'semicolon',
+ *   repeatModal: boolean,
+ *   lineNumbers: boolean,
+ *   decimals: { mm: number, inch: number },
+ *   programStart: string[],
+ *   preamble: string[],
+ *   programEnd: string,
+ *   programEndLines: string[],
+ *   toolChange: 'm6'|'m0',
+ *   toolLengthOffset: boolean,
+ *   cannedCycles: boolean,
+ *   dwellUnit: 's'|'ms',
+ * }} PostProcessor
+ */
+/** @type {Record<string, PostProcessor>} */
+const POST_PROCESSORS = {
+  grbl: {
+    label: "GRBL",
+    commentStyle: "parens",
+    repeatModal: true,
+    lineNumbers: false,
+    decimals: { mm: 3, inch: 4 },
+    programStart: [],
+    preamble: [],
+    programEnd: "M30",
+    programEndLines: [],
+    // GRBL kent geen M6; toolwissel als pauze
+    toolChange: "m0",
+    toolLengthOffset: false,
+    cannedCycles: false,
+    dwellUnit: "s",
+  },
+  fluidnc: {
+    label: "FluidNC",
+    commentStyle: "semicolon",
+    repeatModal: false,
+    lineNumbers: false,
+    decimals: { mm: 3, inch: 4 },
+    programStart: [],
+    preamble: ["G17 G94"],
+    programEnd: "M30",
+    programEndLines: [],
+    toolChange: "m6",
+    toolLengthOffset: false,
+    cannedCycles: false,
+    dwellUnit: "s",
+  },
+  mach3: {
+    label: "Mach3",
+    commentStyle: "parens",
+    repeatModal: false,
+    lineNumbers: true,
+    decimals: { mm: 4, inch: 5 },
+    programStart: ["%"],
+    preamble: ["G17 G40 G49 G80"],
+    programEnd: "M30",
+    programEndLines: ["%"],
+    toolChange: "m6",
+    toolLengthOffset: true,
+    cannedCycles: true,
+    dwellUnit: "s",
+  },
+  linuxcnc: {
+    label: "LinuxCNC",
+    commentStyle: "parens",
+    repeatModal: false,
+    lineNumbers: false,
+    decimals: { mm: 4, inch: 5 },
+    programStart: ["%"],
+    preamble: ["G17 G40 G49 G80", "G64 P0.01"],
+    programEnd: "M2",
+    programEndLines: ["%"],
+    toolChange: "m6",
+    toolLengthOffset: true,
+    cannedCycles: true,
+    dwellUnit: "s",
+  },
+  marlin: {
+    label: "Marlin",
+    commentStyle: "semicolon",
+    repeatModal: true,
+    lineNumbers: false,
+    decimals: { mm: 3, inch: 4 },
+    programStart: [],
+    preamble: [],
+    // Marlin kent geen M2/M30; na M5 is het programma klaar
+    programEnd: "",
+    programEndLines: [],
+    toolChange: "m0",
+    toolLengthOffset: false,
+    cannedCycles: false,
+    // Marlin: G4 P in milliseconden (S in seconden)
+    dwellUnit: "ms",
+  },
+};
+
+const POST_PROCESSOR_STORAGE_KEY = "gcode-post";
+const DEFAULT_POST_PROCESSOR = "grbl";
+
+function getPostProcessorId() {
+  try {
+    const id = localStorage.getItem(POST_PROCESSOR_STORAGE_KEY);
+    if (id && POST_PROCESSORS[id]) return id;
+  } catch (_) {}
+  return DEFAULT_POST_PROCESSOR;
+}
+
+/** @returns {PostProcessor} */
+function getPostProcessor() {
+  return POST_PROCESSORS[getPostProcessorId()];
 }
 
 /**
- * G-code genereren uit toolpath. Cut-reeksen op dezelfde Z worden waar mogelijk als G2/G3-bogen uitgevoerd.
+ * G-code genereren uit toolpath. Arc-moves (zie replaceCutRunsWithArcs) worden als G2/G3 met I/J of R uitgevoerd.
  * Gebruikt de geselecteerde eenheid (mm of inch): bij inch wordt G20 en alle coördinaten/F in inches uitgevoerd.
  * @param {Toolpath} toolpath
  * @param {*} params
+ * @returns {string}
  */
 function toolpathToGcode(toolpath, params) {
+  return toolpathToGcodeWithLineMap(toolpath, params).gcode;
+}
+
+/**
+ * Als toolpathToGcode, maar geeft ook per move de regelindex in de G-code terug (voor playback in de preview).
+ * Opmaak volgt de gekozen post-processor (zie POST_PROCESSORS).
+ * @param {Toolpath} toolpath
+ * @param {*} params
+ * @param {PostProcessor} [post]
+ * @returns {{ gcode: string, moveLines: number[] }}
+ */
+function toolpathToGcodeWithLineMap(toolpath, params, post = getPostProcessor()) {
   const { cutParams } = params;
   const unit = getDisplayUnit();
   const useInch = unit === "inch";
   const safeZMm = cutParams.safeHeight ?? DEFAULT_SAFE_Z;
   const safeZ = useInch ? fromMm(safeZMm, "inch") : safeZMm;
-  const decimals = useInch ? 4 : 3;
-  const feedrate = cutParams.feedrate && cutParams.feedrate > 0
-    ? (useInch ? cutParams.feedrate / MM_PER_INCH : cutParams.feedrate)
-    : 0;
+  const decimals = useInch ? post.decimals.inch : post.decimals.mm;
+  const arcFormat = cutParams.arcFormat === "r" ? "r" : "ij";
   const lines = [];
+  const moveLines = [];
+  let lineNumber = 0;
+  let currentMotion = null;
+
+  function comment(text) {
+    const clean = String(text).replace(/[()]/g, "");
+    return post.commentStyle === "semicolon" ? `; ${clean}` : `(${clean})`;
+  }
+  function withComment(code, text) {
+    return `${code}  ${comment(text)}`;
+  }
+  function emit(line) {
+    if (post.lineNumbers && line !== "%") {
+      lineNumber += 10;
+      lines.push(`N${lineNumber} ${line}`);
+    } else {
+      lines.push(line);
+    }
+  }
+  /** Bewegingswoord (G0/G1/G2/G3); weggelaten als het modaal al actief is en de dialect geen herhaling wil. */
+  function motion(word) {
+    const out = post.repeatModal || word !== currentMotion ? `${word} ` : "";
+    currentMotion = word;
+    return out;
+  }
 
-  lines.push(`(${t("gcode.comment.generated")})`);
-  lines.push(useInch ? `G20  (${t("gcode.comment.unitsInch")})` : `G21  (${t("gcode.comment.unitsMm")})`);
-  lines.push(`G90  (${t("gcode.comment.absolute")})`);
-  lines.push(`G0 Z${safeZ.toFixed(decimals)}`);
-  const spindleCmd = cutParams.spindleSpeedEnabled && cutParams.spindleSpeed
-    ? `M3 S${Math.round(cutParams.spindleSpeed)}  (${t("gcode.comment.spindleOn")})`
-    : `M3  (${t("gcode.comment.spindleOn")})`;
-  lines.push(spindleCmd);
+  post.programStart.forEach(emit);
+  emit(comment(t("gcode.comment.generated")));
+  emit(comment(t("gcode.comment.postProcessor", { name: post.label })));
+  emit(useInch ? withComment("G20", t("gcode.comment.unitsInch")) : withComment("G21", t("gcode.comment.unitsMm")));
+  emit(withComment("G90", t("gcode.comment.absolute")));
+  post.preamble.forEach(emit);
+  emit(`${motion("G0")}Z${safeZ.toFixed(decimals)}`);
 
-  let currentFeed = 0;
   const moves = toolpath.moves;
-  let idx = 0;
+  const sections = toolpath.sections ?? [];
+  const toolChangeMode = cutParams.toolChangeMode === "m6" || cutParams.toolChangeMode === "m0"
+    ? cutParams.toolChangeMode
+    : post.toolChange;
+  /** @type {Tool | null} */
+  let currentTool = sections.find((section) => section.moveIndex === 0 && section.tool)?.tool ?? cutParams.tool ?? null;
+
+  function toolComment(key, tool) {
+    const diameter = useInch ? fromMm(tool.diameter, "inch") : tool.diameter;
+    return comment(t(key, {
+      number: tool.number,
+      diameter: `${Number(diameter.toFixed(decimals))} ${useInch ? "in" : "mm"}`,
+      name: tool.name || t(`tools.type.${tool.type}`),
+    }));
+  }
+  /**
+   * Toolwissel: T# M6 (met G43 H# als de dialect lengtecorrectie gebruikt) of een pauze met M0.
+   * Bij de eerste frees van het programma geen pauze: die zit er al in bij het starten.
+   */
+  function emitToolChange(tool, isFirst) {
+    if (toolChangeMode === "m6") {
+      emit(`T${tool.number} M6  ${toolComment("gcode.comment.tool", tool)}`);
+      if (post.toolLengthOffset) emit(`G43 H${tool.number}`);
+    } else if (isFirst) {
+      emit(toolComment("gcode.comment.tool", tool));
+    } else {
+      emit(toolComment("gcode.comment.toolChange", tool));
+      emit(withComment("M0", t("gcode.comment.pause")));
+    }
+    if (!isFirst && cutParams.toolChangeProbe) {
+      emit(comment(t("gcode.comment.touchOff")));
+      emit(withComment("M0", t("gcode.comment.pause")));
+    }
+  }
+  function spindleOnLine(speed) {
+    return cutParams.spindleSpeedEnabled && speed
+      ? withComment(`M3 S${Math.round(speed)}`, t("gcode.comment.spindleOn"))
+      : withComment("M3", t("gcode.comment.spindleOn"));
+  }
+
+  if (currentTool) emitToolChange(currentTool, true);
+  emit(spindleOnLine(cutParams.spindleSpeed));
+
+  let currentFeed = 0;
+  let currentSpindleSpeed = cutParams.spindleSpeedEnabled ? cutParams.spindleSpeed : null;
 
   function outCoord(v) {
     if (v == null || !Number.isFinite(v)) return null;
@@ -4152,45 +8690,149 @@ function toolpathToGcode(toolpath, params) {
     return val.toFixed(decimals);
   }
 
-  while (idx < moves.length) {
-    const m = moves[idx];
+  /**
+   * I/J (of R) voor een G2/G3-regel. Het middelpunt wordt op de middelloodlijn van het afgeronde
+   * start- en eindpunt gelegd, zodat de controller (bijv. GRBL error 33) beide stralen gelijk ziet.
+   */
+  function arcWords(from, m) {
+    if (arcFormat === "r") {
+      const { r, sweep } = getArcMoveGeometry(from, m);
+      const rOut = useInch ? fromMm(r, "inch") : r;
+      // Boog groter dan 180°: negatieve R
+      return `R${(sweep > Math.PI ? -rOut : rOut).toFixed(decimals)}`;
+    }
+    const sx = Number(outCoord(from.x));
+    const sy = Number(outCoord(from.y));
+    const ex = Number(outCoord(m.x));
+    const ey = Number(outCoord(m.y));
+    let ccx = Number(outCoord(from.x + m.i));
+    let ccy = Number(outCoord(from.y + m.j));
+    const chord = Math.hypot(ex - sx, ey - sy);
+    if (chord > 0) {
+      const ux = (ex - sx) / chord;
+      const uy = (ey - sy) / chord;
+      const along = (ccx - (sx + ex) / 2) * ux + (ccy - (sy + ey) / 2) * uy;
+      ccx -= along * ux;
+      ccy -= along * uy;
+    }
+    return `I${(ccx - sx).toFixed(decimals)} J${(ccy - sy).toFixed(decimals)}`;
+  }
+
+  /** Regel van de lopende boorcyclus; alle moves van die cyclus wijzen ernaar. */
+  let drillCycleLine = -1;
+
+  /**
+   * Boorcyclus als één regel: G98 (terug naar de beginhoogte) G81/G82/G83 met bodem Z, R-vlak, pikdiepte Q
+   * en pauze P. De eerste move van de cyclus ligt op het R-vlak; de diepste cut is de bodem.
+   */
+  function emitCannedCycle(m, idx) {
+    const drill = m.drill;
+    let end = idx;
+    while (end + 1 < moves.length && moves[end + 1].drill === drill) end++;
+    const group = moves.slice(idx, end + 1);
+    const cut = group.find((g) => g.type === "cut");
+    const bottomZ = Math.min(...group.map((g) => g.z));
+    let line = `G98 ${drill.cycle} X${outCoord(m.x)} Y${outCoord(m.y)} Z${outCoord(bottomZ)} R${outCoord(m.z)}`;
+    if (drill.cycle === "G83") line += ` Q${outCoord(drill.peckDepth)}`;
+    if (drill.cycle === "G82") line += ` P${Number(drill.dwell.toFixed(3))}`;
+    const feedMm = cut?.feed > 0 ? cut.feed : cutParams.feedrate;
+    if (feedMm > 0) {
+      line += ` F${(useInch ? feedMm / MM_PER_INCH : feedMm).toFixed(useInch ? 2 : 0)}`;
+      currentFeed = feedMm;
+    }
+    drillCycleLine = lines.length;
+    emit(line);
+    currentMotion = drill.cycle;
+  }
+
+  moves.forEach((m, idx) => {
     const x = Number.isFinite(m.x) ? m.x : null;
     const y = Number.isFinite(m.y) ? m.y : null;
     const z = Number.isFinite(m.z) ? m.z : null;
+    if (post.cannedCycles && m.drill && idx > 0 && moves[idx - 1].drill === m.drill) {
+      moveLines[idx] = drillCycleLine;
+      // Na de laatste move van de cyclus: cyclus opheffen; daarna moet G0/G1 weer expliciet
+      if (moves[idx + 1]?.drill !== m.drill) {
+        emit("G80");
+        currentMotion = null;
+      }
+      return;
+    }
+    sections.forEach((section) => {
+      if (section.moveIndex !== idx) return;
+      if (section.comment) emit(comment(section.comment));
+      const toolChanged = idx > 0 && section.tool != null && section.tool.number !== currentTool?.number;
+      const manualChange = idx > 0 && section.tool == null && !!section.manualToolChange;
+      if (toolChanged) {
+        emit(withComment("M5", t("gcode.comment.spindleOff")));
+        emitToolChange(section.tool, false);
+        currentTool = section.tool;
+      } else if (manualChange) {
+        // Geen frees uit de bibliotheek: altijd pauzeren, ook bij T# M6 (er is geen toolnummer)
+        emit(withComment("M5", t("gcode.comment.spindleOff")));
+        emit(comment(t("gcode.comment.toolChangeManual", { tool: section.manualToolChange })));
+        emit(withComment("M0", t("gcode.comment.pause")));
+        if (cutParams.toolChangeProbe) {
+          emit(comment(t("gcode.comment.touchOff")));
+          emit(withComment("M0", t("gcode.comment.pause")));
+        }
+        currentTool = null;
+      }
+      const speed = section.spindleSpeed ?? currentSpindleSpeed;
+      const speedChanged = cutParams.spindleSpeedEnabled && speed && speed !== currentSpindleSpeed;
+      if (toolChanged || manualChange || speedChanged) {
+        emit(spindleOnLine(speed));
+        if (cutParams.spindleSpeedEnabled && speed) currentSpindleSpeed = speed;
+      }
+    });
+    moveLines[idx] = lines.length;
 
+    if (post.cannedCycles && m.drill) {
+      emitCannedCycle(m, idx);
+      return;
+    }
     if (m.type === "rapid") {
       const xs = x != null ? `X${outCoord(x)}` : "";
       const ys = y != null ? `Y${outCoord(y)}` : "";
       const zs = z != null ? `Z${outCoord(z)}` : "";
-      lines.push(`G0 ${xs} ${ys} ${zs}`.trim());
-      idx++;
-      continue;
+      emit(`${motion("G0")}${xs} ${ys} ${zs}`.trim());
+      return;
+    }
+    if (m.type !== "cut" && m.type !== "arc") {
+      // Onbekend move type: geen regel; playback wijst naar de volgende regel
+      return;
     }
 
-    const cutRun = [];
-    while (idx < moves.length && moves[idx].type === "cut") {
-      const c = moves[idx];
-      cutRun.push({ x: c.x, y: c.y, z: c.z });
-      idx++;
+    const from = idx > 0 ? moves[idx - 1] : null;
+    const xs = `X${outCoord(m.x)}`;
+    const ys = `Y${outCoord(m.y)}`;
+    const zs = m.z != null ? ` Z${outCoord(m.z)}` : "";
+    let line;
+    if (m.type === "arc" && from) {
+      line = `${motion(m.clockwise ? "G2" : "G3")}${xs} ${ys}${zs} ${arcWords(from, m)}`;
+    } else {
+      line = `${motion("G1")}${xs} ${ys}${zs}`.trim();
     }
-    for (const c of cutRun) {
-      const xs = `X${outCoord(c.x)}`;
-      const ys = `Y${outCoord(c.y)}`;
-      const zs = c.z != null ? ` Z${outCoord(c.z)}` : "";
-      let line = `G1 ${xs} ${ys}${zs}`.trim();
-      if (feedrate && feedrate !== currentFeed) {
-        line += ` F${(useInch ? feedrate : cutParams.feedrate).toFixed(useInch ? 2 : 0)}`;
-        currentFeed = feedrate;
-      }
-      lines.push(line);
+    // Feed per move (bijv. verschillende operaties in een job), anders de feedrate uit het formulier
+    const feedMm = m.feed > 0 ? m.feed : cutParams.feedrate;
+    if (feedMm > 0 && feedMm !== currentFeed) {
+      line += ` F${(useInch ? feedMm / MM_PER_INCH : feedMm).toFixed(useInch ? 2 : 0)}`;
+      currentFeed = feedMm;
     }
-  }
+    emit(line);
+    // Uitgeschreven G82: pauze op de bodem
+    if (m.drill?.cycle === "G82" && m.type === "cut") {
+      const dwell = post.dwellUnit === "ms" ? Math.round(m.drill.dwell * 1000) : Number(m.drill.dwell.toFixed(3));
+      emit(`G4 P${dwell}`);
+    }
+  });
 
-  lines.push(`G0 Z${safeZ.toFixed(decimals)}`);
-  lines.push(`M5  (${t("gcode.comment.spindleOff")})`);
-  lines.push("M30");
+  emit(`${motion("G0")}Z${safeZ.toFixed(decimals)}`);
+  emit(withComment("M5", t("gcode.comment.spindleOff")));
+  if (post.programEnd) emit(post.programEnd);
+  post.programEndLines.forEach(emit);
 
-  return lines.join("\n");
+  return { gcode: lines.join("\n"), moveLines };
 }
 
 /** Typische snelle verplaatsing (G0) in mm/min voor tijdsinschatting. */
@@ -4207,6 +8849,7 @@ function estimateMillingTime(toolpath, cutParams) {
   const rapidFeed = DEFAULT_RAPID_FEEDRATE_MM_MIN;
   let cutDist = 0;
   let rapidDist = 0;
+  let cutMinutes = 0;
   let prev = null;
   for (const m of toolpath.moves) {
     const x = Number.isFinite(m.x) ? m.x : 0;
@@ -4217,15 +8860,17 @@ function estimateMillingTime(toolpath, cutParams) {
       const dy = y - prev.y;
       const dz = z - prev.z;
       const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
-      if (m.type === "cut") {
-        cutDist += d;
+      if (m.type === "arc" || m.type === "cut") {
+        const len = m.type === "arc" ? getArcMoveLength(prev, m) : d;
+        cutDist += len;
+        cutMinutes += len / (m.feed > 0 ? m.feed : feedrate);
+        if (m.drill?.cycle === "G82" && m.type === "cut") cutMinutes += m.drill.dwell / 60;
       } else {
         rapidDist += d;
       }
     }
     prev = { x, y, z };
   }
-  const cutMinutes = cutDist / feedrate;
   const rapidMinutes = rapidDist / rapidFeed;
   const totalMinutes = cutMinutes + rapidMinutes;
   return {
@@ -4308,6 +8953,9 @@ function renderPreview(toolpath, canvas, viewMode = currentPreviewView, cursorCo
 
   if (!toolpath.moves.length) return;
 
+  // G2/G3-bogen als korte segmenten tekenen zodat projectie en bounds in elke view kloppen
+  const moves = expandArcMoves(toolpath.moves);
+
   // 3D/2D-wireframe weergave: afhankelijk van viewMode projecteren.
   const angleZ = degToRad(45); // voor isometrische weergave
   const angleX = degToRad(60);
@@ -4324,7 +8972,7 @@ function renderPreview(toolpath, canvas, viewMode = currentPreviewView, cursorCo
   let maxY0 = -Infinity;
   let maxZ0 = -Infinity;
 
-  toolpath.moves.forEach((m) => {
+  moves.forEach((m) => {
     if (
       !Number.isFinite(m.x) ||
       !Number.isFinite(m.y) ||
@@ -4391,7 +9039,7 @@ function renderPreview(toolpath, canvas, viewMode = currentPreviewView, cursorCo
     }
   }
 
-  toolpath.moves.forEach((m, idx) => {
+  moves.forEach((m, idx) => {
     if (
       !Number.isFinite(m.x) ||
       !Number.isFinite(m.y) ||
@@ -4466,37 +9114,74 @@ function renderPreview(toolpath, canvas, viewMode = currentPreviewView, cursorCo
   }
   ctx.restore();
 
-  // 2.5D gefreesd resultaat tekenen (bodem + zijwanden)
-  const resultPaths = toolpath.resultPaths;
-  const resultPathsWithDepth = toolpath.resultPathsWithDepth;
-  const resultTotalDepth = toolpath.resultTotalDepth;
-  const resultBottomZ = toolpath.resultBottomZ;
-  const resultContourInside = toolpath.resultContourInside;
-  const usePathsWithDepth = resultPathsWithDepth && resultPathsWithDepth.length > 0;
-  const pathsToUse = usePathsWithDepth ? resultPathsWithDepth.map((p) => p.path) : resultPaths;
-  if (pathsToUse && pathsToUse.length > 0 && Number.isFinite(resultTotalDepth)) {
-    const topZ = resultBottomZ === 0 ? resultTotalDepth : 0;
-    const bottomZ = resultBottomZ;
-    const isLightTheme = typeof document !== "undefined" && document.body?.dataset.theme === "light";
-    const fillColor = isLightTheme ? "rgba(200, 210, 220, 0.5)" : "rgba(220, 225, 235, 0.45)";
-    const strokeColor = isLightTheme ? "rgba(175, 185, 195, 0.4)" : "rgba(200, 208, 218, 0.35)";
-    const wallColor = isLightTheme ? "rgba(180, 190, 200, 0.35)" : "rgba(200, 210, 220, 0.3)";
-
-    const validPaths = pathsToUse.filter((path) => path && path.length >= 2);
-    if (validPaths.length > 0) {
-    if (viewMode === PreviewViewMode.TOP) {
-      ctx.save();
-      ctx.fillStyle = fillColor;
-      ctx.strokeStyle = strokeColor;
-      ctx.lineWidth = 1;
-      ctx.beginPath();
-      if (resultContourInside) {
-        ctx.rect(0, 0, canvas.width, canvas.height);
+  // 2.5D gefreesd resultaat tekenen (bodem + zijwanden); bij een job één laag per operatie
+  const resultLayers = toolpath.resultLayers ?? [toolpath];
+  resultLayers.forEach((layer) => {
+    const resultPaths = layer.resultPaths;
+    const resultPathsWithDepth = layer.resultPathsWithDepth;
+    const resultTotalDepth = layer.resultTotalDepth;
+    const resultBottomZ = layer.resultBottomZ;
+    const resultContourInside = layer.resultContourInside;
+    const usePathsWithDepth = resultPathsWithDepth && resultPathsWithDepth.length > 0;
+    const pathsToUse = usePathsWithDepth ? resultPathsWithDepth.map((p) => p.path) : resultPaths;
+    if (pathsToUse && pathsToUse.length > 0 && Number.isFinite(resultTotalDepth)) {
+      const topZ = resultBottomZ === 0 ? resultTotalDepth : 0;
+      const bottomZ = resultBottomZ;
+      const isLightTheme = typeof document !== "undefined" && document.body?.dataset.theme === "light";
+      const fillColor = isLightTheme ? "rgba(200, 210, 220, 0.5)" : "rgba(220, 225, 235, 0.45)";
+      const strokeColor = isLightTheme ? "rgba(175, 185, 195, 0.4)" : "rgba(200, 208, 218, 0.35)";
+      const wallColor = isLightTheme ? "rgba(180, 190, 200, 0.35)" : "rgba(200, 210, 220, 0.3)";
+
+      const validPaths = pathsToUse.filter((path) => path && path.length >= 2);
+      if (validPaths.length > 0) {
+      if (viewMode === PreviewViewMode.TOP) {
+        ctx.save();
+        ctx.fillStyle = fillColor;
+        ctx.strokeStyle = strokeColor;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        if (resultContourInside) {
+          ctx.rect(0, 0, canvas.width, canvas.height);
+          validPaths.forEach((path) => {
+            const pts = path.map((p) => ({ x: p.x, y: p.y }));
+            const closed = pts.length >= 3 && Math.abs(pts[0].x - pts[pts.length - 1].x) < 1e-9 && Math.abs(pts[0].y - pts[pts.length - 1].y) < 1e-9;
+            const n = closed ? pts.length - 1 : pts.length;
+            if (n < 2) return;
+            const p0 = projectPoint(pts[0].x - cx, pts[0].y - cy, (cz - topZ) * DEPTH_SCALE);
+            const c0 = toCanvas(p0);
+            ctx.moveTo(c0.x, c0.y);
+            for (let i = 1; i < n; i++) {
+              const p = projectPoint(pts[i].x - cx, pts[i].y - cy, (cz - topZ) * DEPTH_SCALE);
+              const c = toCanvas(p);
+              ctx.lineTo(c.x, c.y);
+            }
+            ctx.closePath();
+          });
+          ctx.fill("evenodd");
+        } else {
+          validPaths.forEach((path) => {
+            const pts = path.map((p) => ({ x: p.x, y: p.y }));
+            const closed = pts.length >= 3 && Math.abs(pts[0].x - pts[pts.length - 1].x) < 1e-9 && Math.abs(pts[0].y - pts[pts.length - 1].y) < 1e-9;
+            const n = closed ? pts.length - 1 : pts.length;
+            if (n < 2) return;
+            const p0 = projectPoint(pts[0].x - cx, pts[0].y - cy, (cz - topZ) * DEPTH_SCALE);
+            const c0 = toCanvas(p0);
+            ctx.moveTo(c0.x, c0.y);
+            for (let i = 1; i < n; i++) {
+              const p = projectPoint(pts[i].x - cx, pts[i].y - cy, (cz - topZ) * DEPTH_SCALE);
+              const c = toCanvas(p);
+              ctx.lineTo(c.x, c.y);
+            }
+            ctx.closePath();
+          });
+          ctx.fill();
+        }
         validPaths.forEach((path) => {
           const pts = path.map((p) => ({ x: p.x, y: p.y }));
           const closed = pts.length >= 3 && Math.abs(pts[0].x - pts[pts.length - 1].x) < 1e-9 && Math.abs(pts[0].y - pts[pts.length - 1].y) < 1e-9;
           const n = closed ? pts.length - 1 : pts.length;
           if (n < 2) return;
+          ctx.beginPath();
           const p0 = projectPoint(pts[0].x - cx, pts[0].y - cy, (cz - topZ) * DEPTH_SCALE);
           const c0 = toCanvas(p0);
           ctx.moveTo(c0.x, c0.y);
@@ -4506,186 +9191,174 @@ function renderPreview(toolpath, canvas, viewMode = currentPreviewView, cursorCo
             ctx.lineTo(c.x, c.y);
           }
           ctx.closePath();
+          ctx.stroke();
         });
-        ctx.fill("evenodd");
+        ctx.restore();
       } else {
-        validPaths.forEach((path) => {
-          const pts = path.map((p) => ({ x: p.x, y: p.y }));
-          const closed = pts.length >= 3 && Math.abs(pts[0].x - pts[pts.length - 1].x) < 1e-9 && Math.abs(pts[0].y - pts[pts.length - 1].y) < 1e-9;
-          const n = closed ? pts.length - 1 : pts.length;
-          if (n < 2) return;
-          const p0 = projectPoint(pts[0].x - cx, pts[0].y - cy, (cz - topZ) * DEPTH_SCALE);
-          const c0 = toCanvas(p0);
-          ctx.moveTo(c0.x, c0.y);
-          for (let i = 1; i < n; i++) {
-            const p = projectPoint(pts[i].x - cx, pts[i].y - cy, (cz - topZ) * DEPTH_SCALE);
-            const c = toCanvas(p);
-            ctx.lineTo(c.x, c.y);
-          }
-          ctx.closePath();
-        });
-        ctx.fill();
-      }
-      validPaths.forEach((path) => {
-        const pts = path.map((p) => ({ x: p.x, y: p.y }));
-        const closed = pts.length >= 3 && Math.abs(pts[0].x - pts[pts.length - 1].x) < 1e-9 && Math.abs(pts[0].y - pts[pts.length - 1].y) < 1e-9;
-        const n = closed ? pts.length - 1 : pts.length;
-        if (n < 2) return;
-        ctx.beginPath();
-        const p0 = projectPoint(pts[0].x - cx, pts[0].y - cy, (cz - topZ) * DEPTH_SCALE);
-        const c0 = toCanvas(p0);
-        ctx.moveTo(c0.x, c0.y);
-        for (let i = 1; i < n; i++) {
-          const p = projectPoint(pts[i].x - cx, pts[i].y - cy, (cz - topZ) * DEPTH_SCALE);
-          const c = toCanvas(p);
-          ctx.lineTo(c.x, c.y);
-        }
-        ctx.closePath();
-        ctx.stroke();
-      });
-      ctx.restore();
-    } else {
-      ctx.save();
-      ctx.strokeStyle = strokeColor;
-      ctx.lineWidth = 1;
-      if (resultContourInside) {
-        ctx.fillStyle = fillColor;
-        ctx.beginPath();
-        if (viewMode === PreviewViewMode.FRONT || viewMode === PreviewViewMode.SIDE) {
-          const stockPaddingH = Math.max((maxX0 - minX0) * 0.5, (maxY0 - minY0) * 0.5, 15);
-          const zTop = (cz - topZ) * DEPTH_SCALE;
-          const zBottom = (cz - bottomZ) * DEPTH_SCALE;
-          if (viewMode === PreviewViewMode.FRONT) {
-            const left = minX0 - cx - stockPaddingH;
-            const right = maxX0 - cx + stockPaddingH;
-            const c1 = toCanvas(projectPoint(left, 0, zTop));
-            const c2 = toCanvas(projectPoint(right, 0, zTop));
-            const c3 = toCanvas(projectPoint(right, 0, zBottom));
-            const c4 = toCanvas(projectPoint(left, 0, zBottom));
-            ctx.moveTo(c1.x, c1.y);
-            ctx.lineTo(c2.x, c2.y);
-            ctx.lineTo(c3.x, c3.y);
-            ctx.lineTo(c4.x, c4.y);
+        ctx.save();
+        ctx.strokeStyle = strokeColor;
+        ctx.lineWidth = 1;
+        if (resultContourInside) {
+          ctx.fillStyle = fillColor;
+          ctx.beginPath();
+          if (viewMode === PreviewViewMode.FRONT || viewMode === PreviewViewMode.SIDE) {
+            const stockPaddingH = Math.max((maxX0 - minX0) * 0.5, (maxY0 - minY0) * 0.5, 15);
+            const zTop = (cz - topZ) * DEPTH_SCALE;
+            const zBottom = (cz - bottomZ) * DEPTH_SCALE;
+            if (viewMode === PreviewViewMode.FRONT) {
+              const left = minX0 - cx - stockPaddingH;
+              const right = maxX0 - cx + stockPaddingH;
+              const c1 = toCanvas(projectPoint(left, 0, zTop));
+              const c2 = toCanvas(projectPoint(right, 0, zTop));
+              const c3 = toCanvas(projectPoint(right, 0, zBottom));
+              const c4 = toCanvas(projectPoint(left, 0, zBottom));
+              ctx.moveTo(c1.x, c1.y);
+              ctx.lineTo(c2.x, c2.y);
+              ctx.lineTo(c3.x, c3.y);
+              ctx.lineTo(c4.x, c4.y);
+            } else {
+              const left = minY0 - cy - stockPaddingH;
+              const right = maxY0 - cy + stockPaddingH;
+              const c1 = toCanvas(projectPoint(0, left, zTop));
+              const c2 = toCanvas(projectPoint(0, right, zTop));
+              const c3 = toCanvas(projectPoint(0, right, zBottom));
+              const c4 = toCanvas(projectPoint(0, left, zBottom));
+              ctx.moveTo(c1.x, c1.y);
+              ctx.lineTo(c2.x, c2.y);
+              ctx.lineTo(c3.x, c3.y);
+              ctx.lineTo(c4.x, c4.y);
+            }
           } else {
-            const left = minY0 - cy - stockPaddingH;
-            const right = maxY0 - cy + stockPaddingH;
-            const c1 = toCanvas(projectPoint(0, left, zTop));
-            const c2 = toCanvas(projectPoint(0, right, zTop));
-            const c3 = toCanvas(projectPoint(0, right, zBottom));
-            const c4 = toCanvas(projectPoint(0, left, zBottom));
-            ctx.moveTo(c1.x, c1.y);
-            ctx.lineTo(c2.x, c2.y);
-            ctx.lineTo(c3.x, c3.y);
-            ctx.lineTo(c4.x, c4.y);
-          }
-        } else {
-          const pad = Math.max(canvas.width, canvas.height);
-          ctx.moveTo(-pad, -pad);
-          ctx.lineTo(canvas.width + pad, -pad);
-          ctx.lineTo(canvas.width + pad, canvas.height + pad);
-          ctx.lineTo(-pad, canvas.height + pad);
-        }
-        ctx.closePath();
-        (usePathsWithDepth ? resultPathsWithDepth : validPaths.map((path) => ({ path, topZ, bottomZ }))).forEach((item) => {
-          const path = item.path;
-          const pathTopZ = usePathsWithDepth ? item.topZ : topZ;
-          const pathBottomZ = usePathsWithDepth ? item.bottomZ : bottomZ;
-          const pts = path.map((p) => ({ x: p.x, y: p.y }));
-          const closed = pts.length >= 3 && Math.abs(pts[0].x - pts[pts.length - 1].x) < 1e-9 && Math.abs(pts[0].y - pts[pts.length - 1].y) < 1e-9;
-          const n = closed ? pts.length - 1 : pts.length;
-          if (n < 2) return;
-          const bottomPoints = [];
-          for (let i = 0; i < n; i++) {
-            const pt = pts[i];
-            const x = pt.x - cx;
-            const y = pt.y - cy;
-            const zBottom = (cz - pathBottomZ) * DEPTH_SCALE;
-            bottomPoints.push(toCanvas(projectPoint(x, y, zBottom)));
+            const pad = Math.max(canvas.width, canvas.height);
+            ctx.moveTo(-pad, -pad);
+            ctx.lineTo(canvas.width + pad, -pad);
+            ctx.lineTo(canvas.width + pad, canvas.height + pad);
+            ctx.lineTo(-pad, canvas.height + pad);
           }
-          ctx.moveTo(bottomPoints[0].x, bottomPoints[0].y);
-          for (let i = 1; i < bottomPoints.length; i++) ctx.lineTo(bottomPoints[i].x, bottomPoints[i].y);
           ctx.closePath();
-        });
-        ctx.fill("evenodd");
-        ctx.fillStyle = wallColor;
-        (usePathsWithDepth ? resultPathsWithDepth : validPaths.map((path) => ({ path, topZ, bottomZ }))).forEach((item) => {
-          const path = item.path;
-          const pathTopZ = usePathsWithDepth ? item.topZ : topZ;
-          const pathBottomZ = usePathsWithDepth ? item.bottomZ : bottomZ;
-          const pts = path.map((p) => ({ x: p.x, y: p.y }));
-          const closed = pts.length >= 3 && Math.abs(pts[0].x - pts[pts.length - 1].x) < 1e-9 && Math.abs(pts[0].y - pts[pts.length - 1].y) < 1e-9;
-          const n = closed ? pts.length - 1 : pts.length;
-          if (n < 2) return;
-          const bottomPoints = [];
-          const topPoints = [];
-          for (let i = 0; i < n; i++) {
-            const pt = pts[i];
-            const x = pt.x - cx;
-            const y = pt.y - cy;
-            const zBottom = (cz - pathBottomZ) * DEPTH_SCALE;
-            const zTop = (cz - pathTopZ) * DEPTH_SCALE;
-            bottomPoints.push(toCanvas(projectPoint(x, y, zBottom)));
-            topPoints.push(toCanvas(projectPoint(x, y, zTop)));
-          }
-          for (let i = 0; i < n; i++) {
-            const next = (i + 1) % n;
+          (usePathsWithDepth ? resultPathsWithDepth : validPaths.map((path) => ({ path, topZ, bottomZ }))).forEach((item) => {
+            const path = item.path;
+            const pathTopZ = usePathsWithDepth ? item.topZ : topZ;
+            const pathBottomZ = usePathsWithDepth ? item.bottomZ : bottomZ;
+            const pts = path.map((p) => ({ x: p.x, y: p.y }));
+            const closed = pts.length >= 3 && Math.abs(pts[0].x - pts[pts.length - 1].x) < 1e-9 && Math.abs(pts[0].y - pts[pts.length - 1].y) < 1e-9;
+            const n = closed ? pts.length - 1 : pts.length;
+            if (n < 2) return;
+            const bottomPoints = [];
+            for (let i = 0; i < n; i++) {
+              const pt = pts[i];
+              const x = pt.x - cx;
+              const y = pt.y - cy;
+              const zBottom = (cz - pathBottomZ) * DEPTH_SCALE;
+              bottomPoints.push(toCanvas(projectPoint(x, y, zBottom)));
+            }
+            ctx.moveTo(bottomPoints[0].x, bottomPoints[0].y);
+            for (let i = 1; i < bottomPoints.length; i++) ctx.lineTo(bottomPoints[i].x, bottomPoints[i].y);
+            ctx.closePath();
+          });
+          ctx.fill("evenodd");
+          ctx.fillStyle = wallColor;
+          (usePathsWithDepth ? resultPathsWithDepth : validPaths.map((path) => ({ path, topZ, bottomZ }))).forEach((item) => {
+            const path = item.path;
+            const pathTopZ = usePathsWithDepth ? item.topZ : topZ;
+            const pathBottomZ = usePathsWithDepth ? item.bottomZ : bottomZ;
+            const pts = path.map((p) => ({ x: p.x, y: p.y }));
+            const closed = pts.length >= 3 && Math.abs(pts[0].x - pts[pts.length - 1].x) < 1e-9 && Math.abs(pts[0].y - pts[pts.length - 1].y) < 1e-9;
+            const n = closed ? pts.length - 1 : pts.length;
+            if (n < 2) return;
+            const bottomPoints = [];
+            const topPoints = [];
+            for (let i = 0; i < n; i++) {
+              const pt = pts[i];
+              const x = pt.x - cx;
+              const y = pt.y - cy;
+              const zBottom = (cz - pathBottomZ) * DEPTH_SCALE;
+              const zTop = (cz - pathTopZ) * DEPTH_SCALE;
+              bottomPoints.push(toCanvas(projectPoint(x, y, zBottom)));
+              topPoints.push(toCanvas(projectPoint(x, y, zTop)));
+            }
+            for (let i = 0; i < n; i++) {
+              const next = (i + 1) % n;
+              ctx.beginPath();
+              ctx.moveTo(bottomPoints[i].x, bottomPoints[i].y);
+              ctx.lineTo(bottomPoints[next].x, bottomPoints[next].y);
+              ctx.lineTo(topPoints[next].x, topPoints[next].y);
+              ctx.lineTo(topPoints[i].x, topPoints[i].y);
+              ctx.closePath();
+              ctx.fill();
+              ctx.stroke();
+            }
+          });
+        } else {
+          validPaths.forEach((path) => {
+            const pts = path.map((p) => ({ x: p.x, y: p.y }));
+            const closed = pts.length >= 3 && Math.abs(pts[0].x - pts[pts.length - 1].x) < 1e-9 && Math.abs(pts[0].y - pts[pts.length - 1].y) < 1e-9;
+            const n = closed ? pts.length - 1 : pts.length;
+            if (n < 2) return;
+            const bottomPoints = [];
+            const topPoints = [];
+            for (let i = 0; i < n; i++) {
+              const pt = pts[i];
+              const x = pt.x - cx;
+              const y = pt.y - cy;
+              const zBottom = (cz - bottomZ) * DEPTH_SCALE;
+              const zTop = (cz - topZ) * DEPTH_SCALE;
+              bottomPoints.push(toCanvas(projectPoint(x, y, zBottom)));
+              topPoints.push(toCanvas(projectPoint(x, y, zTop)));
+            }
+            ctx.fillStyle = fillColor;
             ctx.beginPath();
-            ctx.moveTo(bottomPoints[i].x, bottomPoints[i].y);
-            ctx.lineTo(bottomPoints[next].x, bottomPoints[next].y);
-            ctx.lineTo(topPoints[next].x, topPoints[next].y);
-            ctx.lineTo(topPoints[i].x, topPoints[i].y);
+            ctx.moveTo(bottomPoints[0].x, bottomPoints[0].y);
+            for (let i = 1; i < bottomPoints.length; i++) ctx.lineTo(bottomPoints[i].x, bottomPoints[i].y);
             ctx.closePath();
             ctx.fill();
             ctx.stroke();
-          }
-        });
-      } else {
-        validPaths.forEach((path) => {
-          const pts = path.map((p) => ({ x: p.x, y: p.y }));
-          const closed = pts.length >= 3 && Math.abs(pts[0].x - pts[pts.length - 1].x) < 1e-9 && Math.abs(pts[0].y - pts[pts.length - 1].y) < 1e-9;
-          const n = closed ? pts.length - 1 : pts.length;
-          if (n < 2) return;
-          const bottomPoints = [];
-          const topPoints = [];
-          for (let i = 0; i < n; i++) {
-            const pt = pts[i];
-            const x = pt.x - cx;
-            const y = pt.y - cy;
-            const zBottom = (cz - bottomZ) * DEPTH_SCALE;
-            const zTop = (cz - topZ) * DEPTH_SCALE;
-            bottomPoints.push(toCanvas(projectPoint(x, y, zBottom)));
-            topPoints.push(toCanvas(projectPoint(x, y, zTop)));
-          }
-          ctx.fillStyle = fillColor;
+            ctx.fillStyle = wallColor;
+            for (let i = 0; i < n; i++) {
+              const next = (i + 1) % n;
+              ctx.beginPath();
+              ctx.moveTo(bottomPoints[i].x, bottomPoints[i].y);
+              ctx.lineTo(bottomPoints[next].x, bottomPoints[next].y);
+              ctx.lineTo(topPoints[next].x, topPoints[next].y);
+              ctx.lineTo(topPoints[i].x, topPoints[i].y);
+              ctx.closePath();
+              ctx.fill();
+              ctx.stroke();
+            }
+          });
+        }
+        ctx.restore();
+      }
+      }
+
+      // Eilanden (blijven staan in een DXF- of letterpocket) op de bovenkant markeren
+      const islands = layer.resultIslands;
+      if (islands && islands.length > 0 && (viewMode === PreviewViewMode.TOP || viewMode === PreviewViewMode.ISO)) {
+        ctx.save();
+        ctx.fillStyle = isLightTheme ? "rgba(22, 163, 74, 0.18)" : "rgba(74, 222, 128, 0.16)";
+        ctx.strokeStyle = isLightTheme ? "#16a34a" : "#4ade80";
+        ctx.lineWidth = 1.5;
+        islands.forEach((path) => {
+          if (path.length < 3) return;
           ctx.beginPath();
-          ctx.moveTo(bottomPoints[0].x, bottomPoints[0].y);
-          for (let i = 1; i < bottomPoints.length; i++) ctx.lineTo(bottomPoints[i].x, bottomPoints[i].y);
+          path.forEach((pt, i) => {
+            const c = toCanvas(projectPoint(pt.x - cx, pt.y - cy, (cz - topZ) * DEPTH_SCALE));
+            if (i === 0) ctx.moveTo(c.x, c.y);
+            else ctx.lineTo(c.x, c.y);
+          });
           ctx.closePath();
           ctx.fill();
           ctx.stroke();
-          ctx.fillStyle = wallColor;
-          for (let i = 0; i < n; i++) {
-            const next = (i + 1) % n;
-            ctx.beginPath();
-            ctx.moveTo(bottomPoints[i].x, bottomPoints[i].y);
-            ctx.lineTo(bottomPoints[next].x, bottomPoints[next].y);
-            ctx.lineTo(topPoints[next].x, topPoints[next].y);
-            ctx.lineTo(topPoints[i].x, topPoints[i].y);
-            ctx.closePath();
-            ctx.fill();
-            ctx.stroke();
-          }
         });
+        ctx.restore();
       }
-      ctx.restore();
-    }
     }
-  }
+  });
 
   // Toolpath tekenen
   let last = null;
-  for (let i = 0; i < toolpath.moves.length; i++) {
-    const m = toolpath.moves[i];
+  for (let i = 0; i < moves.length; i++) {
+    const m = moves[i];
     const proj = projected[i];
     if (!proj) {
       last = null;
@@ -4695,38 +9368,15 @@ function renderPreview(toolpath, canvas, viewMode = currentPreviewView, cursorCo
     if (last) {
       ctx.beginPath();
       ctx.moveTo(last.x, last.y);
-      if (m.type === "arc" && i > 0) {
-        const prevMove = toolpath.moves[i - 1];
-        const startP = projectPoint(
-          prevMove.x - cx,
-          prevMove.y - cy,
-          (cz - prevMove.z) * DEPTH_SCALE
-        );
-        const centerP = projectPoint(
-          prevMove.x + m.i - cx,
-          prevMove.y + m.j - cy,
-          (cz - m.z) * DEPTH_SCALE
-        );
-        const startC = toCanvas(startP);
-        const centerC = toCanvas(centerP);
-        const r = Math.hypot(startC.x - centerC.x, startC.y - centerC.y);
-        const startAngle = Math.atan2(startC.y - centerC.y, startC.x - centerC.x);
-        const endAngle = Math.atan2(p.y - centerC.y, p.x - centerC.x);
-        ctx.arc(centerC.x, centerC.y, r, startAngle, endAngle, !m.clockwise);
+      ctx.lineTo(p.x, p.y);
+      if (m.type === "rapid") {
+        ctx.strokeStyle = "#f97316";
+        ctx.setLineDash([6, 4]);
+        ctx.lineWidth = 1.5;
+      } else {
         ctx.strokeStyle = "#38bdf8";
         ctx.setLineDash([]);
         ctx.lineWidth = 2;
-      } else {
-        ctx.lineTo(p.x, p.y);
-        if (m.type === "rapid") {
-          ctx.strokeStyle = "#f97316";
-          ctx.setLineDash([6, 4]);
-          ctx.lineWidth = 1.5;
-        } else {
-          ctx.strokeStyle = "#38bdf8";
-          ctx.setLineDash([]);
-          ctx.lineWidth = 2;
-        }
       }
       ctx.stroke();
     }
@@ -4923,6 +9573,31 @@ function renderPreview(toolpath, canvas, viewMode = currentPreviewView, cursorCo
     ctx.fillText(dimYText, 0, 0);
     ctx.restore();
 
+    // Steekcirkel (gatencirkel) gestippeld, met de diameter als maatlijn door het middelpunt
+    (toolpath.resultLayers ?? [toolpath]).forEach((layer) => {
+      const pitch = layer.resultPitchCircle;
+      if (!pitch || !(pitch.diameter > 0)) return;
+      const center = toCanvas(projectPoint(pitch.x - cx, pitch.y - cy, 0));
+      const radiusPx = (pitch.diameter / 2) * scale;
+      ctx.save();
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.arc(center.x, center.y, radiusPx, 0, 2 * Math.PI);
+      ctx.stroke();
+      ctx.restore();
+
+      const diag = radiusPx / Math.SQRT2;
+      ctx.beginPath();
+      ctx.moveTo(center.x - diag, center.y + diag);
+      ctx.lineTo(center.x + diag, center.y - diag);
+      ctx.stroke();
+      const pitchDisplay = unit === "inch" ? fromMm(pitch.diameter, "inch") : pitch.diameter;
+      const pitchText = t("preview.pitchCircle", {
+        diameter: pitchDisplay.toFixed(1) + (unit === "inch" ? '"' : " mm"),
+      });
+      ctx.fillText(pitchText, center.x, center.y - radiusPx - 10);
+    });
+
     ctx.restore();
   } else if (viewMode === PreviewViewMode.FRONT) {
     // Front: X horizontaal, Z verticaal
@@ -5058,6 +9733,94 @@ function downloadGcode(filename, gcode) {
   URL.revokeObjectURL(url);
 }
 
+/** CRC-32-tabel (polynoom 0xEDB88320), bij eerste gebruik opgebouwd. */
+let crc32Table = null;
+
+/**
+ * CRC-32 zoals zip die verwacht.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crc32Table[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Zip-bestand (zonder compressie) met tekstbestanden, bijv. één .nc per label.
+ * @param {{ name: string, content: string }[]} files
+ * @param {Date} [date] - wijzigingsdatum van de bestanden
+ * @returns {Uint8Array}
+ */
+function createZipArchive(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const dosDate = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  /** @type {Uint8Array[]} */
+  const localParts = [];
+  /** @type {Uint8Array[]} */
+  const centralParts = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+    // Gedeelde velden van lokale en centrale header: versie, vlaggen (bit 11 = UTF-8-naam), methode 0 (stored), tijd, datum, crc, groottes
+    const writeCommon = (view, at) => {
+      view.setUint16(at, 20, true);
+      view.setUint16(at + 2, 0x0800, true);
+      view.setUint16(at + 4, 0, true);
+      view.setUint16(at + 6, dosTime, true);
+      view.setUint16(at + 8, dosDate, true);
+      view.setUint32(at + 10, crc, true);
+      view.setUint32(at + 14, data.length, true);
+      view.setUint32(at + 18, data.length, true);
+      view.setUint16(at + 22, name.length, true);
+    };
+    const local = new Uint8Array(30 + name.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    writeCommon(localView, 4);
+    local.set(name, 30);
+    localParts.push(local, data);
+
+    const central = new Uint8Array(46 + name.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014b50, true);
+    centralView.setUint16(4, 20, true);
+    writeCommon(centralView, 6);
+    centralView.setUint32(42, offset, true);
+    central.set(name, 46);
+    centralParts.push(central);
+    offset += local.length + data.length;
+  }
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+  const parts = [...localParts, ...centralParts, end];
+  const zip = new Uint8Array(offset + centralSize + end.length);
+  let at = 0;
+  for (const part of parts) {
+    zip.set(part, at);
+    at += part.length;
+  }
+  return zip;
+}
+
 /**
  * Download bestand (bijv. JSON).
  */
@@ -5076,23 +9839,39 @@ function downloadFile(filename, content, mimeType = "application/json") {
 /** Schema voor machine-instellingen export/import (version 1). */
 const MACHINE_SETTINGS_SCHEMA = [
   { key: "feedrate", formId: "feedrate", type: "number" },
+  { key: "plungeFeedrate", formId: "plunge-feedrate", type: "number" },
   { key: "spindleSpeedEnabled", formId: "spindle-speed-enabled", type: "checkbox" },
   { key: "spindleSpeed", formId: "spindle-speed", type: "number" },
   { key: "toolDiameter", formId: "tool-diameter", type: "number" },
   { key: "safeHeight", formId: "safe-height", type: "number" },
   { key: "leadInAbove", formId: "lead-in-above", type: "number" },
+  { key: "descentAtFeed", formId: "descent-at-feed", type: "checkbox" },
+  { key: "millingDirection", formId: "milling-direction", type: "select" },
   { key: "zOffset", formId: "z-offset", type: "number" },
+  { key: "arcOutput", formId: "arc-output-enabled", type: "checkbox" },
+  { key: "arcFormat", formId: "arc-format", type: "select" },
+  { key: "toolId", formId: "tool-select", type: "select" },
+  { key: "toolChangeMode", formId: "tool-change-mode", type: "select" },
+  { key: "toolChangeProbe", formId: "tool-change-probe", type: "checkbox" },
 ];
 
 /** Default waarden voor ontbrekende keys bij import. */
 const MACHINE_SETTINGS_DEFAULTS = {
   feedrate: 800,
+  plungeFeedrate: 300,
   spindleSpeedEnabled: false,
   spindleSpeed: 12000,
   toolDiameter: 4,
   safeHeight: 10,
   leadInAbove: 2,
+  descentAtFeed: false,
+  millingDirection: "climb",
   zOffset: 0,
+  arcOutput: false,
+  arcFormat: "ij",
+  toolId: "",
+  toolChangeMode: "auto",
+  toolChangeProbe: false,
 };
 
 const LAST_SETTINGS_STORAGE_KEY = "gcode-last-settings";
@@ -5105,16 +9884,26 @@ function saveLastSettings() {
       version: 1,
       unit,
       feedrate: toNumber(document.getElementById("feedrate")?.value),
+      plungeFeedrate: toNumber(document.getElementById("plunge-feedrate")?.value),
       spindleSpeedEnabled: /** @type {HTMLInputElement} */ (document.getElementById("spindle-speed-enabled"))?.checked ?? false,
       spindleSpeed: toNumber(document.getElementById("spindle-speed")?.value),
       toolDiameter: toNumber(document.getElementById("tool-diameter")?.value),
       safeHeight: toNumber(document.getElementById("safe-height")?.value),
       leadInAbove: toNumber(document.getElementById("lead-in-above")?.value),
+      descentAtFeed: /** @type {HTMLInputElement} */ (document.getElementById("descent-at-feed"))?.checked ?? false,
+      millingDirection: /** @type {HTMLSelectElement} */ (document.getElementById("milling-direction"))?.value,
       zOffset: toNumber(document.getElementById("z-offset")?.value),
+      arcOutput: /** @type {HTMLInputElement} */ (document.getElementById("arc-output-enabled"))?.checked ?? false,
+      arcFormat: /** @type {HTMLSelectElement} */ (document.getElementById("arc-format"))?.value,
+      toolId: /** @type {HTMLSelectElement} */ (document.getElementById("tool-select"))?.value,
+      toolChangeMode: /** @type {HTMLSelectElement} */ (document.getElementById("tool-change-mode"))?.value,
+      toolChangeProbe: /** @type {HTMLInputElement} */ (document.getElementById("tool-change-probe"))?.checked ?? false,
     };
-    MACHINE_SETTINGS_SCHEMA.forEach(({ key }) => {
+    MACHINE_SETTINGS_SCHEMA.forEach(({ key, type }) => {
       const val = data[key];
-      if (key !== "spindleSpeedEnabled" && (val == null || !Number.isFinite(val))) {
+      if (type === "number" && (val == null || !Number.isFinite(val))) {
+        data[key] = MACHINE_SETTINGS_DEFAULTS[key];
+      } else if (type === "select" && typeof val !== "string") {
         data[key] = MACHINE_SETTINGS_DEFAULTS[key];
       }
     });
@@ -5131,6 +9920,96 @@ function sanitizeFilename(name) {
     .trim() || "machine-settings";
 }
 
+/**
+ * Frees uit de gereedschapsbibliotheek. Alle lengtes in mm, voedingen in mm/min.
+ * @typedef {{ id: string, number: number, name: string, type: string, diameter: number, fluteCount: number, fluteLength: number, feedrate: number, plungeFeedrate: number, spindleSpeed: number, maxStepdown: number }} Tool
+ */
+
+const TOOL_LIBRARY_STORAGE_KEY = "gcode-tool-library";
+
+/** Default waarden voor een nieuwe frees en voor ontbrekende velden bij import. */
+const TOOL_DEFAULTS = {
+  type: ToolType.ENDMILL,
+  diameter: 6,
+  fluteCount: 2,
+  fluteLength: 20,
+  feedrate: 800,
+  plungeFeedrate: 300,
+  spindleSpeed: 12000,
+  maxStepdown: 1,
+};
+
+function createToolId() {
+  return `tool-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Maakt een geldige Tool van (geïmporteerde) data; ongeldige of ontbrekende velden krijgen de default.
+ * @param {*} raw
+ * @param {number} index - positie in de bibliotheek, voor het standaard toolnummer
+ * @returns {Tool}
+ */
+function sanitizeTool(raw, index) {
+  const positive = (value, fallback) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+  const src = raw && typeof raw === "object" ? raw : {};
+  return {
+    id: typeof src.id === "string" && src.id ? src.id : createToolId(),
+    number: Math.round(positive(src.number, index + 1)),
+    name: typeof src.name === "string" ? src.name.trim() : "",
+    type: Object.values(ToolType).includes(src.type) ? src.type : TOOL_DEFAULTS.type,
+    diameter: positive(src.diameter, TOOL_DEFAULTS.diameter),
+    fluteCount: Math.round(positive(src.fluteCount, TOOL_DEFAULTS.fluteCount)),
+    fluteLength: positive(src.fluteLength, TOOL_DEFAULTS.fluteLength),
+    feedrate: positive(src.feedrate, TOOL_DEFAULTS.feedrate),
+    plungeFeedrate: positive(src.plungeFeedrate, TOOL_DEFAULTS.plungeFeedrate),
+    spindleSpeed: positive(src.spindleSpeed, TOOL_DEFAULTS.spindleSpeed),
+    maxStepdown: positive(src.maxStepdown, TOOL_DEFAULTS.maxStepdown),
+  };
+}
+
+/** @returns {Tool[]} */
+function loadToolLibrary() {
+  try {
+    const raw = localStorage.getItem(TOOL_LIBRARY_STORAGE_KEY);
+    if (!raw) return [];
+    const data = JSON.parse(raw);
+    return Array.isArray(data.tools) ? data.tools.map(sanitizeTool) : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/** @param {Tool[]} tools */
+function saveToolLibrary(tools) {
+  try {
+    localStorage.setItem(TOOL_LIBRARY_STORAGE_KEY, JSON.stringify({ version: 1, tools }));
+  } catch (_) {}
+}
+
+/**
+ * @param {string | null | undefined} id
+ * @returns {Tool | null}
+ */
+function getToolById(id) {
+  if (!id) return null;
+  return loadToolLibrary().find((tool) => tool.id === id) ?? null;
+}
+
+/**
+ * Naam van een frees voor keuzelijst en lijst, bijv. "T3 · Ø6 mm · Vingerfrees".
+ * @param {Tool} tool
+ * @returns {string}
+ */
+function getToolLabel(tool) {
+  const unit = getDisplayUnit();
+  const diameter = Number(fromMm(tool.diameter, unit).toFixed(unit === "inch" ? 4 : 3));
+  const name = tool.name || t(`tools.type.${tool.type}`);
+  return `T${tool.number} · Ø${diameter} ${unit === "inch" ? "in" : "mm"} · ${name}`;
+}
+
 async function copyGcodeToClipboard(gcode) {
   try {
     await navigator.clipboard.writeText(gcode);
@@ -5187,6 +10066,7 @@ function setupUI() {
   setupHoverSubmenu("theme-submenu-trigger", "theme-submenu");
   setupHoverSubmenu("importexport-submenu-trigger", "importexport-submenu");
   setupHoverSubmenu("mode-submenu-trigger", "mode-submenu");
+  setupHoverSubmenu("post-submenu-trigger", "post-submenu");
 
   // Display mode (simple / advanced)
   function applyDisplayMode(mode) {
@@ -5232,13 +10112,42 @@ function setupUI() {
     });
   });
 
+  // Post-processor (G-code dialect)
+  function applyPostProcessor(id) {
+    if (!POST_PROCESSORS[id]) return;
+    try {
+      localStorage.setItem(POST_PROCESSOR_STORAGE_KEY, id);
+    } catch (_) {}
+    document.querySelectorAll(".settings-post-item[data-post]").forEach((btn) => {
+      btn.setAttribute("aria-pressed", btn.getAttribute("data-post") === id ? "true" : "false");
+    });
+  }
+  applyPostProcessor(getPostProcessorId());
+  document.querySelectorAll(".settings-post-item[data-post]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const id = btn.getAttribute("data-post");
+      if (!id || id === getPostProcessorId()) return;
+      applyPostProcessor(id);
+      // Bestaande gcode opnieuw genereren in het nieuwe dialect
+      if (lastToolpath.moves.length) form.requestSubmit();
+    });
+  });
+
   // Unit switcher (mm / inch): bewaar keuze, converteer velden bij wissel, update labels
   const LENGTH_INPUT_IDS = [
-    "circle-diameter", "square-size", "rect-width", "rect-height", "ellipse-major", "ellipse-minor", "letter-size",
+    "circle-diameter", "square-size", "rect-width", "rect-height", "ellipse-major", "ellipse-minor", "letter-size", "letter-spacing", "letter-arc-radius",
+    "letter-batch-spacing-x", "letter-batch-spacing-y",
+    "corner-radius", "corner-radius-tl", "corner-radius-tr", "corner-radius-bl", "corner-radius-br",
     "counterbore-head-diameter", "counterbore-depth", "counterbore-bolt-diameter",
-    "patterned-holes-diameter", "patterned-holes-spacing-x", "patterned-holes-spacing-y",
+    "patterned-holes-diameter", "patterned-holes-spacing-x", "patterned-holes-spacing-y", "patterned-holes-pitch-diameter",
     "tab-interval", "tab-width", "tab-height",
-    "tool-diameter", "total-depth", "stepdown", "stepover", "feedrate", "safe-height", "lead-in-above", "z-offset",
+    "tool-diameter", "total-depth", "stepdown", "stepover", "feedrate", "plunge-feedrate", "safe-height", "lead-in-above", "z-offset",
+    "finish-allowance", "finish-floor-allowance", "finish-stepdown", "finish-feedrate",
+    "chamfer-tip-diameter", "chamfer-width", "chamfer-feedrate",
+    "peck-depth",
+    "thread-diameter", "thread-pitch", "thread-length", "thread-cutter-length",
+    "vcarve-max-depth",
+    "dxf-join-tolerance",
   ];
   /** Minimum waarden in mm; in inch-modus omrekenen zodat HTML5-validatie en steppers kloppen. */
   const MIN_MM_BY_INPUT = {
@@ -5247,21 +10156,31 @@ function setupUI() {
     "tab-width": 1,
     "tab-height": 0.1,
     "tool-diameter": 0.1,
+    // 0 = alleen exact aansluitende eindpunten verbinden; zelfde grens als validateInputs
+    "dxf-join-tolerance": 0,
   };
   /** Step in mm voor wrapper (data-step); gebruikt voor +/- knoppen en in inch omgerekend. */
   const STEP_MM_BY_INPUT = {
     "circle-diameter": 1, "square-size": 1, "rect-width": 1, "rect-height": 1,
-    "ellipse-major": 1, "ellipse-minor": 1, "letter-size": 1,
-    "patterned-holes-diameter": 0.1, "patterned-holes-spacing-x": 1, "patterned-holes-spacing-y": 1,
+    "ellipse-major": 1, "ellipse-minor": 1, "letter-size": 1, "letter-spacing": 0.1, "letter-arc-radius": 1,
+    "letter-batch-spacing-x": 1, "letter-batch-spacing-y": 1,
+    "corner-radius": 1, "corner-radius-tl": 1, "corner-radius-tr": 1, "corner-radius-bl": 1, "corner-radius-br": 1,
+    "patterned-holes-diameter": 0.1, "patterned-holes-spacing-x": 1, "patterned-holes-spacing-y": 1, "patterned-holes-pitch-diameter": 1,
     "counterbore-head-diameter": 1, "counterbore-depth": 0.5, "counterbore-bolt-diameter": 0.5,
     "tab-interval": 5, "tab-width": 1, "tab-height": 0.5,
-    "tool-diameter": 0.001, "total-depth": 0.5, "stepdown": 0.5, "feedrate": 50,
+    "tool-diameter": 0.001, "total-depth": 0.5, "stepdown": 0.5, "feedrate": 50, "plunge-feedrate": 50,
     "safe-height": 1, "lead-in-above": 0.5, "z-offset": 0.5,
+    "finish-allowance": 0.1, "finish-floor-allowance": 0.1, "finish-stepdown": 0.5, "finish-feedrate": 50,
+    "chamfer-tip-diameter": 0.1, "chamfer-width": 0.1, "chamfer-feedrate": 50,
+    "peck-depth": 0.5,
+    "thread-diameter": 1, "thread-pitch": 0.05, "thread-length": 1, "thread-cutter-length": 1,
+    "vcarve-max-depth": 0.5,
+    "dxf-join-tolerance": 0.05,
   };
   /** Inputs met vaste step in HTML (niet "any"); in inch step="any", in mm herstellen. */
   const INPUT_FIXED_STEP_MM = {
     "tab-interval": 1, "tab-width": 1, "safe-height": 1,
-    "feedrate": 50, "lead-in-above": 0.5, "z-offset": 0.5,
+    "feedrate": 50, "plunge-feedrate": 50, "lead-in-above": 0.5, "z-offset": 0.5, "finish-feedrate": 50, "chamfer-feedrate": 50,
   };
   /** Default waarden in inch (afgeleid van mm-defaults, afgerond op logische inch-waarden). Stepover blijft %. */
   const DEFAULT_VALUES_INCH = {
@@ -5272,9 +10191,14 @@ function setupUI() {
     "ellipse-major": 2.25,
     "ellipse-minor": 1.5,
     "letter-size": 0.375,
+    "letter-spacing": 0,
+    "letter-arc-radius": 1.5,
+    "letter-batch-spacing-x": 1.5,
+    "letter-batch-spacing-y": 0.625,
     "patterned-holes-diameter": 0.8,
     "patterned-holes-spacing-x": 3.75,
     "patterned-holes-spacing-y": 3.75,
+    "patterned-holes-pitch-diameter": 3,
     "counterbore-head-diameter": 0.5,
     "counterbore-depth": 0.125,
     "counterbore-bolt-diameter": 0.25,
@@ -5285,8 +10209,23 @@ function setupUI() {
     "total-depth": 0.25,
     "stepdown": 0.04,
     "feedrate": 30,
+    "plunge-feedrate": 12,
     "safe-height": 0.5,
     "lead-in-above": 0.1,
+    "finish-allowance": 0.01,
+    "finish-floor-allowance": 0,
+    "finish-stepdown": 0,
+    "finish-feedrate": 24,
+    "chamfer-tip-diameter": 0,
+    "chamfer-width": 0.02,
+    "chamfer-feedrate": 24,
+    "peck-depth": 0.08,
+    "thread-diameter": 0.25,
+    "thread-pitch": 0.05,
+    "thread-length": 0.375,
+    "thread-cutter-length": 0.25,
+    "vcarve-max-depth": 0.125,
+    "dxf-join-tolerance": 0.004,
   };
   function applyInchDefaults() {
     Object.keys(DEFAULT_VALUES_INCH).forEach((id) => {
@@ -5417,6 +10356,9 @@ function setupUI() {
           /** @type {HTMLInputElement} */ (el).checked = !!val;
         } else if (type === "number" && Number.isFinite(val)) {
           /** @type {HTMLInputElement} */ (el).value = String(val);
+        } else if (type === "select" && typeof val === "string") {
+          const select = /** @type {HTMLSelectElement} */ (el);
+          if (Array.from(select.options).some((o) => o.value === val)) select.value = val;
         }
       });
       const spindleRow = document.getElementById("spindle-speed-row");
@@ -5424,6 +10366,11 @@ function setupUI() {
       if (spindleRow && spindleCb) {
         spindleRow.classList.toggle("hidden", !spindleCb.checked);
       }
+      const arcFormatRow = document.getElementById("arc-format-row");
+      const arcOutputCb = document.getElementById("arc-output-enabled");
+      if (arcFormatRow && arcOutputCb) {
+        arcFormatRow.classList.toggle("hidden", !arcOutputCb.checked);
+      }
     } catch (_) {}
   }
 
@@ -5467,16 +10414,27 @@ function setupUI() {
         unit,
         name: name.trim(),
         feedrate: toNumber(document.getElementById("feedrate")?.value),
+        plungeFeedrate: toNumber(document.getElementById("plunge-feedrate")?.value),
         spindleSpeedEnabled: /** @type {HTMLInputElement} */ (document.getElementById("spindle-speed-enabled"))?.checked ?? false,
         spindleSpeed: toNumber(document.getElementById("spindle-speed")?.value),
         toolDiameter: toNumber(document.getElementById("tool-diameter")?.value),
         safeHeight: toNumber(document.getElementById("safe-height")?.value),
         leadInAbove: toNumber(document.getElementById("lead-in-above")?.value),
+        descentAtFeed: /** @type {HTMLInputElement} */ (document.getElementById("descent-at-feed"))?.checked ?? false,
+        millingDirection: /** @type {HTMLSelectElement} */ (document.getElementById("milling-direction"))?.value,
         zOffset: toNumber(document.getElementById("z-offset")?.value),
+        arcOutput: /** @type {HTMLInputElement} */ (document.getElementById("arc-output-enabled"))?.checked ?? false,
+        arcFormat: /** @type {HTMLSelectElement} */ (document.getElementById("arc-format"))?.value,
+        toolId: /** @type {HTMLSelectElement} */ (document.getElementById("tool-select"))?.value,
+        toolChangeMode: /** @type {HTMLSelectElement} */ (document.getElementById("tool-change-mode"))?.value,
+        toolChangeProbe: /** @type {HTMLInputElement} */ (document.getElementById("tool-change-probe"))?.checked ?? false,
+        postProcessor: getPostProcessorId(),
       };
-      MACHINE_SETTINGS_SCHEMA.forEach(({ key }) => {
+      MACHINE_SETTINGS_SCHEMA.forEach(({ key, type }) => {
         const val = data[key];
-        if (key !== "spindleSpeedEnabled" && (val == null || !Number.isFinite(val))) {
+        if (type === "number" && (val == null || !Number.isFinite(val))) {
+          data[key] = MACHINE_SETTINGS_DEFAULTS[key];
+        } else if (type === "select" && typeof val !== "string") {
           data[key] = MACHINE_SETTINGS_DEFAULTS[key];
         }
       });
@@ -5529,6 +10487,9 @@ function setupUI() {
               /** @type {HTMLInputElement} */ (el).checked = !!val;
             } else if (type === "number" && Number.isFinite(val)) {
               /** @type {HTMLInputElement} */ (el).value = String(val);
+            } else if (type === "select" && typeof val === "string") {
+              const select = /** @type {HTMLSelectElement} */ (el);
+              if (Array.from(select.options).some((o) => o.value === val)) select.value = val;
             }
           });
           // Spindle-speed rij zichtbaarheid bijwerken
@@ -5537,6 +10498,12 @@ function setupUI() {
           if (spindleRow && spindleCb) {
             spindleRow.classList.toggle("hidden", !spindleCb.checked);
           }
+          const arcFormatRow = document.getElementById("arc-format-row");
+          const arcOutputCb = document.getElementById("arc-output-enabled");
+          if (arcFormatRow && arcOutputCb) {
+            arcFormatRow.classList.toggle("hidden", !arcOutputCb.checked);
+          }
+          if (typeof data.postProcessor === "string") applyPostProcessor(data.postProcessor);
           alert(t("settings.importSuccess"));
           closeSettingsMenu();
         } catch (err) {
@@ -5559,6 +10526,12 @@ function setupUI() {
   const xyOriginSelect = /** @type {HTMLSelectElement} */ (
     document.getElementById("xy-origin")
   );
+  const patternedHolesLayoutSelect = /** @type {HTMLSelectElement | null} */ (
+    document.getElementById("patterned-holes-layout")
+  );
+  const letterLayoutSelect = /** @type {HTMLSelectElement | null} */ (
+    document.getElementById("letter-layout")
+  );
   const rampSettings = document.getElementById("ramp-settings");
   const entryButtons = /** @type {NodeListOf<HTMLButtonElement>} */ (
     document.querySelectorAll(".entry-method-btn")
@@ -5660,6 +10633,7 @@ function setupUI() {
       [ShapeType.LETTERS]: ".shape-letters",
       [ShapeType.COUNTERBORE_BOLT]: ".shape-counterbore-bolt",
       [ShapeType.PATTERNED_HOLES]: ".shape-patterned-holes",
+      [ShapeType.THREAD_MILL]: ".shape-thread-mill",
       [ShapeType.DXF]: ".shape-dxf",
     };
     const selector = map[selected];
@@ -5672,7 +10646,7 @@ function setupUI() {
     const operationRow = document.getElementById("operation-row");
     const contourOnlyElems = document.querySelectorAll(".contour-only");
     const facingOnlyElems = document.querySelectorAll(".facing-only");
-    if (selected === ShapeType.LETTERS || selected === ShapeType.COUNTERBORE_BOLT || selected === ShapeType.PATTERNED_HOLES) {
+    if (selected === ShapeType.LETTERS || selected === ShapeType.COUNTERBORE_BOLT || selected === ShapeType.PATTERNED_HOLES || selected === ShapeType.THREAD_MILL) {
       if (operationRow) operationRow.classList.add("hidden");
       contourOnlyElems.forEach((el) => el.classList.add("hidden"));
       facingOnlyElems.forEach((el) => el.classList.add("hidden"));
@@ -5708,12 +10682,25 @@ function setupUI() {
       const pocketOpt = operationSelect?.querySelector('option[value="pocket"]');
       if (pocketOpt) pocketOpt.disabled = false;
     }
+    // V-carve en graveren op de lijn als bewerking alleen bij DXF; letters kiezen het via de letterbewerking
+    [OperationType.VCARVE, OperationType.ENGRAVE].forEach((value) => {
+      const option = /** @type {HTMLOptionElement | null | undefined} */ (operationSelect?.querySelector(`option[value="${value}"]`));
+      if (option) option.disabled = selected !== ShapeType.DXF;
+    });
+    if (operationSelect && selected !== ShapeType.DXF &&
+        (operationSelect.value === OperationType.VCARVE || operationSelect.value === OperationType.ENGRAVE)) {
+      operationSelect.value = OperationType.POCKET;
+      updateContourTypeVisibility();
+    }
 
     // Standaard XY-origin per vorm
     if (xyOriginSelect) {
-      if (selected === ShapeType.SQUARE || selected === ShapeType.RECTANGLE || selected === ShapeType.FACING || selected === ShapeType.LETTERS || selected === ShapeType.PATTERNED_HOLES || selected === ShapeType.DXF) {
+      if ((selected === ShapeType.PATTERNED_HOLES && patternedHolesLayoutSelect?.value === "polar") ||
+          (selected === ShapeType.LETTERS && letterLayoutSelect?.value === "arc")) {
+        xyOriginSelect.value = XYOrigin.CENTER;
+      } else if (selected === ShapeType.SQUARE || selected === ShapeType.RECTANGLE || selected === ShapeType.FACING || selected === ShapeType.LETTERS || selected === ShapeType.PATTERNED_HOLES || selected === ShapeType.DXF) {
         xyOriginSelect.value = XYOrigin.BOTTOM_LEFT;
-      } else if (selected === ShapeType.CIRCLE || selected === ShapeType.ELLIPSE || selected === ShapeType.HEXAGON || selected === ShapeType.COUNTERBORE_BOLT) {
+      } else if (selected === ShapeType.CIRCLE || selected === ShapeType.ELLIPSE || selected === ShapeType.HEXAGON || selected === ShapeType.COUNTERBORE_BOLT || selected === ShapeType.THREAD_MILL) {
         xyOriginSelect.value = XYOrigin.CENTER;
       }
     }
@@ -5723,19 +10710,134 @@ function setupUI() {
       if (totalDepthEl) totalDepthEl.value = "0.5";
     }
 
+    // Freesrichting niet bij vlakfrezen: de strips gaan heen en weer
+    const millingDirectionRow = document.getElementById("milling-direction-row");
+    if (millingDirectionRow) millingDirectionRow.classList.toggle("hidden", selected === ShapeType.FACING);
+
+    updatePatternedHolesLayoutVisibility();
+    updateLetterLayoutVisibility();
+    updateLetterBatchVisibility();
+    updateDrillingVisibility();
+    updateDxfJoinToleranceVisibility();
+    updatePocketStrategyVisibility();
+    updateThreadMillVisibility();
+    updateVCarveVisibility();
+    updateCornerRadiusVisibility();
+    updateFinishPassVisibility();
+    updateChamferVisibility();
     updateToolDiameterVisibility();
   }
 
   operationTypeSelect?.addEventListener("change", updateUIForOperationTypeAndShape);
   shapeSelect?.addEventListener("change", updateUIForOperationTypeAndShape);
 
-  // DXF bestand: toon gekozen bestandsnaam
+  // DXF-lagen: per laag een bewerking en diepte. Bij een nieuw bestand blijven de keuzes staan voor lagen met dezelfde naam.
+  const dxfLayerList = document.getElementById("dxf-layer-list");
+  const dxfLayerEmpty = document.getElementById("dxf-layer-empty");
+  const DXF_LAYER_OPERATION_OPTIONS = [
+    ["", "form.dxfLayerOpDefault"],
+    ["outside", "form.dxfLayerOpOutside"],
+    ["inside", "form.dxfLayerOpInside"],
+    [OperationType.POCKET, "form.dxfLayerOpPocket"],
+    [OperationType.ENGRAVE, "form.dxfLayerOpEngrave"],
+    [OperationType.DRILL, "form.dxfLayerOpDrill"],
+    ["ignore", "form.dxfLayerOpIgnore"],
+  ];
+  /**
+   * @param {{ name: string, color: string, count: number }[]} layers
+   */
+  function renderDxfLayerList(layers) {
+    if (!dxfLayerList) return;
+    const previous = new Map();
+    dxfLayerList.querySelectorAll(".dxf-layer-item").forEach((item) => {
+      previous.set(item.getAttribute("data-layer"), {
+        operation: /** @type {HTMLSelectElement} */ (item.querySelector(".dxf-layer-operation")).value,
+        depth: /** @type {HTMLInputElement} */ (item.querySelector(".dxf-layer-depth")).value,
+      });
+    });
+    dxfLayerList.replaceChildren(...layers.map((layer) => {
+      const item = document.createElement("div");
+      item.className = "dxf-layer-item";
+      item.setAttribute("data-layer", layer.name);
+      const swatch = document.createElement("span");
+      swatch.className = "dxf-layer-swatch";
+      swatch.style.background = layer.color;
+      const name = document.createElement("span");
+      name.className = "dxf-layer-name";
+      name.textContent = layer.name;
+      name.title = `${layer.name} (${layer.count})`;
+      const select = document.createElement("select");
+      select.className = "dxf-layer-operation";
+      select.setAttribute("data-i18n-aria-label", "form.dxfLayerOperation");
+      select.setAttribute("aria-label", t("form.dxfLayerOperation"));
+      DXF_LAYER_OPERATION_OPTIONS.forEach(([value, key]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.setAttribute("data-i18n", key);
+        option.textContent = t(key);
+        select.appendChild(option);
+      });
+      const depth = document.createElement("input");
+      depth.type = "number";
+      depth.className = "dxf-layer-depth";
+      depth.min = "0";
+      depth.step = "any";
+      depth.setAttribute("data-i18n-placeholder", "form.dxfLayerDepth");
+      depth.setAttribute("data-i18n-title", "form.dxfLayerDepthTitle");
+      depth.placeholder = t("form.dxfLayerDepth");
+      depth.title = t("form.dxfLayerDepthTitle");
+      const kept = previous.get(layer.name);
+      if (kept) {
+        select.value = kept.operation;
+        depth.value = kept.depth;
+      }
+      item.append(swatch, name, select, depth);
+      return item;
+    }));
+    dxfLayerEmpty?.classList.toggle("hidden", layers.length > 0);
+    updateDrillingVisibility();
+    updateDxfJoinToleranceVisibility();
+  }
+  dxfLayerList?.addEventListener("change", () => {
+    updateDrillingVisibility();
+    updateDxfJoinToleranceVisibility();
+  });
+  // Na wisselen van eenheid staan alle velden op hun standaard; een lege diepte is de totale diepte
+  document.addEventListener("unitchange", () => {
+    dxfLayerList?.querySelectorAll(".dxf-layer-depth").forEach((input) => {
+      /** @type {HTMLInputElement} */ (input).value = "";
+    });
+  });
+
+  // DXF bestand: toon gekozen bestandsnaam, de lagen en de overgeslagen entiteittypen; een leesfout volgt bij het genereren
   const dxfFileInput = document.getElementById("dxf-file");
   const dxfFileNameEl = document.getElementById("dxf-file-name");
+  const dxfSkippedTypesEl = document.getElementById("dxf-skipped-types");
+  let dxfSkippedTypes = [];
+  function updateDxfSkippedTypes() {
+    if (!dxfSkippedTypesEl) return;
+    dxfSkippedTypesEl.textContent = dxfSkippedTypes.length > 0 ? t("form.dxfSkippedTypes", { types: dxfSkippedTypes.join(", ") }) : "";
+    dxfSkippedTypesEl.classList.toggle("hidden", dxfSkippedTypes.length === 0);
+  }
+  document.addEventListener("languagechange", updateDxfSkippedTypes);
   if (dxfFileInput && dxfFileNameEl) {
-    dxfFileInput.addEventListener("change", () => {
+    dxfFileInput.addEventListener("change", async () => {
       const file = dxfFileInput.files && dxfFileInput.files[0];
       dxfFileNameEl.textContent = file ? file.name : "";
+      let layers = [];
+      dxfSkippedTypes = [];
+      if (file) {
+        try {
+          const text = await readFileText(file);
+          const svg = isSvgText(text);
+          layers = svg ? parseSvgLayers(text) : parseDxfLayers(text);
+          dxfSkippedTypes = svg ? findSkippedSvgElements(text) : findSkippedDxfEntityTypes(text);
+        } catch (_) {
+          layers = [];
+        }
+      }
+      renderDxfLayerList(layers);
+      updateDxfSkippedTypes();
     });
   }
 
@@ -5786,6 +10888,270 @@ function setupUI() {
   if (rectWidthInput) rectWidthInput.addEventListener("input", syncRectPresetFromInputs);
   if (rectHeightInput) rectHeightInput.addEventListener("input", syncRectPresetFromInputs);
 
+  // Patterned holes: raster of steekcirkel; alleen de velden van het gekozen patroon tonen
+  function updatePatternedHolesLayoutVisibility() {
+    const isPatternedHoles = getEffectiveShape() === ShapeType.PATTERNED_HOLES;
+    const layout = patternedHolesLayoutSelect?.value === "polar" ? "polar" : "grid";
+    document.querySelectorAll(".patterned-holes-grid").forEach((el) => {
+      el.classList.toggle("hidden", !isPatternedHoles || layout !== "grid");
+    });
+    document.querySelectorAll(".patterned-holes-polar").forEach((el) => {
+      el.classList.toggle("hidden", !isPatternedHoles || layout !== "polar");
+    });
+  }
+  // Tekst langs een boog of DXF-pad: alleen de velden van de gekozen opmaak tonen
+  function updateLetterLayoutVisibility() {
+    const isLetters = getEffectiveShape() === ShapeType.LETTERS;
+    const layout = letterLayoutSelect?.value ?? "straight";
+    document.querySelectorAll(".letter-layout-arc").forEach((el) => {
+      el.classList.toggle("hidden", !isLetters || layout !== "arc");
+    });
+    document.querySelectorAll(".letter-layout-path").forEach((el) => {
+      el.classList.toggle("hidden", !isLetters || layout !== "path");
+    });
+  }
+  // Boorcyclus: bij gatenpatroon en verzinking, en bij DXF zodra een laag geboord wordt; pikdiepte bij G83, pauze bij G82
+  const holeMethodSelect = /** @type {HTMLSelectElement | null} */ (document.getElementById("hole-method"));
+  const drillCycleSelect = /** @type {HTMLSelectElement | null} */ (document.getElementById("drill-cycle"));
+  function updateDrillingVisibility() {
+    const shape = getEffectiveShape();
+    const holes = shape === ShapeType.PATTERNED_HOLES || shape === ShapeType.COUNTERBORE_BOLT;
+    const dxfDrilling = shape === ShapeType.DXF && Array.from(dxfLayerList?.querySelectorAll(".dxf-layer-operation") ?? [])
+      .some((select) => /** @type {HTMLSelectElement} */ (select).value === OperationType.DRILL);
+    const drilling = (holes && holeMethodSelect?.value === "drill") || dxfDrilling;
+    const cycle = drillCycleSelect?.value;
+    document.querySelectorAll(".drill-param-row").forEach((el) => el.classList.toggle("hidden", !drilling));
+    document.querySelectorAll(".drill-peck-row").forEach((el) => el.classList.toggle("hidden", !drilling || cycle !== "G83"));
+    document.querySelectorAll(".drill-dwell-row").forEach((el) => el.classList.toggle("hidden", !drilling || cycle !== "G82"));
+  }
+  holeMethodSelect?.addEventListener("change", updateDrillingVisibility);
+  drillCycleSelect?.addEventListener("change", updateDrillingVisibility);
+
+  // Verbindtolerantie alleen bij graveren op de lijn: als DXF-bewerking of voor een laag
+  function updateDxfJoinToleranceVisibility() {
+    const engraves = getEffectiveShape() === ShapeType.DXF && (operationSelect?.value === OperationType.ENGRAVE ||
+      Array.from(dxfLayerList?.querySelectorAll(".dxf-layer-operation") ?? [])
+        .some((select) => /** @type {HTMLSelectElement} */ (select).value === OperationType.ENGRAVE));
+    document.querySelectorAll(".dxf-join-row").forEach((el) => el.classList.toggle("hidden", !engraves));
+  }
+  operationSelect?.addEventListener("change", updateDxfJoinToleranceVisibility);
+
+  // Pocketstrategie alleen bij pockets; max. aangrijping alleen bij adaptief ruimen, dat de stepover vervangt.
+  // Raster ruimen gebruikt de stepover als afstand tussen de banen.
+  const pocketStrategySelect = /** @type {HTMLSelectElement | null} */ (document.getElementById("pocket-strategy"));
+  function supportsAdaptivePocketHere() {
+    return supportsAdaptivePocket({
+      shape: getEffectiveShape(),
+      operation: operationSelect?.value,
+      drilling: holeMethodSelect?.value === "drill",
+      letterMode: /** @type {HTMLSelectElement | null} */ (document.getElementById("letter-mode"))?.value,
+    });
+  }
+  function isAdaptivePocketSelected() {
+    return pocketStrategySelect?.value === "adaptive" && supportsAdaptivePocketHere();
+  }
+  function updatePocketStrategyVisibility() {
+    document.getElementById("pocket-strategy-row")?.classList.toggle("hidden", !supportsAdaptivePocketHere());
+    document.getElementById("pocket-engagement-row")?.classList.toggle("hidden", !isAdaptivePocketSelected());
+    const raster = pocketStrategySelect?.value === "raster" && supportsAdaptivePocketHere();
+    document.querySelectorAll(".pocket-raster-row").forEach((el) => el.classList.toggle("hidden", !raster));
+    updateStepoverVisibility();
+  }
+  pocketStrategySelect?.addEventListener("change", updatePocketStrategyVisibility);
+  holeMethodSelect?.addEventListener("change", updatePocketStrategyVisibility);
+  operationSelect?.addEventListener("change", updatePocketStrategyVisibility);
+  document.getElementById("letter-mode")?.addEventListener("change", updatePocketStrategyVisibility);
+
+  // Draadfrezen: de draadlengte vervangt diepte en stepdown; snijlengte alleen bij een meervoudige draadfrees
+  const threadCutterSelect = /** @type {HTMLSelectElement | null} */ (document.getElementById("thread-cutter"));
+  const depthSettings = document.getElementById("depth-settings");
+  function updateThreadMillVisibility() {
+    const isThreadMill = getEffectiveShape() === ShapeType.THREAD_MILL;
+    // V-carve heeft ook een eigen diepte (maximale diepte)
+    const ownDepth = isThreadMill || isVCarveSelected();
+    if (depthSettings) depthSettings.classList.toggle("hidden", ownDepth);
+    const totalDepthInput = /** @type {HTMLInputElement | null} */ (document.getElementById("total-depth"));
+    if (totalDepthInput) totalDepthInput.required = !ownDepth;
+    document.querySelectorAll(".thread-multi-row").forEach((el) => {
+      el.classList.toggle("hidden", !isThreadMill || threadCutterSelect?.value !== "multi");
+    });
+  }
+  threadCutterSelect?.addEventListener("change", updateThreadMillVisibility);
+
+  // V-carve: letters met letterbewerking "vcarve" of DXF met bewerking "vcarve"
+  function isVCarveSelected() {
+    const shape = getEffectiveShape();
+    const letterMode = /** @type {HTMLSelectElement | null} */ (document.getElementById("letter-mode"))?.value;
+    return (shape === ShapeType.LETTERS && letterMode === "vcarve") ||
+      (shape === ShapeType.DXF && operationSelect?.value === OperationType.VCARVE);
+  }
+  function updateVCarveVisibility() {
+    const isVCarve = isVCarveSelected();
+    document.querySelectorAll(".vcarve-row").forEach((el) => el.classList.toggle("hidden", !isVCarve));
+    updateThreadMillVisibility();
+  }
+  document.getElementById("letter-mode")?.addEventListener("change", () => {
+    updateVCarveVisibility();
+    updateContourTypeVisibility();
+  });
+  operationSelect?.addEventListener("change", updateVCarveVisibility);
+
+  // Preset metrische draad: nominale diameter en spoed invullen
+  const threadPresetSelect = /** @type {HTMLSelectElement | null} */ (document.getElementById("thread-preset"));
+  threadPresetSelect?.addEventListener("change", () => {
+    const preset = METRIC_COARSE_THREADS[threadPresetSelect.value];
+    if (!preset) return;
+    const u = getDisplayUnit();
+    const diameterInput = /** @type {HTMLInputElement | null} */ (document.getElementById("thread-diameter"));
+    const pitchInput = /** @type {HTMLInputElement | null} */ (document.getElementById("thread-pitch"));
+    if (diameterInput) diameterInput.value = String(fromMm(preset.diameter, u));
+    if (pitchInput) pitchInput.value = String(fromMm(preset.pitch, u));
+  });
+
+  if (letterLayoutSelect) {
+    letterLayoutSelect.addEventListener("change", () => {
+      updateLetterLayoutVisibility();
+      // Tekst op een boog: standaard het middelpunt van de boog als origin
+      if (xyOriginSelect) {
+        xyOriginSelect.value = letterLayoutSelect.value === "arc" ? XYOrigin.CENTER : XYOrigin.BOTTOM_LEFT;
+      }
+    });
+  }
+
+  // Pad voor tekst langs een DXF-pad: bestandsnaam tonen; het pad zelf wordt pas bij genereren/voorbeeld gelezen
+  const letterPathFileInput = /** @type {HTMLInputElement | null} */ (document.getElementById("letter-path-file"));
+  const letterPathFileNameEl = document.getElementById("letter-path-file-name");
+  letterPathFileInput?.addEventListener("change", () => {
+    const file = letterPathFileInput.files && letterPathFileInput.files[0];
+    if (letterPathFileNameEl) letterPathFileNameEl.textContent = file ? file.name : "";
+  });
+  /** @type {{ file: File, path: { x: number, y: number, z: number }[] } | null} */
+  let letterPathCache = null;
+  /**
+   * Lees het pad uit het gekozen DXF-bestand (per bestand gecachet).
+   * @returns {Promise<{ x: number, y: number, z: number }[] | null>} null als er geen bestand gekozen is
+   */
+  async function readLetterTextPath() {
+    const file = letterPathFileInput?.files && letterPathFileInput.files[0];
+    if (!file) return null;
+    if (letterPathCache && letterPathCache.file === file) return letterPathCache.path;
+    const path = parseDxfTextPath(await readFileText(file));
+    letterPathCache = { file, path };
+    return path;
+  }
+
+  /**
+   * @param {File} file
+   * @returns {Promise<string>}
+   */
+  function readFileText(file) {
+    return new Promise((resolve, reject) => {
+      const r = new FileReader();
+      r.onload = () => resolve(String(r.result ?? ""));
+      r.onerror = () => reject(new Error("File read failed"));
+      r.readAsText(file);
+    });
+  }
+
+  // Reeks labels (serienummers, naamplaten): raster op één plaat of één .nc per label; optioneel uit een CSV
+  const letterBatchSelect = /** @type {HTMLSelectElement | null} */ (document.getElementById("letter-batch"));
+  const letterBatchCsvInput = /** @type {HTMLInputElement | null} */ (document.getElementById("letter-batch-csv"));
+  const letterBatchCsvNameEl = document.getElementById("letter-batch-csv-name");
+  const letterBatchCsvClearBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById("letter-batch-csv-clear"));
+  function updateLetterBatchVisibility() {
+    const isLetters = getEffectiveShape() === ShapeType.LETTERS;
+    const mode = letterBatchSelect?.value ?? "none";
+    document.querySelectorAll(".letter-batch-row").forEach((el) => {
+      el.classList.toggle("hidden", !isLetters || mode === "none");
+    });
+    document.querySelectorAll(".letter-batch-grid-row").forEach((el) => {
+      el.classList.toggle("hidden", !isLetters || mode !== "grid");
+    });
+  }
+  letterBatchSelect?.addEventListener("change", updateLetterBatchVisibility);
+  function updateLetterBatchCsvName() {
+    const file = letterBatchCsvInput?.files && letterBatchCsvInput.files[0];
+    if (letterBatchCsvNameEl) letterBatchCsvNameEl.textContent = file ? file.name : "";
+    if (letterBatchCsvClearBtn) letterBatchCsvClearBtn.disabled = !file;
+  }
+  letterBatchCsvInput?.addEventListener("change", updateLetterBatchCsvName);
+  letterBatchCsvClearBtn?.addEventListener("click", () => {
+    if (!letterBatchCsvInput) return;
+    letterBatchCsvInput.value = "";
+    updateLetterBatchCsvName();
+    letterBatchCsvInput.dispatchEvent(new Event("change"));
+  });
+  /** @type {{ file: File, rows: string[][] } | null} */
+  let letterBatchCsvCache = null;
+  /**
+   * Teksten van de labels uit het sjabloon (tekstveld) en de gekozen CSV.
+   * @param {object} shapeParams - text
+   * @returns {Promise<{ labels: string[], count: number }>}
+   */
+  async function readLetterBatchLabels(shapeParams) {
+    const file = letterBatchCsvInput?.files && letterBatchCsvInput.files[0];
+    let rows = null;
+    if (file) {
+      if (!letterBatchCsvCache || letterBatchCsvCache.file !== file) {
+        letterBatchCsvCache = { file, rows: parseCsv(await readFileText(file)) };
+      }
+      rows = letterBatchCsvCache.rows;
+    }
+    return expandLetterBatch(shapeParams.text, rows);
+  }
+
+  if (patternedHolesLayoutSelect) {
+    patternedHolesLayoutSelect.addEventListener("change", () => {
+      updatePatternedHolesLayoutVisibility();
+      if (xyOriginSelect) {
+        xyOriginSelect.value = patternedHolesLayoutSelect.value === "polar" ? XYOrigin.CENTER : XYOrigin.BOTTOM_LEFT;
+      }
+    });
+  }
+
+  // Hoekradius (vierkant/rechthoek): niet bij vlakken; losse hoeken alleen met "per hoek"
+  const cornerRadiusPerCornerCheckbox = /** @type {HTMLInputElement | null} */ (document.getElementById("corner-radius-per-corner"));
+  function updateCornerRadiusVisibility() {
+    const shape = getEffectiveShape();
+    const show = (shape === ShapeType.SQUARE || shape === ShapeType.RECTANGLE) && operationSelect?.value !== OperationType.FACING;
+    const perCorner = cornerRadiusPerCornerCheckbox?.checked ?? false;
+    document.querySelectorAll(".corner-radius-field").forEach((el) => {
+      const hiddenByMode =
+        (el.classList.contains("corner-radius-per-corner-field") && !perCorner) ||
+        (el.classList.contains("corner-radius-uniform-field") && perCorner);
+      el.classList.toggle("hidden", !show || hiddenByMode);
+    });
+  }
+  cornerRadiusPerCornerCheckbox?.addEventListener("change", updateCornerRadiusVisibility);
+  operationSelect?.addEventListener("change", updateCornerRadiusVisibility);
+
+  // Nabewerking: alleen bij contour/pocket op vormen die het ondersteunen; parameters alleen als hij aan staat
+  const finishSettings = document.getElementById("finish-settings");
+  const finishEnabledCheckbox = /** @type {HTMLInputElement | null} */ (document.getElementById("finish-enabled"));
+  function updateFinishPassVisibility() {
+    if (!finishSettings) return;
+    const supported = supportsFinishingPass({ shape: getEffectiveShape(), operation: operationSelect?.value });
+    finishSettings.classList.toggle("hidden", !supported);
+    const enabled = finishEnabledCheckbox?.checked ?? false;
+    document.querySelectorAll(".finish-param-row").forEach((row) => row.classList.toggle("hidden", !enabled));
+  }
+  finishEnabledCheckbox?.addEventListener("change", updateFinishPassVisibility);
+  operationSelect?.addEventListener("change", updateFinishPassVisibility);
+
+  // Afschuining: bij alles met een rand (niet bij vlakfrezen of letter-outline); parameters alleen als hij aan staat
+  const chamferSettings = document.getElementById("chamfer-settings");
+  const chamferEnabledCheckbox = /** @type {HTMLInputElement | null} */ (document.getElementById("chamfer-enabled"));
+  function updateChamferVisibility() {
+    if (!chamferSettings) return;
+    const letterMode = /** @type {HTMLSelectElement | null} */ (document.getElementById("letter-mode"))?.value;
+    chamferSettings.classList.toggle("hidden", !supportsChamfer({ shape: getEffectiveShape(), operation: operationSelect?.value, letterMode }));
+    const enabled = chamferEnabledCheckbox?.checked ?? false;
+    document.querySelectorAll(".chamfer-param-row").forEach((row) => row.classList.toggle("hidden", !enabled));
+  }
+  chamferEnabledCheckbox?.addEventListener("change", updateChamferVisibility);
+  document.getElementById("letter-mode")?.addEventListener("change", updateChamferVisibility);
+  operationSelect?.addEventListener("change", updateChamferVisibility);
+
   // Preset patterned holes (Festool MFT)
   const patternedHolesPresetSelect = /** @type {HTMLSelectElement | null} */ (document.getElementById("patterned-holes-preset"));
   const patternedHolesDiameterInput = document.getElementById("patterned-holes-diameter");
@@ -5882,6 +11248,151 @@ function setupUI() {
   if (letterModeSelect) letterModeSelect.addEventListener("change", updateToolDiameterVisibility);
   updateToolDiameterVisibility();
 
+  // Enkel-lijns fonts hebben geen oppervlak: alleen outline (de lijn volgen)
+  const letterFontSelect = /** @type {HTMLSelectElement | null} */ (document.getElementById("letter-font"));
+  function updateLetterModeForFont() {
+    if (!letterFontSelect || !letterModeSelect) return;
+    const singleLine = !!SINGLE_LINE_FONT_KEYS[letterFontSelect.value];
+    Array.from(letterModeSelect.options).forEach((option) => {
+      option.disabled = singleLine && option.value !== "outline";
+    });
+    if (singleLine && letterModeSelect.value !== "outline") {
+      letterModeSelect.value = "outline";
+      letterModeSelect.dispatchEvent(new Event("change"));
+    }
+  }
+  letterFontSelect?.addEventListener("change", updateLetterModeForFont);
+  updateLetterModeForFont();
+
+  // Eigen lettertypen: uploaden naar localStorage, kiezen in de lettertype-keuzelijst, weer verwijderen
+  const letterFontFileInput = /** @type {HTMLInputElement | null} */ (document.getElementById("letter-font-file"));
+  const letterFontRemoveBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById("letter-font-remove"));
+  function updateLetterFontRemoveButton() {
+    if (letterFontRemoveBtn) letterFontRemoveBtn.disabled = !(letterFontSelect?.value ?? "").startsWith(CUSTOM_FONT_ID_PREFIX);
+  }
+  function renderLetterFontOptions() {
+    if (!letterFontSelect) return;
+    const selected = letterFontSelect.value;
+    letterFontSelect.querySelector("optgroup")?.remove();
+    const fonts = loadCustomFontList();
+    if (fonts.length > 0) {
+      const group = document.createElement("optgroup");
+      group.label = t("form.letterFontCustomGroup");
+      fonts.forEach((font) => {
+        const option = document.createElement("option");
+        option.value = font.id;
+        option.textContent = font.name;
+        group.appendChild(option);
+      });
+      letterFontSelect.appendChild(group);
+    }
+    letterFontSelect.value = Array.from(letterFontSelect.options).some((o) => o.value === selected) ? selected : DEFAULT_LETTER_FONT_ID;
+    updateLetterFontRemoveButton();
+  }
+  letterFontFileInput?.addEventListener("change", async () => {
+    const file = letterFontFileInput.files && letterFontFileInput.files[0];
+    letterFontFileInput.value = "";
+    if (!file || !letterFontSelect) return;
+    try {
+      const info = addCustomFont(file.name, await file.arrayBuffer());
+      renderLetterFontOptions();
+      letterFontSelect.value = info.id;
+      letterFontSelect.dispatchEvent(new Event("change"));
+      if (errorMessage) errorMessage.textContent = "";
+    } catch (err) {
+      if (errorMessage) errorMessage.textContent = err instanceof Error ? err.message : String(err);
+    }
+  });
+  letterFontRemoveBtn?.addEventListener("click", () => {
+    const id = letterFontSelect?.value;
+    if (!id || !id.startsWith(CUSTOM_FONT_ID_PREFIX)) return;
+    removeCustomFont(id);
+    renderLetterFontOptions();
+    letterFontSelect?.dispatchEvent(new Event("change"));
+  });
+  letterFontSelect?.addEventListener("change", updateLetterFontRemoveButton);
+  document.addEventListener("languagechange", renderLetterFontOptions);
+  renderLetterFontOptions();
+
+  // Voorbeeld van de tekst met het gekozen lettertype, de opmaak en de oriëntatie (vóór het genereren)
+  const letterPreview = document.getElementById("letter-preview");
+  const letterBatchHint = document.getElementById("letter-batch-hint");
+  let letterPreviewTimer = 0;
+  let letterPreviewRequest = 0;
+  async function updateLetterPreview() {
+    if (!letterPreview || getEffectiveShape() !== ShapeType.LETTERS) return;
+    const request = ++letterPreviewRequest;
+    const shapeParams = readInputsFromForm().shapeParams;
+    let paths = [];
+    let singleLine = false;
+    try {
+      if (shapeParams.batch.mode !== "none") {
+        const { labels, count } = await readLetterBatchLabels(shapeParams);
+        if (letterBatchHint) letterBatchHint.textContent = t("form.letterBatchCount", { count });
+        // Raster: alle labels; losse bestanden: het eerste label
+        if (shapeParams.batch.mode === "grid") shapeParams.batchLabels = labels.slice(0, MAX_LETTER_BATCH_LABELS);
+        else shapeParams.text = labels[0] ?? "";
+      }
+      if (shapeParams.textLayout === "path") {
+        shapeParams.textPath = await readLetterTextPath();
+        if (!shapeParams.textPath || shapeParams.textPath.length < 2) throw new Error(t("error.letterPathMissing"));
+      }
+      const font = await loadLetterFontById(shapeParams.fontId);
+      singleLine = !!font.singleLine;
+      paths = getLetterLayoutPaths(shapeParams, XYOrigin.BOTTOM_LEFT, font);
+    } catch (_) {
+      paths = [];
+    }
+    // Alleen het laatst aangevraagde voorbeeld tekenen (font laden kan even duren)
+    if (request !== letterPreviewRequest) return;
+    const bounds = computeBoundsFromPaths(paths);
+    letterPreview.classList.toggle("letter-preview--single-line", singleLine);
+    if (!bounds) {
+      letterPreview.innerHTML = "";
+      letterPreview.removeAttribute("viewBox");
+      return;
+    }
+    const width = bounds.maxX - bounds.minX;
+    const height = bounds.maxY - bounds.minY;
+    const margin = Math.max(width, height) * 0.05 || 1;
+    // SVG-y wijst omlaag: y spiegelen
+    const d = paths
+      .map((path) => path.map((p, i) => `${i === 0 ? "M" : "L"}${p.x.toFixed(3)} ${(-p.y).toFixed(3)}`).join(" ") + (singleLine ? "" : " Z"))
+      .join(" ");
+    letterPreview.setAttribute("viewBox", `${bounds.minX - margin} ${-bounds.maxY - margin} ${width + 2 * margin} ${height + 2 * margin}`);
+    letterPreview.innerHTML = `<path d="${d}" fill-rule="evenodd" />`;
+  }
+  function scheduleLetterPreview() {
+    clearTimeout(letterPreviewTimer);
+    letterPreviewTimer = setTimeout(updateLetterPreview, 150);
+  }
+  ["letter-text", "letter-size", "letter-spacing", "letter-line-height", "letter-arc-radius", "letter-arc-angle",
+    "letter-batch-columns", "letter-batch-spacing-x", "letter-batch-spacing-y"].forEach((id) => {
+    document.getElementById(id)?.addEventListener("input", scheduleLetterPreview);
+  });
+  ["letter-font", "letter-align", "letter-orientation", "letter-layout", "letter-arc-side", "letter-path-file", "letter-path-reverse",
+    "letter-batch", "letter-batch-csv"].forEach((id) => {
+    document.getElementById(id)?.addEventListener("change", scheduleLetterPreview);
+  });
+  operationTypeSelect?.addEventListener("change", scheduleLetterPreview);
+  shapeSelect?.addEventListener("change", scheduleLetterPreview);
+  document.addEventListener("unitchange", scheduleLetterPreview);
+  scheduleLetterPreview();
+
+  // Stepover is alleen relevant voor pocket/facing/V-carve (uitruimen van vlakke bodems), niet voor contour (enkele lijn).
+  // Adaptief ruimen gebruikt de max. aangrijping; bij een verzinking blijft het boutgat een spiraal met stepover.
+  function updateStepoverVisibility() {
+    if (!stepoverRow) return;
+    const op = operationSelect.value;
+    const adaptiveOnly = isAdaptivePocketSelected() && getEffectiveShape() !== ShapeType.COUNTERBORE_BOLT;
+    const showStepover = (op === OperationType.POCKET && !adaptiveOnly) || op === OperationType.FACING || isVCarveSelected();
+    if (showStepover) {
+      stepoverRow.classList.remove("hidden");
+    } else {
+      stepoverRow.classList.add("hidden");
+    }
+  }
+
   function updateContourTypeVisibility() {
     const op = operationSelect.value;
     const shape = shapeSelect.value;
@@ -5908,15 +11419,7 @@ function setupUI() {
       }
     });
 
-    // Stepover is alleen relevant voor pocket/facing, niet voor contour (enkele lijn)
-    if (stepoverRow) {
-      const showStepover = op === OperationType.POCKET || op === OperationType.FACING;
-      if (showStepover) {
-        stepoverRow.classList.remove("hidden");
-      } else {
-        stepoverRow.classList.add("hidden");
-      }
-    }
+    updateStepoverVisibility();
 
     // Bij wisselen naar niet-contour: tabs uitzetten en parameters verbergen; insteken naast part uit
     if (!showContour) {
@@ -6161,6 +11664,287 @@ function setupUI() {
   updateSpindleSpeedVisibility();
   document.addEventListener("modechange", updateSpindleSpeedVisibility);
 
+  // Arc output: boogformaat alleen tonen als G2/G3 aan staat
+  const arcOutputCheckbox = /** @type {HTMLInputElement} */ (document.getElementById("arc-output-enabled"));
+  const arcFormatRow = document.getElementById("arc-format-row");
+  function updateArcFormatVisibility() {
+    if (!arcFormatRow || !arcOutputCheckbox) return;
+    arcFormatRow.classList.toggle("hidden", !arcOutputCheckbox.checked);
+  }
+  if (arcOutputCheckbox) {
+    arcOutputCheckbox.addEventListener("change", updateArcFormatVisibility);
+  }
+  updateArcFormatVisibility();
+
+  // Freesbibliotheek: keuze vult frees- en snijparameters; bewerken in een uitklapbare lijst
+  const toolSelect = /** @type {HTMLSelectElement | null} */ (document.getElementById("tool-select"));
+  const toolLibraryToggle = document.getElementById("tool-library-toggle");
+  const toolLibraryEditor = document.getElementById("tool-library-editor");
+  const toolLibraryList = document.getElementById("tool-library-list");
+  const toolLibraryEmpty = document.getElementById("tool-library-empty");
+  /** @type {Tool[]} */
+  let toolLibrary = loadToolLibrary();
+
+  /** Velden per frees; "length" in mm en "feed" in mm/min worden in de display-eenheid getoond. */
+  const TOOL_FIELDS = [
+    { prop: "number", labelKey: "tools.number", kind: "integer" },
+    { prop: "name", labelKey: "tools.name", kind: "text" },
+    { prop: "type", labelKey: "tools.typeLabel", kind: "type" },
+    { prop: "diameter", labelKey: "tools.diameter", kind: "length" },
+    { prop: "fluteCount", labelKey: "tools.fluteCount", kind: "integer" },
+    { prop: "fluteLength", labelKey: "tools.fluteLength", kind: "length" },
+    { prop: "feedrate", labelKey: "tools.feedrate", kind: "feed" },
+    { prop: "plungeFeedrate", labelKey: "tools.plungeFeedrate", kind: "feed" },
+    { prop: "spindleSpeed", labelKey: "tools.spindleSpeed", kind: "integer" },
+    { prop: "maxStepdown", labelKey: "tools.maxStepdown", kind: "length" },
+  ];
+
+  function formatToolValue(value, kind) {
+    const unit = getDisplayUnit();
+    if (kind === "length") return String(Number(fromMm(value, unit).toFixed(unit === "inch" ? 4 : 3)));
+    if (kind === "feed") return String(Number(fromMm(value, unit).toFixed(unit === "inch" ? 2 : 0)));
+    return String(value);
+  }
+
+  /** Vult de keuzelijsten (frees, frees voor boutgat, frees voor afschuining) opnieuw; de gekozen frees blijft gekozen zolang die bestaat. */
+  function renderToolSelect() {
+    [toolSelect, document.getElementById("counterbore-bolt-tool"), document.getElementById("chamfer-tool"), document.getElementById("vcarve-clear-tool")].forEach((el) => {
+      if (!el) return;
+      const select = /** @type {HTMLSelectElement} */ (el);
+      const selected = select.value;
+      Array.from(select.options).forEach((option) => {
+        if (option.value) option.remove();
+      });
+      toolLibrary.forEach((tool) => {
+        const option = document.createElement("option");
+        option.value = tool.id;
+        option.textContent = getToolLabel(tool);
+        select.appendChild(option);
+      });
+      select.value = toolLibrary.some((tool) => tool.id === selected) ? selected : "";
+    });
+  }
+
+  function storeToolLibrary() {
+    saveToolLibrary(toolLibrary);
+    renderToolSelect();
+  }
+
+  /** Label + invoerveld voor één eigenschap van een frees; wijzigingen worden direct opgeslagen. */
+  function createToolField(tool, field, index, onChange) {
+    const unit = getDisplayUnit();
+    const id = `tool-${field.prop}-${index}`;
+    const row = document.createElement("div");
+    row.className = "field-row";
+    const label = document.createElement("label");
+    label.htmlFor = id;
+    label.textContent = t(field.labelKey, {
+      unit: field.kind === "feed" ? (unit === "inch" ? "in/min" : "mm/min") : (unit === "inch" ? "in" : "mm"),
+    });
+    let input;
+    if (field.kind === "type") {
+      input = document.createElement("select");
+      Object.values(ToolType).forEach((type) => {
+        const option = document.createElement("option");
+        option.value = type;
+        option.textContent = t(`tools.type.${type}`);
+        input.appendChild(option);
+      });
+      input.value = tool.type;
+    } else {
+      input = document.createElement("input");
+      input.type = field.kind === "text" ? "text" : "number";
+      if (field.kind !== "text") {
+        input.min = "0";
+        input.step = field.kind === "integer" ? "1" : "any";
+      }
+      input.value = field.kind === "text" ? tool[field.prop] : formatToolValue(tool[field.prop], field.kind);
+    }
+    input.id = id;
+    input.addEventListener("change", () => {
+      if (field.kind === "text" || field.kind === "type") {
+        tool[field.prop] = input.value.trim();
+      } else {
+        const value = toNumber(input.value);
+        if (!Number.isFinite(value) || value <= 0) {
+          input.value = formatToolValue(tool[field.prop], field.kind);
+          return;
+        }
+        tool[field.prop] = field.kind === "integer"
+          ? Math.round(value)
+          : toMm(value, getDisplayUnit());
+      }
+      storeToolLibrary();
+      onChange();
+    });
+    row.append(label, input);
+    return row;
+  }
+
+  function renderToolLibrary() {
+    if (!toolLibraryList) return;
+    toolLibraryList.innerHTML = "";
+    toolLibrary.forEach((tool, index) => {
+      const item = document.createElement("li");
+      item.className = "tool-item";
+
+      const header = document.createElement("div");
+      header.className = "tool-item-header";
+      const title = document.createElement("span");
+      title.className = "tool-item-title";
+      title.textContent = getToolLabel(tool);
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = "entry-method-btn";
+      removeBtn.textContent = "✕";
+      removeBtn.title = t("tools.remove");
+      removeBtn.setAttribute("aria-label", t("tools.remove"));
+      removeBtn.addEventListener("click", () => {
+        toolLibrary.splice(index, 1);
+        storeToolLibrary();
+        renderToolLibrary();
+      });
+      header.append(title, removeBtn);
+
+      const fields = document.createElement("div");
+      fields.className = "tool-item-fields";
+      TOOL_FIELDS.forEach((field) => {
+        fields.appendChild(createToolField(tool, field, index, () => {
+          title.textContent = getToolLabel(tool);
+        }));
+      });
+
+      item.append(header, fields);
+      toolLibraryList.appendChild(item);
+    });
+    if (toolLibraryEmpty) toolLibraryEmpty.classList.toggle("hidden", toolLibrary.length > 0);
+  }
+
+  function getNextToolNumber() {
+    return toolLibrary.reduce((max, tool) => Math.max(max, tool.number), 0) + 1;
+  }
+
+  /**
+   * Zet de waarden van een frees in het formulier (diameter, voedingen, toerental en max. stepdown).
+   * @param {Tool} tool
+   */
+  function applyToolToForm(tool) {
+    const unit = getDisplayUnit();
+    const setValue = (id, value) => {
+      const el = /** @type {HTMLInputElement | null} */ (document.getElementById(id));
+      if (el) el.value = value;
+    };
+    setValue("tool-diameter", formatToolValue(tool.diameter, "length"));
+    setValue("feedrate", formatToolValue(tool.feedrate, "feed"));
+    setValue("plunge-feedrate", formatToolValue(tool.plungeFeedrate, "feed"));
+    setValue("spindle-speed", String(Math.round(tool.spindleSpeed)));
+    if (spindleSpeedEnabledCheckbox && !spindleSpeedEnabledCheckbox.checked) {
+      spindleSpeedEnabledCheckbox.checked = true;
+      updateSpindleSpeedVisibility();
+    }
+    const totalDepthMm = toMm(toNumber(totalDepthInput?.value), unit);
+    if (Number.isFinite(totalDepthMm) && totalDepthMm > tool.maxStepdown + 1e-9) {
+      if (multipleDepthsCheckbox && !multipleDepthsCheckbox.checked) {
+        multipleDepthsCheckbox.checked = true;
+        updateStepdownVisibility();
+      }
+      setValue("stepdown", formatToolValue(tool.maxStepdown, "length"));
+    }
+    updateStepoverHint();
+  }
+
+  if (toolSelect) {
+    toolSelect.addEventListener("change", () => {
+      const tool = toolLibrary.find((item) => item.id === toolSelect.value);
+      if (tool) applyToolToForm(tool);
+    });
+  }
+  if (toolLibraryToggle && toolLibraryEditor) {
+    toolLibraryToggle.addEventListener("click", () => {
+      const open = toolLibraryEditor.classList.toggle("hidden") === false;
+      toolLibraryToggle.setAttribute("aria-expanded", open ? "true" : "false");
+    });
+  }
+  document.getElementById("tool-library-add")?.addEventListener("click", () => {
+    toolLibrary.push(sanitizeTool({ number: getNextToolNumber() }, toolLibrary.length));
+    storeToolLibrary();
+    renderToolLibrary();
+  });
+  document.getElementById("tool-library-add-current")?.addEventListener("click", () => {
+    const unit = getDisplayUnit();
+    const multipleDepths = multipleDepthsCheckbox?.checked ?? false;
+    toolLibrary.push(sanitizeTool({
+      number: getNextToolNumber(),
+      diameter: toMm(toNumber(toolDiameterInput?.value), unit),
+      feedrate: toMm(toNumber(document.getElementById("feedrate")?.value), unit),
+      plungeFeedrate: toMm(toNumber(document.getElementById("plunge-feedrate")?.value), unit),
+      spindleSpeed: toNumber(document.getElementById("spindle-speed")?.value),
+      maxStepdown: toMm(toNumber((multipleDepths ? stepdownInput : totalDepthInput)?.value), unit),
+    }, toolLibrary.length));
+    storeToolLibrary();
+    renderToolLibrary();
+  });
+  document.addEventListener("languagechange", () => {
+    renderToolSelect();
+    renderToolLibrary();
+  });
+  document.addEventListener("unitchange", () => {
+    renderToolSelect();
+    renderToolLibrary();
+  });
+  renderToolSelect();
+  renderToolLibrary();
+
+  // Freesbibliotheek export (JSON, waarden altijd in mm)
+  const exportToolsBtn = document.getElementById("settings-export-tools");
+  if (exportToolsBtn) {
+    exportToolsBtn.addEventListener("click", () => {
+      downloadFile("tool-library.json", JSON.stringify({ version: 1, unit: "mm", tools: toolLibrary }, null, 2));
+      alert(t("settings.exportToolsSuccess"));
+      closeSettingsMenu();
+    });
+  }
+
+  // Freesbibliotheek import: vervangt de huidige bibliotheek
+  const importToolsBtn = document.getElementById("settings-import-tools");
+  const toolsImportFileInput = /** @type {HTMLInputElement | null} */ (document.getElementById("tools-import-file"));
+  if (importToolsBtn && toolsImportFileInput) {
+    importToolsBtn.addEventListener("click", () => {
+      toolsImportFileInput.value = "";
+      toolsImportFileInput.click();
+    });
+    toolsImportFileInput.addEventListener("change", () => {
+      const file = toolsImportFileInput.files?.[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          const data = JSON.parse(String(reader.result));
+          if (!data || !Array.isArray(data.tools)) {
+            alert(t("settings.importError") + t("settings.importToolsInvalid"));
+            return;
+          }
+          const factor = data.unit === "inch" ? MM_PER_INCH : 1;
+          toolLibrary = data.tools.map((raw, index) => {
+            const src = raw && typeof raw === "object" ? raw : {};
+            const scaled = { ...src };
+            ["diameter", "fluteLength", "feedrate", "plungeFeedrate", "maxStepdown"].forEach((key) => {
+              if (Number.isFinite(Number(src[key]))) scaled[key] = Number(src[key]) * factor;
+            });
+            return sanitizeTool(scaled, index);
+          });
+          storeToolLibrary();
+          renderToolLibrary();
+          alert(t("settings.importToolsSuccess"));
+          closeSettingsMenu();
+        } catch (err) {
+          alert(t("settings.importError") + (err instanceof Error ? err.message : String(err)));
+        }
+      };
+      reader.readAsText(file);
+    });
+  }
+
   // Preview-weergave knoppen
   viewButtons.forEach((btn) => {
     btn.addEventListener("click", () => {
@@ -6179,7 +11963,12 @@ function setupUI() {
   let cursorColumnForPreview = null;
 
   // Playback: gcode van boven naar beneden doorlopen met freespositie in preview
-  const GCODE_HEADER_LINES = 5; // aantal regels vóór de eerste beweging in gegenereerde gcode
+  // Regelindex in de gcode per move (header-lengte verschilt per post-processor)
+  let gcodeMoveLines = [];
+  function getGcodeLineForMove(moveIndex) {
+    const line = gcodeMoveLines[moveIndex];
+    return Number.isFinite(line) ? line : moveIndex;
+  }
   let playbackMoveIndex = 0;
   let isPlaying = false;
   let playbackTimeoutId = null;
@@ -6200,8 +11989,10 @@ function setupUI() {
     const dx = (Number.isFinite(next.x) ? next.x : 0) - (Number.isFinite(prev.x) ? prev.x : 0);
     const dy = (Number.isFinite(next.y) ? next.y : 0) - (Number.isFinite(prev.y) ? prev.y : 0);
     const dz = (Number.isFinite(next.z) ? next.z : 0) - (Number.isFinite(prev.z) ? prev.z : 0);
-    const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
-    const feedrate = next.type === "cut" ? (feedrateMmMin > 0 ? feedrateMmMin : 800) : DEFAULT_RAPID_FEEDRATE_MM_MIN;
+    const d = next.type === "arc" ? getArcMoveLength(prev, next) : Math.sqrt(dx * dx + dy * dy + dz * dz);
+    const isFeedMove = next.type === "cut" || next.type === "arc";
+    const moveFeed = next.feed > 0 ? next.feed : feedrateMmMin;
+    const feedrate = isFeedMove ? (moveFeed > 0 ? moveFeed : 800) : DEFAULT_RAPID_FEEDRATE_MM_MIN;
     const tijdMs = (d * 60000) / feedrate;
     return Math.max(1, tijdMs / speedMultiplier);
   }
@@ -6219,7 +12010,7 @@ function setupUI() {
   function syncGcodeCursorToPlayback() {
     if (!gcodeOutput || !gcodeOutput.value) return;
     const lines = gcodeOutput.value.split("\n");
-    const lineIndex = GCODE_HEADER_LINES + playbackMoveIndex;
+    const lineIndex = getGcodeLineForMove(playbackMoveIndex);
     if (lineIndex < 0 || lineIndex >= lines.length) return;
     let offset = 0;
     for (let j = 0; j < lineIndex && j < lines.length; j++) offset += lines[j].length + 1;
@@ -6232,7 +12023,7 @@ function setupUI() {
     if (!gcodeOutput) return 0;
     const text = gcodeOutput.value;
     if (isPlaying && lastToolpath.moves.length > 0) {
-      return Math.min(GCODE_HEADER_LINES + playbackMoveIndex, text.split("\n").length - 1);
+      return Math.min(getGcodeLineForMove(playbackMoveIndex), text.split("\n").length - 1);
     }
     const pos = gcodeOutput.selectionStart;
     return Math.max(0, text.substring(0, pos).split("\n").length - 1);
@@ -6473,122 +12264,358 @@ function setupUI() {
     gcodeOutput.addEventListener("scroll", syncGcodeOverlayScroll);
   }
 
+  /** Leegt uitvoer, schatting en preview (bijv. na een validatiefout). */
+  function clearGeneratedOutput() {
+    if (gcodeOutput) gcodeOutput.value = "";
+    const gcodeEstimateEl = document.getElementById("gcode-estimate");
+    if (gcodeEstimateEl) gcodeEstimateEl.textContent = "";
+    if (downloadBtn) downloadBtn.disabled = true;
+    if (copyBtn) copyBtn.disabled = true;
+    lastToolpath = { moves: [] };
+    stopPlayback();
+    playbackMoveIndex = 0;
+    updatePlaybackButtonsState();
+    if (previewCanvas) renderPreview(lastToolpath, previewCanvas, currentPreviewView);
+    updateGcodeLineHighlight();
+  }
+
+  /**
+   * Leest het formulier, laadt zo nodig DXF en font en valideert.
+   * Bij een fout staat de melding al in het formulier en is het resultaat null.
+   * @param {{ clearOnInvalid?: boolean }} [options] - clearOnInvalid: bij validatiefout ook uitvoer en preview leegmaken
+   * @returns {Promise<{ raw: any, params: any } | null>}
+   */
+  async function readValidatedOperation({ clearOnInvalid = false } = {}) {
+    const raw = readInputsFromForm();
+    if (raw.shape === ShapeType.DXF) {
+      const dxfFileInput = document.getElementById("dxf-file");
+      const file = dxfFileInput && dxfFileInput.files && dxfFileInput.files[0];
+      if (!file) {
+        if (errorMessage) errorMessage.textContent = t("error.dxfNoFile");
+        return null;
+      }
+      try {
+        const text = await new Promise((resolve, reject) => {
+          const r = new FileReader();
+          r.onload = () => resolve(String(r.result ?? ""));
+          r.onerror = () => reject(new Error("File read failed"));
+          r.readAsText(file);
+        });
+        Object.assign(raw, readDxfOperationContours(text, raw));
+      } catch (dxfErr) {
+        const msg = dxfErr instanceof Error ? dxfErr.message : String(dxfErr);
+        if (errorMessage) errorMessage.textContent = msg;
+        return null;
+      }
+    }
+    if (raw.shape === ShapeType.LETTERS) {
+      try {
+        if (raw.shapeParams.batch.mode !== "none") {
+          const { labels, count } = await readLetterBatchLabels(raw.shapeParams);
+          raw.shapeParams.batchLabels = labels;
+          raw.shapeParams.batchLabelCount = count;
+        }
+        if (raw.shapeParams.textLayout === "path") raw.shapeParams.textPath = await readLetterTextPath();
+      } catch (fileErr) {
+        const msg = fileErr instanceof Error ? fileErr.message : String(fileErr);
+        if (errorMessage) errorMessage.textContent = msg;
+        return null;
+      }
+    }
+    const validation = validateInputs(raw);
+    if (!validation.ok) {
+      if (errorMessage) errorMessage.textContent = validation.errors.join(" ");
+      if (clearOnInvalid) clearGeneratedOutput();
+      return null;
+    }
+
+    if (validation.params.shape === ShapeType.LETTERS) {
+      try {
+        validation.params.letterFont = await loadLetterFontById(validation.params.shapeParams.fontId);
+      } catch (fontErr) {
+        const msg = fontErr instanceof Error ? fontErr.message : String(fontErr);
+        if (errorMessage) errorMessage.textContent = msg;
+        return null;
+      }
+    }
+    return { raw, params: validation.params };
+  }
+
+  /**
+   * Toolpath voor één bewerking, met insteekvoeding en bogen (G2/G3) als die optie aan staat.
+   * @returns {Toolpath}
+   */
+  function generateOperationToolpath(params) {
+    const toolpath = generateToolpath(params);
+    applyPlungeFeedrate(toolpath.moves, params.cutParams);
+    if (params.cutParams.arcOutput) {
+      const maxSweep = params.cutParams.arcFormat === "r" ? ARC_FIT_MAX_SWEEP_R_RAD : undefined;
+      replaceCutRunsWithArcs(toolpath.moves, maxSweep, toolpath.sections);
+    }
+    return toolpath;
+  }
+
+  /** Tijdstempel voor bestandsnamen, bijv. 2024-05-01_1430. */
+  function getFilenameTimestamp() {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}`;
+  }
+
+  /**
+   * Zet een gegenereerde toolpath in uitvoer, schatting en preview en koppelt download/kopieer.
+   * @param {Toolpath} toolpath
+   * @param {*} params - parameters voor de G-code (o.a. cutParams)
+   * @param {() => string} getFilename
+   * @param {(filename: string, gcode: string) => void} [download] - eigen download, bijv. een zip bij een reeks labels
+   */
+  function showGeneratedToolpath(toolpath, params, getFilename, download = downloadGcode) {
+    lastToolpath = toolpath;
+    const { gcode, moveLines } = toolpathToGcodeWithLineMap(toolpath, params);
+    gcodeMoveLines = moveLines;
+
+    stopPlayback();
+    playbackMoveIndex = 0;
+    updatePlaybackButtonsState();
+
+    if (gcodeOutput) {
+      gcodeOutput.value = gcode;
+      gcodeOutput.selectionStart = 0;
+      gcodeOutput.selectionEnd = 0;
+      gcodeOutput.scrollTop = 0;
+      gcodeOutput.scrollIntoView({ behavior: "smooth", block: "nearest" });
+      updateGcodeLineHighlight();
+    }
+    const gcodeEstimateEl = document.getElementById("gcode-estimate");
+    if (gcodeEstimateEl) {
+      const est = estimateMillingTime(toolpath, params.cutParams);
+      gcodeEstimateEl.textContent = t("preview.estimatedTime", {
+        time: formatEstimatedTime(est.totalMinutes),
+      });
+    }
+    if (previewCanvas) renderPreview(toolpath, previewCanvas, currentPreviewView, getDisplayedColumn());
+
+    saveLastSettings();
+
+    if (downloadBtn) {
+      downloadBtn.disabled = false;
+      downloadBtn.onclick = () => {
+        download(getFilename(), gcode);
+      };
+    }
+    if (copyBtn) {
+      copyBtn.disabled = false;
+      copyBtn.onclick = () => {
+        copyGcodeToClipboard(gcode);
+      };
+    }
+  }
+
+  /** @param {unknown} e */
+  function showGenerateError(e) {
+    const msg = e instanceof Error ? e.message : String(e);
+    const isCompleteMessage = e instanceof Error && e.dxfProcessingError;
+    if (errorMessage) errorMessage.textContent = isCompleteMessage ? msg : t("error.generateFailed") + msg;
+  }
+
   form.addEventListener("submit", async (ev) => {
     ev.preventDefault();
     if (errorMessage) errorMessage.textContent = "";
 
     try {
-      const raw = readInputsFromForm();
-      if (raw.shape === ShapeType.DXF) {
-        const dxfFileInput = document.getElementById("dxf-file");
-        const file = dxfFileInput && dxfFileInput.files && dxfFileInput.files[0];
-        if (!file) {
-          if (errorMessage) errorMessage.textContent = t("error.dxfNoFile");
-          return;
-        }
-        try {
-          const text = await new Promise((resolve, reject) => {
-            const r = new FileReader();
-            r.onload = () => resolve(String(r.result ?? ""));
-            r.onerror = () => reject(new Error("File read failed"));
-            r.readAsText(file);
-          });
-          const contours = parseDxfToContours(text);
-          const dxfOrientation = Number(raw.shapeParams.dxfOrientation) || 0;
-          let dxfContours = dxfOrientation !== 0
-            ? rotatePathsAroundOrigin(contours, dxfOrientation)
-            : contours;
-          raw.dxfContours = applyOriginToDxfContours(dxfContours, raw.originParams.xyOrigin);
-        } catch (dxfErr) {
-          const msg = dxfErr instanceof Error ? dxfErr.message : String(dxfErr);
-          if (errorMessage) errorMessage.textContent = msg;
-          return;
-        }
-      }
-      const validation = validateInputs(raw);
-      if (!validation.ok) {
-        if (errorMessage) errorMessage.textContent = validation.errors.join(" ");
-        if (gcodeOutput) gcodeOutput.value = "";
-        const gcodeEstimateEl = document.getElementById("gcode-estimate");
-        if (gcodeEstimateEl) gcodeEstimateEl.textContent = "";
-        if (downloadBtn) downloadBtn.disabled = true;
-        if (copyBtn) copyBtn.disabled = true;
-        lastToolpath = { moves: [] };
-        stopPlayback();
-        playbackMoveIndex = 0;
-        updatePlaybackButtonsState();
-        if (previewCanvas) renderPreview(lastToolpath, previewCanvas, currentPreviewView);
-        updateGcodeLineHighlight();
+      const operation = await readValidatedOperation({ clearOnInvalid: true });
+      if (!operation) return;
+      const { raw, params } = operation;
+      if (raw.shape === ShapeType.LETTERS && params.shapeParams.batch.mode === "files") {
+        showLetterBatchFiles(params);
         return;
       }
+      const toolpath = generateOperationToolpath(params);
+      showGeneratedToolpath(toolpath, params, () => {
+        const ts = getFilenameTimestamp();
+        return raw.shape === ShapeType.LETTERS
+          ? `gcode_letters_${ts}.nc`
+          : raw.shape === ShapeType.DXF
+            ? `gcode_dxf_${raw.operation}_${ts}.nc`
+            : `gcode_${raw.shape}_${raw.operation}_${ts}.nc`;
+      });
+    } catch (e) {
+      showGenerateError(e);
+    }
+  });
 
-      if (validation.params.shape === ShapeType.LETTERS) {
-        try {
-          validation.params.letterFont = await loadLetterFont();
-        } catch (fontErr) {
-          const msg = fontErr instanceof Error ? fontErr.message : String(fontErr);
-          if (errorMessage) errorMessage.textContent = msg;
-          return;
-        }
+  /**
+   * Reeks labels als losse bestanden: uitvoer en preview tonen het eerste label, de download is een zip
+   * met één .nc per label (pas bij downloaden gegenereerd).
+   * @param {*} params - gevalideerde params met shapeParams.batchLabels
+   */
+  function showLetterBatchFiles(params) {
+    const labels = params.shapeParams.batchLabels;
+    const labelParams = labels.map((label) => ({
+      ...params,
+      shapeParams: { ...params.shapeParams, text: label, batch: { ...params.shapeParams.batch, mode: "none" } },
+    }));
+    const digits = String(labels.length).length;
+    showGeneratedToolpath(generateOperationToolpath(labelParams[0]), labelParams[0], () => `gcode_letters_${getFilenameTimestamp()}.zip`, (filename) => {
+      try {
+        const files = labelParams.map((p, k) => {
+          const safeName = labels[k].trim().replace(/\s+/g, "_").replace(/[^A-Za-z0-9._-]/g, "").slice(0, 40) || "label";
+          return {
+            name: `${String(k + 1).padStart(digits, "0")}_${safeName}.nc`,
+            content: toolpathToGcodeWithLineMap(generateOperationToolpath(p), p).gcode,
+          };
+        });
+        downloadFile(filename, createZipArchive(files), "application/zip");
+      } catch (e) {
+        showGenerateError(e);
       }
+    });
+  }
 
-      const toolpath = generateToolpath(validation.params);
-      lastToolpath = toolpath;
-      const gcode = toolpathToGcode(toolpath, validation.params);
+  // Job: meerdere bewerkingen in één programma
+  /** @type {{ params: any, offsetX: number, offsetY: number }[]} */
+  let jobOperations = [];
+  const jobList = document.getElementById("job-list");
+  const jobEmpty = document.getElementById("job-empty");
+  const jobAddBtn = document.getElementById("job-add-btn");
+  const jobGenerateBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById("job-generate-btn"));
+  const jobClearBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById("job-clear-btn"));
+
+  /** Maakt een knop voor een job-regel (omhoog, omlaag, verwijderen). */
+  function createJobItemButton(text, titleKey, disabled, onClick) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "entry-method-btn";
+    btn.textContent = text;
+    btn.title = t(titleKey);
+    btn.setAttribute("aria-label", t(titleKey));
+    btn.disabled = disabled;
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  /** Maakt een label + invoerveld voor de verschuiving (X of Y) van een bewerking; waarde intern in mm. */
+  function createJobOffsetField(entry, axis, index) {
+    const unit = getDisplayUnit();
+    const prop = axis === "x" ? "offsetX" : "offsetY";
+    const id = `job-offset-${axis}-${index}`;
+    const label = document.createElement("label");
+    label.htmlFor = id;
+    label.textContent = t(axis === "x" ? "job.offsetX" : "job.offsetY", { unit: unit === "inch" ? "in" : "mm" });
+    const input = document.createElement("input");
+    input.type = "number";
+    input.id = id;
+    input.step = "any";
+    input.value = String(Number(fromMm(entry[prop], unit).toFixed(4)));
+    input.addEventListener("change", () => {
+      const value = toNumber(input.value);
+      entry[prop] = Number.isFinite(value) ? toMm(value, getDisplayUnit()) : 0;
+    });
+    return [label, input];
+  }
+
+  function renderJobList() {
+    if (!jobList) return;
+    jobList.innerHTML = "";
+    jobOperations.forEach((entry, index) => {
+      const item = document.createElement("li");
+      item.className = "job-item";
+
+      const header = document.createElement("div");
+      header.className = "job-item-header";
+      const title = document.createElement("span");
+      title.className = "job-item-title";
+      const tool = entry.params.cutParams.tool;
+      title.textContent = `${index + 1}. ${getOperationName(entry.params)}${tool ? ` · T${tool.number}` : ""}`;
+      const buttons = document.createElement("div");
+      buttons.className = "job-item-buttons";
+      buttons.append(
+        createJobItemButton("↑", "job.moveUp", index === 0, () => moveJobOperation(index, -1)),
+        createJobItemButton("↓", "job.moveDown", index === jobOperations.length - 1, () => moveJobOperation(index, 1)),
+        createJobItemButton("✕", "job.remove", false, () => {
+          jobOperations.splice(index, 1);
+          renderJobList();
+        })
+      );
+      header.append(title, buttons);
 
-      stopPlayback();
-      playbackMoveIndex = 0;
-      updatePlaybackButtonsState();
+      const offsetRow = document.createElement("div");
+      offsetRow.className = "field-row";
+      offsetRow.append(...createJobOffsetField(entry, "x", index), ...createJobOffsetField(entry, "y", index));
 
-      if (gcodeOutput) {
-        gcodeOutput.value = gcode;
-        gcodeOutput.selectionStart = 0;
-        gcodeOutput.selectionEnd = 0;
-        gcodeOutput.scrollTop = 0;
-        gcodeOutput.scrollIntoView({ behavior: "smooth", block: "nearest" });
-        updateGcodeLineHighlight();
-      }
-      const gcodeEstimateEl = document.getElementById("gcode-estimate");
-      if (gcodeEstimateEl) {
-        const est = estimateMillingTime(toolpath, validation.params.cutParams);
-        gcodeEstimateEl.textContent = t("preview.estimatedTime", {
-          time: formatEstimatedTime(est.totalMinutes),
-        });
+      item.append(header, offsetRow);
+      jobList.appendChild(item);
+    });
+    if (jobEmpty) jobEmpty.classList.toggle("hidden", jobOperations.length > 0);
+    if (jobGenerateBtn) jobGenerateBtn.disabled = jobOperations.length === 0;
+    if (jobClearBtn) jobClearBtn.disabled = jobOperations.length === 0;
+  }
+
+  function moveJobOperation(index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= jobOperations.length) return;
+    const [entry] = jobOperations.splice(index, 1);
+    jobOperations.splice(target, 0, entry);
+    renderJobList();
+  }
+
+  if (jobAddBtn) {
+    jobAddBtn.addEventListener("click", async () => {
+      if (errorMessage) errorMessage.textContent = "";
+      try {
+        const operation = await readValidatedOperation();
+        if (!operation) return;
+        // Een job is één programma: losse bestanden per label passen daar niet in
+        if (operation.params.shape === ShapeType.LETTERS && operation.params.shapeParams.batch.mode === "files") {
+          if (errorMessage) errorMessage.textContent = t("error.letterBatchFilesInJob");
+          return;
+        }
+        jobOperations.push({ params: operation.params, offsetX: 0, offsetY: 0 });
+        renderJobList();
+      } catch (e) {
+        showGenerateError(e);
       }
-      if (previewCanvas) renderPreview(toolpath, previewCanvas, currentPreviewView, getDisplayedColumn());
-
-      saveLastSettings();
-
-      if (downloadBtn) {
-        downloadBtn.disabled = false;
-        downloadBtn.onclick = () => {
-          const now = new Date();
-          const ts = `${now.getFullYear()}-${String(
-            now.getMonth() + 1
-          ).padStart(2, "0")}-${String(now.getDate()          ).padStart(2, "0")}_${String(now.getHours()).padStart(2, "0")}${String(
-            now.getMinutes()
-          ).padStart(2, "0")}`;
-          const filename =
-          raw.shape === ShapeType.LETTERS
-            ? `gcode_letters_${ts}.nc`
-            : raw.shape === ShapeType.DXF
-              ? `gcode_dxf_${raw.operation}_${ts}.nc`
-              : `gcode_${raw.shape}_${raw.operation}_${ts}.nc`;
-          downloadGcode(filename, gcode);
-        };
+    });
+  }
+
+  if (jobGenerateBtn) {
+    jobGenerateBtn.addEventListener("click", () => {
+      if (errorMessage) errorMessage.textContent = "";
+      if (jobOperations.length === 0) {
+        if (errorMessage) errorMessage.textContent = t("error.jobEmpty");
+        return;
       }
-      if (copyBtn) {
-        copyBtn.disabled = false;
-        copyBtn.onclick = () => {
-          copyGcodeToClipboard(gcode);
-        };
+      try {
+        const operations = jobOperations.map((entry) => ({
+          toolpath: translateToolpath(generateOperationToolpath(entry.params), entry.offsetX, entry.offsetY),
+          name: getOperationName(entry.params),
+          feedrate: entry.params.cutParams.feedrate,
+          spindleSpeed: entry.params.cutParams.spindleSpeed,
+          tool: entry.params.cutParams.tool,
+          toolDiameter: entry.params.cutParams.toolDiameter,
+        }));
+        const toolpath = combineJobToolpaths(operations);
+        // Kop en voet van het programma: eerste bewerking, met de hoogste veilige hoogte van de job
+        const first = jobOperations[0].params;
+        const safeHeight = Math.max(...jobOperations.map((entry) => entry.params.cutParams.safeHeight ?? DEFAULT_SAFE_Z));
+        const params = { ...first, cutParams: { ...first.cutParams, safeHeight } };
+        showGeneratedToolpath(toolpath, params, () => `gcode_job_${getFilenameTimestamp()}.nc`);
+      } catch (e) {
+        showGenerateError(e);
       }
-    } catch (e) {
-      const msg = e instanceof Error ? e.message : String(e);
-      const isCompleteMessage = e instanceof Error && e.dxfProcessingError;
-      if (errorMessage) errorMessage.textContent = isCompleteMessage ? msg : t("error.generateFailed") + msg;
-    }
-  });
+    });
+  }
+
+  if (jobClearBtn) {
+    jobClearBtn.addEventListener("click", () => {
+      jobOperations = [];
+      renderJobList();
+    });
+  }
+
+  document.addEventListener("languagechange", renderJobList);
+  document.addEventListener("unitchange", renderJobList);
+  renderJobList();
 
   // init defaults
   updateUIForOperationTypeAndShape();
@@ -0,0 +1,57 @@
+/**
+ * Eenmalig uitvoeren om de enkel-lijns Hershey-fonts op te halen en als hershey-fonts.js op te slaan.
+ * Gebruik: node scripts/build-hershey-fonts.js [pad/naar/hersheytext.json]
+ * Zonder argument wordt hersheytext.json gedownload (vereist internet).
+ */
+const https = require("https");
+const fs = require("fs");
+const path = require("path");
+
+const FONTS_URL = "https://cdn.jsdelivr.net/npm/hersheytext@2.0.0/hersheytext.json";
+const OUT_FILE = path.join(__dirname, "..", "hershey-fonts.js");
+
+/** Sleutel in hershey-fonts.js → { bron-sleutel in hersheytext.json, weergavenaam } */
+const FONTS = {
+  simplex: { source: "futural", name: "Hershey Simplex" },
+  script: { source: "scripts", name: "Hershey Script" },
+};
+
+/** Alleen ASCII 33 ('!') t/m 126 ('~'); het laatste teken in de bron (DEL) is een opvulblok. */
+const CHAR_COUNT = 126 - 33 + 1;
+
+function writeFonts(json) {
+  const data = JSON.parse(json);
+  const parts = Object.entries(FONTS).map(([key, { source, name }]) => {
+    const font = data[source];
+    if (!font || !Array.isArray(font.chars)) throw new Error("Font ontbreekt in bron: " + source);
+    const chars = font.chars.slice(0, CHAR_COUNT).map((c) => "      " + JSON.stringify({ d: c.d, o: Number(c.o) }));
+    return `  ${JSON.stringify(key)}: {\n    name: ${JSON.stringify(name)},\n    chars: [\n${chars.join(",\n")},\n    ],\n  },`;
+  });
+  const content = `// Gegenereerd door scripts/build-hershey-fonts.js - Hershey-fonts uit hersheytext (MIT, https://github.com/techninja/hersheytextjs)
+// Enkel-lijns lettertypen voor gravering; werkt offline.
+// chars[code - 33]: d = SVG-pad (y omlaag, basislijn op y=22, hoofdletterhoogte 21 eenheden), o = halve tekenbreedte.
+window.HERSHEY_FONTS = {
+${parts.join("\n")}
+};
+`;
+  fs.writeFileSync(OUT_FILE, content, "utf8");
+  console.log("Written", OUT_FILE, "(" + Math.round(content.length / 1024) + " KB)");
+}
+
+const localFile = process.argv[2];
+if (localFile) {
+  writeFonts(fs.readFileSync(localFile, "utf8"));
+} else {
+  https.get(FONTS_URL, (res) => {
+    if (res.statusCode !== 200) {
+      console.error("Download failed:", res.statusCode);
+      process.exit(1);
+    }
+    const chunks = [];
+    res.on("data", (chunk) => chunks.push(chunk));
+    res.on("end", () => writeFonts(Buffer.concat(chunks).toString("utf8")));
+  }).on("error", (e) => {
+    console.error("Download error:", e.message);
+    process.exit(1);
+  });
+}
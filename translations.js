@@ -20,9 +20,15 @@ const TRANSLATIONS = {
     "settings.mode": "Mode",
     "settings.modeSimple": "Simple",
     "settings.modeAdvanced": "Advanced",
+    "settings.postProcessor": "Post-processor",
     "settings.importExport": "Import/Export",
     "settings.exportMachine": "Export settings",
     "settings.importMachine": "Import settings",
+    "settings.exportTools": "Export tool library",
+    "settings.importTools": "Import tool library",
+    "settings.exportToolsSuccess": "Tool library exported.",
+    "settings.importToolsSuccess": "Tool library imported.",
+    "settings.importToolsInvalid": "no tool list found in the file.",
     "settings.exportSuccess": "Machine settings exported.",
     "settings.importSuccess": "Machine settings imported.",
     "settings.importError": "Failed to import: ",
@@ -45,10 +51,27 @@ const TRANSLATIONS = {
     "form.shapeLetters": "Letters (engraving)",
     "form.shapeCounterboreBolt": "Counterbore bolt",
     "form.shapePatternedHoles": "Patterned holes",
-    "form.shapeDxf": "DXF (contours)",
-    "form.dxfFile": "DXF file",
+    "form.shapeThreadMill": "Thread milling",
+    "form.shapeDxf": "DXF / SVG (contours)",
+    "form.dxfFile": "DXF or SVG file",
     "form.dxfFileChoose": "Choose file",
-    "form.dxfFileHint": "Select a .dxf file. Closed contours (lines, polylines, circles, arcs) will be detected and milled.",
+    "form.dxfFileHint": "Select a .dxf or .svg file. DXF: closed contours (lines, polylines, circles, arcs, ellipses, splines, also inside blocks) will be detected and milled; points can be drilled via the layer list. SVG: paths (including Béziers and arcs), rectangles, circles, ellipses, polygons and polylines, with group transforms, scaled to mm via width/height and viewBox; Inkscape layers appear as layers.",
+    "form.dxfSkippedTypes": "Not imported: {{types}}",
+    "form.dxfLayers": "Layers",
+    "form.dxfLayersTitle": "Operation and depth per layer of the drawing. Layers with the same operation and depth are milled together; order: drilling, engraving, pockets, inside contours, outside contours last",
+    "form.dxfLayersEmpty": "The layers of the drawing appear here after choosing a file.",
+    "form.dxfLayerOperation": "Operation for this layer",
+    "form.dxfLayerOpDefault": "Operation from the form",
+    "form.dxfLayerOpOutside": "Contour outside",
+    "form.dxfLayerOpInside": "Contour inside",
+    "form.dxfLayerOpPocket": "Pocket",
+    "form.dxfLayerOpEngrave": "Engrave (on the line)",
+    "form.dxfLayerOpDrill": "Drill (centers)",
+    "form.dxfLayerOpIgnore": "Ignore",
+    "form.dxfLayerDepth": "Depth",
+    "form.dxfLayerDepthTitle": "Depth for this layer; empty = total depth from the form",
+    "form.dxfJoinTolerance": "Join tolerance (mm)",
+    "form.dxfJoinToleranceTitle": "When engraving on the line, ends of lines and arcs closer together than this are joined into one path, so the cutter does not lift between them",
     "form.dxfOrientation": "Orientation",
     "form.dxfOrientation0": "Normal (0°)",
     "form.dxfOrientation90": "90° right (clockwise)",
@@ -56,39 +79,138 @@ const TRANSLATIONS = {
     "form.dxfOrientation180": "180° (upside down)",
     "form.patternedHolesPresetsNone": "—",
     "form.patternedHolesPresetMFT": "Festool MFT (20.2 mm, 96 mm)",
+    "form.patternedHolesLayout": "Pattern",
+    "form.patternedHolesLayoutGrid": "Grid",
+    "form.patternedHolesLayoutPolar": "Bolt circle (PCD)",
     "form.patternedHolesDiameter": "Diameter (mm)",
     "form.patternedHolesSpacingX": "Center distance X (mm)",
     "form.patternedHolesSpacingY": "Center distance Y (mm)",
     "form.patternedHolesCountX": "Number of holes X",
     "form.patternedHolesCountY": "Number of holes Y",
+    "form.patternedHolesPitchDiameter": "Pitch circle diameter (mm)",
+    "form.patternedHolesCount": "Number of holes",
+    "form.patternedHolesStartAngle": "Start angle (°)",
+    "form.patternedHolesArcSpan": "Arc span (°)",
+    "form.patternedHolesArcSpanTitle": "360° spreads the holes evenly over the full circle; less places the first and last hole at the ends of the arc",
     "form.patternedHolesTotalHintMm": "Total distance {{axis}}: {{total}} mm",
     "form.patternedHolesTotalHintIn": "Total distance {{axis}}: {{total}} in",
     "form.diameter": "Diameter (mm)",
     "form.counterboreHeadDiameter": "Head diameter (mm)",
     "form.counterboreDepth": "Counterbore depth (mm)",
     "form.counterboreBoltDiameter": "Bolt diameter (mm)",
+    "form.counterboreBoltTool": "Tool for bolt hole",
+    "form.counterboreBoltToolTitle": "Mill the bolt hole with another tool from the library; the program then contains a tool change between head and bolt hole.",
+    "form.holeMethod": "Make holes by",
+    "form.holeMethodTitle": "Mill: spiral with the endmill. Drill: straight drilling cycle with a drill bit of the hole size.",
+    "form.holeMethodMill": "Milling (spiral)",
+    "form.holeMethodDrill": "Drilling (drill cycle)",
+    "form.drillCycle": "Drill cycle",
+    "form.drillCycleSimple": "Simple drill (G81)",
+    "form.drillCyclePeck": "Peck drill (G83)",
+    "form.drillCycleDwell": "Drill with dwell (G82)",
+    "form.peckDepth": "Peck depth (mm)",
+    "form.peckDepthTitle": "Depth per peck; after each peck the drill retracts to clear chips",
+    "form.drillDwell": "Dwell at bottom (s)",
+    "form.drillDwellTitle": "Pause at the bottom of the hole, e.g. for a clean floor or a spot drill",
+    "form.threadPresetsNone": "—",
+    "form.threadDiameter": "Nominal diameter (mm)",
+    "form.threadPitch": "Pitch (mm)",
+    "form.threadLength": "Thread length (mm)",
+    "form.threadType": "Thread type",
+    "form.threadTypeTitle": "Internal: pre-drill the hole at the minor diameter (M6: 5.0 mm, M8: 6.8 mm). External: the cutter works down to the minor diameter of the bolt.",
+    "form.threadInternal": "Internal (hole)",
+    "form.threadExternal": "External (stud)",
+    "form.threadHand": "Thread hand",
+    "form.threadRight": "Right-hand",
+    "form.threadLeft": "Left-hand",
+    "form.threadCutter": "Thread mill",
+    "form.threadCutterSingle": "Single-point",
+    "form.threadCutterMulti": "Multi-form (several threads)",
+    "form.threadCutterLength": "Cutter thread length (mm)",
+    "form.threadCutterLengthTitle": "Length of the toothed part; the cutter makes one turn per step of this length",
     "form.side": "Side (mm)",
     "form.width": "Width (mm)",
     "form.height": "Height (mm)",
+    "form.cornerRadius": "Corner radius (mm)",
+    "form.cornerRadiusPerCorner": "Per corner",
+    "form.cornerRadiusPerCornerTitle": "Set a different radius for each corner",
+    "form.cornerRadiusTopLeft": "Top left (mm)",
+    "form.cornerRadiusTopRight": "Top right (mm)",
+    "form.cornerRadiusBottomLeft": "Bottom left (mm)",
+    "form.cornerRadiusBottomRight": "Bottom right (mm)",
     "form.majorAxis": "Major axis X (mm)",
     "form.minorAxis": "Minor axis Y (mm)",
     "form.letterText": "Text",
     "form.letterTextPlaceholder": "Type the text to engrave here…",
     "form.letterSize": "Letter size (mm)",
+    "form.letterFont": "Font",
+    "form.letterFontTitle": "Filled font (outline, V-carve) or single-line font whose strokes the cutter follows once",
+    "form.letterFontRoboto": "Roboto Black (filled)",
+    "form.letterFontHersheySimplex": "Hershey Simplex (single line)",
+    "form.letterFontHersheyScript": "Hershey Script (single line)",
+    "form.letterFontCustomGroup": "Own fonts",
+    "form.letterFontUpload": "Own font",
+    "form.letterFontUploadTitle": "Upload a TTF, OTF or WOFF file; it is kept in this browser and appears in the font list",
+    "form.letterFontUploadChoose": "Upload (TTF/OTF/WOFF)",
+    "form.letterFontRemove": "Remove",
+    "form.letterSpacing": "Extra letter spacing (mm)",
+    "form.letterSpacingTitle": "Added between characters; negative moves them closer together",
+    "form.letterLineHeight": "Line spacing (× letter size)",
+    "form.letterLineHeightTitle": "Distance between lines of text, as a multiple of the letter size",
+    "form.letterAlign": "Alignment",
+    "form.letterAlignLeft": "Left",
+    "form.letterAlignCenter": "Center",
+    "form.letterAlignRight": "Right",
+    "form.letterLayout": "Text along",
+    "form.letterLayoutTitle": "Straight lines, around a circular arc (rim text) or along a path from a DXF file",
+    "form.letterLayoutStraight": "Straight lines",
+    "form.letterLayoutArc": "Circular arc",
+    "form.letterLayoutPath": "DXF path",
+    "form.letterArcRadius": "Arc radius (mm)",
+    "form.letterArcRadiusTitle": "Radius of the baseline of the first line; the arc centre is the origin when XY origin is Center",
+    "form.letterArcAngle": "Start angle (°)",
+    "form.letterArcAngleTitle": "Position of the text on the arc: 0° = right, 90° = top, 270° = bottom; alignment determines whether the text starts, is centred or ends here",
+    "form.letterArcSide": "Side of the arc",
+    "form.letterArcSideOutside": "Outside (reads clockwise)",
+    "form.letterArcSideInside": "Inside (reads counter-clockwise)",
+    "form.letterPathFile": "Path (DXF)",
+    "form.letterPathFileTitle": "The longest polyline, arc or line in the DXF is used; text follows its direction with the top on the left",
+    "form.letterPathReverse": "Reverse path",
+    "form.letterPathReverseTitle": "Run the text from the other end of the path (flips which side is up)",
+    "form.letterPreview": "Preview",
     "form.letterMode": "Letter operation",
     "form.letterModeOutline": "Outline (contour of the letters)",
+    "form.letterModeVCarve": "V-carve (depth follows the letter width)",
     "form.letterOrientation": "Text orientation",
     "form.letterOrientation0": "Normal (0°)",
     "form.letterOrientation90": "90° right (clockwise)",
     "form.letterOrientationMinus90": "90° left (counter-clockwise)",
     "form.letterOrientation180": "180° (upside down)",
+    "form.letterBatch": "Label batch",
+    "form.letterBatchTitle": "Engrave a series of labels: the text is a template, e.g. TAG-{0001..0050} for a number range or {Name} for a CSV column",
+    "form.letterBatchNone": "None (single text)",
+    "form.letterBatchGrid": "Grid on one plate",
+    "form.letterBatchFiles": "One .nc per label (zip)",
+    "form.letterBatchCsv": "CSV (optional)",
+    "form.letterBatchCsvTitle": "One label per row. With {column} in the text the first row holds the column names; without {column} every row is a label and its cells are added as lines below the text",
+    "form.letterBatchColumns": "Labels per row",
+    "form.letterBatchSpacingX": "Pitch X (mm)",
+    "form.letterBatchSpacingY": "Pitch Y (mm)",
+    "form.letterBatchSpacingTitle": "Distance between the centres of neighbouring labels; every label is centred in its cell",
+    "form.letterBatchCount": "{{count}} labels",
     "form.operation": "Operation",
     "form.operationPocket": "Pocket (internal milling)",
     "form.operationContour": "Contour (cut out / outside)",
+    "form.operationVCarve": "V-carve (engrave with a V-bit)",
+    "form.operationEngrave": "Engrave on the line (open paths)",
     "form.operationFacing": "Facing (surface milling)",
     "form.facingMode": "Facing mode",
     "form.facingWithin": "Within (tool stays inside area)",
     "form.facingFull": "Full coverage (entire area milled)",
+    "form.facingPattern": "Facing passes",
+    "form.facingPatternTitle": "Zig-zag: back and forth without lifting. One way: every pass in the same direction (climb or conventional), lifting between passes",
+    "form.facingAngle": "Facing angle (°)",
+    "form.facingAngleTitle": "Angle of the facing passes relative to the X axis",
     "form.contourType": "Contour type",
     "form.contourOutside": "Outside contour (cut out shape)",
     "form.contourInside": "Inside contour (inside of shape)",
@@ -108,6 +230,31 @@ const TRANSLATIONS = {
 
     // Cutter & parameters
     "form.cutLegend": "Cutter & cut parameters",
+    "tools.select": "Tool from library",
+    "tools.manual": "Manual (no tool selected)",
+    "tools.sameTool": "Same tool as counterbore",
+    "tools.noToolChange": "No tool change (current tool)",
+    "tools.vcarveNoClearTool": "None (V-bit clears itself)",
+    "tools.edit": "Edit library",
+    "tools.empty": "No tools in the library yet.",
+    "tools.add": "Add tool",
+    "tools.addCurrent": "Save current settings as tool",
+    "tools.remove": "Remove tool",
+    "tools.number": "Tool number (T)",
+    "tools.name": "Name",
+    "tools.typeLabel": "Type",
+    "tools.diameter": "Diameter ({{unit}})",
+    "tools.fluteCount": "Flutes",
+    "tools.fluteLength": "Flute length ({{unit}})",
+    "tools.feedrate": "Feedrate ({{unit}})",
+    "tools.plungeFeedrate": "Plunge feedrate ({{unit}})",
+    "tools.spindleSpeed": "Spindle speed (RPM)",
+    "tools.maxStepdown": "Max. stepdown ({{unit}})",
+    "tools.type.endmill": "Endmill",
+    "tools.type.ballmill": "Ball mill",
+    "tools.type.vbit": "V-bit",
+    "tools.type.drill": "Drill",
+    "tools.type.threadmill": "Thread mill",
     "form.toolDiameter": "Tool diameter (mm)",
     "form.totalDepth": "Total depth (mm)",
     "form.multipleDepths": "Multiple depths",
@@ -115,14 +262,80 @@ const TRANSLATIONS = {
     "form.stepover": "Stepover",
     "form.stepoverUnit": "Stepover unit",
     "form.stepoverTitle": "100% = tool diameter",
+    "form.pocketStrategy": "Pocket strategy",
+    "form.pocketStrategyTitle": "Spiral: concentric passes at the stepover; in the first pass and in corners the cutter engages its full width. Adaptive: the cutter moves in small trochoidal loops so the engagement never exceeds the set maximum; suitable for full-depth cuts in aluminium. Raster: parallel passes at the stepover and a selectable angle, clipped to the pocket; optionally followed by a pass along the wall",
+    "form.pocketStrategySpiral": "Spiral (concentric)",
+    "form.pocketStrategyAdaptive": "Adaptive (trochoidal, constant engagement)",
+    "form.pocketStrategyRaster": "Raster (parallel passes)",
+    "form.pocketEngagement": "Max. engagement (% of tool diameter)",
+    "form.pocketEngagementTitle": "Maximum engagement of the adaptive clearing, as the radial engagement of a straight cut with the same engagement angle (also in corners); small values (5-15%) allow deep cuts in one pass",
+    "form.pocketRasterMode": "Raster passes",
+    "form.pocketRasterModeTitle": "Zig-zag: back and forth without lifting where possible. One way: every pass in the same direction (climb or conventional), lifting between passes",
+    "form.pocketRasterZigzag": "Zig-zag (back and forth)",
+    "form.pocketRasterOneway": "One way",
+    "form.pocketRasterAngle": "Raster angle (°)",
+    "form.pocketRasterAngleTitle": "Angle of the raster passes relative to the X axis",
+    "form.pocketRasterCleanup": "Clean up wall",
+    "form.pocketRasterCleanupTitle": "Finish with a pass along the pocket wall and around islands to remove the scallops at the ends of the raster passes",
+    "form.millingDirection": "Milling direction",
+    "form.millingDirectionTitle": "Climb: the cutter rotates with the feed direction (cleaner edge, needs a rigid machine). Conventional: against the feed direction (gentler on light machines). Applies to contours, pockets and DXF paths.",
     "form.feedrate": "Feed rate F (mm/min)",
+    "form.plungeFeedrate": "Plunge feed rate (mm/min)",
+    "form.plungeFeedrateTitle": "Feed for plunges and ramps: cutting moves without XY travel or with descending Z",
     "form.spindleSpeedControl": "Spindle control",
     "form.spindleSpeed": "Spindle speed S (RPM)",
     "form.safeHeight": "Safe height Z (mm)",
     "form.leadInAbove": "Lead-in above material (mm)",
     "form.leadInAboveTitle": "Only this part above surface / ramp start as cutting move; rest is rapid",
+    "form.descentAtFeed": "Descend at feed",
+    "form.descentAtFeedTitle": "Lower from safe height at the plunge feed rate (G1) instead of rapid (G0)",
+    "form.arcOutput": "Arcs as G2/G3",
+    "form.arcOutputTitle": "Detect circular arcs in the toolpath and output them as G2/G3 instead of many short G1 moves",
+    "form.arcFormat": "Arc format",
+    "form.arcFormatIJ": "I/J (center relative to start)",
+    "form.arcFormatR": "R (radius)",
+    "form.toolChangeMode": "Tool change",
+    "form.toolChangeModeTitle": "How a change to another tool from the library is written: T# M6 for machines with a tool changer, or an M0 pause to change the tool by hand.",
+    "form.toolChangeAuto": "Per post-processor",
+    "form.toolChangeM6": "T# M6 (tool changer)",
+    "form.toolChangeM0": "M0 pause (manual)",
+    "form.toolChangeProbe": "Stop for Z touch-off after tool change",
+    "form.toolChangeProbeTitle": "Adds an extra M0 stop after every tool change so you can probe or touch off Z for the new tool.",
     "form.outlineHint": "Use a V-bit for best results with outline engraving.",
 
+    // Finishing
+    "form.finishLegend": "Finishing pass",
+    "form.finishEnabled": "Rough + finish",
+    "form.finishEnabledTitle": "Rough with stock left on the walls, then cut to final size in a separate finishing pass",
+    "form.finishAllowance": "Radial stock allowance (mm)",
+    "form.finishAllowanceTitle": "Material left on the walls by the roughing passes",
+    "form.finishFloorAllowance": "Floor stock allowance (mm)",
+    "form.finishFloorAllowanceTitle": "Material left on the floor by the roughing passes; 0 = rough to full depth",
+    "form.finishStepdown": "Finishing stepdown (mm)",
+    "form.finishStepdownTitle": "Max. layer height of the finishing pass; 0 = full depth in one pass",
+    "form.finishFeedrate": "Finishing feed rate (mm/min)",
+    "form.finishDirection": "Finishing direction",
+    "form.chamferLegend": "Chamfer",
+    "form.chamferEnabled": "Chamfer edges",
+    "form.chamferEnabledTitle": "After the operation, break the top edges with a V-bit or chamfer mill",
+    "form.chamferTool": "Chamfer tool",
+    "form.chamferToolTitle": "Tool from the library for the chamfer (tool change); otherwise the current tool is used",
+    "form.chamferAngle": "V-bit included angle (°)",
+    "form.chamferAngleTitle": "Included angle of the V-bit or chamfer mill, e.g. 90° for a 45° chamfer",
+    "form.chamferTipDiameter": "Tip diameter (mm)",
+    "form.chamferTipDiameterTitle": "Flat at the tip of the bit; 0 = sharp point",
+    "form.chamferWidth": "Chamfer width (mm)",
+    "form.chamferWidthTitle": "Width of the chamfer measured on the top surface",
+    "form.chamferFeedrate": "Chamfer feed rate (mm/min)",
+    "form.vcarveAngle": "V-bit included angle (°)",
+    "form.vcarveAngleTitle": "Included angle of the V-bit, e.g. 60° or 90°",
+    "form.vcarveMaxDepth": "Maximum depth (mm)",
+    "form.vcarveMaxDepthTitle": "Wider areas are cut flat at this depth and cleared",
+    "form.vcarveClearTool": "Clearing tool",
+    "form.vcarveClearToolTitle": "Flat end mill from the library that clears the flat floors first (tool change); otherwise the V-bit clears them",
+    "form.millingDirectionClimb": "Climb",
+    "form.millingDirectionConventional": "Conventional",
+
     // Origin
     "form.originLegend": "Origin (zero points)",
     "form.xyOrigin": "XY origin",
@@ -138,6 +351,7 @@ const TRANSLATIONS = {
     "form.patternedHolesDiameterIn": "Diameter (in)",
     "form.patternedHolesSpacingXIn": "Center distance X (in)",
     "form.patternedHolesSpacingYIn": "Center distance Y (in)",
+    "form.patternedHolesPitchDiameterIn": "Pitch circle diameter (in)",
     "form.diameterIn": "Diameter (in)",
     "form.counterboreHeadDiameterIn": "Head diameter (in)",
     "form.counterboreDepthIn": "Counterbore depth (in)",
@@ -145,10 +359,19 @@ const TRANSLATIONS = {
     "form.sideIn": "Side (in)",
     "form.widthIn": "Width (in)",
     "form.heightIn": "Height (in)",
+    "form.cornerRadiusIn": "Corner radius (in)",
+    "form.cornerRadiusTopLeftIn": "Top left (in)",
+    "form.cornerRadiusTopRightIn": "Top right (in)",
+    "form.cornerRadiusBottomLeftIn": "Bottom left (in)",
+    "form.cornerRadiusBottomRightIn": "Bottom right (in)",
     "form.hexagonHeightIn": "Height (in)",
     "form.majorAxisIn": "Major axis X (in)",
     "form.minorAxisIn": "Minor axis Y (in)",
     "form.letterSizeIn": "Letter size (in)",
+    "form.letterSpacingIn": "Extra letter spacing (in)",
+    "form.letterArcRadiusIn": "Arc radius (in)",
+    "form.letterBatchSpacingXIn": "Pitch X (in)",
+    "form.letterBatchSpacingYIn": "Pitch Y (in)",
     "form.tabIntervalIn": "Interval along contour (in)",
     "form.tabWidthIn": "Tab width (in)",
     "form.tabHeightIn": "Tab height (in, remaining material)",
@@ -156,6 +379,20 @@ const TRANSLATIONS = {
     "form.totalDepthIn": "Total depth (in)",
     "form.stepdownIn": "Stepdown per layer (in)",
     "form.feedrateIn": "Feed rate F (in/min)",
+    "form.plungeFeedrateIn": "Plunge feed rate (in/min)",
+    "form.finishAllowanceIn": "Radial stock allowance (in)",
+    "form.finishFloorAllowanceIn": "Floor stock allowance (in)",
+    "form.finishStepdownIn": "Finishing stepdown (in)",
+    "form.finishFeedrateIn": "Finishing feed rate (in/min)",
+    "form.chamferTipDiameterIn": "Tip diameter (in)",
+    "form.chamferWidthIn": "Chamfer width (in)",
+    "form.chamferFeedrateIn": "Chamfer feed rate (in/min)",
+    "form.vcarveMaxDepthIn": "Maximum depth (in)",
+    "form.peckDepthIn": "Peck depth (in)",
+    "form.threadDiameterIn": "Nominal diameter (in)",
+    "form.threadPitchIn": "Pitch (in)",
+    "form.threadLengthIn": "Thread length (in)",
+    "form.threadCutterLengthIn": "Cutter thread length (in)",
     "form.safeHeightIn": "Safe height Z (in)",
     "form.leadInAboveIn": "Lead-in above material (in)",
     "form.zOffsetIn": "Z offset (in, optional)",
@@ -198,6 +435,7 @@ const TRANSLATIONS = {
     "preview.estimatedTimeSec": "{{sec}} s",
     "preview.estimatedTimeMin": "{{min}} min",
     "preview.estimatedTimeHMin": "{{h}} h {{m}} min",
+    "preview.pitchCircle": "PCD {{diameter}}",
 
     // Footer
     "footer.warning": "Note: always check the gcode in a simulator and test with air cut / soft material before milling real material.",
@@ -207,41 +445,114 @@ const TRANSLATIONS = {
     "gcode.comment.unitsMm": "mm",
     "gcode.comment.unitsInch": "inches",
     "gcode.comment.absolute": "absolute positioning",
+    "gcode.comment.postProcessor": "post-processor: {{name}}",
+    "gcode.comment.operation": "operation {{n}}/{{total}}: {{name}}",
+    "gcode.comment.tool": "tool T{{number}}: {{diameter}} {{name}}",
+    "gcode.comment.toolChange": "change tool to T{{number}}: {{diameter}} {{name}}",
+    "gcode.comment.toolChangeManual": "change tool to: {{tool}}",
+    "gcode.comment.jobOperationTool": "{{diameter}} tool for operation {{n}}",
+    "gcode.comment.touchOff": "touch off Z for the new tool",
+    "gcode.comment.pause": "pause",
+    "gcode.comment.boltHole": "bolt hole",
+    "gcode.comment.finishPass": "finishing pass",
+    "gcode.comment.chamfer": "chamfer",
+    "gcode.comment.chamferTool": "V-bit for the chamfer",
+    "gcode.comment.vcarve": "V-carve",
+    "gcode.comment.vcarveClear": "V-carve clearing",
     "gcode.comment.spindleOn": "spindle on",
     "gcode.comment.spindleOff": "spindle off",
 
     // Validation & errors ({{label}} = placeholder for field name)
     "error.positive": "{{label}} must be a positive number.",
     "error.leadInNegative": "Lead-in above material cannot be negative.",
+    "error.patternedHolesArcSpan": "Arc span must be greater than 0° and at most 360°.",
+    "error.patternedHolesOverlap": "The holes overlap: the center distance between neighbouring holes is smaller than the hole diameter. Increase the spacing or pitch circle diameter, or use fewer holes.",
+    "error.cornerRadiusNegative": "Corner radius cannot be negative.",
+    "error.cornerRadiusTooBig": "Corner radius cannot be larger than half the shortest side.",
+    "error.cornerRadiusBelowTool": "An inside corner radius cannot be smaller than the tool radius ({{min}}). Use 0 for the tool's own radius, a larger radius or a smaller tool.",
+    "error.finishNegative": "Finishing allowances and stepdown cannot be negative.",
+    "error.finishFloorAllowanceTooBig": "The floor stock allowance must be smaller than the total depth.",
+    "error.finishAllowanceTooBig": "The shape is too small for the tool plus twice the radial stock allowance.",
+    "error.chamferAngle": "The V-bit angle must be between 0° and 180°.",
+    "error.chamferTipNegative": "The tip diameter cannot be negative.",
+    "error.chamferTooDeep": "The chamfer is deeper than the wall it breaks; reduce the chamfer width.",
+    "error.chamferWidthTooBig": "The chamfer is too wide for the chamfer tool (max. {{max}}).",
+    "error.vcarveAngle": "The V-bit angle must be between 0° and 180°.",
+    "error.vcarveTooDeepForTool": "The maximum depth is deeper than the V-bit can cut at its diameter (max. {{max}}).",
+    "error.vcarveClearToolNeedsTool": "Choose a V-bit from the library as well when using a clearing tool, so a tool change can be made.",
     "error.stepdownTooBig": "Stepdown cannot be greater than total depth.",
     "error.stepoverTooBig": "Stepover (in mm) cannot be greater than tool diameter.",
+    "error.pocketEngagementTooBig": "Max. engagement can be at most 50% of the tool diameter.",
+    "error.pocketAdaptiveTooManyLoops": "Adaptive clearing needs more than {{max}} loops per layer. Increase the max. engagement or use the spiral strategy.",
     "error.enterText": "Enter text to engrave.",
     "error.unknownShape": "Unknown shape type.",
     "error.pocketSmallerThanTool": "The pocket/contour is smaller than the tool diameter. Choose a smaller tool or make the shape larger.",
+    "error.drillLargerThanHole": "The drill is larger than the hole diameter. Choose a smaller drill or make the hole larger.",
     "error.facingShapeRequired": "For facing, choose Square or Rectangle as shape.",
     "error.counterboreHeadSmallerThanBolt": "Head diameter must be at least the bolt diameter.",
+    "error.threadToolTooBig": "The thread mill must be smaller than the minor diameter of the hole ({{max}}).",
+    "error.threadCutterTooShort": "The cutter thread length must be at least one pitch.",
     "error.counterboreTotalDepthTooSmall": "Total depth must be greater than counterbore depth.",
     "error.lettersToolTooBig": "The tool does not fit inside the letters (parts too narrow). Choose a smaller tool or larger letters.",
-    "error.dxfNoFile": "No DXF file selected.",
-    "error.dxfNoContours": "No closed contours found in the DXF file.",
+    "error.dxfNoFile": "No DXF or SVG file selected.",
+    "error.dxfNoContours": "No closed contours found in the DXF or SVG file.",
+    "error.dxfLayerDepth": "Depth for layer {{layer}} must be greater than 0.",
+    "error.dxfLayerDepthBelowStock": "Depth for layer {{layer}} is larger than the total depth; with Z0 at the bottom that is the stock thickness.",
+    "error.dxfLayerNoContours": "No usable contours on layer {{layers}}.",
+    "error.dxfJoinToleranceNegative": "The join tolerance cannot be negative.",
     "error.dxfParserNotLoaded": "DXF parser not loaded. Check script loading.",
     "error.dxfParseFailed": "Failed to parse DXF: ",
+    "error.svgParseFailed": "Failed to parse SVG: the file is not valid SVG/XML.",
     "error.dxfNoPocketableContours": "No contours could be pocketed (tool too large or contours too small). ",
     "error.dxfOffsetFailed": "Offset failed for contour (tool may be too large or contour too narrow).",
     "error.dxfProcessingFailed": "Error processing DXF. Possible causes: file not 2D, damaged or unsupported; tool too large; contour too narrow.",
     "error.dxfMultipleContoursInside": "Multiple contours detected. Inside contour is not possible with this.",
-    "error.dxfMultipleContoursPocket": "Multiple contours detected. Pocket is not possible with this.",
     "error.dxfPocketNotSupported": "Pocket is not supported for DXF. Use Contour only.",
     "error.fontNotLoaded": "Font could not be loaded: ",
     "error.opentypeNotLoaded": "Opentype.js is not loaded. Reload the page.",
+    "error.singleLineFontNotLoaded": "Single-line fonts (hershey-fonts.js) are not loaded. Reload the page.",
+    "error.singleLineFontOutlineOnly": "A single-line font can only be engraved as outline; choose a filled font to pocket or V-carve the letters.",
+    "error.singleLineFontUnsupportedChars": "The single-line font cannot engrave {{chars}}; it only contains plain ASCII letters, digits and punctuation.",
+    "error.fontFileInvalid": "This file is not a readable TTF, OTF or WOFF font.",
+    "error.fontStorageFull": "The font does not fit in browser storage. Remove another own font or choose a smaller file.",
+    "error.customFontMissing": "The chosen own font is no longer in browser storage. Upload it again.",
+    "error.letterArcRadiusTooSmall": "The arc radius is too small for the number of lines on the outside of the arc.",
+    "error.letterPathMissing": "Choose a DXF file with a polyline, arc or line for the text path.",
+    "error.letterBatchEmpty": "The batch has no labels: use a number range such as {0001..0050} in the text or choose a CSV file.",
+    "error.letterBatchTooLarge": "The batch has {{count}} labels; at most {{max}} are possible.",
+    "error.letterBatchFilesInJob": "One .nc per label cannot be added to a job; choose Grid on one plate or generate the zip.",
     "error.copySuccess": "Gcode copied to clipboard.",
     "error.copyFailed": "Copy to clipboard failed.",
     "error.generateFailed": "Generation error: ",
+    "error.jobEmpty": "The job contains no operations yet.",
+    "job.legend": "Job (multiple operations)",
+    "job.hint": "Set up an operation and add it to the job. All operations are combined into one program, each with its own origin offset.",
+    "job.empty": "No operations in the job yet.",
+    "job.add": "Add to job",
+    "job.generate": "Generate job",
+    "job.clear": "Clear job",
+    "job.offsetX": "Offset X ({{unit}})",
+    "job.offsetY": "Offset Y ({{unit}})",
+    "job.moveUp": "Move up",
+    "job.moveDown": "Move down",
+    "job.remove": "Remove from job",
     "field.toolDiameter": "Tool diameter",
     "field.totalDepth": "Total depth",
     "field.stepdown": "Stepdown",
     "field.stepover": "Stepover (percentage of tool diameter)",
+    "field.pocketEngagement": "Max. engagement",
     "field.feedrate": "Feed rate",
+    "field.plungeFeedrate": "Plunge feed rate",
+    "field.finishFeedrate": "Finishing feed rate",
+    "field.chamferWidth": "Chamfer width",
+    "field.chamferFeedrate": "Chamfer feed rate",
+    "field.vcarveMaxDepth": "Maximum depth",
+    "field.peckDepth": "Peck depth",
+    "field.drillDwell": "Dwell at bottom",
+    "field.threadDiameter": "Nominal diameter",
+    "field.threadPitch": "Pitch",
+    "field.threadLength": "Thread length",
+    "field.threadCutterLength": "Cutter thread length",
     "field.safeHeight": "Safe height Z",
     "field.rampAngle": "Max. ramp angle",
     "field.tabInterval": "Tab interval",
@@ -255,6 +566,10 @@ const TRANSLATIONS = {
     "field.minorAxis": "Minor axis Y",
     "field.hexagonHeight": "Height",
     "field.letterSize": "Letter size",
+    "field.letterLineHeight": "Line spacing",
+    "field.letterArcRadius": "Arc radius",
+    "field.letterBatchSpacingX": "Label pitch X",
+    "field.letterBatchSpacingY": "Label pitch Y",
     "field.stepoverPct": "Stepover (in mm)",
     "field.counterboreHeadDiameter": "Head diameter",
     "field.counterboreDepth": "Counterbore depth",
@@ -264,6 +579,8 @@ const TRANSLATIONS = {
     "field.patternedHolesSpacingY": "Center distance Y",
     "field.patternedHolesCountX": "Number of holes X",
     "field.patternedHolesCountY": "Number of holes Y",
+    "field.patternedHolesPitchDiameter": "Pitch circle diameter",
+    "field.patternedHolesCount": "Number of holes",
     "form.stepoverMmHint": "({{val}} mm)",
     "form.stepoverPctHint": "({{pct}}% of tool)",
   },
@@ -284,9 +601,15 @@ const TRANSLATIONS = {
     "settings.mode": "Mode",
     "settings.modeSimple": "Simple",
     "settings.modeAdvanced": "Advanced",
+    "settings.postProcessor": "Postprocessor",
     "settings.importExport": "Import/Export",
     "settings.exportMachine": "Export instellingen",
     "settings.importMachine": "Import instellingen",
+    "settings.exportTools": "Export freesbibliotheek",
+    "settings.importTools": "Import freesbibliotheek",
+    "settings.exportToolsSuccess": "Freesbibliotheek geëxporteerd.",
+    "settings.importToolsSuccess": "Freesbibliotheek geïmporteerd.",
+    "settings.importToolsInvalid": "geen lijst met frezen gevonden in het bestand.",
     "settings.exportSuccess": "Instellingen geëxporteerd.",
     "settings.importSuccess": "Instellingen geïmporteerd.",
     "settings.importError": "Import mislukt: ",
@@ -308,10 +631,27 @@ const TRANSLATIONS = {
     "form.shapeLetters": "Letters (gravering)",
     "form.shapeCounterboreBolt": "Verzinkboring",
     "form.shapePatternedHoles": "Patroongaten",
-    "form.shapeDxf": "DXF (contouren)",
-    "form.dxfFile": "DXF-bestand",
+    "form.shapeThreadMill": "Draadfrezen",
+    "form.shapeDxf": "DXF / SVG (contouren)",
+    "form.dxfFile": "DXF- of SVG-bestand",
     "form.dxfFileChoose": "Bestand kiezen",
-    "form.dxfFileHint": "Kies een .dxf-bestand. Gesloten contouren (lijnen, polylines, cirkels, bogen) worden herkend en uitgefreesd.",
+    "form.dxfFileHint": "Kies een .dxf- of .svg-bestand. DXF: gesloten contouren (lijnen, polylines, cirkels, bogen, ellipsen, splines, ook in blocks) worden herkend en uitgefreesd; punten kunnen via de lagenlijst geboord worden. SVG: paden (ook Béziers en bogen), rechthoeken, cirkels, ellipsen, polygonen en polylijnen, met groepstransformaties, in mm geschaald via width/height en viewBox; Inkscape-lagen verschijnen als lagen.",
+    "form.dxfSkippedTypes": "Niet ingelezen: {{types}}",
+    "form.dxfLayers": "Lagen",
+    "form.dxfLayersTitle": "Bewerking en diepte per laag van de tekening. Lagen met dezelfde bewerking en diepte worden samen gefreesd; volgorde: boren, graveren, pockets, binnencontouren, buitencontouren als laatste",
+    "form.dxfLayersEmpty": "De lagen van de tekening verschijnen hier na het kiezen van een bestand.",
+    "form.dxfLayerOperation": "Bewerking voor deze laag",
+    "form.dxfLayerOpDefault": "Bewerking uit het formulier",
+    "form.dxfLayerOpOutside": "Contour buiten",
+    "form.dxfLayerOpInside": "Contour binnen",
+    "form.dxfLayerOpPocket": "Pocket",
+    "form.dxfLayerOpEngrave": "Graveren (op de lijn)",
+    "form.dxfLayerOpDrill": "Boren (middelpunten)",
+    "form.dxfLayerOpIgnore": "Negeren",
+    "form.dxfLayerDepth": "Diepte",
+    "form.dxfLayerDepthTitle": "Diepte voor deze laag; leeg = totale diepte uit het formulier",
+    "form.dxfJoinTolerance": "Verbindtolerantie (mm)",
+    "form.dxfJoinToleranceTitle": "Bij graveren op de lijn worden uiteinden van lijnen en bogen die dichter bij elkaar liggen verbonden tot één pad, zodat de frees daartussen niet omhoog gaat",
     "form.dxfOrientation": "Orientatie",
     "form.dxfOrientation0": "Normaal (0°)",
     "form.dxfOrientation90": "90° rechts (met de klok mee)",
@@ -319,39 +659,138 @@ const TRANSLATIONS = {
     "form.dxfOrientation180": "180° (ondersteboven)",
     "form.patternedHolesPresetsNone": "—",
     "form.patternedHolesPresetMFT": "Festool MFT (20,2 mm, 96 mm)",
+    "form.patternedHolesLayout": "Patroon",
+    "form.patternedHolesLayoutGrid": "Raster",
+    "form.patternedHolesLayoutPolar": "Steekcirkel (gatencirkel)",
     "form.patternedHolesDiameter": "Diameter (mm)",
     "form.patternedHolesSpacingX": "Hartafstand X (mm)",
     "form.patternedHolesSpacingY": "Hartafstand Y (mm)",
     "form.patternedHolesCountX": "Aantal gaten X",
     "form.patternedHolesCountY": "Aantal gaten Y",
+    "form.patternedHolesPitchDiameter": "Steekcirkeldiameter (mm)",
+    "form.patternedHolesCount": "Aantal gaten",
+    "form.patternedHolesStartAngle": "Starthoek (°)",
+    "form.patternedHolesArcSpan": "Boog (°)",
+    "form.patternedHolesArcSpanTitle": "360° verdeelt de gaten gelijk over de hele cirkel; minder zet het eerste en laatste gat op de uiteinden van de boog",
     "form.patternedHolesTotalHintMm": "Totale afstand {{axis}}: {{total}} mm",
     "form.patternedHolesTotalHintIn": "Totale afstand {{axis}}: {{total}} in",
     "form.diameter": "Diameter (mm)",
     "form.counterboreHeadDiameter": "Diameter kop (mm)",
     "form.counterboreDepth": "Diepte verzinking (mm)",
     "form.counterboreBoltDiameter": "Diameter bout (mm)",
+    "form.counterboreBoltTool": "Frees voor boutgat",
+    "form.counterboreBoltToolTitle": "Frees het boutgat met een andere frees uit de bibliotheek; het programma krijgt dan een toolwissel tussen kop en boutgat.",
+    "form.holeMethod": "Gaten maken",
+    "form.holeMethodTitle": "Frezen: spiraal met de frees. Boren: rechte boorcyclus met een boor op de maat van het gat.",
+    "form.holeMethodMill": "Frezen (spiraal)",
+    "form.holeMethodDrill": "Boren (boorcyclus)",
+    "form.drillCycle": "Boorcyclus",
+    "form.drillCycleSimple": "Enkel boren (G81)",
+    "form.drillCyclePeck": "Pikboren (G83)",
+    "form.drillCycleDwell": "Boren met pauze (G82)",
+    "form.peckDepth": "Pikdiepte (mm)",
+    "form.peckDepthTitle": "Diepte per pik; na elke pik gaat de boor omhoog om spanen af te voeren",
+    "form.drillDwell": "Pauze op de bodem (s)",
+    "form.drillDwellTitle": "Wachttijd op de bodem van het gat, bijv. voor een schone bodem of bij centreren",
+    "form.threadPresetsNone": "—",
+    "form.threadDiameter": "Nominale diameter (mm)",
+    "form.threadPitch": "Spoed (mm)",
+    "form.threadLength": "Draadlengte (mm)",
+    "form.threadType": "Soort draad",
+    "form.threadTypeTitle": "Binnendraad: gat vooraf boren op kerndiameter (M6: 5,0 mm, M8: 6,8 mm). Buitendraad: de frees gaat tot de kerndiameter van de bout.",
+    "form.threadInternal": "Binnendraad (gat)",
+    "form.threadExternal": "Buitendraad (tap)",
+    "form.threadHand": "Draairichting draad",
+    "form.threadRight": "Rechts",
+    "form.threadLeft": "Links",
+    "form.threadCutter": "Draadfrees",
+    "form.threadCutterSingle": "Enkele snijtand",
+    "form.threadCutterMulti": "Meervoudig (meerdere gangen)",
+    "form.threadCutterLength": "Snijlengte frees (mm)",
+    "form.threadCutterLengthTitle": "Lengte van het vertande deel; de frees maakt per trede van deze lengte één omwenteling",
     "form.side": "Zijde (mm)",
     "form.width": "Breedte (mm)",
     "form.height": "Hoogte (mm)",
+    "form.cornerRadius": "Hoekradius (mm)",
+    "form.cornerRadiusPerCorner": "Per hoek",
+    "form.cornerRadiusPerCornerTitle": "Voor elke hoek een eigen radius instellen",
+    "form.cornerRadiusTopLeft": "Linksboven (mm)",
+    "form.cornerRadiusTopRight": "Rechtsboven (mm)",
+    "form.cornerRadiusBottomLeft": "Linksonder (mm)",
+    "form.cornerRadiusBottomRight": "Rechtsonder (mm)",
     "form.majorAxis": "Grote as X (mm)",
     "form.minorAxis": "Kleine as Y (mm)",
     "form.letterText": "Tekst",
     "form.letterTextPlaceholder": "Typ hier de te graveren tekst…",
     "form.letterSize": "Lettergrootte (mm)",
+    "form.letterFont": "Lettertype",
+    "form.letterFontTitle": "Gevuld lettertype (outline, V-carve) of enkel-lijns lettertype waarvan de frees elke lijn één keer volgt",
+    "form.letterFontRoboto": "Roboto Black (gevuld)",
+    "form.letterFontHersheySimplex": "Hershey Simplex (enkele lijn)",
+    "form.letterFontHersheyScript": "Hershey Script (enkele lijn)",
+    "form.letterFontCustomGroup": "Eigen lettertypen",
+    "form.letterFontUpload": "Eigen lettertype",
+    "form.letterFontUploadTitle": "Upload een TTF-, OTF- of WOFF-bestand; het blijft bewaard in deze browser en verschijnt in de lettertypelijst",
+    "form.letterFontUploadChoose": "Uploaden (TTF/OTF/WOFF)",
+    "form.letterFontRemove": "Verwijderen",
+    "form.letterSpacing": "Extra letterafstand (mm)",
+    "form.letterSpacingTitle": "Extra ruimte tussen de tekens; negatief zet ze dichter op elkaar",
+    "form.letterLineHeight": "Regelafstand (× lettergrootte)",
+    "form.letterLineHeightTitle": "Afstand tussen tekstregels, als veelvoud van de lettergrootte",
+    "form.letterAlign": "Uitlijning",
+    "form.letterAlignLeft": "Links",
+    "form.letterAlignCenter": "Midden",
+    "form.letterAlignRight": "Rechts",
+    "form.letterLayout": "Tekst langs",
+    "form.letterLayoutTitle": "Rechte regels, rond een cirkelboog (randtekst) of langs een pad uit een DXF-bestand",
+    "form.letterLayoutStraight": "Rechte regels",
+    "form.letterLayoutArc": "Cirkelboog",
+    "form.letterLayoutPath": "DXF-pad",
+    "form.letterArcRadius": "Boogstraal (mm)",
+    "form.letterArcRadiusTitle": "Straal van de basislijn van de eerste regel; het middelpunt van de boog is de origin bij XY-origin Midden",
+    "form.letterArcAngle": "Starthoek (°)",
+    "form.letterArcAngleTitle": "Plaats van de tekst op de boog: 0° = rechts, 90° = boven, 270° = onder; de uitlijning bepaalt of de tekst hier begint, gecentreerd is of eindigt",
+    "form.letterArcSide": "Kant van de boog",
+    "form.letterArcSideOutside": "Buitenkant (leest met de klok mee)",
+    "form.letterArcSideInside": "Binnenkant (leest tegen de klok in)",
+    "form.letterPathFile": "Pad (DXF)",
+    "form.letterPathFileTitle": "De langste polylijn, boog of lijn in de DXF wordt gebruikt; de tekst volgt de looprichting met de bovenkant links",
+    "form.letterPathReverse": "Pad omkeren",
+    "form.letterPathReverseTitle": "Tekst vanaf het andere uiteinde van het pad laten lopen (draait ook om welke kant boven is)",
+    "form.letterPreview": "Voorbeeld",
     "form.letterMode": "Letterbewerking",
     "form.letterModeOutline": "Outline (omtrek van de letters)",
+    "form.letterModeVCarve": "V-carve (diepte volgt de letterbreedte)",
     "form.letterOrientation": "Tekstoriëntatie",
     "form.letterOrientation0": "Normaal (0°)",
     "form.letterOrientation90": "90° rechts (met de klok mee)",
     "form.letterOrientationMinus90": "90° links (tegen de klok in)",
     "form.letterOrientation180": "180° (ondersteboven)",
+    "form.letterBatch": "Reeks labels",
+    "form.letterBatchTitle": "Graveer een reeks labels: de tekst is een sjabloon, bijv. TAG-{0001..0050} voor een nummerreeks of {Naam} voor een CSV-kolom",
+    "form.letterBatchNone": "Geen (één tekst)",
+    "form.letterBatchGrid": "Raster op één plaat",
+    "form.letterBatchFiles": "Eén .nc per label (zip)",
+    "form.letterBatchCsv": "CSV (optioneel)",
+    "form.letterBatchCsvTitle": "Eén label per rij. Met {kolom} in de tekst bevat de eerste rij de kolomnamen; zonder {kolom} is elke rij een label en komen de cellen als regels onder de tekst",
+    "form.letterBatchColumns": "Labels per rij",
+    "form.letterBatchSpacingX": "Steek X (mm)",
+    "form.letterBatchSpacingY": "Steek Y (mm)",
+    "form.letterBatchSpacingTitle": "Afstand tussen de middens van naburige labels; elk label staat gecentreerd in zijn cel",
+    "form.letterBatchCount": "{{count}} labels",
     "form.operation": "Bewerking",
     "form.operationPocket": "Pocket (binnen uitfrezen)",
     "form.operationContour": "Contour (uitsnijden / buitenom)",
+    "form.operationVCarve": "V-carve (graveren met V-frees)",
+    "form.operationEngrave": "Graveren op de lijn (open paden)",
     "form.operationFacing": "Vlakken (facing)",
     "form.facingMode": "Vlakken-modus",
     "form.facingWithin": "Binnen (geen rand buiten gebied)",
     "form.facingFull": "Helemaal bereiken (volledig vlak)",
+    "form.facingPattern": "Vlakbanen",
+    "form.facingPatternTitle": "Zigzag: heen en weer zonder op te tillen. Eén richting: elke baan in dezelfde richting (meelopend of tegenlopend), met optillen tussen de banen",
+    "form.facingAngle": "Hoek vlakbanen (°)",
+    "form.facingAngleTitle": "Hoek van de vlakbanen ten opzichte van de X-as",
     "form.contourType": "Contour type",
     "form.contourOutside": "Buitencontour (vorm uitsnijden)",
     "form.contourInside": "Binnencontour (binnenkant van de vorm)",
@@ -370,6 +809,31 @@ const TRANSLATIONS = {
     "form.presetsNone": "—",
 
     "form.cutLegend": "Frees & snijparameters",
+    "tools.select": "Frees uit bibliotheek",
+    "tools.manual": "Handmatig (geen frees gekozen)",
+    "tools.sameTool": "Zelfde frees als verzinking",
+    "tools.noToolChange": "Geen toolwissel (huidige frees)",
+    "tools.vcarveNoClearTool": "Geen (V-frees ruimt zelf uit)",
+    "tools.edit": "Bibliotheek bewerken",
+    "tools.empty": "Nog geen frezen in de bibliotheek.",
+    "tools.add": "Frees toevoegen",
+    "tools.addCurrent": "Huidige instellingen als frees",
+    "tools.remove": "Frees verwijderen",
+    "tools.number": "Toolnummer (T)",
+    "tools.name": "Naam",
+    "tools.typeLabel": "Type",
+    "tools.diameter": "Diameter ({{unit}})",
+    "tools.fluteCount": "Aantal snijkanten",
+    "tools.fluteLength": "Snijlengte ({{unit}})",
+    "tools.feedrate": "Voedingssnelheid ({{unit}})",
+    "tools.plungeFeedrate": "Insteekvoeding ({{unit}})",
+    "tools.spindleSpeed": "Spindelsnelheid (RPM)",
+    "tools.maxStepdown": "Max. stepdown ({{unit}})",
+    "tools.type.endmill": "Vingerfrees",
+    "tools.type.ballmill": "Bolkopfrees",
+    "tools.type.vbit": "V-frees",
+    "tools.type.drill": "Boor",
+    "tools.type.threadmill": "Draadfrees",
     "form.toolDiameter": "Freesdiameter (mm)",
     "form.totalDepth": "Totale diepte (mm)",
     "form.multipleDepths": "Meerdere dieptes",
@@ -377,14 +841,79 @@ const TRANSLATIONS = {
     "form.stepover": "Stepover",
     "form.stepoverUnit": "Stepover eenheid",
     "form.stepoverTitle": "100% = freesdiameter",
+    "form.pocketStrategy": "Pocketstrategie",
+    "form.pocketStrategyTitle": "Spiraal: concentrische banen op de stepover; in de eerste baan en in hoeken grijpt de frees over de volle breedte aan. Adaptief: de frees draait kleine trochoïdale lussen, zodat de aangrijping nooit boven het ingestelde maximum komt; geschikt voor volle diepte in aluminium. Raster: evenwijdige banen op de stepover onder een instelbare hoek, geknipt op de pocket; optioneel gevolgd door een baan langs de wand",
+    "form.pocketStrategySpiral": "Spiraal (concentrisch)",
+    "form.pocketStrategyAdaptive": "Adaptief (trochoïdaal, constante aangrijping)",
+    "form.pocketStrategyRaster": "Raster (evenwijdige banen)",
+    "form.pocketEngagement": "Max. aangrijping (% freesdiameter)",
+    "form.pocketEngagementTitle": "Maximale aangrijping bij adaptief ruimen, als radiale aangrijping van een rechte snede met dezelfde aangrijpingshoek (ook in hoeken); kleine waarden (5-15%) maken diepe sneden in één keer mogelijk",
+    "form.pocketRasterMode": "Rasterbanen",
+    "form.pocketRasterModeTitle": "Zigzag: heen en weer zonder op te tillen waar dat kan. Eén richting: elke baan in dezelfde richting (meelopend of tegenlopend), met optillen tussen de banen",
+    "form.pocketRasterZigzag": "Zigzag (heen en weer)",
+    "form.pocketRasterOneway": "Eén richting",
+    "form.pocketRasterAngle": "Rasterhoek (°)",
+    "form.pocketRasterAngleTitle": "Hoek van de rasterbanen ten opzichte van de X-as",
+    "form.pocketRasterCleanup": "Rand nafrezen",
+    "form.pocketRasterCleanupTitle": "Tot slot één baan langs de pocketwand en rond eilanden, zodat de uitlopers van de rasterbanen weg zijn",
+    "form.millingDirection": "Freesrichting",
+    "form.millingDirectionTitle": "Meelopend: de frees draait mee met de voedingsrichting (schonere rand, vraagt een stijve machine). Tegenlopend: tegen de voedingsrichting in (rustiger voor lichte machines). Geldt voor contouren, pockets en DXF-paden.",
     "form.feedrate": "Voedingssnelheid F (mm/min)",
+    "form.plungeFeedrate": "Insteekvoeding (mm/min)",
+    "form.plungeFeedrateTitle": "Voeding voor insteken en ramps: snijbewegingen zonder XY-verplaatsing of met dalende Z",
     "form.spindleSpeedControl": "Spindelregeling",
     "form.spindleSpeed": "Spindelsnelheid S (RPM)",
     "form.safeHeight": "Veilige hoogte Z (mm)",
     "form.leadInAbove": "Lead-in boven materiaal (mm)",
     "form.leadInAboveTitle": "Alleen dit stuk boven het oppervlak / ramp-start als snijbeweging; rest is rapid",
+    "form.descentAtFeed": "Afdalen met voeding",
+    "form.descentAtFeedTitle": "Vanaf de veilige hoogte zakken met de insteekvoeding (G1) in plaats van rapid (G0)",
+    "form.arcOutput": "Bogen als G2/G3",
+    "form.arcOutputTitle": "Cirkelbogen in het toolpad herkennen en als G2/G3 uitvoeren in plaats van veel korte G1-bewegingen",
+    "form.arcFormat": "Boogformaat",
+    "form.arcFormatIJ": "I/J (middelpunt t.o.v. start)",
+    "form.arcFormatR": "R (straal)",
+    "form.toolChangeMode": "Toolwissel",
+    "form.toolChangeModeTitle": "Hoe een wissel naar een andere frees uit de bibliotheek wordt geschreven: T# M6 voor machines met toolwisselaar, of een pauze met M0 om de frees met de hand te wisselen.",
+    "form.toolChangeAuto": "Volgens postprocessor",
+    "form.toolChangeM6": "T# M6 (toolwisselaar)",
+    "form.toolChangeM0": "Pauze met M0 (handmatig)",
+    "form.toolChangeProbe": "Stop voor Z-nulpunt na toolwissel",
+    "form.toolChangeProbeTitle": "Voegt na elke toolwissel een extra M0-stop toe, zodat je Z voor de nieuwe frees opnieuw kunt proben of afnemen.",
     "form.outlineHint": "Gebruik een V-vormig freesje voor de beste resultaten bij outline-gravering.",
 
+    "form.finishLegend": "Nabewerking (finish pass)",
+    "form.finishEnabled": "Voorfrezen + nabewerken",
+    "form.finishEnabledTitle": "Voorfrezen met overmaat op de wanden, daarna in een aparte nabewerking op eindmaat frezen",
+    "form.finishAllowance": "Radiale overmaat (mm)",
+    "form.finishAllowanceTitle": "Materiaal dat het voorfrezen op de wanden laat staan",
+    "form.finishFloorAllowance": "Bodemovermaat (mm)",
+    "form.finishFloorAllowanceTitle": "Materiaal dat het voorfrezen op de bodem laat staan; 0 = voorfrezen tot einddiepte",
+    "form.finishStepdown": "Stepdown nabewerking (mm)",
+    "form.finishStepdownTitle": "Max. laaghoogte van de nabewerking; 0 = volle diepte in één keer",
+    "form.finishFeedrate": "Voeding nabewerking (mm/min)",
+    "form.finishDirection": "Freesrichting nabewerking",
+    "form.chamferLegend": "Afschuining (chamfer)",
+    "form.chamferEnabled": "Randen afschuinen",
+    "form.chamferEnabledTitle": "Na de bewerking de bovenranden afschuinen met een V-frees of chamfermill",
+    "form.chamferTool": "Frees voor afschuining",
+    "form.chamferToolTitle": "Frees uit de bibliotheek voor de afschuining (toolwissel); anders wordt de huidige frees gebruikt",
+    "form.chamferAngle": "Tophoek V-frees (°)",
+    "form.chamferAngleTitle": "Tophoek van de V-frees of chamfermill, bijv. 90° voor een afschuining van 45°",
+    "form.chamferTipDiameter": "Puntdiameter (mm)",
+    "form.chamferTipDiameterTitle": "Vlakke punt van de frees; 0 = scherpe punt",
+    "form.chamferWidth": "Breedte afschuining (mm)",
+    "form.chamferWidthTitle": "Breedte van de afschuining, gemeten op het bovenvlak",
+    "form.chamferFeedrate": "Voeding afschuining (mm/min)",
+    "form.vcarveAngle": "Tophoek V-frees (°)",
+    "form.vcarveAngleTitle": "Tophoek van de V-frees, bijv. 60° of 90°",
+    "form.vcarveMaxDepth": "Maximale diepte (mm)",
+    "form.vcarveMaxDepthTitle": "Bredere delen worden op deze diepte vlak gefreesd en uitgeruimd",
+    "form.vcarveClearTool": "Frees voor uitruimen",
+    "form.vcarveClearToolTitle": "Vlakke frees uit de bibliotheek die eerst de vlakke bodems uitruimt (toolwissel); anders doet de V-frees dat",
+    "form.millingDirectionClimb": "Meelopend (climb)",
+    "form.millingDirectionConventional": "Tegenlopend (conventioneel)",
+
     "form.originLegend": "Origin (nulpunten)",
     "form.xyOrigin": "XY-origin",
     "form.xyOriginCenter": "Midden van de vorm",
@@ -399,6 +928,7 @@ const TRANSLATIONS = {
     "form.patternedHolesDiameterIn": "Diameter (in)",
     "form.patternedHolesSpacingXIn": "Hartafstand X (in)",
     "form.patternedHolesSpacingYIn": "Hartafstand Y (in)",
+    "form.patternedHolesPitchDiameterIn": "Steekcirkeldiameter (in)",
     "form.diameterIn": "Diameter (in)",
     "form.counterboreHeadDiameterIn": "Diameter kop (in)",
     "form.counterboreDepthIn": "Diepte verzinking (in)",
@@ -406,10 +936,19 @@ const TRANSLATIONS = {
     "form.sideIn": "Zijde (in)",
     "form.widthIn": "Breedte (in)",
     "form.heightIn": "Hoogte (in)",
+    "form.cornerRadiusIn": "Hoekradius (in)",
+    "form.cornerRadiusTopLeftIn": "Linksboven (in)",
+    "form.cornerRadiusTopRightIn": "Rechtsboven (in)",
+    "form.cornerRadiusBottomLeftIn": "Linksonder (in)",
+    "form.cornerRadiusBottomRightIn": "Rechtsonder (in)",
     "form.hexagonHeightIn": "Hoogte (in)",
     "form.majorAxisIn": "Grote as X (in)",
     "form.minorAxisIn": "Kleine as Y (in)",
     "form.letterSizeIn": "Lettergrootte (in)",
+    "form.letterSpacingIn": "Extra letterafstand (in)",
+    "form.letterArcRadiusIn": "Boogstraal (in)",
+    "form.letterBatchSpacingXIn": "Steek X (in)",
+    "form.letterBatchSpacingYIn": "Steek Y (in)",
     "form.tabIntervalIn": "Interval langs contour (in)",
     "form.tabWidthIn": "Tab-breedte (in)",
     "form.tabHeightIn": "Tab-hoogte (in, restmateriaal)",
@@ -417,6 +956,20 @@ const TRANSLATIONS = {
     "form.totalDepthIn": "Totale diepte (in)",
     "form.stepdownIn": "Stepdown per laag (in)",
     "form.feedrateIn": "Voedingssnelheid F (in/min)",
+    "form.plungeFeedrateIn": "Insteekvoeding (in/min)",
+    "form.finishAllowanceIn": "Radiale overmaat (in)",
+    "form.finishFloorAllowanceIn": "Bodemovermaat (in)",
+    "form.finishStepdownIn": "Stepdown nabewerking (in)",
+    "form.finishFeedrateIn": "Voeding nabewerking (in/min)",
+    "form.chamferTipDiameterIn": "Puntdiameter (in)",
+    "form.chamferWidthIn": "Breedte afschuining (in)",
+    "form.chamferFeedrateIn": "Voeding afschuining (in/min)",
+    "form.vcarveMaxDepthIn": "Maximale diepte (in)",
+    "form.peckDepthIn": "Pikdiepte (in)",
+    "form.threadDiameterIn": "Nominale diameter (in)",
+    "form.threadPitchIn": "Spoed (in)",
+    "form.threadLengthIn": "Draadlengte (in)",
+    "form.threadCutterLengthIn": "Snijlengte frees (in)",
     "form.safeHeightIn": "Veilige hoogte Z (in)",
     "form.leadInAboveIn": "Lead-in boven materiaal (in)",
     "form.zOffsetIn": "Z-offset (in, optioneel)",
@@ -456,6 +1009,7 @@ const TRANSLATIONS = {
     "preview.estimatedTimeSec": "{{sec}} s",
     "preview.estimatedTimeMin": "{{min}} min",
     "preview.estimatedTimeHMin": "{{h}} u {{m}} min",
+    "preview.pitchCircle": "Steekcirkel {{diameter}}",
 
     "footer.warning": "Let op: controleer altijd de gcode in een simulator en test met luchtfrees / zacht materiaal voordat je echt materiaal freest.",
 
@@ -464,40 +1018,113 @@ const TRANSLATIONS = {
     "gcode.comment.unitsMm": "mm",
     "gcode.comment.unitsInch": "inch",
     "gcode.comment.absolute": "absolute positionering",
+    "gcode.comment.postProcessor": "postprocessor: {{name}}",
+    "gcode.comment.operation": "bewerking {{n}}/{{total}}: {{name}}",
+    "gcode.comment.tool": "frees T{{number}}: {{diameter}} {{name}}",
+    "gcode.comment.toolChange": "wissel naar frees T{{number}}: {{diameter}} {{name}}",
+    "gcode.comment.toolChangeManual": "wissel naar frees: {{tool}}",
+    "gcode.comment.jobOperationTool": "frees van {{diameter}} voor bewerking {{n}}",
+    "gcode.comment.touchOff": "Z-nulpunt opnieuw bepalen voor de nieuwe frees",
+    "gcode.comment.pause": "pauze",
+    "gcode.comment.boltHole": "boutgat",
+    "gcode.comment.finishPass": "nabewerking",
+    "gcode.comment.chamfer": "afschuining",
+    "gcode.comment.chamferTool": "V-frees voor de afschuining",
+    "gcode.comment.vcarve": "V-carve",
+    "gcode.comment.vcarveClear": "V-carve uitruimen",
     "gcode.comment.spindleOn": "frees aan",
     "gcode.comment.spindleOff": "frees uit",
 
     "error.positive": "{{label}} moet een positief getal zijn.",
     "error.leadInNegative": "Lead-in boven materiaal mag niet negatief zijn.",
+    "error.patternedHolesArcSpan": "De boog moet groter dan 0° en hoogstens 360° zijn.",
+    "error.patternedHolesOverlap": "De gaten overlappen: de hartafstand tussen naburige gaten is kleiner dan de gatdiameter. Vergroot de hartafstand of steekcirkeldiameter, of gebruik minder gaten.",
+    "error.cornerRadiusNegative": "Hoekradius mag niet negatief zijn.",
+    "error.cornerRadiusTooBig": "Hoekradius mag niet groter zijn dan de helft van de kortste zijde.",
+    "error.cornerRadiusBelowTool": "Een binnenhoek kan geen kleinere radius hebben dan de freesstraal ({{min}}). Gebruik 0 voor de radius van de frees zelf, een grotere radius of een kleinere frees.",
+    "error.finishNegative": "Overmaat en stepdown van de nabewerking kunnen niet negatief zijn.",
+    "error.finishFloorAllowanceTooBig": "De bodemovermaat moet kleiner zijn dan de totale diepte.",
+    "error.finishAllowanceTooBig": "De vorm is te klein voor de frees plus twee keer de radiale overmaat.",
+    "error.chamferAngle": "De tophoek van de V-frees moet tussen 0° en 180° liggen.",
+    "error.chamferTipNegative": "De puntdiameter kan niet negatief zijn.",
+    "error.chamferTooDeep": "De afschuining is dieper dan de wand die hij afschuint; maak de afschuining smaller.",
+    "error.chamferWidthTooBig": "De afschuining is te breed voor de frees (max. {{max}}).",
+    "error.vcarveAngle": "De tophoek van de V-frees moet tussen 0° en 180° liggen.",
+    "error.vcarveTooDeepForTool": "De maximale diepte is dieper dan de V-frees bij zijn diameter kan snijden (max. {{max}}).",
+    "error.vcarveClearToolNeedsTool": "Kies bij een uitruimfrees ook de V-frees uit de bibliotheek, zodat er gewisseld kan worden.",
     "error.stepdownTooBig": "Stepdown mag niet groter zijn dan de totale diepte.",
     "error.stepoverTooBig": "Stepover (berekend in mm) mag niet groter zijn dan de freesdiameter.",
+    "error.pocketEngagementTooBig": "De max. aangrijping mag hooguit 50% van de freesdiameter zijn.",
+    "error.pocketAdaptiveTooManyLoops": "Adaptief ruimen vraagt meer dan {{max}} lussen per laag. Verhoog de max. aangrijping of gebruik de spiraalstrategie.",
     "error.enterText": "Voer tekst in om te graveren.",
     "error.unknownShape": "Onbekend vormtype.",
     "error.pocketSmallerThanTool": "De pocket/contour is kleiner dan de freesdiameter. Kies een kleinere frees of maak de vorm groter.",
+    "error.drillLargerThanHole": "De boor is groter dan de gatdiameter. Kies een kleinere boor of maak het gat groter.",
     "error.facingShapeRequired": "Bij vlakken kies Vierkant of Rechthoek als vorm.",
     "error.counterboreHeadSmallerThanBolt": "Diameter kop moet groter dan of gelijk aan de diameter van de bout zijn.",
+    "error.threadToolTooBig": "De draadfrees moet kleiner zijn dan de kerndiameter van het gat ({{max}}).",
+    "error.threadCutterTooShort": "De snijlengte van de frees moet minstens één spoed zijn.",
     "error.counterboreTotalDepthTooSmall": "Totale diepte moet groter zijn dan de diepte van de verzinking.",
     "error.lettersToolTooBig": "De frees past niet binnen de letters (te smalle delen). Kies een kleinere frees of grotere letters.",
-    "error.dxfNoFile": "Geen DXF-bestand gekozen.",
-    "error.dxfNoContours": "Geen gesloten contouren gevonden in het DXF-bestand.",
+    "error.dxfNoFile": "Geen DXF- of SVG-bestand gekozen.",
+    "error.dxfNoContours": "Geen gesloten contouren gevonden in het DXF- of SVG-bestand.",
+    "error.dxfLayerDepth": "De diepte voor laag {{layer}} moet groter dan 0 zijn.",
+    "error.dxfLayerDepthBelowStock": "De diepte voor laag {{layer}} is groter dan de totale diepte; met Z0 aan de onderkant is dat de materiaaldikte.",
+    "error.dxfLayerNoContours": "Geen bruikbare contouren op laag {{layers}}.",
+    "error.dxfJoinToleranceNegative": "De verbindtolerantie mag niet negatief zijn.",
     "error.dxfParserNotLoaded": "DXF-parser niet geladen. Controleer het laden van scripts.",
     "error.dxfParseFailed": "DXF parsen mislukt: ",
+    "error.svgParseFailed": "SVG parsen mislukt: het bestand is geen geldige SVG/XML.",
     "error.dxfNoPocketableContours": "Geen contouren konden worden uitgepocket (frees te groot of contouren te klein). ",
     "error.dxfOffsetFailed": "Offset mislukt voor contour (frees mogelijk te groot of contour te smal).",
     "error.dxfProcessingFailed": "Fout bij verwerken DXF. Mogelijke oorzaken: bestand niet 2D, beschadigd of niet ondersteund; frees te groot; contour te smal.",
     "error.dxfMultipleContoursInside": "Meerdere contouren gedetecteerd. Binnencontour is hiermee niet mogelijk.",
-    "error.dxfMultipleContoursPocket": "Meerdere contouren gedetecteerd. Pocket is hiermee niet mogelijk.",
     "error.dxfPocketNotSupported": "Pocket is niet beschikbaar voor DXF. Gebruik alleen Contour.",
     "error.fontNotLoaded": "Lettertype kon niet geladen worden: ",
     "error.opentypeNotLoaded": "Opentype.js is niet geladen. Laad de pagina opnieuw.",
+    "error.singleLineFontNotLoaded": "Enkel-lijns lettertypen (hershey-fonts.js) zijn niet geladen. Laad de pagina opnieuw.",
+    "error.singleLineFontOutlineOnly": "Een enkel-lijns lettertype kan alleen als outline gegraveerd worden; kies een gevuld lettertype om de letters uit te frezen of te V-carven.",
+    "error.singleLineFontUnsupportedChars": "Het enkel-lijns lettertype kan {{chars}} niet graveren; het bevat alleen gewone ASCII-letters, -cijfers en -leestekens.",
+    "error.fontFileInvalid": "Dit bestand is geen leesbaar TTF-, OTF- of WOFF-lettertype.",
+    "error.fontStorageFull": "Het lettertype past niet in de browseropslag. Verwijder een ander eigen lettertype of kies een kleiner bestand.",
+    "error.customFontMissing": "Het gekozen eigen lettertype staat niet meer in de browseropslag. Upload het opnieuw.",
+    "error.letterArcRadiusTooSmall": "De boogstraal is te klein voor het aantal regels aan de buitenkant van de boog.",
+    "error.letterPathMissing": "Kies een DXF-bestand met een polylijn, boog of lijn als pad voor de tekst.",
+    "error.letterBatchEmpty": "De reeks bevat geen labels: gebruik een nummerreeks zoals {0001..0050} in de tekst of kies een CSV-bestand.",
+    "error.letterBatchTooLarge": "De reeks bevat {{count}} labels; maximaal {{max}} is mogelijk.",
+    "error.letterBatchFilesInJob": "Eén .nc per label kan niet aan een job worden toegevoegd; kies Raster op één plaat of genereer de zip.",
     "error.copySuccess": "Gcode gekopieerd naar klembord.",
     "error.copyFailed": "Kopiëren naar klembord is mislukt.",
     "error.generateFailed": "Fout bij genereren: ",
+    "error.jobEmpty": "De job bevat nog geen bewerkingen.",
+    "job.legend": "Job (meerdere bewerkingen)",
+    "job.hint": "Stel een bewerking in en voeg die toe aan de job. Alle bewerkingen worden in één programma gezet, elk met een eigen verschuiving van het nulpunt.",
+    "job.empty": "Nog geen bewerkingen in de job.",
+    "job.add": "Toevoegen aan job",
+    "job.generate": "Genereer job",
+    "job.clear": "Job wissen",
+    "job.offsetX": "Verschuiving X ({{unit}})",
+    "job.offsetY": "Verschuiving Y ({{unit}})",
+    "job.moveUp": "Omhoog",
+    "job.moveDown": "Omlaag",
+    "job.remove": "Verwijderen uit job",
     "field.toolDiameter": "Freesdiameter",
     "field.totalDepth": "Totale diepte",
     "field.stepdown": "Stepdown",
     "field.stepover": "Stepover (percentage van freesdiameter)",
+    "field.pocketEngagement": "Max. aangrijping",
     "field.feedrate": "Voedingssnelheid",
+    "field.plungeFeedrate": "Insteekvoeding",
+    "field.finishFeedrate": "Voeding nabewerking",
+    "field.chamferWidth": "Breedte afschuining",
+    "field.chamferFeedrate": "Voeding afschuining",
+    "field.vcarveMaxDepth": "Maximale diepte",
+    "field.peckDepth": "Pikdiepte",
+    "field.drillDwell": "Pauze op de bodem",
+    "field.threadDiameter": "Nominale diameter",
+    "field.threadPitch": "Spoed",
+    "field.threadLength": "Draadlengte",
+    "field.threadCutterLength": "Snijlengte frees",
     "field.safeHeight": "Veilige hoogte Z",
     "field.rampAngle": "Max. ramp-hoek",
     "field.tabInterval": "Tab-interval",
@@ -511,6 +1138,10 @@ const TRANSLATIONS = {
     "field.minorAxis": "Kleine as Y",
     "field.hexagonHeight": "Hoogte",
     "field.letterSize": "Lettergrootte",
+    "field.letterLineHeight": "Regelafstand",
+    "field.letterArcRadius": "Boogstraal",
+    "field.letterBatchSpacingX": "Steek labels X",
+    "field.letterBatchSpacingY": "Steek labels Y",
     "field.stepoverPct": "Stepover (berekend in mm)",
     "field.counterboreHeadDiameter": "Diameter kop",
     "field.counterboreDepth": "Diepte verzinking",
@@ -520,6 +1151,8 @@ const TRANSLATIONS = {
     "field.patternedHolesSpacingY": "Hartafstand Y",
     "field.patternedHolesCountX": "Aantal gaten X",
     "field.patternedHolesCountY": "Aantal gaten Y",
+    "field.patternedHolesPitchDiameter": "Steekcirkeldiameter",
+    "field.patternedHolesCount": "Aantal gaten",
     "form.stepoverMmHint": "({{val}} mm)",
     "form.stepoverPctHint": "({{pct}}% van frees)",
   },
@@ -540,9 +1173,15 @@ const TRANSLATIONS = {
     "settings.mode": "Mode",
     "settings.modeSimple": "Simple",
     "settings.modeAdvanced": "Advanced",
+    "settings.postProcessor": "Postprozessor",
     "settings.importExport": "Import/Export",
     "settings.exportMachine": "Einstellungen exportieren",
     "settings.importMachine": "Einstellungen importieren",
+    "settings.exportTools": "Werkzeugbibliothek exportieren",
+    "settings.importTools": "Werkzeugbibliothek importieren",
+    "settings.exportToolsSuccess": "Werkzeugbibliothek exportiert.",
+    "settings.importToolsSuccess": "Werkzeugbibliothek importiert.",
+    "settings.importToolsInvalid": "keine Werkzeugliste in der Datei gefunden.",
     "settings.exportSuccess": "Maschineneinstellungen exportiert.",
     "settings.importSuccess": "Maschineneinstellungen importiert.",
     "settings.importError": "Import fehlgeschlagen: ",
@@ -564,10 +1203,27 @@ const TRANSLATIONS = {
     "form.shapeLetters": "Buchstaben (Gravur)",
     "form.shapeCounterboreBolt": "Versenkbohrung",
     "form.shapePatternedHoles": "Lochmuster",
-    "form.shapeDxf": "DXF (Konturen)",
-    "form.dxfFile": "DXF-Datei",
+    "form.shapeThreadMill": "Gewindefräsen",
+    "form.shapeDxf": "DXF / SVG (Konturen)",
+    "form.dxfFile": "DXF- oder SVG-Datei",
     "form.dxfFileChoose": "Datei wählen",
-    "form.dxfFileHint": "Wählen Sie eine .dxf-Datei. Geschlossene Konturen (Linien, Polylinien, Kreise, Bögen) werden erkannt und gefräst.",
+    "form.dxfFileHint": "Wählen Sie eine .dxf- oder .svg-Datei. DXF: Geschlossene Konturen (Linien, Polylinien, Kreise, Bögen, Ellipsen, Splines, auch in Blöcken) werden erkannt und gefräst; Punkte können über die Layerliste gebohrt werden. SVG: Pfade (auch Bézierkurven und Bögen), Rechtecke, Kreise, Ellipsen, Polygone und Polylinien, mit Gruppentransformationen, über width/height und viewBox in mm skaliert; Inkscape-Ebenen erscheinen als Layer.",
+    "form.dxfSkippedTypes": "Nicht importiert: {{types}}",
+    "form.dxfLayers": "Ebenen",
+    "form.dxfLayersTitle": "Bearbeitung und Tiefe pro Ebene der Zeichnung. Ebenen mit gleicher Bearbeitung und Tiefe werden zusammen gefräst; Reihenfolge: Bohren, Gravieren, Taschen, Innenkonturen, Außenkonturen zuletzt",
+    "form.dxfLayersEmpty": "Die Ebenen der Zeichnung erscheinen hier nach der Dateiauswahl.",
+    "form.dxfLayerOperation": "Bearbeitung für diese Ebene",
+    "form.dxfLayerOpDefault": "Bearbeitung aus dem Formular",
+    "form.dxfLayerOpOutside": "Kontur außen",
+    "form.dxfLayerOpInside": "Kontur innen",
+    "form.dxfLayerOpPocket": "Tasche",
+    "form.dxfLayerOpEngrave": "Gravieren (auf der Linie)",
+    "form.dxfLayerOpDrill": "Bohren (Mittelpunkte)",
+    "form.dxfLayerOpIgnore": "Ignorieren",
+    "form.dxfLayerDepth": "Tiefe",
+    "form.dxfLayerDepthTitle": "Tiefe für diese Ebene; leer = Gesamttiefe aus dem Formular",
+    "form.dxfJoinTolerance": "Verbindungstoleranz (mm)",
+    "form.dxfJoinToleranceTitle": "Beim Gravieren auf der Linie werden Enden von Linien und Bögen, die näher beieinander liegen, zu einem Pfad verbunden, sodass der Fräser dazwischen nicht abhebt",
     "form.dxfOrientation": "Ausrichtung",
     "form.dxfOrientation0": "Normal (0°)",
     "form.dxfOrientation90": "90° rechts (im Uhrzeigersinn)",
@@ -575,39 +1231,138 @@ const TRANSLATIONS = {
     "form.dxfOrientation180": "180° (auf dem Kopf)",
     "form.patternedHolesPresetsNone": "—",
     "form.patternedHolesPresetMFT": "Festool MFT (20,2 mm, 96 mm)",
+    "form.patternedHolesLayout": "Muster",
+    "form.patternedHolesLayoutGrid": "Raster",
+    "form.patternedHolesLayoutPolar": "Lochkreis",
     "form.patternedHolesDiameter": "Durchmesser (mm)",
     "form.patternedHolesSpacingX": "Mittenabstand X (mm)",
     "form.patternedHolesSpacingY": "Mittenabstand Y (mm)",
     "form.patternedHolesCountX": "Anzahl Bohrungen X",
     "form.patternedHolesCountY": "Anzahl Bohrungen Y",
+    "form.patternedHolesPitchDiameter": "Lochkreisdurchmesser (mm)",
+    "form.patternedHolesCount": "Anzahl Bohrungen",
+    "form.patternedHolesStartAngle": "Startwinkel (°)",
+    "form.patternedHolesArcSpan": "Bogenwinkel (°)",
+    "form.patternedHolesArcSpanTitle": "360° verteilt die Bohrungen gleichmäßig auf den ganzen Kreis; weniger setzt die erste und letzte Bohrung an die Enden des Bogens",
     "form.patternedHolesTotalHintMm": "Gesamtabstand {{axis}}: {{total}} mm",
     "form.patternedHolesTotalHintIn": "Gesamtabstand {{axis}}: {{total}} in",
     "form.diameter": "Durchmesser (mm)",
     "form.counterboreHeadDiameter": "Kopfdurchmesser (mm)",
     "form.counterboreDepth": "Senktiefe (mm)",
     "form.counterboreBoltDiameter": "Schraubendurchmesser (mm)",
+    "form.counterboreBoltTool": "Werkzeug für Schraubenloch",
+    "form.counterboreBoltToolTitle": "Das Schraubenloch mit einem anderen Werkzeug aus der Bibliothek fräsen; das Programm enthält dann einen Werkzeugwechsel zwischen Kopf und Schraubenloch.",
+    "form.holeMethod": "Löcher herstellen durch",
+    "form.holeMethodTitle": "Fräsen: Spirale mit dem Fräser. Bohren: gerader Bohrzyklus mit einem Bohrer in Lochgröße.",
+    "form.holeMethodMill": "Fräsen (Spirale)",
+    "form.holeMethodDrill": "Bohren (Bohrzyklus)",
+    "form.drillCycle": "Bohrzyklus",
+    "form.drillCycleSimple": "Einfaches Bohren (G81)",
+    "form.drillCyclePeck": "Tieflochbohren (G83)",
+    "form.drillCycleDwell": "Bohren mit Verweilzeit (G82)",
+    "form.peckDepth": "Zustelltiefe (mm)",
+    "form.peckDepthTitle": "Tiefe pro Zustellung; danach fährt der Bohrer zum Entspanen zurück",
+    "form.drillDwell": "Verweilzeit am Grund (s)",
+    "form.drillDwellTitle": "Pause am Lochgrund, z. B. für einen sauberen Grund oder beim Zentrieren",
+    "form.threadPresetsNone": "—",
+    "form.threadDiameter": "Nenndurchmesser (mm)",
+    "form.threadPitch": "Steigung (mm)",
+    "form.threadLength": "Gewindelänge (mm)",
+    "form.threadType": "Gewindeart",
+    "form.threadTypeTitle": "Innengewinde: Loch vorher auf Kerndurchmesser bohren (M6: 5,0 mm, M8: 6,8 mm). Außengewinde: der Fräser arbeitet bis zum Kerndurchmesser des Bolzens.",
+    "form.threadInternal": "Innengewinde (Loch)",
+    "form.threadExternal": "Außengewinde (Zapfen)",
+    "form.threadHand": "Gewinderichtung",
+    "form.threadRight": "Rechtsgewinde",
+    "form.threadLeft": "Linksgewinde",
+    "form.threadCutter": "Gewindefräser",
+    "form.threadCutterSingle": "Einzahn",
+    "form.threadCutterMulti": "Mehrzahn (mehrere Gänge)",
+    "form.threadCutterLength": "Schneidlänge Fräser (mm)",
+    "form.threadCutterLengthTitle": "Länge des verzahnten Teils; der Fräser macht pro Stufe dieser Länge eine Umdrehung",
     "form.side": "Seite (mm)",
     "form.width": "Breite (mm)",
     "form.height": "Höhe (mm)",
+    "form.cornerRadius": "Eckenradius (mm)",
+    "form.cornerRadiusPerCorner": "Je Ecke",
+    "form.cornerRadiusPerCornerTitle": "Für jede Ecke einen eigenen Radius festlegen",
+    "form.cornerRadiusTopLeft": "Oben links (mm)",
+    "form.cornerRadiusTopRight": "Oben rechts (mm)",
+    "form.cornerRadiusBottomLeft": "Unten links (mm)",
+    "form.cornerRadiusBottomRight": "Unten rechts (mm)",
     "form.majorAxis": "Große Achse X (mm)",
     "form.minorAxis": "Kleine Achse Y (mm)",
     "form.letterText": "Text",
     "form.letterTextPlaceholder": "Text zum Gravieren hier eingeben…",
     "form.letterSize": "Schriftgröße (mm)",
+    "form.letterFont": "Schriftart",
+    "form.letterFontTitle": "Gefüllte Schrift (Kontur, V-Carve) oder Einlinienschrift, deren Linien der Fräser einmal abfährt",
+    "form.letterFontRoboto": "Roboto Black (gefüllt)",
+    "form.letterFontHersheySimplex": "Hershey Simplex (Einlinie)",
+    "form.letterFontHersheyScript": "Hershey Script (Einlinie)",
+    "form.letterFontCustomGroup": "Eigene Schriftarten",
+    "form.letterFontUpload": "Eigene Schriftart",
+    "form.letterFontUploadTitle": "TTF-, OTF- oder WOFF-Datei hochladen; sie bleibt in diesem Browser gespeichert und erscheint in der Schriftartenliste",
+    "form.letterFontUploadChoose": "Hochladen (TTF/OTF/WOFF)",
+    "form.letterFontRemove": "Entfernen",
+    "form.letterSpacing": "Zusätzlicher Zeichenabstand (mm)",
+    "form.letterSpacingTitle": "Wird zwischen den Zeichen addiert; negativ rückt sie enger zusammen",
+    "form.letterLineHeight": "Zeilenabstand (× Schriftgröße)",
+    "form.letterLineHeightTitle": "Abstand zwischen Textzeilen als Vielfaches der Schriftgröße",
+    "form.letterAlign": "Ausrichtung",
+    "form.letterAlignLeft": "Links",
+    "form.letterAlignCenter": "Mitte",
+    "form.letterAlignRight": "Rechts",
+    "form.letterLayout": "Text entlang",
+    "form.letterLayoutTitle": "Gerade Zeilen, um einen Kreisbogen (Randtext) oder entlang eines Pfads aus einer DXF-Datei",
+    "form.letterLayoutStraight": "Gerade Zeilen",
+    "form.letterLayoutArc": "Kreisbogen",
+    "form.letterLayoutPath": "DXF-Pfad",
+    "form.letterArcRadius": "Bogenradius (mm)",
+    "form.letterArcRadiusTitle": "Radius der Grundlinie der ersten Zeile; der Bogenmittelpunkt ist der Nullpunkt bei XY-Nullpunkt Mitte",
+    "form.letterArcAngle": "Startwinkel (°)",
+    "form.letterArcAngleTitle": "Lage des Textes auf dem Bogen: 0° = rechts, 90° = oben, 270° = unten; die Ausrichtung bestimmt, ob der Text hier beginnt, zentriert ist oder endet",
+    "form.letterArcSide": "Seite des Bogens",
+    "form.letterArcSideOutside": "Außen (im Uhrzeigersinn lesbar)",
+    "form.letterArcSideInside": "Innen (gegen den Uhrzeigersinn lesbar)",
+    "form.letterPathFile": "Pfad (DXF)",
+    "form.letterPathFileTitle": "Die längste Polylinie, der längste Bogen oder die längste Linie der DXF wird verwendet; der Text folgt der Laufrichtung, oben ist links",
+    "form.letterPathReverse": "Pfad umkehren",
+    "form.letterPathReverseTitle": "Text vom anderen Ende des Pfads laufen lassen (dreht auch, welche Seite oben ist)",
+    "form.letterPreview": "Vorschau",
     "form.letterMode": "Buchstabenbearbeitung",
     "form.letterModeOutline": "Kontur (Umriss der Buchstaben)",
+    "form.letterModeVCarve": "V-Carve (Tiefe folgt der Buchstabenbreite)",
     "form.letterOrientation": "Textausrichtung",
     "form.letterOrientation0": "Normal (0°)",
     "form.letterOrientation90": "90° rechts (im Uhrzeigersinn)",
     "form.letterOrientationMinus90": "90° links (gegen Uhrzeigersinn)",
     "form.letterOrientation180": "180° (auf dem Kopf)",
+    "form.letterBatch": "Etikettenserie",
+    "form.letterBatchTitle": "Eine Serie von Etiketten gravieren: der Text ist eine Vorlage, z. B. TAG-{0001..0050} für einen Nummernbereich oder {Name} für eine CSV-Spalte",
+    "form.letterBatchNone": "Keine (ein Text)",
+    "form.letterBatchGrid": "Raster auf einer Platte",
+    "form.letterBatchFiles": "Eine .nc pro Etikett (Zip)",
+    "form.letterBatchCsv": "CSV (optional)",
+    "form.letterBatchCsvTitle": "Ein Etikett pro Zeile. Mit {Spalte} im Text enthält die erste Zeile die Spaltennamen; ohne {Spalte} ist jede Zeile ein Etikett und ihre Zellen kommen als Zeilen unter den Text",
+    "form.letterBatchColumns": "Etiketten pro Reihe",
+    "form.letterBatchSpacingX": "Abstand X (mm)",
+    "form.letterBatchSpacingY": "Abstand Y (mm)",
+    "form.letterBatchSpacingTitle": "Abstand zwischen den Mitten benachbarter Etiketten; jedes Etikett wird in seiner Zelle zentriert",
+    "form.letterBatchCount": "{{count}} Etiketten",
     "form.operation": "Bearbeitung",
     "form.operationPocket": "Tasche (Innenfräsen)",
     "form.operationContour": "Kontur (ausschneiden / außen)",
+    "form.operationVCarve": "V-Carve (gravieren mit V-Fräser)",
+    "form.operationEngrave": "Gravieren auf der Linie (offene Pfade)",
     "form.operationFacing": "Planen (Oberflächenfräsen)",
     "form.facingMode": "Planen-Modus",
     "form.facingWithin": "Innen (Fräser bleibt im Bereich)",
     "form.facingFull": "Volle Abdeckung (gesamter Bereich)",
+    "form.facingPattern": "Planbahnen",
+    "form.facingPatternTitle": "Zickzack: hin und her ohne Abheben. Eine Richtung: jede Bahn in derselben Richtung (Gleich- oder Gegenlauf), mit Abheben zwischen den Bahnen",
+    "form.facingAngle": "Winkel der Planbahnen (°)",
+    "form.facingAngleTitle": "Winkel der Planbahnen zur X-Achse",
     "form.contourType": "Konturtyp",
     "form.contourOutside": "Außenkontur (Form ausschneiden)",
     "form.contourInside": "Innenkontur (Innenseite der Form)",
@@ -626,6 +1381,31 @@ const TRANSLATIONS = {
     "form.presetsNone": "—",
 
     "form.cutLegend": "Fräser & Schnittparameter",
+    "tools.select": "Werkzeug aus Bibliothek",
+    "tools.manual": "Manuell (kein Werkzeug gewählt)",
+    "tools.sameTool": "Gleiches Werkzeug wie Senkung",
+    "tools.noToolChange": "Kein Werkzeugwechsel (aktuelles Werkzeug)",
+    "tools.vcarveNoClearTool": "Keins (V-Fräser räumt selbst aus)",
+    "tools.edit": "Bibliothek bearbeiten",
+    "tools.empty": "Noch keine Werkzeuge in der Bibliothek.",
+    "tools.add": "Werkzeug hinzufügen",
+    "tools.addCurrent": "Aktuelle Einstellungen als Werkzeug",
+    "tools.remove": "Werkzeug entfernen",
+    "tools.number": "Werkzeugnummer (T)",
+    "tools.name": "Name",
+    "tools.typeLabel": "Typ",
+    "tools.diameter": "Durchmesser ({{unit}})",
+    "tools.fluteCount": "Schneiden",
+    "tools.fluteLength": "Schneidenlänge ({{unit}})",
+    "tools.feedrate": "Vorschub ({{unit}})",
+    "tools.plungeFeedrate": "Eintauchvorschub ({{unit}})",
+    "tools.spindleSpeed": "Spindeldrehzahl (U/min)",
+    "tools.maxStepdown": "Max. Zustellung ({{unit}})",
+    "tools.type.endmill": "Schaftfräser",
+    "tools.type.ballmill": "Kugelfräser",
+    "tools.type.vbit": "V-Fräser",
+    "tools.type.drill": "Bohrer",
+    "tools.type.threadmill": "Gewindefräser",
     "form.toolDiameter": "Fräserdurchmesser (mm)",
     "form.totalDepth": "Gesamttiefe (mm)",
     "form.multipleDepths": "Mehrere Tiefen",
@@ -633,14 +1413,79 @@ const TRANSLATIONS = {
     "form.stepover": "Überlappung",
     "form.stepoverUnit": "Überlappung Einheit",
     "form.stepoverTitle": "100% = Fräserdurchmesser",
+    "form.pocketStrategy": "Taschenstrategie",
+    "form.pocketStrategyTitle": "Spirale: konzentrische Bahnen im Abstand der seitlichen Zustellung; in der ersten Bahn und in Ecken greift der Fräser über die volle Breite ein. Adaptiv: der Fräser fährt kleine trochoidale Schleifen, sodass der Eingriff nie über dem eingestellten Maximum liegt; geeignet für volle Tiefe in Aluminium. Raster: parallele Bahnen im Abstand der seitlichen Zustellung unter einem einstellbaren Winkel, auf die Tasche zugeschnitten; optional gefolgt von einer Bahn entlang der Wand",
+    "form.pocketStrategySpiral": "Spirale (konzentrisch)",
+    "form.pocketStrategyAdaptive": "Adaptiv (trochoidal, konstanter Eingriff)",
+    "form.pocketStrategyRaster": "Raster (parallele Bahnen)",
+    "form.pocketEngagement": "Max. Eingriff (% Fräserdurchmesser)",
+    "form.pocketEngagementTitle": "Maximaler Eingriff beim adaptiven Räumen, als radialer Eingriff eines geraden Schnitts mit demselben Eingriffswinkel (auch in Ecken); kleine Werte (5-15%) ermöglichen tiefe Schnitte in einem Durchgang",
+    "form.pocketRasterMode": "Rasterbahnen",
+    "form.pocketRasterModeTitle": "Zickzack: hin und her ohne Abheben, wo möglich. Eine Richtung: jede Bahn in derselben Richtung (Gleich- oder Gegenlauf), mit Abheben zwischen den Bahnen",
+    "form.pocketRasterZigzag": "Zickzack (hin und her)",
+    "form.pocketRasterOneway": "Eine Richtung",
+    "form.pocketRasterAngle": "Rasterwinkel (°)",
+    "form.pocketRasterAngleTitle": "Winkel der Rasterbahnen zur X-Achse",
+    "form.pocketRasterCleanup": "Rand nachfräsen",
+    "form.pocketRasterCleanupTitle": "Abschließend eine Bahn entlang der Taschenwand und um Inseln, um die Reste an den Enden der Rasterbahnen zu entfernen",
+    "form.millingDirection": "Fräsrichtung",
+    "form.millingDirectionTitle": "Gleichlauf: der Fräser dreht mit der Vorschubrichtung (sauberere Kante, braucht eine steife Maschine). Gegenlauf: gegen die Vorschubrichtung (schonender für leichte Maschinen). Gilt für Konturen, Taschen und DXF-Pfade.",
     "form.feedrate": "Vorschub F (mm/min)",
+    "form.plungeFeedrate": "Eintauchvorschub (mm/min)",
+    "form.plungeFeedrateTitle": "Vorschub für Eintauchen und Rampen: Schnitte ohne XY-Bewegung oder mit fallendem Z",
     "form.spindleSpeedControl": "Spindelsteuerung",
     "form.spindleSpeed": "Spindeldrehzahl S (U/min)",
     "form.safeHeight": "Sicherheitshöhe Z (mm)",
     "form.leadInAbove": "Anfahrweg über Material (mm)",
     "form.leadInAboveTitle": "Nur dieser Teil über Oberfläche / Rampenstart als Schnitt; Rest Rapid",
+    "form.descentAtFeed": "Absenken mit Vorschub",
+    "form.descentAtFeedTitle": "Von der Sicherheitshöhe mit dem Eintauchvorschub (G1) statt im Eilgang (G0) absenken",
+    "form.arcOutput": "Bögen als G2/G3",
+    "form.arcOutputTitle": "Kreisbögen im Werkzeugweg erkennen und als G2/G3 statt vieler kurzer G1-Bewegungen ausgeben",
+    "form.arcFormat": "Bogenformat",
+    "form.arcFormatIJ": "I/J (Mittelpunkt relativ zum Start)",
+    "form.arcFormatR": "R (Radius)",
+    "form.toolChangeMode": "Werkzeugwechsel",
+    "form.toolChangeModeTitle": "Wie ein Wechsel zu einem anderen Werkzeug aus der Bibliothek ausgegeben wird: T# M6 für Maschinen mit Werkzeugwechsler oder eine M0-Pause für den Wechsel von Hand.",
+    "form.toolChangeAuto": "Gemäß Postprozessor",
+    "form.toolChangeM6": "T# M6 (Werkzeugwechsler)",
+    "form.toolChangeM0": "M0-Pause (manuell)",
+    "form.toolChangeProbe": "Stopp zum Z-Antasten nach Werkzeugwechsel",
+    "form.toolChangeProbeTitle": "Fügt nach jedem Werkzeugwechsel einen zusätzlichen M0-Stopp ein, damit Z für das neue Werkzeug neu angetastet werden kann.",
     "form.outlineHint": "Für beste Gravurergebnisse einen V-Fräser verwenden.",
 
+    "form.finishLegend": "Schlichten",
+    "form.finishEnabled": "Schruppen + Schlichten",
+    "form.finishEnabledTitle": "Mit Aufmaß an den Wänden schruppen, danach in einem eigenen Schlichtgang auf Endmaß fräsen",
+    "form.finishAllowance": "Radiales Aufmaß (mm)",
+    "form.finishAllowanceTitle": "Material, das beim Schruppen an den Wänden stehen bleibt",
+    "form.finishFloorAllowance": "Bodenaufmaß (mm)",
+    "form.finishFloorAllowanceTitle": "Material, das beim Schruppen am Boden stehen bleibt; 0 = bis Endtiefe schruppen",
+    "form.finishStepdown": "Zustellung Schlichten (mm)",
+    "form.finishStepdownTitle": "Max. Lagenhöhe beim Schlichten; 0 = volle Tiefe in einem Durchgang",
+    "form.finishFeedrate": "Vorschub Schlichten (mm/min)",
+    "form.finishDirection": "Fräsrichtung Schlichten",
+    "form.chamferLegend": "Fase",
+    "form.chamferEnabled": "Kanten anfasen",
+    "form.chamferEnabledTitle": "Nach der Bearbeitung die oberen Kanten mit einem V-Fräser oder Fasenfräser anfasen",
+    "form.chamferTool": "Fasenwerkzeug",
+    "form.chamferToolTitle": "Werkzeug aus der Bibliothek für die Fase (Werkzeugwechsel); sonst wird das aktuelle Werkzeug verwendet",
+    "form.chamferAngle": "Spitzenwinkel V-Fräser (°)",
+    "form.chamferAngleTitle": "Spitzenwinkel des V-Fräsers oder Fasenfräsers, z. B. 90° für eine 45°-Fase",
+    "form.chamferTipDiameter": "Spitzendurchmesser (mm)",
+    "form.chamferTipDiameterTitle": "Abgeflachte Spitze des Fräsers; 0 = scharfe Spitze",
+    "form.chamferWidth": "Fasenbreite (mm)",
+    "form.chamferWidthTitle": "Breite der Fase, gemessen an der Oberfläche",
+    "form.chamferFeedrate": "Vorschub Fase (mm/min)",
+    "form.vcarveAngle": "Spitzenwinkel V-Fräser (°)",
+    "form.vcarveAngleTitle": "Spitzenwinkel des V-Fräsers, z. B. 60° oder 90°",
+    "form.vcarveMaxDepth": "Maximale Tiefe (mm)",
+    "form.vcarveMaxDepthTitle": "Breitere Bereiche werden auf dieser Tiefe flach gefräst und ausgeräumt",
+    "form.vcarveClearTool": "Ausräumwerkzeug",
+    "form.vcarveClearToolTitle": "Flachfräser aus der Bibliothek, der zuerst die flachen Böden ausräumt (Werkzeugwechsel); sonst übernimmt das der V-Fräser",
+    "form.millingDirectionClimb": "Gleichlauf",
+    "form.millingDirectionConventional": "Gegenlauf",
+
     "form.originLegend": "Nullpunkt",
     "form.xyOrigin": "XY-Nullpunkt",
     "form.xyOriginCenter": "Formmitte",
@@ -655,6 +1500,7 @@ const TRANSLATIONS = {
     "form.patternedHolesDiameterIn": "Durchmesser (in)",
     "form.patternedHolesSpacingXIn": "Mittenabstand X (in)",
     "form.patternedHolesSpacingYIn": "Mittenabstand Y (in)",
+    "form.patternedHolesPitchDiameterIn": "Lochkreisdurchmesser (in)",
     "form.diameterIn": "Durchmesser (in)",
     "form.counterboreHeadDiameterIn": "Kopfdurchmesser (in)",
     "form.counterboreDepthIn": "Senktiefe (in)",
@@ -662,10 +1508,19 @@ const TRANSLATIONS = {
     "form.sideIn": "Seite (in)",
     "form.widthIn": "Breite (in)",
     "form.heightIn": "Höhe (in)",
+    "form.cornerRadiusIn": "Eckenradius (in)",
+    "form.cornerRadiusTopLeftIn": "Oben links (in)",
+    "form.cornerRadiusTopRightIn": "Oben rechts (in)",
+    "form.cornerRadiusBottomLeftIn": "Unten links (in)",
+    "form.cornerRadiusBottomRightIn": "Unten rechts (in)",
     "form.hexagonHeightIn": "Höhe (in)",
     "form.majorAxisIn": "Große Achse X (in)",
     "form.minorAxisIn": "Kleine Achse Y (in)",
     "form.letterSizeIn": "Schriftgröße (in)",
+    "form.letterSpacingIn": "Zusätzlicher Zeichenabstand (in)",
+    "form.letterArcRadiusIn": "Bogenradius (in)",
+    "form.letterBatchSpacingXIn": "Abstand X (in)",
+    "form.letterBatchSpacingYIn": "Abstand Y (in)",
     "form.tabIntervalIn": "Abstand entlang Kontur (in)",
     "form.tabWidthIn": "Stegbreite (in)",
     "form.tabHeightIn": "Steghöhe (in, Restmaterial)",
@@ -673,6 +1528,20 @@ const TRANSLATIONS = {
     "form.totalDepthIn": "Gesamttiefe (in)",
     "form.stepdownIn": "Abtrag pro Lage (in)",
     "form.feedrateIn": "Vorschub F (in/min)",
+    "form.plungeFeedrateIn": "Eintauchvorschub (in/min)",
+    "form.finishAllowanceIn": "Radiales Aufmaß (in)",
+    "form.finishFloorAllowanceIn": "Bodenaufmaß (in)",
+    "form.finishStepdownIn": "Zustellung Schlichten (in)",
+    "form.finishFeedrateIn": "Vorschub Schlichten (in/min)",
+    "form.chamferTipDiameterIn": "Spitzendurchmesser (in)",
+    "form.chamferWidthIn": "Fasenbreite (in)",
+    "form.chamferFeedrateIn": "Vorschub Fase (in/min)",
+    "form.vcarveMaxDepthIn": "Maximale Tiefe (in)",
+    "form.peckDepthIn": "Zustelltiefe (in)",
+    "form.threadDiameterIn": "Nenndurchmesser (in)",
+    "form.threadPitchIn": "Steigung (in)",
+    "form.threadLengthIn": "Gewindelänge (in)",
+    "form.threadCutterLengthIn": "Schneidlänge Fräser (in)",
     "form.safeHeightIn": "Sicherheitshöhe Z (in)",
     "form.leadInAboveIn": "Anfahrweg über Material (in)",
     "form.zOffsetIn": "Z-Versatz (in, optional)",
@@ -712,6 +1581,7 @@ const TRANSLATIONS = {
     "preview.estimatedTimeSec": "{{sec}} s",
     "preview.estimatedTimeMin": "{{min}} min",
     "preview.estimatedTimeHMin": "{{h}} h {{m}} min",
+    "preview.pitchCircle": "Lochkreis {{diameter}}",
 
     "footer.warning": "Hinweis: G-Code immer in einem Simulator prüfen und mit Luftlauf / weichem Material testen, bevor wirklich gefräst wird.",
 
@@ -720,40 +1590,113 @@ const TRANSLATIONS = {
     "gcode.comment.unitsMm": "mm",
     "gcode.comment.unitsInch": "Zoll",
     "gcode.comment.absolute": "absolute Positionierung",
+    "gcode.comment.postProcessor": "Postprozessor: {{name}}",
+    "gcode.comment.operation": "Bearbeitung {{n}}/{{total}}: {{name}}",
+    "gcode.comment.tool": "Werkzeug T{{number}}: {{diameter}} {{name}}",
+    "gcode.comment.toolChange": "Werkzeug wechseln auf T{{number}}: {{diameter}} {{name}}",
+    "gcode.comment.toolChangeManual": "Werkzeug wechseln auf: {{tool}}",
+    "gcode.comment.jobOperationTool": "Werkzeug {{diameter}} für Bearbeitung {{n}}",
+    "gcode.comment.touchOff": "Z für das neue Werkzeug antasten",
+    "gcode.comment.pause": "Pause",
+    "gcode.comment.boltHole": "Schraubenloch",
+    "gcode.comment.finishPass": "Schlichtgang",
+    "gcode.comment.chamfer": "Fase",
+    "gcode.comment.chamferTool": "V-Fräser für die Fase",
+    "gcode.comment.vcarve": "V-Carve",
+    "gcode.comment.vcarveClear": "V-Carve ausräumen",
     "gcode.comment.spindleOn": "Spindel an",
     "gcode.comment.spindleOff": "Spindel aus",
 
     "error.positive": "{{label}} muss eine positive Zahl sein.",
     "error.leadInNegative": "Anfahrweg über Material darf nicht negativ sein.",
+    "error.patternedHolesArcSpan": "Der Bogenwinkel muss größer als 0° und höchstens 360° sein.",
+    "error.patternedHolesOverlap": "Die Löcher überlappen: der Mittenabstand benachbarter Löcher ist kleiner als der Lochdurchmesser. Abstand oder Lochkreisdurchmesser vergrößern oder weniger Löcher verwenden.",
+    "error.cornerRadiusNegative": "Der Eckenradius darf nicht negativ sein.",
+    "error.cornerRadiusTooBig": "Der Eckenradius darf nicht größer als die halbe kürzeste Seite sein.",
+    "error.cornerRadiusBelowTool": "Ein Innenradius kann nicht kleiner als der Fräserradius ({{min}}) sein. Verwenden Sie 0 für den Radius des Fräsers selbst, einen größeren Radius oder einen kleineren Fräser.",
+    "error.finishNegative": "Aufmaße und Zustellung beim Schlichten dürfen nicht negativ sein.",
+    "error.finishFloorAllowanceTooBig": "Das Bodenaufmaß muss kleiner als die Gesamttiefe sein.",
+    "error.finishAllowanceTooBig": "Die Form ist zu klein für den Fräser plus das doppelte radiale Aufmaß.",
+    "error.chamferAngle": "Der Spitzenwinkel des V-Fräsers muss zwischen 0° und 180° liegen.",
+    "error.chamferTipNegative": "Der Spitzendurchmesser darf nicht negativ sein.",
+    "error.chamferTooDeep": "Die Fase ist tiefer als die Wand, die sie anfast; Fasenbreite verringern.",
+    "error.chamferWidthTooBig": "Die Fase ist zu breit für das Fasenwerkzeug (max. {{max}}).",
+    "error.vcarveAngle": "Der Spitzenwinkel des V-Fräsers muss zwischen 0° und 180° liegen.",
+    "error.vcarveTooDeepForTool": "Die maximale Tiefe ist tiefer, als der V-Fräser bei seinem Durchmesser schneiden kann (max. {{max}}).",
+    "error.vcarveClearToolNeedsTool": "Bei einem Ausräumwerkzeug auch den V-Fräser aus der Bibliothek wählen, damit gewechselt werden kann.",
     "error.stepdownTooBig": "Abtrag pro Lage darf nicht größer als die Gesamttiefe sein.",
     "error.stepoverTooBig": "Überlappung (in mm) darf nicht größer als der Fräserdurchmesser sein.",
+    "error.pocketEngagementTooBig": "Der max. Eingriff darf höchstens 50% des Fräserdurchmessers betragen.",
+    "error.pocketAdaptiveTooManyLoops": "Adaptives Räumen braucht mehr als {{max}} Schleifen pro Lage. Den max. Eingriff erhöhen oder die Spiralstrategie verwenden.",
     "error.enterText": "Text zum Gravieren eingeben.",
     "error.unknownShape": "Unbekannter Formtyp.",
     "error.pocketSmallerThanTool": "Tasche/Kontur ist kleiner als der Fräserdurchmesser. Kleineren Fräser wählen oder Form vergrößern.",
+    "error.drillLargerThanHole": "Der Bohrer ist größer als der Lochdurchmesser. Kleineren Bohrer wählen oder Loch vergrößern.",
     "error.facingShapeRequired": "Beim Planen Quadrat oder Rechteck als Form wählen.",
     "error.counterboreHeadSmallerThanBolt": "Kopfdurchmesser muss mindestens dem Schraubendurchmesser entsprechen.",
+    "error.threadToolTooBig": "Der Gewindefräser muss kleiner als der Kerndurchmesser des Lochs sein ({{max}}).",
+    "error.threadCutterTooShort": "Die Schneidlänge des Fräsers muss mindestens eine Steigung betragen.",
     "error.counterboreTotalDepthTooSmall": "Gesamttiefe muss größer als die Senktiefe sein.",
     "error.lettersToolTooBig": "Der Fräser passt nicht in die Buchstaben (zu schmale Teile). Kleineren Fräser oder größere Buchstaben wählen.",
-    "error.dxfNoFile": "Keine DXF-Datei ausgewählt.",
-    "error.dxfNoContours": "Keine geschlossenen Konturen in der DXF-Datei gefunden.",
+    "error.dxfNoFile": "Keine DXF- oder SVG-Datei ausgewählt.",
+    "error.dxfNoContours": "Keine geschlossenen Konturen in der DXF- oder SVG-Datei gefunden.",
+    "error.dxfLayerDepth": "Die Tiefe für Ebene {{layer}} muss größer als 0 sein.",
+    "error.dxfLayerDepthBelowStock": "Die Tiefe für Ebene {{layer}} ist größer als die Gesamttiefe; mit Z0 unten ist das die Materialdicke.",
+    "error.dxfLayerNoContours": "Keine verwendbaren Konturen auf Ebene {{layers}}.",
+    "error.dxfJoinToleranceNegative": "Die Verbindungstoleranz darf nicht negativ sein.",
     "error.dxfParserNotLoaded": "DXF-Parser nicht geladen. Skript-Laden prüfen.",
     "error.dxfParseFailed": "DXF konnte nicht geparst werden: ",
+    "error.svgParseFailed": "SVG konnte nicht geparst werden: Die Datei ist kein gültiges SVG/XML.",
     "error.dxfNoPocketableContours": "Keine Konturen konnten ausgefräst werden (Werkzeug zu groß oder Konturen zu klein). ",
     "error.dxfOffsetFailed": "Offset für Kontur fehlgeschlagen (Werkzeug möglicherweise zu groß oder Kontur zu schmal).",
     "error.dxfProcessingFailed": "Fehler beim Verarbeiten der DXF. Mögliche Ursachen: Datei nicht 2D, beschädigt oder nicht unterstützt; Werkzeug zu groß; Kontur zu schmal.",
     "error.dxfMultipleContoursInside": "Mehrere Konturen erkannt. Innenkontur ist damit nicht möglich.",
-    "error.dxfMultipleContoursPocket": "Mehrere Konturen erkannt. Tasche ist damit nicht möglich.",
     "error.dxfPocketNotSupported": "Pocket wird für DXF nicht unterstützt. Nur Kontur verwenden.",
     "error.fontNotLoaded": "Schriftart konnte nicht geladen werden: ",
     "error.opentypeNotLoaded": "Opentype.js ist nicht geladen. Seite neu laden.",
+    "error.singleLineFontNotLoaded": "Einlinienschriften (hershey-fonts.js) sind nicht geladen. Seite neu laden.",
+    "error.singleLineFontOutlineOnly": "Eine Einlinienschrift kann nur als Kontur graviert werden; zum Ausräumen oder V-Carve der Buchstaben eine gefüllte Schrift wählen.",
+    "error.singleLineFontUnsupportedChars": "Die Einlinienschrift kann {{chars}} nicht gravieren; sie enthält nur einfache ASCII-Buchstaben, -Ziffern und -Satzzeichen.",
+    "error.fontFileInvalid": "Diese Datei ist keine lesbare TTF-, OTF- oder WOFF-Schrift.",
+    "error.fontStorageFull": "Die Schrift passt nicht in den Browserspeicher. Eine andere eigene Schrift entfernen oder eine kleinere Datei wählen.",
+    "error.customFontMissing": "Die gewählte eigene Schrift ist nicht mehr im Browserspeicher. Bitte erneut hochladen.",
+    "error.letterArcRadiusTooSmall": "Der Bogenradius ist zu klein für die Anzahl der Zeilen außen am Bogen.",
+    "error.letterPathMissing": "Eine DXF-Datei mit Polylinie, Bogen oder Linie als Textpfad wählen.",
+    "error.letterBatchEmpty": "Die Serie enthält keine Etiketten: einen Nummernbereich wie {0001..0050} im Text verwenden oder eine CSV-Datei wählen.",
+    "error.letterBatchTooLarge": "Die Serie enthält {{count}} Etiketten; höchstens {{max}} sind möglich.",
+    "error.letterBatchFilesInJob": "Eine .nc pro Etikett kann nicht zu einem Job hinzugefügt werden; Raster auf einer Platte wählen oder das Zip erzeugen.",
     "error.copySuccess": "G-Code in Zwischenablage kopiert.",
     "error.copyFailed": "Kopieren in Zwischenablage fehlgeschlagen.",
     "error.generateFailed": "Fehler bei der Erzeugung: ",
+    "error.jobEmpty": "Der Job enthält noch keine Bearbeitungen.",
+    "job.legend": "Job (mehrere Bearbeitungen)",
+    "job.hint": "Richten Sie eine Bearbeitung ein und fügen Sie sie dem Job hinzu. Alle Bearbeitungen werden zu einem Programm zusammengefasst, jede mit eigenem Nullpunktversatz.",
+    "job.empty": "Noch keine Bearbeitungen im Job.",
+    "job.add": "Zum Job hinzufügen",
+    "job.generate": "Job generieren",
+    "job.clear": "Job leeren",
+    "job.offsetX": "Versatz X ({{unit}})",
+    "job.offsetY": "Versatz Y ({{unit}})",
+    "job.moveUp": "Nach oben",
+    "job.moveDown": "Nach unten",
+    "job.remove": "Aus Job entfernen",
     "field.toolDiameter": "Fräserdurchmesser",
     "field.totalDepth": "Gesamttiefe",
     "field.stepdown": "Abtrag pro Lage",
     "field.stepover": "Überlappung (Prozent des Fräsers)",
+    "field.pocketEngagement": "Max. Eingriff",
     "field.feedrate": "Vorschub",
+    "field.plungeFeedrate": "Eintauchvorschub",
+    "field.finishFeedrate": "Vorschub Schlichten",
+    "field.chamferWidth": "Fasenbreite",
+    "field.chamferFeedrate": "Vorschub Fase",
+    "field.vcarveMaxDepth": "Maximale Tiefe",
+    "field.peckDepth": "Zustelltiefe",
+    "field.drillDwell": "Verweilzeit am Grund",
+    "field.threadDiameter": "Nenndurchmesser",
+    "field.threadPitch": "Steigung",
+    "field.threadLength": "Gewindelänge",
+    "field.threadCutterLength": "Schneidlänge Fräser",
     "field.safeHeight": "Sicherheitshöhe Z",
     "field.rampAngle": "Max. Rampenwinkel",
     "field.tabInterval": "Stegabstand",
@@ -767,6 +1710,10 @@ const TRANSLATIONS = {
     "field.minorAxis": "Kleine Achse Y",
     "field.hexagonHeight": "Höhe",
     "field.letterSize": "Schriftgröße",
+    "field.letterLineHeight": "Zeilenabstand",
+    "field.letterArcRadius": "Bogenradius",
+    "field.letterBatchSpacingX": "Etikettenabstand X",
+    "field.letterBatchSpacingY": "Etikettenabstand Y",
     "field.stepoverPct": "Überlappung (in mm)",
     "field.counterboreHeadDiameter": "Kopfdurchmesser",
     "field.counterboreDepth": "Senktiefe",
@@ -776,6 +1723,8 @@ const TRANSLATIONS = {
     "field.patternedHolesSpacingY": "Mittenabstand Y",
     "field.patternedHolesCountX": "Anzahl Bohrungen X",
     "field.patternedHolesCountY": "Anzahl Bohrungen Y",
+    "field.patternedHolesPitchDiameter": "Lochkreisdurchmesser",
+    "field.patternedHolesCount": "Anzahl Bohrungen",
     "form.stepoverMmHint": "({{val}} mm)",
     "form.stepoverPctHint": "({{pct}}% vom Fräser)",
   },
@@ -796,9 +1745,15 @@ const TRANSLATIONS = {
     "settings.mode": "Mode",
     "settings.modeSimple": "Simple",
     "settings.modeAdvanced": "Advanced",
+    "settings.postProcessor": "Post-processeur",
     "settings.importExport": "Import/Export",
     "settings.exportMachine": "Exporter les paramètres",
     "settings.importMachine": "Importer les paramètres",
+    "settings.exportTools": "Exporter la bibliothèque d'outils",
+    "settings.importTools": "Importer la bibliothèque d'outils",
+    "settings.exportToolsSuccess": "Bibliothèque d'outils exportée.",
+    "settings.importToolsSuccess": "Bibliothèque d'outils importée.",
+    "settings.importToolsInvalid": "aucune liste d'outils trouvée dans le fichier.",
     "settings.exportSuccess": "Paramètres machine exportés.",
     "settings.importSuccess": "Paramètres machine importés.",
     "settings.importError": "Échec de l'import : ",
@@ -820,10 +1775,27 @@ const TRANSLATIONS = {
     "form.shapeLetters": "Lettres (gravure)",
     "form.shapeCounterboreBolt": "Lamarage",
     "form.shapePatternedHoles": "Trous à motif",
-    "form.shapeDxf": "DXF (contours)",
-    "form.dxfFile": "Fichier DXF",
+    "form.shapeThreadMill": "Filetage à la fraise",
+    "form.shapeDxf": "DXF / SVG (contours)",
+    "form.dxfFile": "Fichier DXF ou SVG",
     "form.dxfFileChoose": "Choisir un fichier",
-    "form.dxfFileHint": "Choisissez un fichier .dxf. Les contours fermés (lignes, polylignes, cercles, arcs) seront détectés et usinés.",
+    "form.dxfFileHint": "Choisissez un fichier .dxf ou .svg. DXF : les contours fermés (lignes, polylignes, cercles, arcs, ellipses, splines, aussi dans les blocs) seront détectés et usinés ; les points peuvent être percés via la liste des calques. SVG : chemins (y compris Bézier et arcs), rectangles, cercles, ellipses, polygones et polylignes, avec les transformations de groupe, mis à l'échelle en mm via width/height et viewBox ; les calques Inkscape apparaissent comme calques.",
+    "form.dxfSkippedTypes": "Non importé : {{types}}",
+    "form.dxfLayers": "Calques",
+    "form.dxfLayersTitle": "Opération et profondeur par calque du dessin. Les calques avec la même opération et la même profondeur sont usinés ensemble ; ordre : perçage, gravure, poches, contours intérieurs, contours extérieurs en dernier",
+    "form.dxfLayersEmpty": "Les calques du dessin apparaissent ici après le choix d'un fichier.",
+    "form.dxfLayerOperation": "Opération pour ce calque",
+    "form.dxfLayerOpDefault": "Opération du formulaire",
+    "form.dxfLayerOpOutside": "Contour extérieur",
+    "form.dxfLayerOpInside": "Contour intérieur",
+    "form.dxfLayerOpPocket": "Poche",
+    "form.dxfLayerOpEngrave": "Graver (sur la ligne)",
+    "form.dxfLayerOpDrill": "Percer (centres)",
+    "form.dxfLayerOpIgnore": "Ignorer",
+    "form.dxfLayerDepth": "Profondeur",
+    "form.dxfLayerDepthTitle": "Profondeur pour ce calque ; vide = profondeur totale du formulaire",
+    "form.dxfJoinTolerance": "Tolérance de jonction (mm)",
+    "form.dxfJoinToleranceTitle": "En gravure sur la ligne, les extrémités de lignes et d'arcs plus proches que cette valeur sont reliées en un seul chemin, pour que la fraise ne remonte pas entre elles",
     "form.dxfOrientation": "Orientation",
     "form.dxfOrientation0": "Normal (0°)",
     "form.dxfOrientation90": "90° droite (sens horaire)",
@@ -831,39 +1803,138 @@ const TRANSLATIONS = {
     "form.dxfOrientation180": "180° (à l'envers)",
     "form.patternedHolesPresetsNone": "—",
     "form.patternedHolesPresetMFT": "Festool MFT (20,2 mm, 96 mm)",
+    "form.patternedHolesLayout": "Motif",
+    "form.patternedHolesLayoutGrid": "Grille",
+    "form.patternedHolesLayoutPolar": "Cercle de perçage",
     "form.patternedHolesDiameter": "Diamètre (mm)",
     "form.patternedHolesSpacingX": "Entraxe X (mm)",
     "form.patternedHolesSpacingY": "Entraxe Y (mm)",
     "form.patternedHolesCountX": "Nombre de trous X",
     "form.patternedHolesCountY": "Nombre de trous Y",
+    "form.patternedHolesPitchDiameter": "Diamètre du cercle de perçage (mm)",
+    "form.patternedHolesCount": "Nombre de trous",
+    "form.patternedHolesStartAngle": "Angle de départ (°)",
+    "form.patternedHolesArcSpan": "Ouverture de l'arc (°)",
+    "form.patternedHolesArcSpanTitle": "360° répartit les trous sur tout le cercle ; moins place le premier et le dernier trou aux extrémités de l'arc",
     "form.patternedHolesTotalHintMm": "Distance totale {{axis}}: {{total}} mm",
     "form.patternedHolesTotalHintIn": "Distance totale {{axis}}: {{total}} in",
     "form.diameter": "Diamètre (mm)",
     "form.counterboreHeadDiameter": "Diamètre tête (mm)",
     "form.counterboreDepth": "Profondeur fraisage (mm)",
     "form.counterboreBoltDiameter": "Diamètre vis (mm)",
+    "form.counterboreBoltTool": "Outil pour le trou de vis",
+    "form.counterboreBoltToolTitle": "Usiner le trou de vis avec un autre outil de la bibliothèque ; le programme contient alors un changement d'outil entre la tête et le trou.",
+    "form.holeMethod": "Réaliser les trous par",
+    "form.holeMethodTitle": "Fraisage : spirale avec la fraise. Perçage : cycle de perçage droit avec un foret à la taille du trou.",
+    "form.holeMethodMill": "Fraisage (spirale)",
+    "form.holeMethodDrill": "Perçage (cycle de perçage)",
+    "form.drillCycle": "Cycle de perçage",
+    "form.drillCycleSimple": "Perçage simple (G81)",
+    "form.drillCyclePeck": "Perçage par débourrage (G83)",
+    "form.drillCycleDwell": "Perçage avec temporisation (G82)",
+    "form.peckDepth": "Profondeur de débourrage (mm)",
+    "form.peckDepthTitle": "Profondeur par passe ; après chaque passe le foret remonte pour évacuer les copeaux",
+    "form.drillDwell": "Temporisation au fond (s)",
+    "form.drillDwellTitle": "Pause au fond du trou, par ex. pour un fond propre ou un pointage",
+    "form.threadPresetsNone": "—",
+    "form.threadDiameter": "Diamètre nominal (mm)",
+    "form.threadPitch": "Pas (mm)",
+    "form.threadLength": "Longueur filetée (mm)",
+    "form.threadType": "Type de filetage",
+    "form.threadTypeTitle": "Intérieur : percer d'abord au diamètre du noyau (M6 : 5,0 mm, M8 : 6,8 mm). Extérieur : la fraise descend jusqu'au diamètre du noyau de la vis.",
+    "form.threadInternal": "Taraudage (trou)",
+    "form.threadExternal": "Filetage extérieur (tenon)",
+    "form.threadHand": "Sens du filet",
+    "form.threadRight": "À droite",
+    "form.threadLeft": "À gauche",
+    "form.threadCutter": "Fraise à fileter",
+    "form.threadCutterSingle": "Une dent",
+    "form.threadCutterMulti": "Multi-dents (plusieurs filets)",
+    "form.threadCutterLength": "Longueur de coupe fraise (mm)",
+    "form.threadCutterLengthTitle": "Longueur de la partie dentée ; la fraise fait un tour par palier de cette longueur",
     "form.side": "Côté (mm)",
     "form.width": "Largeur (mm)",
     "form.height": "Hauteur (mm)",
+    "form.cornerRadius": "Rayon des coins (mm)",
+    "form.cornerRadiusPerCorner": "Par coin",
+    "form.cornerRadiusPerCornerTitle": "Définir un rayon différent pour chaque coin",
+    "form.cornerRadiusTopLeft": "Haut gauche (mm)",
+    "form.cornerRadiusTopRight": "Haut droit (mm)",
+    "form.cornerRadiusBottomLeft": "Bas gauche (mm)",
+    "form.cornerRadiusBottomRight": "Bas droit (mm)",
     "form.majorAxis": "Grand axe X (mm)",
     "form.minorAxis": "Petit axe Y (mm)",
     "form.letterText": "Texte",
     "form.letterTextPlaceholder": "Saisir le texte à graver…",
     "form.letterSize": "Taille des lettres (mm)",
+    "form.letterFont": "Police",
+    "form.letterFontTitle": "Police pleine (contour, V-carve) ou police monoligne dont la fraise suit chaque trait une seule fois",
+    "form.letterFontRoboto": "Roboto Black (pleine)",
+    "form.letterFontHersheySimplex": "Hershey Simplex (monoligne)",
+    "form.letterFontHersheyScript": "Hershey Script (monoligne)",
+    "form.letterFontCustomGroup": "Polices personnelles",
+    "form.letterFontUpload": "Police personnelle",
+    "form.letterFontUploadTitle": "Importer un fichier TTF, OTF ou WOFF ; il est conservé dans ce navigateur et apparaît dans la liste des polices",
+    "form.letterFontUploadChoose": "Importer (TTF/OTF/WOFF)",
+    "form.letterFontRemove": "Supprimer",
+    "form.letterSpacing": "Espacement supplémentaire (mm)",
+    "form.letterSpacingTitle": "Ajouté entre les caractères ; une valeur négative les rapproche",
+    "form.letterLineHeight": "Interligne (× taille des lettres)",
+    "form.letterLineHeightTitle": "Distance entre les lignes de texte, en multiple de la taille des lettres",
+    "form.letterAlign": "Alignement",
+    "form.letterAlignLeft": "Gauche",
+    "form.letterAlignCenter": "Centre",
+    "form.letterAlignRight": "Droite",
+    "form.letterLayout": "Texte le long de",
+    "form.letterLayoutTitle": "Lignes droites, autour d'un arc de cercle (texte en bordure) ou le long d'un chemin d'un fichier DXF",
+    "form.letterLayoutStraight": "Lignes droites",
+    "form.letterLayoutArc": "Arc de cercle",
+    "form.letterLayoutPath": "Chemin DXF",
+    "form.letterArcRadius": "Rayon de l'arc (mm)",
+    "form.letterArcRadiusTitle": "Rayon de la ligne de base de la première ligne ; le centre de l'arc est l'origine quand l'origine XY est Centre",
+    "form.letterArcAngle": "Angle de départ (°)",
+    "form.letterArcAngleTitle": "Position du texte sur l'arc : 0° = droite, 90° = haut, 270° = bas ; l'alignement détermine si le texte commence, est centré ou se termine ici",
+    "form.letterArcSide": "Côté de l'arc",
+    "form.letterArcSideOutside": "Extérieur (se lit dans le sens horaire)",
+    "form.letterArcSideInside": "Intérieur (se lit dans le sens antihoraire)",
+    "form.letterPathFile": "Chemin (DXF)",
+    "form.letterPathFileTitle": "La plus longue polyligne, arc ou ligne du DXF est utilisée ; le texte suit son sens avec le haut à gauche",
+    "form.letterPathReverse": "Inverser le chemin",
+    "form.letterPathReverseTitle": "Faire partir le texte de l'autre extrémité du chemin (inverse aussi le côté du haut)",
+    "form.letterPreview": "Aperçu",
     "form.letterMode": "Opération lettres",
     "form.letterModeOutline": "Contour des lettres",
+    "form.letterModeVCarve": "V-carve (profondeur selon la largeur des lettres)",
     "form.letterOrientation": "Orientation du texte",
     "form.letterOrientation0": "Normal (0°)",
     "form.letterOrientation90": "90° droite (sens horaire)",
     "form.letterOrientationMinus90": "90° gauche (sens anti-horaire)",
     "form.letterOrientation180": "180° (à l'envers)",
+    "form.letterBatch": "Série d'étiquettes",
+    "form.letterBatchTitle": "Graver une série d'étiquettes : le texte est un modèle, p. ex. TAG-{0001..0050} pour une plage de numéros ou {Nom} pour une colonne CSV",
+    "form.letterBatchNone": "Aucune (un seul texte)",
+    "form.letterBatchGrid": "Grille sur une plaque",
+    "form.letterBatchFiles": "Un .nc par étiquette (zip)",
+    "form.letterBatchCsv": "CSV (facultatif)",
+    "form.letterBatchCsvTitle": "Une étiquette par ligne. Avec {colonne} dans le texte, la première ligne contient les noms de colonnes ; sans {colonne}, chaque ligne est une étiquette et ses cellules sont ajoutées comme lignes sous le texte",
+    "form.letterBatchColumns": "Étiquettes par rangée",
+    "form.letterBatchSpacingX": "Pas X (mm)",
+    "form.letterBatchSpacingY": "Pas Y (mm)",
+    "form.letterBatchSpacingTitle": "Distance entre les centres d'étiquettes voisines ; chaque étiquette est centrée dans sa cellule",
+    "form.letterBatchCount": "{{count}} étiquettes",
     "form.operation": "Opération",
     "form.operationPocket": "Poche (fraisage intérieur)",
     "form.operationContour": "Contour (découpe / extérieur)",
+    "form.operationVCarve": "V-carve (gravure à la fraise en V)",
+    "form.operationEngrave": "Graver sur la ligne (chemins ouverts)",
     "form.operationFacing": "Surfaçage",
     "form.facingMode": "Mode surfaçage",
     "form.facingWithin": "À l'intérieur (outil dans la zone)",
     "form.facingFull": "Pleine couverture (zone entière)",
+    "form.facingPattern": "Passes de surfaçage",
+    "form.facingPatternTitle": "Zigzag : aller-retour sans relever. Sens unique : chaque passe dans le même sens (en avalant ou en opposition), en relevant entre les passes",
+    "form.facingAngle": "Angle de surfaçage (°)",
+    "form.facingAngleTitle": "Angle des passes de surfaçage par rapport à l'axe X",
     "form.contourType": "Type de contour",
     "form.contourOutside": "Contour extérieur (découper la forme)",
     "form.contourInside": "Contour intérieur (intérieur de la forme)",
@@ -882,6 +1953,31 @@ const TRANSLATIONS = {
     "form.presetsNone": "—",
 
     "form.cutLegend": "Outil et paramètres de coupe",
+    "tools.select": "Outil de la bibliothèque",
+    "tools.manual": "Manuel (aucun outil choisi)",
+    "tools.sameTool": "Même outil que le lamage",
+    "tools.noToolChange": "Pas de changement d'outil (outil actuel)",
+    "tools.vcarveNoClearTool": "Aucun (la fraise en V évide elle-même)",
+    "tools.edit": "Modifier la bibliothèque",
+    "tools.empty": "Aucun outil dans la bibliothèque pour l'instant.",
+    "tools.add": "Ajouter un outil",
+    "tools.addCurrent": "Réglages actuels comme outil",
+    "tools.remove": "Supprimer l'outil",
+    "tools.number": "Numéro d'outil (T)",
+    "tools.name": "Nom",
+    "tools.typeLabel": "Type",
+    "tools.diameter": "Diamètre ({{unit}})",
+    "tools.fluteCount": "Nombre de dents",
+    "tools.fluteLength": "Longueur de coupe ({{unit}})",
+    "tools.feedrate": "Avance ({{unit}})",
+    "tools.plungeFeedrate": "Avance de plongée ({{unit}})",
+    "tools.spindleSpeed": "Vitesse de broche (tr/min)",
+    "tools.maxStepdown": "Passe max. ({{unit}})",
+    "tools.type.endmill": "Fraise droite",
+    "tools.type.ballmill": "Fraise hémisphérique",
+    "tools.type.vbit": "Fraise en V",
+    "tools.type.drill": "Foret",
+    "tools.type.threadmill": "Fraise à fileter",
     "form.toolDiameter": "Diamètre outil (mm)",
     "form.totalDepth": "Profondeur totale (mm)",
     "form.multipleDepths": "Plusieurs passes",
@@ -889,14 +1985,79 @@ const TRANSLATIONS = {
     "form.stepover": "Recouvrement",
     "form.stepoverUnit": "Unité recouvrement",
     "form.stepoverTitle": "100 % = diamètre outil",
+    "form.pocketStrategy": "Stratégie de poche",
+    "form.pocketStrategyTitle": "Spirale : passes concentriques au pas latéral ; dans la première passe et dans les coins, la fraise travaille sur toute sa largeur. Adaptative : la fraise décrit de petites boucles trochoïdales pour que l'engagement ne dépasse jamais le maximum réglé ; adaptée aux passes pleine profondeur dans l'aluminium. Balayage : passes parallèles au pas latéral selon un angle réglable, découpées sur la poche ; éventuellement suivies d'une passe le long de la paroi",
+    "form.pocketStrategySpiral": "Spirale (concentrique)",
+    "form.pocketStrategyAdaptive": "Adaptative (trochoïdale, engagement constant)",
+    "form.pocketStrategyRaster": "Balayage (passes parallèles)",
+    "form.pocketEngagement": "Engagement max. (% du diamètre de fraise)",
+    "form.pocketEngagementTitle": "Engagement maximal en évidement adaptatif, exprimé comme l'engagement radial d'une passe droite de même angle d'engagement (aussi dans les coins) ; de petites valeurs (5-15%) permettent des passes profondes en une fois",
+    "form.pocketRasterMode": "Passes de balayage",
+    "form.pocketRasterModeTitle": "Zigzag : aller-retour sans relever lorsque c'est possible. Sens unique : chaque passe dans le même sens (en avalant ou en opposition), en relevant entre les passes",
+    "form.pocketRasterZigzag": "Zigzag (aller-retour)",
+    "form.pocketRasterOneway": "Sens unique",
+    "form.pocketRasterAngle": "Angle de balayage (°)",
+    "form.pocketRasterAngleTitle": "Angle des passes de balayage par rapport à l'axe X",
+    "form.pocketRasterCleanup": "Reprise de la paroi",
+    "form.pocketRasterCleanupTitle": "Terminer par une passe le long de la paroi de la poche et autour des îlots pour enlever les restes aux extrémités des passes",
+    "form.millingDirection": "Sens d'usinage",
+    "form.millingDirectionTitle": "En avalant : la fraise tourne dans le sens de l'avance (bord plus net, machine rigide requise). En opposition : contre le sens de l'avance (plus doux pour les machines légères). S'applique aux contours, poches et chemins DXF.",
     "form.feedrate": "Avance F (mm/min)",
+    "form.plungeFeedrate": "Avance de plongée (mm/min)",
+    "form.plungeFeedrateTitle": "Avance pour les plongées et rampes : coupes sans déplacement XY ou avec Z descendant",
     "form.spindleSpeedControl": "Commande broche",
     "form.spindleSpeed": "Vitesse broche S (tr/min)",
     "form.safeHeight": "Hauteur de sécurité Z (mm)",
     "form.leadInAbove": "Approche au-dessus du matériau (mm)",
     "form.leadInAboveTitle": "Seulement cette partie au-dessus de la surface / rampe en coupe ; reste en rapide",
+    "form.descentAtFeed": "Descente en avance",
+    "form.descentAtFeedTitle": "Descendre depuis la hauteur de sécurité à l'avance de plongée (G1) au lieu du rapide (G0)",
+    "form.arcOutput": "Arcs en G2/G3",
+    "form.arcOutputTitle": "Détecter les arcs de cercle dans le parcours et les sortir en G2/G3 au lieu de nombreux petits G1",
+    "form.arcFormat": "Format d'arc",
+    "form.arcFormatIJ": "I/J (centre relatif au départ)",
+    "form.arcFormatR": "R (rayon)",
+    "form.toolChangeMode": "Changement d'outil",
+    "form.toolChangeModeTitle": "Comment un changement vers un autre outil de la bibliothèque est écrit : T# M6 pour les machines avec changeur d'outil, ou une pause M0 pour changer l'outil à la main.",
+    "form.toolChangeAuto": "Selon le post-processeur",
+    "form.toolChangeM6": "T# M6 (changeur d'outil)",
+    "form.toolChangeM0": "Pause M0 (manuel)",
+    "form.toolChangeProbe": "Arrêt pour palpage Z après changement d'outil",
+    "form.toolChangeProbeTitle": "Ajoute un arrêt M0 supplémentaire après chaque changement d'outil pour palper ou reprendre le zéro Z du nouvel outil.",
     "form.outlineHint": "Utiliser une fraise en V pour de meilleurs résultats en gravure contour.",
 
+    "form.finishLegend": "Passe de finition",
+    "form.finishEnabled": "Ébauche + finition",
+    "form.finishEnabledTitle": "Ébaucher en laissant une surépaisseur sur les parois, puis usiner à la cote finale dans une passe de finition séparée",
+    "form.finishAllowance": "Surépaisseur radiale (mm)",
+    "form.finishAllowanceTitle": "Matière laissée sur les parois par l'ébauche",
+    "form.finishFloorAllowance": "Surépaisseur au fond (mm)",
+    "form.finishFloorAllowanceTitle": "Matière laissée au fond par l'ébauche ; 0 = ébauche jusqu'à la profondeur finale",
+    "form.finishStepdown": "Passe en Z de finition (mm)",
+    "form.finishStepdownTitle": "Hauteur max. de couche en finition ; 0 = pleine profondeur en une passe",
+    "form.finishFeedrate": "Avance de finition (mm/min)",
+    "form.finishDirection": "Sens d'usinage en finition",
+    "form.chamferLegend": "Chanfrein",
+    "form.chamferEnabled": "Chanfreiner les arêtes",
+    "form.chamferEnabledTitle": "Après l'opération, casser les arêtes supérieures avec une fraise en V ou une fraise à chanfreiner",
+    "form.chamferTool": "Outil de chanfrein",
+    "form.chamferToolTitle": "Outil de la bibliothèque pour le chanfrein (changement d'outil) ; sinon l'outil actuel est utilisé",
+    "form.chamferAngle": "Angle de la fraise en V (°)",
+    "form.chamferAngleTitle": "Angle au sommet de la fraise en V ou à chanfreiner, p. ex. 90° pour un chanfrein à 45°",
+    "form.chamferTipDiameter": "Diamètre de pointe (mm)",
+    "form.chamferTipDiameterTitle": "Méplat à la pointe de la fraise ; 0 = pointe vive",
+    "form.chamferWidth": "Largeur du chanfrein (mm)",
+    "form.chamferWidthTitle": "Largeur du chanfrein mesurée sur la face supérieure",
+    "form.chamferFeedrate": "Avance du chanfrein (mm/min)",
+    "form.vcarveAngle": "Angle de la fraise en V (°)",
+    "form.vcarveAngleTitle": "Angle au sommet de la fraise en V, par ex. 60° ou 90°",
+    "form.vcarveMaxDepth": "Profondeur maximale (mm)",
+    "form.vcarveMaxDepthTitle": "Les zones plus larges sont usinées à plat à cette profondeur puis évidées",
+    "form.vcarveClearTool": "Outil d'évidement",
+    "form.vcarveClearToolTitle": "Fraise plate de la bibliothèque qui évide d'abord les fonds plats (changement d'outil) ; sinon la fraise en V s'en charge",
+    "form.millingDirectionClimb": "En avalant",
+    "form.millingDirectionConventional": "En opposition",
+
     "form.originLegend": "Origine (points zéro)",
     "form.xyOrigin": "Origine XY",
     "form.xyOriginCenter": "Centre de la forme",
@@ -911,6 +2072,7 @@ const TRANSLATIONS = {
     "form.patternedHolesDiameterIn": "Diamètre (in)",
     "form.patternedHolesSpacingXIn": "Entraxe X (in)",
     "form.patternedHolesSpacingYIn": "Entraxe Y (in)",
+    "form.patternedHolesPitchDiameterIn": "Diamètre du cercle de perçage (in)",
     "form.diameterIn": "Diamètre (in)",
     "form.counterboreHeadDiameterIn": "Diamètre tête (in)",
     "form.counterboreDepthIn": "Profondeur fraisage (in)",
@@ -918,10 +2080,19 @@ const TRANSLATIONS = {
     "form.sideIn": "Côté (in)",
     "form.widthIn": "Largeur (in)",
     "form.heightIn": "Hauteur (in)",
+    "form.cornerRadiusIn": "Rayon des coins (in)",
+    "form.cornerRadiusTopLeftIn": "Haut gauche (in)",
+    "form.cornerRadiusTopRightIn": "Haut droit (in)",
+    "form.cornerRadiusBottomLeftIn": "Bas gauche (in)",
+    "form.cornerRadiusBottomRightIn": "Bas droit (in)",
     "form.hexagonHeightIn": "Hauteur (in)",
     "form.majorAxisIn": "Grand axe X (in)",
     "form.minorAxisIn": "Petit axe Y (in)",
     "form.letterSizeIn": "Taille des lettres (in)",
+    "form.letterSpacingIn": "Espacement supplémentaire (in)",
+    "form.letterArcRadiusIn": "Rayon de l'arc (in)",
+    "form.letterBatchSpacingXIn": "Pas X (in)",
+    "form.letterBatchSpacingYIn": "Pas Y (in)",
     "form.tabIntervalIn": "Intervalle le long du contour (in)",
     "form.tabWidthIn": "Largeur languette (in)",
     "form.tabHeightIn": "Hauteur languette (in, reste de matière)",
@@ -929,6 +2100,20 @@ const TRANSLATIONS = {
     "form.totalDepthIn": "Profondeur totale (in)",
     "form.stepdownIn": "Passes par couche (in)",
     "form.feedrateIn": "Avance F (in/min)",
+    "form.plungeFeedrateIn": "Avance de plongée (in/min)",
+    "form.finishAllowanceIn": "Surépaisseur radiale (in)",
+    "form.finishFloorAllowanceIn": "Surépaisseur au fond (in)",
+    "form.finishStepdownIn": "Passe en Z de finition (in)",
+    "form.finishFeedrateIn": "Avance de finition (in/min)",
+    "form.chamferTipDiameterIn": "Diamètre de pointe (in)",
+    "form.chamferWidthIn": "Largeur du chanfrein (in)",
+    "form.chamferFeedrateIn": "Avance du chanfrein (in/min)",
+    "form.vcarveMaxDepthIn": "Profondeur maximale (in)",
+    "form.peckDepthIn": "Profondeur de débourrage (in)",
+    "form.threadDiameterIn": "Diamètre nominal (in)",
+    "form.threadPitchIn": "Pas (in)",
+    "form.threadLengthIn": "Longueur filetée (in)",
+    "form.threadCutterLengthIn": "Longueur de coupe fraise (in)",
     "form.safeHeightIn": "Hauteur de sécurité Z (in)",
     "form.leadInAboveIn": "Approche au-dessus du matériau (in)",
     "form.zOffsetIn": "Décalage Z (in, optionnel)",
@@ -968,6 +2153,7 @@ const TRANSLATIONS = {
     "preview.estimatedTimeSec": "{{sec}} s",
     "preview.estimatedTimeMin": "{{min}} min",
     "preview.estimatedTimeHMin": "{{h}} h {{m}} min",
+    "preview.pitchCircle": "Cercle de perçage {{diameter}}",
 
     "footer.warning": "Vérifier toujours le G-code dans un simulateur et tester à vide / sur matériau tendre avant de fraiser pour de bon.",
 
@@ -976,40 +2162,113 @@ const TRANSLATIONS = {
     "gcode.comment.unitsMm": "mm",
     "gcode.comment.unitsInch": "pouces",
     "gcode.comment.absolute": "positionnement absolu",
+    "gcode.comment.postProcessor": "post-processeur : {{name}}",
+    "gcode.comment.operation": "opération {{n}}/{{total}} : {{name}}",
+    "gcode.comment.tool": "outil T{{number}} : {{diameter}} {{name}}",
+    "gcode.comment.toolChange": "changer pour l'outil T{{number}} : {{diameter}} {{name}}",
+    "gcode.comment.toolChangeManual": "changer pour l'outil : {{tool}}",
+    "gcode.comment.jobOperationTool": "fraise de {{diameter}} pour l'opération {{n}}",
+    "gcode.comment.touchOff": "reprendre le zéro Z pour le nouvel outil",
+    "gcode.comment.pause": "pause",
+    "gcode.comment.boltHole": "trou de vis",
+    "gcode.comment.finishPass": "passe de finition",
+    "gcode.comment.chamfer": "chanfrein",
+    "gcode.comment.chamferTool": "fraise en V pour le chanfrein",
+    "gcode.comment.vcarve": "V-carve",
+    "gcode.comment.vcarveClear": "évidement V-carve",
     "gcode.comment.spindleOn": "broche en marche",
     "gcode.comment.spindleOff": "broche arrêtée",
 
     "error.positive": "{{label}} doit être un nombre positif.",
     "error.leadInNegative": "L'approche au-dessus du matériau ne peut pas être négative.",
+    "error.patternedHolesArcSpan": "L'ouverture de l'arc doit être supérieure à 0° et au plus 360°.",
+    "error.patternedHolesOverlap": "Les trous se chevauchent : l'entraxe entre trous voisins est inférieur au diamètre du trou. Augmenter l'entraxe ou le diamètre du cercle de perçage, ou réduire le nombre de trous.",
+    "error.cornerRadiusNegative": "Le rayon des coins ne peut pas être négatif.",
+    "error.cornerRadiusTooBig": "Le rayon des coins ne peut pas dépasser la moitié du plus petit côté.",
+    "error.cornerRadiusBelowTool": "Un rayon de coin intérieur ne peut pas être plus petit que le rayon de la fraise ({{min}}). Utilisez 0 pour le rayon de la fraise elle-même, un rayon plus grand ou une fraise plus petite.",
+    "error.finishNegative": "Les surépaisseurs et la passe en Z de finition ne peuvent pas être négatives.",
+    "error.finishFloorAllowanceTooBig": "La surépaisseur au fond doit être inférieure à la profondeur totale.",
+    "error.finishAllowanceTooBig": "La forme est trop petite pour la fraise plus deux fois la surépaisseur radiale.",
+    "error.chamferAngle": "L'angle de la fraise en V doit être compris entre 0° et 180°.",
+    "error.chamferTipNegative": "Le diamètre de pointe ne peut pas être négatif.",
+    "error.chamferTooDeep": "Le chanfrein est plus profond que la paroi qu'il casse ; réduisez la largeur du chanfrein.",
+    "error.chamferWidthTooBig": "Le chanfrein est trop large pour l'outil de chanfrein (max. {{max}}).",
+    "error.vcarveAngle": "L'angle de la fraise en V doit être compris entre 0° et 180°.",
+    "error.vcarveTooDeepForTool": "La profondeur maximale dépasse ce que la fraise en V peut couper avec son diamètre (max. {{max}}).",
+    "error.vcarveClearToolNeedsTool": "Avec un outil d'évidement, choisissez aussi la fraise en V dans la bibliothèque pour permettre le changement d'outil.",
     "error.stepdownTooBig": "La passe par couche ne peut pas dépasser la profondeur totale.",
     "error.stepoverTooBig": "Le recouvrement (en mm) ne peut pas dépasser le diamètre de l'outil.",
+    "error.pocketEngagementTooBig": "L'engagement max. ne peut pas dépasser 50% du diamètre de la fraise.",
+    "error.pocketAdaptiveTooManyLoops": "L'évidement adaptatif nécessite plus de {{max}} boucles par couche. Augmenter l'engagement max. ou utiliser la stratégie spirale.",
     "error.enterText": "Saisir le texte à graver.",
     "error.unknownShape": "Type de forme inconnu.",
     "error.pocketSmallerThanTool": "La poche/contour est plus petit que le diamètre de l'outil. Choisir un outil plus petit ou agrandir la forme.",
+    "error.drillLargerThanHole": "Le foret est plus grand que le diamètre du trou. Choisir un foret plus petit ou agrandir le trou.",
     "error.facingShapeRequired": "Pour le surfaçage, choisir Carré ou Rectangle comme forme.",
     "error.counterboreHeadSmallerThanBolt": "Le diamètre de tête doit être au moins égal au diamètre de la vis.",
+    "error.threadToolTooBig": "La fraise à fileter doit être plus petite que le diamètre du noyau du trou ({{max}}).",
+    "error.threadCutterTooShort": "La longueur de coupe de la fraise doit être d'au moins un pas.",
     "error.counterboreTotalDepthTooSmall": "La profondeur totale doit être supérieure à la profondeur de fraisage.",
     "error.lettersToolTooBig": "L'outil ne rentre pas dans les lettres (parties trop étroites). Choisir un outil plus petit ou des lettres plus grandes.",
-    "error.dxfNoFile": "Aucun fichier DXF sélectionné.",
-    "error.dxfNoContours": "Aucun contour fermé trouvé dans le fichier DXF.",
+    "error.dxfNoFile": "Aucun fichier DXF ou SVG sélectionné.",
+    "error.dxfNoContours": "Aucun contour fermé trouvé dans le fichier DXF ou SVG.",
+    "error.dxfLayerDepth": "La profondeur du calque {{layer}} doit être supérieure à 0.",
+    "error.dxfLayerDepthBelowStock": "La profondeur du calque {{layer}} dépasse la profondeur totale ; avec Z0 en dessous, c'est l'épaisseur du matériau.",
+    "error.dxfLayerNoContours": "Aucun contour utilisable sur le calque {{layers}}.",
+    "error.dxfJoinToleranceNegative": "La tolérance de jonction ne peut pas être négative.",
     "error.dxfParserNotLoaded": "Analyseur DXF non chargé. Vérifier le chargement des scripts.",
     "error.dxfParseFailed": "Échec de l'analyse DXF : ",
+    "error.svgParseFailed": "Échec de l'analyse SVG : le fichier n'est pas un SVG/XML valide.",
     "error.dxfNoPocketableContours": "Aucun contour n'a pu être usiné en poche (outil trop grand ou contours trop petits). ",
     "error.dxfOffsetFailed": "Échec de l'offset pour le contour (outil peut-être trop grand ou contour trop étroit).",
     "error.dxfProcessingFailed": "Erreur lors du traitement du DXF. Causes possibles : fichier non 2D, endommagé ou non pris en charge ; outil trop grand ; contour trop étroit.",
     "error.dxfMultipleContoursInside": "Plusieurs contours détectés. Le contour intérieur n'est pas possible avec ceci.",
-    "error.dxfMultipleContoursPocket": "Plusieurs contours détectés. La poche n'est pas possible avec ceci.",
     "error.dxfPocketNotSupported": "La poche n'est pas prise en charge pour le DXF. Utilisez uniquement le contour.",
     "error.fontNotLoaded": "Police impossible à charger : ",
     "error.opentypeNotLoaded": "Opentype.js n'est pas chargé. Recharger la page.",
+    "error.singleLineFontNotLoaded": "Les polices monolignes (hershey-fonts.js) ne sont pas chargées. Recharger la page.",
+    "error.singleLineFontOutlineOnly": "Une police monoligne ne peut être gravée qu'en contour ; choisir une police pleine pour évider les lettres ou les graver en V-carve.",
+    "error.singleLineFontUnsupportedChars": "La police monoligne ne peut pas graver {{chars}} ; elle ne contient que les lettres, chiffres et signes de ponctuation ASCII simples.",
+    "error.fontFileInvalid": "Ce fichier n'est pas une police TTF, OTF ou WOFF lisible.",
+    "error.fontStorageFull": "La police ne tient pas dans le stockage du navigateur. Supprimer une autre police personnelle ou choisir un fichier plus petit.",
+    "error.customFontMissing": "La police personnelle choisie n'est plus dans le stockage du navigateur. L'importer à nouveau.",
+    "error.letterArcRadiusTooSmall": "Le rayon de l'arc est trop petit pour le nombre de lignes à l'extérieur de l'arc.",
+    "error.letterPathMissing": "Choisir un fichier DXF avec une polyligne, un arc ou une ligne comme chemin du texte.",
+    "error.letterBatchEmpty": "La série ne contient aucune étiquette : utiliser une plage de numéros comme {0001..0050} dans le texte ou choisir un fichier CSV.",
+    "error.letterBatchTooLarge": "La série contient {{count}} étiquettes ; {{max}} au maximum sont possibles.",
+    "error.letterBatchFilesInJob": "Un .nc par étiquette ne peut pas être ajouté à un job ; choisir Grille sur une plaque ou générer le zip.",
     "error.copySuccess": "G-code copié dans le presse-papiers.",
     "error.copyFailed": "Échec de la copie dans le presse-papiers.",
     "error.generateFailed": "Erreur de génération : ",
+    "error.jobEmpty": "Le job ne contient encore aucune opération.",
+    "job.legend": "Job (plusieurs opérations)",
+    "job.hint": "Configurez une opération et ajoutez-la au job. Toutes les opérations sont réunies dans un seul programme, chacune avec son propre décalage d'origine.",
+    "job.empty": "Aucune opération dans le job pour l'instant.",
+    "job.add": "Ajouter au job",
+    "job.generate": "Générer le job",
+    "job.clear": "Vider le job",
+    "job.offsetX": "Décalage X ({{unit}})",
+    "job.offsetY": "Décalage Y ({{unit}})",
+    "job.moveUp": "Monter",
+    "job.moveDown": "Descendre",
+    "job.remove": "Retirer du job",
     "field.toolDiameter": "Diamètre outil",
     "field.totalDepth": "Profondeur totale",
     "field.stepdown": "Passe par couche",
     "field.stepover": "Recouvrement (pourcentage de l'outil)",
+    "field.pocketEngagement": "Engagement max.",
     "field.feedrate": "Avance",
+    "field.plungeFeedrate": "Avance de plongée",
+    "field.finishFeedrate": "Avance de finition",
+    "field.chamferWidth": "Largeur du chanfrein",
+    "field.chamferFeedrate": "Avance du chanfrein",
+    "field.vcarveMaxDepth": "Profondeur maximale",
+    "field.peckDepth": "Profondeur de débourrage",
+    "field.drillDwell": "Temporisation au fond",
+    "field.threadDiameter": "Diamètre nominal",
+    "field.threadPitch": "Pas",
+    "field.threadLength": "Longueur filetée",
+    "field.threadCutterLength": "Longueur de coupe fraise",
     "field.safeHeight": "Hauteur de sécurité Z",
     "field.rampAngle": "Angle max. de rampe",
     "field.tabInterval": "Intervalle des languettes",
@@ -1023,10 +2282,16 @@ const TRANSLATIONS = {
     "field.minorAxis": "Petit axe Y",
     "field.hexagonHeight": "Hauteur",
     "field.letterSize": "Taille des lettres",
+    "field.letterLineHeight": "Interligne",
+    "field.letterArcRadius": "Rayon de l'arc",
+    "field.letterBatchSpacingX": "Pas des étiquettes X",
+    "field.letterBatchSpacingY": "Pas des étiquettes Y",
     "field.stepoverPct": "Recouvrement (en mm)",
     "field.counterboreHeadDiameter": "Diamètre tête",
     "field.counterboreDepth": "Profondeur fraisage",
     "field.counterboreBoltDiameter": "Diamètre vis",
+    "field.patternedHolesPitchDiameter": "Diamètre du cercle de perçage",
+    "field.patternedHolesCount": "Nombre de trous",
     "form.stepoverMmHint": "({{val}} mm)",
     "form.stepoverPctHint": "({{pct}} % de l'outil)",
   },
@@ -1047,9 +2312,15 @@ const TRANSLATIONS = {
     "settings.mode": "Mode",
     "settings.modeSimple": "Simple",
     "settings.modeAdvanced": "Advanced",
+    "settings.postProcessor": "Postprocesador",
     "settings.importExport": "Import/Export",
     "settings.exportMachine": "Exportar configuración",
     "settings.importMachine": "Importar configuración",
+    "settings.exportTools": "Exportar biblioteca de herramientas",
+    "settings.importTools": "Importar biblioteca de herramientas",
+    "settings.exportToolsSuccess": "Biblioteca de herramientas exportada.",
+    "settings.importToolsSuccess": "Biblioteca de herramientas importada.",
+    "settings.importToolsInvalid": "no se encontró ninguna lista de herramientas en el archivo.",
     "settings.exportSuccess": "Configuración de máquina exportada.",
     "settings.importSuccess": "Configuración de máquina importada.",
     "settings.importError": "Error al importar: ",
@@ -1071,10 +2342,27 @@ const TRANSLATIONS = {
     "form.shapeLetters": "Letras (grabado)",
     "form.shapeCounterboreBolt": "Escariado",
     "form.shapePatternedHoles": "Agujeros con patrón",
-    "form.shapeDxf": "DXF (contornos)",
-    "form.dxfFile": "Archivo DXF",
+    "form.shapeThreadMill": "Fresado de roscas",
+    "form.shapeDxf": "DXF / SVG (contornos)",
+    "form.dxfFile": "Archivo DXF o SVG",
     "form.dxfFileChoose": "Elegir archivo",
-    "form.dxfFileHint": "Seleccione un archivo .dxf. Se detectarán y fresarán los contornos cerrados (líneas, polilíneas, círculos, arcos).",
+    "form.dxfFileHint": "Seleccione un archivo .dxf o .svg. DXF: se detectarán y fresarán los contornos cerrados (líneas, polilíneas, círculos, arcos, elipses, splines, también dentro de bloques); los puntos se pueden taladrar mediante la lista de capas. SVG: trayectos (también Bézier y arcos), rectángulos, círculos, elipses, polígonos y polilíneas, con las transformaciones de grupo, escalados a mm mediante width/height y viewBox; las capas de Inkscape aparecen como capas.",
+    "form.dxfSkippedTypes": "No importado: {{types}}",
+    "form.dxfLayers": "Capas",
+    "form.dxfLayersTitle": "Operación y profundidad por capa del dibujo. Las capas con la misma operación y profundidad se fresan juntas; orden: taladrado, grabado, cajeras, contornos interiores y contornos exteriores al final",
+    "form.dxfLayersEmpty": "Las capas del dibujo aparecen aquí después de elegir un archivo.",
+    "form.dxfLayerOperation": "Operación para esta capa",
+    "form.dxfLayerOpDefault": "Operación del formulario",
+    "form.dxfLayerOpOutside": "Contorno exterior",
+    "form.dxfLayerOpInside": "Contorno interior",
+    "form.dxfLayerOpPocket": "Cajera",
+    "form.dxfLayerOpEngrave": "Grabar (sobre la línea)",
+    "form.dxfLayerOpDrill": "Taladrar (centros)",
+    "form.dxfLayerOpIgnore": "Ignorar",
+    "form.dxfLayerDepth": "Profundidad",
+    "form.dxfLayerDepthTitle": "Profundidad para esta capa; vacío = profundidad total del formulario",
+    "form.dxfJoinTolerance": "Tolerancia de unión (mm)",
+    "form.dxfJoinToleranceTitle": "Al grabar sobre la línea, los extremos de líneas y arcos más cercanos que este valor se unen en un solo trayecto, para que la fresa no suba entre ellos",
     "form.dxfOrientation": "Orientación",
     "form.dxfOrientation0": "Normal (0°)",
     "form.dxfOrientation90": "90° derecha (sentido horario)",
@@ -1082,39 +2370,138 @@ const TRANSLATIONS = {
     "form.dxfOrientation180": "180° (boca abajo)",
     "form.patternedHolesPresetsNone": "—",
     "form.patternedHolesPresetMFT": "Festool MFT (20,2 mm, 96 mm)",
+    "form.patternedHolesLayout": "Patrón",
+    "form.patternedHolesLayoutGrid": "Cuadrícula",
+    "form.patternedHolesLayoutPolar": "Círculo de pernos",
     "form.patternedHolesDiameter": "Diámetro (mm)",
     "form.patternedHolesSpacingX": "Distancia entre centros X (mm)",
     "form.patternedHolesSpacingY": "Distancia entre centros Y (mm)",
     "form.patternedHolesCountX": "Número de agujeros X",
     "form.patternedHolesCountY": "Número de agujeros Y",
+    "form.patternedHolesPitchDiameter": "Diámetro del círculo de pernos (mm)",
+    "form.patternedHolesCount": "Número de agujeros",
+    "form.patternedHolesStartAngle": "Ángulo inicial (°)",
+    "form.patternedHolesArcSpan": "Amplitud del arco (°)",
+    "form.patternedHolesArcSpanTitle": "360° reparte los agujeros por todo el círculo; menos coloca el primer y el último agujero en los extremos del arco",
     "form.patternedHolesTotalHintMm": "Distancia total {{axis}}: {{total}} mm",
     "form.patternedHolesTotalHintIn": "Distancia total {{axis}}: {{total}} in",
     "form.diameter": "Diámetro (mm)",
     "form.counterboreHeadDiameter": "Diámetro de cabeza (mm)",
     "form.counterboreDepth": "Profundidad del avellanado (mm)",
     "form.counterboreBoltDiameter": "Diámetro del tornillo (mm)",
+    "form.counterboreBoltTool": "Herramienta para el agujero del tornillo",
+    "form.counterboreBoltToolTitle": "Fresar el agujero del tornillo con otra herramienta de la biblioteca; el programa incluye entonces un cambio de herramienta entre la cabeza y el agujero.",
+    "form.holeMethod": "Hacer los agujeros",
+    "form.holeMethodTitle": "Fresado: espiral con la fresa. Taladrado: ciclo de taladrado recto con una broca del tamaño del agujero.",
+    "form.holeMethodMill": "Fresado (espiral)",
+    "form.holeMethodDrill": "Taladrado (ciclo de taladrado)",
+    "form.drillCycle": "Ciclo de taladrado",
+    "form.drillCycleSimple": "Taladrado simple (G81)",
+    "form.drillCyclePeck": "Taladrado por picoteo (G83)",
+    "form.drillCycleDwell": "Taladrado con pausa (G82)",
+    "form.peckDepth": "Profundidad de picoteo (mm)",
+    "form.peckDepthTitle": "Profundidad por picada; después de cada picada la broca sube para evacuar la viruta",
+    "form.drillDwell": "Pausa en el fondo (s)",
+    "form.drillDwellTitle": "Espera en el fondo del agujero, p. ej. para un fondo limpio o al puntear",
+    "form.threadPresetsNone": "—",
+    "form.threadDiameter": "Diámetro nominal (mm)",
+    "form.threadPitch": "Paso (mm)",
+    "form.threadLength": "Longitud de rosca (mm)",
+    "form.threadType": "Tipo de rosca",
+    "form.threadTypeTitle": "Interior: taladrar antes al diámetro del núcleo (M6: 5,0 mm, M8: 6,8 mm). Exterior: la fresa llega hasta el diámetro del núcleo del tornillo.",
+    "form.threadInternal": "Interior (agujero)",
+    "form.threadExternal": "Exterior (espárrago)",
+    "form.threadHand": "Sentido de la rosca",
+    "form.threadRight": "A derechas",
+    "form.threadLeft": "A izquierdas",
+    "form.threadCutter": "Fresa de roscar",
+    "form.threadCutterSingle": "Un diente",
+    "form.threadCutterMulti": "Multidiente (varios hilos)",
+    "form.threadCutterLength": "Longitud de corte de la fresa (mm)",
+    "form.threadCutterLengthTitle": "Longitud de la parte dentada; la fresa da una vuelta por tramo de esta longitud",
     "form.side": "Lado (mm)",
     "form.width": "Ancho (mm)",
     "form.height": "Altura (mm)",
+    "form.cornerRadius": "Radio de esquina (mm)",
+    "form.cornerRadiusPerCorner": "Por esquina",
+    "form.cornerRadiusPerCornerTitle": "Definir un radio distinto para cada esquina",
+    "form.cornerRadiusTopLeft": "Arriba izquierda (mm)",
+    "form.cornerRadiusTopRight": "Arriba derecha (mm)",
+    "form.cornerRadiusBottomLeft": "Abajo izquierda (mm)",
+    "form.cornerRadiusBottomRight": "Abajo derecha (mm)",
     "form.majorAxis": "Eje mayor X (mm)",
     "form.minorAxis": "Eje menor Y (mm)",
     "form.letterText": "Texto",
     "form.letterTextPlaceholder": "Escriba aquí el texto a grabar…",
     "form.letterSize": "Tamaño de letra (mm)",
+    "form.letterFont": "Fuente",
+    "form.letterFontTitle": "Fuente rellena (contorno, V-carve) o fuente de un solo trazo cuyas líneas la fresa sigue una vez",
+    "form.letterFontRoboto": "Roboto Black (rellena)",
+    "form.letterFontHersheySimplex": "Hershey Simplex (un trazo)",
+    "form.letterFontHersheyScript": "Hershey Script (un trazo)",
+    "form.letterFontCustomGroup": "Fuentes propias",
+    "form.letterFontUpload": "Fuente propia",
+    "form.letterFontUploadTitle": "Suba un archivo TTF, OTF o WOFF; se guarda en este navegador y aparece en la lista de fuentes",
+    "form.letterFontUploadChoose": "Subir (TTF/OTF/WOFF)",
+    "form.letterFontRemove": "Eliminar",
+    "form.letterSpacing": "Espaciado adicional (mm)",
+    "form.letterSpacingTitle": "Se añade entre los caracteres; un valor negativo los acerca",
+    "form.letterLineHeight": "Interlineado (× tamaño de letra)",
+    "form.letterLineHeightTitle": "Distancia entre líneas de texto, como múltiplo del tamaño de letra",
+    "form.letterAlign": "Alineación",
+    "form.letterAlignLeft": "Izquierda",
+    "form.letterAlignCenter": "Centro",
+    "form.letterAlignRight": "Derecha",
+    "form.letterLayout": "Texto a lo largo de",
+    "form.letterLayoutTitle": "Líneas rectas, alrededor de un arco de círculo (texto de borde) o a lo largo de una trayectoria de un archivo DXF",
+    "form.letterLayoutStraight": "Líneas rectas",
+    "form.letterLayoutArc": "Arco de círculo",
+    "form.letterLayoutPath": "Trayectoria DXF",
+    "form.letterArcRadius": "Radio del arco (mm)",
+    "form.letterArcRadiusTitle": "Radio de la línea base de la primera línea; el centro del arco es el origen cuando el origen XY es Centro",
+    "form.letterArcAngle": "Ángulo inicial (°)",
+    "form.letterArcAngleTitle": "Posición del texto en el arco: 0° = derecha, 90° = arriba, 270° = abajo; la alineación determina si el texto empieza, se centra o termina aquí",
+    "form.letterArcSide": "Lado del arco",
+    "form.letterArcSideOutside": "Exterior (se lee en sentido horario)",
+    "form.letterArcSideInside": "Interior (se lee en sentido antihorario)",
+    "form.letterPathFile": "Trayectoria (DXF)",
+    "form.letterPathFileTitle": "Se usa la polilínea, arco o línea más larga del DXF; el texto sigue su sentido con la parte superior a la izquierda",
+    "form.letterPathReverse": "Invertir trayectoria",
+    "form.letterPathReverseTitle": "Hacer que el texto empiece en el otro extremo de la trayectoria (también invierte qué lado queda arriba)",
+    "form.letterPreview": "Vista previa",
     "form.letterMode": "Operación de letras",
     "form.letterModeOutline": "Contorno de las letras",
+    "form.letterModeVCarve": "V-carve (la profundidad sigue el ancho de la letra)",
     "form.letterOrientation": "Orientación del texto",
     "form.letterOrientation0": "Normal (0°)",
     "form.letterOrientation90": "90° derecha (sentido horario)",
     "form.letterOrientationMinus90": "90° izquierda (sentido antihorario)",
     "form.letterOrientation180": "180° (boca abajo)",
+    "form.letterBatch": "Serie de etiquetas",
+    "form.letterBatchTitle": "Grabar una serie de etiquetas: el texto es una plantilla, p. ej. TAG-{0001..0050} para un rango de números o {Nombre} para una columna CSV",
+    "form.letterBatchNone": "Ninguna (un solo texto)",
+    "form.letterBatchGrid": "Rejilla en una placa",
+    "form.letterBatchFiles": "Un .nc por etiqueta (zip)",
+    "form.letterBatchCsv": "CSV (opcional)",
+    "form.letterBatchCsvTitle": "Una etiqueta por fila. Con {columna} en el texto, la primera fila contiene los nombres de columna; sin {columna}, cada fila es una etiqueta y sus celdas se añaden como líneas debajo del texto",
+    "form.letterBatchColumns": "Etiquetas por fila",
+    "form.letterBatchSpacingX": "Paso X (mm)",
+    "form.letterBatchSpacingY": "Paso Y (mm)",
+    "form.letterBatchSpacingTitle": "Distancia entre los centros de etiquetas vecinas; cada etiqueta se centra en su celda",
+    "form.letterBatchCount": "{{count}} etiquetas",
     "form.operation": "Operación",
     "form.operationPocket": "Bolsillo (fresado interior)",
     "form.operationContour": "Contorno (recortar / exterior)",
+    "form.operationVCarve": "V-carve (grabar con fresa en V)",
+    "form.operationEngrave": "Grabar sobre la línea (trayectos abiertos)",
     "form.operationFacing": "Refrentado",
     "form.facingMode": "Modo de refrentado",
     "form.facingWithin": "Dentro (herramienta dentro del área)",
     "form.facingFull": "Cobertura completa (toda el área)",
+    "form.facingPattern": "Pasadas de refrentado",
+    "form.facingPatternTitle": "Zigzag: ida y vuelta sin levantar. Un sentido: cada pasada en el mismo sentido (en concordancia o en oposición), levantando entre pasadas",
+    "form.facingAngle": "Ángulo de refrentado (°)",
+    "form.facingAngleTitle": "Ángulo de las pasadas de refrentado respecto al eje X",
     "form.contourType": "Tipo de contorno",
     "form.contourOutside": "Contorno exterior (recortar forma)",
     "form.contourInside": "Contorno interior (interior de la forma)",
@@ -1133,6 +2520,31 @@ const TRANSLATIONS = {
     "form.presetsNone": "—",
 
     "form.cutLegend": "Herramienta y parámetros de corte",
+    "tools.select": "Herramienta de la biblioteca",
+    "tools.manual": "Manual (sin herramienta)",
+    "tools.sameTool": "Misma herramienta que el avellanado",
+    "tools.noToolChange": "Sin cambio de herramienta (herramienta actual)",
+    "tools.vcarveNoClearTool": "Ninguna (la fresa en V vacía sola)",
+    "tools.edit": "Editar biblioteca",
+    "tools.empty": "Todavía no hay herramientas en la biblioteca.",
+    "tools.add": "Añadir herramienta",
+    "tools.addCurrent": "Ajustes actuales como herramienta",
+    "tools.remove": "Quitar herramienta",
+    "tools.number": "Número de herramienta (T)",
+    "tools.name": "Nombre",
+    "tools.typeLabel": "Tipo",
+    "tools.diameter": "Diámetro ({{unit}})",
+    "tools.fluteCount": "Número de filos",
+    "tools.fluteLength": "Longitud de corte ({{unit}})",
+    "tools.feedrate": "Avance ({{unit}})",
+    "tools.plungeFeedrate": "Avance de penetración ({{unit}})",
+    "tools.spindleSpeed": "Velocidad del husillo (RPM)",
+    "tools.maxStepdown": "Profundidad máx. por pasada ({{unit}})",
+    "tools.type.endmill": "Fresa plana",
+    "tools.type.ballmill": "Fresa esférica",
+    "tools.type.vbit": "Fresa en V",
+    "tools.type.drill": "Broca",
+    "tools.type.threadmill": "Fresa de roscar",
     "form.toolDiameter": "Diámetro de fresa (mm)",
     "form.totalDepth": "Profundidad total (mm)",
     "form.multipleDepths": "Múltiples pasadas",
@@ -1140,14 +2552,79 @@ const TRANSLATIONS = {
     "form.stepover": "Solape",
     "form.stepoverUnit": "Unidad de solape",
     "form.stepoverTitle": "100 % = diámetro de herramienta",
+    "form.pocketStrategy": "Estrategia de cajera",
+    "form.pocketStrategyTitle": "Espiral: pasadas concéntricas al paso lateral; en la primera pasada y en las esquinas la fresa trabaja con todo su ancho. Adaptativa: la fresa describe pequeños bucles trocoidales para que el enganche nunca supere el máximo ajustado; apta para cortes a profundidad completa en aluminio. Barrido: pasadas paralelas al paso lateral con un ángulo ajustable, recortadas a la cajera; opcionalmente seguidas de una pasada a lo largo de la pared",
+    "form.pocketStrategySpiral": "Espiral (concéntrica)",
+    "form.pocketStrategyAdaptive": "Adaptativa (trocoidal, enganche constante)",
+    "form.pocketStrategyRaster": "Barrido (pasadas paralelas)",
+    "form.pocketEngagement": "Enganche máx. (% del diámetro de fresa)",
+    "form.pocketEngagementTitle": "Enganche máximo en el vaciado adaptativo, como el enganche radial de un corte recto con el mismo ángulo de enganche (también en las esquinas); valores pequeños (5-15%) permiten cortes profundos de una pasada",
+    "form.pocketRasterMode": "Pasadas de barrido",
+    "form.pocketRasterModeTitle": "Zigzag: ida y vuelta sin levantar cuando es posible. Un sentido: cada pasada en el mismo sentido (en concordancia u oposición), levantando entre pasadas",
+    "form.pocketRasterZigzag": "Zigzag (ida y vuelta)",
+    "form.pocketRasterOneway": "Un sentido",
+    "form.pocketRasterAngle": "Ángulo de barrido (°)",
+    "form.pocketRasterAngleTitle": "Ángulo de las pasadas de barrido respecto al eje X",
+    "form.pocketRasterCleanup": "Repasar pared",
+    "form.pocketRasterCleanupTitle": "Terminar con una pasada a lo largo de la pared de la cajera y alrededor de las islas para quitar los restos en los extremos de las pasadas",
+    "form.millingDirection": "Sentido de fresado",
+    "form.millingDirectionTitle": "En concordancia: la fresa gira a favor del avance (borde más limpio, requiere una máquina rígida). Convencional: en contra del avance (más suave para máquinas ligeras). Se aplica a contornos, cajeras y trayectorias DXF.",
     "form.feedrate": "Avance F (mm/min)",
+    "form.plungeFeedrate": "Avance de penetración (mm/min)",
+    "form.plungeFeedrateTitle": "Avance para penetraciones y rampas: cortes sin desplazamiento XY o con Z descendente",
     "form.spindleSpeedControl": "Control del husillo",
     "form.spindleSpeed": "Velocidad del husillo S (RPM)",
     "form.safeHeight": "Altura de seguridad Z (mm)",
     "form.leadInAbove": "Aproximación sobre el material (mm)",
     "form.leadInAboveTitle": "Solo esta parte sobre la superficie / rampa como corte; el resto en rápido",
+    "form.descentAtFeed": "Descenso con avance",
+    "form.descentAtFeedTitle": "Bajar desde la altura segura al avance de penetración (G1) en lugar de rápido (G0)",
+    "form.arcOutput": "Arcos como G2/G3",
+    "form.arcOutputTitle": "Detectar arcos circulares en la trayectoria y generarlos como G2/G3 en lugar de muchos G1 cortos",
+    "form.arcFormat": "Formato de arco",
+    "form.arcFormatIJ": "I/J (centro relativo al inicio)",
+    "form.arcFormatR": "R (radio)",
+    "form.toolChangeMode": "Cambio de herramienta",
+    "form.toolChangeModeTitle": "Cómo se escribe un cambio a otra herramienta de la biblioteca: T# M6 para máquinas con cambiador de herramientas, o una pausa M0 para cambiarla a mano.",
+    "form.toolChangeAuto": "Según el postprocesador",
+    "form.toolChangeM6": "T# M6 (cambiador de herramientas)",
+    "form.toolChangeM0": "Pausa M0 (manual)",
+    "form.toolChangeProbe": "Parada para palpar Z tras el cambio de herramienta",
+    "form.toolChangeProbeTitle": "Añade una parada M0 adicional tras cada cambio de herramienta para palpar o volver a poner a cero Z con la nueva herramienta.",
     "form.outlineHint": "Use una fresa en V para mejores resultados en grabado de contorno.",
 
+    "form.finishLegend": "Pasada de acabado",
+    "form.finishEnabled": "Desbaste + acabado",
+    "form.finishEnabledTitle": "Desbastar dejando creces en las paredes y luego fresar a medida final en una pasada de acabado aparte",
+    "form.finishAllowance": "Creces radiales (mm)",
+    "form.finishAllowanceTitle": "Material que el desbaste deja en las paredes",
+    "form.finishFloorAllowance": "Creces en el fondo (mm)",
+    "form.finishFloorAllowanceTitle": "Material que el desbaste deja en el fondo; 0 = desbastar hasta la profundidad final",
+    "form.finishStepdown": "Profundidad por capa de acabado (mm)",
+    "form.finishStepdownTitle": "Altura máx. de capa del acabado; 0 = profundidad total en una pasada",
+    "form.finishFeedrate": "Avance de acabado (mm/min)",
+    "form.finishDirection": "Sentido de fresado en acabado",
+    "form.chamferLegend": "Chaflán",
+    "form.chamferEnabled": "Achaflanar bordes",
+    "form.chamferEnabledTitle": "Tras la operación, romper los bordes superiores con una fresa en V o una fresa de chaflán",
+    "form.chamferTool": "Herramienta de chaflán",
+    "form.chamferToolTitle": "Herramienta de la biblioteca para el chaflán (cambio de herramienta); si no, se usa la herramienta actual",
+    "form.chamferAngle": "Ángulo de la fresa en V (°)",
+    "form.chamferAngleTitle": "Ángulo de punta de la fresa en V o de chaflán, p. ej. 90° para un chaflán de 45°",
+    "form.chamferTipDiameter": "Diámetro de punta (mm)",
+    "form.chamferTipDiameterTitle": "Parte plana en la punta de la fresa; 0 = punta afilada",
+    "form.chamferWidth": "Ancho del chaflán (mm)",
+    "form.chamferWidthTitle": "Ancho del chaflán medido en la cara superior",
+    "form.chamferFeedrate": "Avance del chaflán (mm/min)",
+    "form.vcarveAngle": "Ángulo de la fresa en V (°)",
+    "form.vcarveAngleTitle": "Ángulo de punta de la fresa en V, p. ej. 60° o 90°",
+    "form.vcarveMaxDepth": "Profundidad máxima (mm)",
+    "form.vcarveMaxDepthTitle": "Las zonas más anchas se fresan planas a esta profundidad y se vacían",
+    "form.vcarveClearTool": "Herramienta de vaciado",
+    "form.vcarveClearToolTitle": "Fresa plana de la biblioteca que vacía primero los fondos planos (cambio de herramienta); si no, lo hace la fresa en V",
+    "form.millingDirectionClimb": "En concordancia (climb)",
+    "form.millingDirectionConventional": "Convencional (en oposición)",
+
     "form.originLegend": "Origen (puntos cero)",
     "form.xyOrigin": "Origen XY",
     "form.xyOriginCenter": "Centro de la forma",
@@ -1162,6 +2639,7 @@ const TRANSLATIONS = {
     "form.patternedHolesDiameterIn": "Diámetro (in)",
     "form.patternedHolesSpacingXIn": "Distancia entre centros X (in)",
     "form.patternedHolesSpacingYIn": "Distancia entre centros Y (in)",
+    "form.patternedHolesPitchDiameterIn": "Diámetro del círculo de pernos (in)",
     "form.diameterIn": "Diámetro (in)",
     "form.counterboreHeadDiameterIn": "Diámetro de cabeza (in)",
     "form.counterboreDepthIn": "Profundidad del avellanado (in)",
@@ -1169,10 +2647,19 @@ const TRANSLATIONS = {
     "form.sideIn": "Lado (in)",
     "form.widthIn": "Ancho (in)",
     "form.heightIn": "Altura (in)",
+    "form.cornerRadiusIn": "Radio de esquina (in)",
+    "form.cornerRadiusTopLeftIn": "Arriba izquierda (in)",
+    "form.cornerRadiusTopRightIn": "Arriba derecha (in)",
+    "form.cornerRadiusBottomLeftIn": "Abajo izquierda (in)",
+    "form.cornerRadiusBottomRightIn": "Abajo derecha (in)",
     "form.hexagonHeightIn": "Altura (in)",
     "form.majorAxisIn": "Eje mayor X (in)",
     "form.minorAxisIn": "Eje menor Y (in)",
     "form.letterSizeIn": "Tamaño de letra (in)",
+    "form.letterSpacingIn": "Espaciado adicional (in)",
+    "form.letterArcRadiusIn": "Radio del arco (in)",
+    "form.letterBatchSpacingXIn": "Paso X (in)",
+    "form.letterBatchSpacingYIn": "Paso Y (in)",
     "form.tabIntervalIn": "Intervalo a lo largo del contorno (in)",
     "form.tabWidthIn": "Ancho de lengüeta (in)",
     "form.tabHeightIn": "Altura de lengüeta (in, material restante)",
@@ -1180,6 +2667,20 @@ const TRANSLATIONS = {
     "form.totalDepthIn": "Profundidad total (in)",
     "form.stepdownIn": "Profundidad por capa (in)",
     "form.feedrateIn": "Avance F (in/min)",
+    "form.plungeFeedrateIn": "Avance de penetración (in/min)",
+    "form.finishAllowanceIn": "Creces radiales (in)",
+    "form.finishFloorAllowanceIn": "Creces en el fondo (in)",
+    "form.finishStepdownIn": "Profundidad por capa de acabado (in)",
+    "form.finishFeedrateIn": "Avance de acabado (in/min)",
+    "form.chamferTipDiameterIn": "Diámetro de punta (in)",
+    "form.chamferWidthIn": "Ancho del chaflán (in)",
+    "form.chamferFeedrateIn": "Avance del chaflán (in/min)",
+    "form.vcarveMaxDepthIn": "Profundidad máxima (in)",
+    "form.peckDepthIn": "Profundidad de picoteo (in)",
+    "form.threadDiameterIn": "Diámetro nominal (in)",
+    "form.threadPitchIn": "Paso (in)",
+    "form.threadLengthIn": "Longitud de rosca (in)",
+    "form.threadCutterLengthIn": "Longitud de corte de la fresa (in)",
     "form.safeHeightIn": "Altura de seguridad Z (in)",
     "form.leadInAboveIn": "Aproximación sobre el material (in)",
     "form.zOffsetIn": "Desplazamiento Z (in, opcional)",
@@ -1219,6 +2720,7 @@ const TRANSLATIONS = {
     "preview.estimatedTimeSec": "{{sec}} s",
     "preview.estimatedTimeMin": "{{min}} min",
     "preview.estimatedTimeHMin": "{{h}} h {{m}} min",
+    "preview.pitchCircle": "Círculo de pernos {{diameter}}",
 
     "footer.warning": "Compruebe siempre el G-code en un simulador y pruebe en aire / material blando antes de fresar de verdad.",
 
@@ -1227,40 +2729,113 @@ const TRANSLATIONS = {
     "gcode.comment.unitsMm": "mm",
     "gcode.comment.unitsInch": "pulgadas",
     "gcode.comment.absolute": "posicionamiento absoluto",
+    "gcode.comment.postProcessor": "postprocesador: {{name}}",
+    "gcode.comment.operation": "operación {{n}}/{{total}}: {{name}}",
+    "gcode.comment.tool": "herramienta T{{number}}: {{diameter}} {{name}}",
+    "gcode.comment.toolChange": "cambiar a la herramienta T{{number}}: {{diameter}} {{name}}",
+    "gcode.comment.toolChangeManual": "cambiar a la herramienta: {{tool}}",
+    "gcode.comment.jobOperationTool": "fresa de {{diameter}} para la operación {{n}}",
+    "gcode.comment.touchOff": "volver a poner a cero Z para la nueva herramienta",
+    "gcode.comment.pause": "pausa",
+    "gcode.comment.boltHole": "agujero del tornillo",
+    "gcode.comment.finishPass": "pasada de acabado",
+    "gcode.comment.chamfer": "chaflán",
+    "gcode.comment.chamferTool": "fresa en V para el chaflán",
+    "gcode.comment.vcarve": "V-carve",
+    "gcode.comment.vcarveClear": "vaciado V-carve",
     "gcode.comment.spindleOn": "husillo encendido",
     "gcode.comment.spindleOff": "husillo apagado",
 
     "error.positive": "{{label}} debe ser un número positivo.",
     "error.leadInNegative": "La aproximación sobre el material no puede ser negativa.",
+    "error.patternedHolesArcSpan": "La amplitud del arco debe ser mayor que 0° y como máximo 360°.",
+    "error.patternedHolesOverlap": "Los agujeros se solapan: la distancia entre centros de agujeros vecinos es menor que el diámetro del agujero. Aumente la distancia o el diámetro del círculo de pernos, o use menos agujeros.",
+    "error.cornerRadiusNegative": "El radio de esquina no puede ser negativo.",
+    "error.cornerRadiusTooBig": "El radio de esquina no puede ser mayor que la mitad del lado más corto.",
+    "error.cornerRadiusBelowTool": "Un radio de esquina interior no puede ser menor que el radio de la fresa ({{min}}). Use 0 para el radio de la propia fresa, un radio mayor o una fresa más pequeña.",
+    "error.finishNegative": "Las creces y la profundidad por capa del acabado no pueden ser negativas.",
+    "error.finishFloorAllowanceTooBig": "Las creces en el fondo deben ser menores que la profundidad total.",
+    "error.finishAllowanceTooBig": "La forma es demasiado pequeña para la fresa más dos veces las creces radiales.",
+    "error.chamferAngle": "El ángulo de la fresa en V debe estar entre 0° y 180°.",
+    "error.chamferTipNegative": "El diámetro de punta no puede ser negativo.",
+    "error.chamferTooDeep": "El chaflán es más profundo que la pared que rompe; reduzca el ancho del chaflán.",
+    "error.chamferWidthTooBig": "El chaflán es demasiado ancho para la herramienta de chaflán (máx. {{max}}).",
+    "error.vcarveAngle": "El ángulo de la fresa en V debe estar entre 0° y 180°.",
+    "error.vcarveTooDeepForTool": "La profundidad máxima supera lo que la fresa en V puede cortar con su diámetro (máx. {{max}}).",
+    "error.vcarveClearToolNeedsTool": "Con una herramienta de vaciado, elija también la fresa en V de la biblioteca para poder cambiar de herramienta.",
     "error.stepdownTooBig": "La profundidad por capa no puede ser mayor que la profundidad total.",
     "error.stepoverTooBig": "El solape (en mm) no puede ser mayor que el diámetro de la herramienta.",
+    "error.pocketEngagementTooBig": "El enganche máx. puede ser como máximo el 50% del diámetro de la fresa.",
+    "error.pocketAdaptiveTooManyLoops": "El vaciado adaptativo necesita más de {{max}} bucles por capa. Aumente el enganche máx. o use la estrategia espiral.",
     "error.enterText": "Introduzca el texto a grabar.",
     "error.unknownShape": "Tipo de forma desconocido.",
     "error.pocketSmallerThanTool": "El bolsillo/contorno es más pequeño que el diámetro de la herramienta. Elija una herramienta más pequeña o una forma más grande.",
+    "error.drillLargerThanHole": "La broca es mayor que el diámetro del agujero. Elija una broca más pequeña o agrande el agujero.",
     "error.facingShapeRequired": "Para refrentado, elija Cuadrado o Rectángulo como forma.",
     "error.counterboreHeadSmallerThanBolt": "El diámetro de cabeza debe ser al menos el diámetro del tornillo.",
+    "error.threadToolTooBig": "La fresa de roscar debe ser menor que el diámetro del núcleo del agujero ({{max}}).",
+    "error.threadCutterTooShort": "La longitud de corte de la fresa debe ser al menos un paso.",
     "error.counterboreTotalDepthTooSmall": "La profundidad total debe ser mayor que la profundidad del avellanado.",
     "error.lettersToolTooBig": "La herramienta no cabe en las letras (partes demasiado estrechas). Elija una herramienta más pequeña o letras más grandes.",
-    "error.dxfNoFile": "No se ha seleccionado ningún archivo DXF.",
-    "error.dxfNoContours": "No se encontraron contornos cerrados en el archivo DXF.",
+    "error.dxfNoFile": "No se ha seleccionado ningún archivo DXF o SVG.",
+    "error.dxfNoContours": "No se encontraron contornos cerrados en el archivo DXF o SVG.",
+    "error.dxfLayerDepth": "La profundidad de la capa {{layer}} debe ser mayor que 0.",
+    "error.dxfLayerDepthBelowStock": "La profundidad de la capa {{layer}} supera la profundidad total; con Z0 abajo, es el espesor del material.",
+    "error.dxfLayerNoContours": "No hay contornos utilizables en la capa {{layers}}.",
+    "error.dxfJoinToleranceNegative": "La tolerancia de unión no puede ser negativa.",
     "error.dxfParserNotLoaded": "Analizador DXF no cargado. Compruebe la carga de scripts.",
     "error.dxfParseFailed": "Error al analizar DXF: ",
+    "error.svgParseFailed": "Error al analizar SVG: el archivo no es un SVG/XML válido.",
     "error.dxfNoPocketableContours": "No se pudo vaciar ningún contorno (herramienta demasiado grande o contornos demasiado pequeños). ",
     "error.dxfOffsetFailed": "Error de offset en el contorno (herramienta quizá demasiado grande o contorno demasiado estrecho).",
     "error.dxfProcessingFailed": "Error al procesar DXF. Posibles causas: archivo no 2D, dañado o no compatible; herramienta demasiado grande; contorno demasiado estrecho.",
     "error.dxfMultipleContoursInside": "Se detectaron varios contornos. El contorno interior no es posible con esto.",
-    "error.dxfMultipleContoursPocket": "Se detectaron varios contornos. El bolsillo no es posible con esto.",
     "error.dxfPocketNotSupported": "La cavidad no es compatible con DXF. Use solo contorno.",
     "error.fontNotLoaded": "No se pudo cargar la fuente: ",
     "error.opentypeNotLoaded": "Opentype.js no está cargado. Recargue la página.",
+    "error.singleLineFontNotLoaded": "Las fuentes de un trazo (hershey-fonts.js) no están cargadas. Recargue la página.",
+    "error.singleLineFontOutlineOnly": "Una fuente de un trazo solo se puede grabar como contorno; elija una fuente rellena para vaciar las letras o grabarlas en V-carve.",
+    "error.singleLineFontUnsupportedChars": "La fuente de un trazo no puede grabar {{chars}}; solo contiene letras, cifras y signos de puntuación ASCII simples.",
+    "error.fontFileInvalid": "Este archivo no es una fuente TTF, OTF o WOFF legible.",
+    "error.fontStorageFull": "La fuente no cabe en el almacenamiento del navegador. Elimine otra fuente propia o elija un archivo más pequeño.",
+    "error.customFontMissing": "La fuente propia elegida ya no está en el almacenamiento del navegador. Súbala de nuevo.",
+    "error.letterArcRadiusTooSmall": "El radio del arco es demasiado pequeño para el número de líneas en el exterior del arco.",
+    "error.letterPathMissing": "Elija un archivo DXF con una polilínea, arco o línea como trayectoria del texto.",
+    "error.letterBatchEmpty": "La serie no tiene etiquetas: use un rango de números como {0001..0050} en el texto o elija un archivo CSV.",
+    "error.letterBatchTooLarge": "La serie tiene {{count}} etiquetas; como máximo {{max}} son posibles.",
+    "error.letterBatchFilesInJob": "Un .nc por etiqueta no se puede añadir a un trabajo; elija Rejilla en una placa o genere el zip.",
     "error.copySuccess": "G-code copiado al portapapeles.",
     "error.copyFailed": "Error al copiar al portapapeles.",
     "error.generateFailed": "Error de generación: ",
+    "error.jobEmpty": "El trabajo aún no contiene operaciones.",
+    "job.legend": "Trabajo (varias operaciones)",
+    "job.hint": "Configure una operación y añádala al trabajo. Todas las operaciones se combinan en un solo programa, cada una con su propio desplazamiento de origen.",
+    "job.empty": "Todavía no hay operaciones en el trabajo.",
+    "job.add": "Añadir al trabajo",
+    "job.generate": "Generar trabajo",
+    "job.clear": "Vaciar trabajo",
+    "job.offsetX": "Desplazamiento X ({{unit}})",
+    "job.offsetY": "Desplazamiento Y ({{unit}})",
+    "job.moveUp": "Subir",
+    "job.moveDown": "Bajar",
+    "job.remove": "Quitar del trabajo",
     "field.toolDiameter": "Diámetro de fresa",
     "field.totalDepth": "Profundidad total",
     "field.stepdown": "Profundidad por capa",
     "field.stepover": "Solape (porcentaje del diámetro)",
+    "field.pocketEngagement": "Enganche máx.",
     "field.feedrate": "Avance",
+    "field.plungeFeedrate": "Avance de penetración",
+    "field.finishFeedrate": "Avance de acabado",
+    "field.chamferWidth": "Ancho del chaflán",
+    "field.chamferFeedrate": "Avance del chaflán",
+    "field.vcarveMaxDepth": "Profundidad máxima",
+    "field.peckDepth": "Profundidad de picoteo",
+    "field.drillDwell": "Pausa en el fondo",
+    "field.threadDiameter": "Diámetro nominal",
+    "field.threadPitch": "Paso",
+    "field.threadLength": "Longitud de rosca",
+    "field.threadCutterLength": "Longitud de corte de la fresa",
     "field.safeHeight": "Altura de seguridad Z",
     "field.rampAngle": "Ángulo máx. de rampa",
     "field.tabInterval": "Intervalo de lengüetas",
@@ -1274,6 +2849,10 @@ const TRANSLATIONS = {
     "field.minorAxis": "Eje menor Y",
     "field.hexagonHeight": "Altura",
     "field.letterSize": "Tamaño de letra",
+    "field.letterLineHeight": "Interlineado",
+    "field.letterArcRadius": "Radio del arco",
+    "field.letterBatchSpacingX": "Paso de etiquetas X",
+    "field.letterBatchSpacingY": "Paso de etiquetas Y",
     "field.stepoverPct": "Solape (en mm)",
     "field.counterboreHeadDiameter": "Diámetro de cabeza",
     "field.counterboreDepth": "Profundidad del avellanado",
@@ -1283,6 +2862,8 @@ const TRANSLATIONS = {
     "field.patternedHolesSpacingY": "Distancia entre centros Y",
     "field.patternedHolesCountX": "Número de agujeros X",
     "field.patternedHolesCountY": "Número de agujeros Y",
+    "field.patternedHolesPitchDiameter": "Diámetro del círculo de pernos",
+    "field.patternedHolesCount": "Número de agujeros",
     "form.stepoverMmHint": "({{val}} mm)",
     "form.stepoverPctHint": "({{pct}} % de la herramienta)",
   },